@@ -199,4 +199,19 @@ print(classification_report(y_true, y_pred, digits=4))
 
 cnn_model.save('cnn_densenet_real_fake.keras')
 
-print('Saved cnn_densenet_real_fake.keras and vit_real_fake.keras')
\ No newline at end of file
+print('Saved cnn_densenet_real_fake.keras and vit_real_fake.keras')
+
+"""## Export for in-browser inference
+
+The frontend can classify offline with ONNX Runtime Web
+(frontend/src/services/localInference.js). Convert the saved model with
+export_onnx.py (needs tf2onnx, see requirements-export.txt) and copy the
+result to frontend/public/models/ so it is served at
+/models/cnn_densenet_real_fake.onnx.
+"""
+
+"""## Grad-CAM heatmaps
+
+gradcam.py builds the optional `heatmap` field of the /api/predict response
+from the saved model (see predict_with_heatmap there).
+"""
@@ -0,0 +1,37 @@
+# -*- coding: utf-8 -*-
+"""Convert the trained DenseNet121 model to ONNX for in-browser inference.
+
+The frontend runs the result with ONNX Runtime Web
+(frontend/src/services/localInference.js), served from
+frontend/public/models/cnn_densenet_real_fake.onnx.
+
+Usage:
+    pip install -r requirements-export.txt
+    python export_onnx.py [model.keras] [output.onnx]
+"""
+
+import sys
+
+import tensorflow as tf
+
+try:
+    import tf2onnx
+except ImportError:
+    sys.exit('export_onnx.py needs tf2onnx: pip install -r requirements-export.txt')
+
+# Must match IMG_SIZE in CNN.py
+IMG_SIZE = 224
+
+model_path = sys.argv[1] if len(sys.argv) > 1 else 'cnn_densenet_real_fake.keras'
+output_path = sys.argv[2] if len(sys.argv) > 2 else 'cnn_densenet_real_fake.onnx'
+
+model = tf.keras.models.load_model(model_path)
+
+onnx_signature = [tf.TensorSpec((None, IMG_SIZE, IMG_SIZE, 3), tf.float32, name='image')]
+tf2onnx.convert.from_keras(
+    model,
+    input_signature=onnx_signature,
+    opset=13,
+    output_path=output_path,
+)
+print('Saved', output_path)
@@ -0,0 +1,68 @@
+# -*- coding: utf-8 -*-
+"""Grad-CAM heatmaps for the /api/predict response.
+
+predict_with_heatmap returns the payload the frontend parses
+(frontend/src/services/api.js, utils/heatmap.js):
+
+    {
+        "prediction": "Real" | "Fake",
+        "confidence": 0.93,        # of `prediction`, 0-1
+        "probability": 0.93,       # raw sigmoid output, P(Real)
+        "heatmap": [[0.0, ...], ...]  # 7x7 rows (top to bottom) of 0-1 values
+    }
+
+Usage from the serving code:
+
+    model = tf.keras.models.load_model('cnn_densenet_real_fake.keras')
+    return jsonify(predict_with_heatmap(model, request.files['image'].read()))
+"""
+
+import numpy as np
+import tensorflow as tf
+
+# Must match IMG_SIZE in CNN.py
+IMG_SIZE = 224
+
+
+def preprocess_image_bytes(image_bytes):
+    """Decode and scale an uploaded JPEG like load_and_preprocess_image in CNN.py."""
+    image = tf.image.decode_jpeg(image_bytes, channels=3)
+    image = tf.image.resize(image, [IMG_SIZE, IMG_SIZE])
+    return tf.cast(image, tf.float32) / 255.0
+
+
+def make_gradcam_heatmap(model, image):
+    """Return a Grad-CAM map (7x7, values 0-1) for one preprocessed 224x224 image.
+
+    `model` is the Sequential model from CNN.py: DenseNet121 base, then the head.
+    """
+    base_model = model.layers[0]
+    with tf.GradientTape() as tape:
+        feature_maps = base_model(image[tf.newaxis, ...], training=False)
+        tape.watch(feature_maps)
+        x = feature_maps
+        for layer in model.layers[1:]:
+            x = layer(x, training=False)
+        prob = x[:, 0]
+        # Explain whichever class was predicted (label 1 = real, 0 = fake)
+        score = tf.where(prob >= 0.5, prob, 1.0 - prob)
+
+    grads = tape.gradient(score, feature_maps)[0]
+    weights = tf.reduce_mean(grads, axis=(0, 1))
+    cam = tf.nn.relu(tf.reduce_sum(feature_maps[0] * weights, axis=-1))
+    cam = cam / (tf.reduce_max(cam) + 1e-8)
+    return cam.numpy()
+
+
+def predict_with_heatmap(model, image_bytes):
+    """Classify one uploaded JPEG and return the /api/predict payload with `heatmap`."""
+    image = preprocess_image_bytes(image_bytes)
+    probability = float(model(image[tf.newaxis, ...], training=False)[0, 0])
+    is_real = probability >= 0.5
+
+    return {
+        'prediction': 'Real' if is_real else 'Fake',
+        'confidence': probability if is_real else 1.0 - probability,
+        'probability': probability,
+        'heatmap': np.round(make_gradcam_heatmap(model, image), 4).tolist(),
+    }
@@ -8,6 +8,7 @@
 /**
  * App Component (Refined for Layout and Styling)
  */
+import { useEffect } from 'react';
 import { Routes, Route, Navigate } from 'react-router-dom';
 import { Container } from 'react-bootstrap';
 
@@ -16,11 +17,19 @@ import LayoutNavbar from './components/LayoutNavBar';
 
 // Route Views
 import ClassifyView from './routes/ClassifyView';
+import CompareView from './routes/CompareView';
 import GenAIView from './routes/GenAIView';
 import MetricsView from './routes/MetricsView';
+import HistoryView from './routes/HistoryView';
 import AboutView from './routes/AboutView';
 
+// Services
+import { startFeedbackSync } from './services/feedback';
+
 function App() {
+  // Send feedback that was queued while the backend was unreachable
+  useEffect(() => startFeedbackSync(), []);
+
   return (
     // Use flex column layout to ensure the footer is always at the bottom
     <div className="app d-flex flex-column" style={{ minHeight: '100vh' }}> 
@@ -39,6 +48,8 @@ function App() {
           <Routes>
             <Route path="/" element={<Navigate to="/classify" replace />} />
             <Route path="/classify" element={<ClassifyView />} />
+            <Route path="/compare" element={<CompareView />} />
+            <Route path="/history" element={<HistoryView />} />
             <Route path="/genai" element={<GenAIView />} />
             <Route path="/metrics" element={<MetricsView />} />
             <Route path="/about" element={<AboutView />} />
@@ -0,0 +1,44 @@
+/**
+ * AskAssistantButton Component
+ *
+ * Purpose: "Ask the assistant about this result" - opens the AI Assistant
+ * with the classification attached (see utils/chatContext.js), so questions
+ * like "Why did the model think this was fake?" are answered about this image.
+ *
+ * Takes the same fields as buildClassificationContext.
+ */
+
+import { useState } from 'react';
+import Button from 'react-bootstrap/Button';
+import Spinner from 'react-bootstrap/Spinner';
+import { useNavigate } from 'react-router-dom';
+
+// Helpers
+import { buildClassificationContext } from '../utils/chatContext';
+
+function AskAssistantButton({ result, imageFile, imageUrl, fileName, analyzedAt }) {
+  const [isPreparing, setIsPreparing] = useState(false);
+  const navigate = useNavigate();
+
+  const handleClick = async () => {
+    setIsPreparing(true);
+    try {
+      const chatContext = await buildClassificationContext({ result, imageFile, imageUrl, fileName, analyzedAt });
+      navigate('/genai', { state: { chatContext } });
+    } catch (err) {
+      console.error('Chat hand-off error:', err);
+      setIsPreparing(false);
+    }
+  };
+
+  return (
+    <Button variant="outline-secondary" size="sm" className="align-self-start" onClick={handleClick} disabled={isPreparing}>
+      {isPreparing
+        ? <Spinner as="span" animation="border" size="sm" className="me-2" />
+        : <span aria-hidden="true" className="me-1">💬</span>}
+      Ask the assistant about this result
+    </Button>
+  );
+}
+
+export default AskAssistantButton;
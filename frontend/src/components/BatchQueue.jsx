@@ -0,0 +1,273 @@
+/**
+ * BatchQueue Component
+ *
+ * Purpose: Displays a queue of images being classified in bulk.
+ * Shows:
+ * - Summary counts (Real vs AI-Generated, failed, remaining)
+ * - Overall progress bar
+ * - Sortable grid with per-item status and PredictionResult cards
+ * 
+ * Verdicts follow the user's decision threshold (see useDecisionThreshold).
+ */
+
+import { useState, useMemo } from 'react';
+import Row from 'react-bootstrap/Row';
+import Col from 'react-bootstrap/Col';
+import Card from 'react-bootstrap/Card';
+import Badge from 'react-bootstrap/Badge';
+import Button from 'react-bootstrap/Button';
+import Form from 'react-bootstrap/Form';
+import ProgressBar from 'react-bootstrap/ProgressBar';
+import Spinner from 'react-bootstrap/Spinner';
+
+// Components
+import PredictionResult from './PredictionResult';
+
+// Hooks
+import useDecisionThreshold from '../hooks/useDecisionThreshold';
+
+// Helpers
+import { BATCH_STATUS } from '../hooks/useBatchClassifier';
+import { isRealPrediction, toConfidencePercent, applyThreshold } from '../utils/prediction';
+
+// Badge styling for each queue status
+const STATUS_BADGES = {
+  [BATCH_STATUS.PENDING]: { bg: 'secondary', label: 'Pending' },
+  [BATCH_STATUS.UPLOADING]: { bg: 'info', label: 'Uploading' },
+  [BATCH_STATUS.DONE]: { bg: 'success', label: 'Done' },
+  [BATCH_STATUS.FAILED]: { bg: 'danger', label: 'Failed' },
+};
+
+// Order used when sorting by status (items needing attention first)
+const STATUS_ORDER = [
+  BATCH_STATUS.FAILED,
+  BATCH_STATUS.UPLOADING,
+  BATCH_STATUS.PENDING,
+  BATCH_STATUS.DONE,
+];
+
+// Sort options shown in the dropdown
+const SORT_OPTIONS = [
+  { value: 'added', label: 'Order added' },
+  { value: 'confidence', label: 'Confidence (high → low)' },
+  { value: 'prediction', label: 'AI-Generated first' },
+  { value: 'name', label: 'File name' },
+  { value: 'status', label: 'Status' },
+];
+
+/**
+ * Confidence for sorting; unfinished items sink to the bottom
+ */
+const sortableConfidence = (item) => (
+  item.status === BATCH_STATUS.DONE ? toConfidencePercent(item.result.confidence) : -1
+);
+
+const comparators = {
+  added: (a, b) => a.id - b.id,
+  confidence: (a, b) => sortableConfidence(b) - sortableConfidence(a),
+  prediction: (a, b) => {
+    // Rank: AI-Generated (0), Real (1), unfinished (2)
+    const rank = (item) => {
+      if (item.status !== BATCH_STATUS.DONE) return 2;
+      return isRealPrediction(item.result.prediction) ? 1 : 0;
+    };
+    return rank(a) - rank(b) || sortableConfidence(b) - sortableConfidence(a);
+  },
+  name: (a, b) => a.file.name.localeCompare(b.file.name),
+  status: (a, b) => STATUS_ORDER.indexOf(a.status) - STATUS_ORDER.indexOf(b.status) || a.id - b.id,
+};
+
+function BatchQueue({ items, onRetry, onRetryFailed, onRemove, onClear }) {
+  const [sortBy, setSortBy] = useState('added');
+  const [threshold] = useDecisionThreshold();
+
+  // Relabel finished items with the decision threshold
+  const labelledItems = useMemo(() => items.map((item) => (
+    item.status === BATCH_STATUS.DONE ? { ...item, result: applyThreshold(item.result, threshold) } : item
+  )), [items, threshold]);
+
+  // Summary counts for the header
+  const summary = useMemo(() => {
+    const counts = { real: 0, fake: 0, failed: 0, remaining: 0 };
+    labelledItems.forEach((item) => {
+      if (item.status === BATCH_STATUS.DONE) {
+        if (isRealPrediction(item.result.prediction)) counts.real += 1;
+        else counts.fake += 1;
+      } else if (item.status === BATCH_STATUS.FAILED) {
+        counts.failed += 1;
+      } else {
+        counts.remaining += 1;
+      }
+    });
+    return counts;
+  }, [labelledItems]);
+
+  const sortedItems = useMemo(
+    () => [...labelledItems].sort(comparators[sortBy]),
+    [labelledItems, sortBy]
+  );
+
+  const processed = items.length - summary.remaining;
+  const progressPercent = items.length > 0 ? (processed / items.length) * 100 : 0;
+
+  return (
+    <Card className="custom-card">
+      <Card.Header className="d-flex flex-wrap justify-content-between align-items-center gap-2">
+        <h2 className="h5 mb-0">Batch Queue</h2>
+        <div className="d-flex gap-2">
+          {summary.failed > 0 && (
+            <Button variant="outline-danger" size="sm" onClick={onRetryFailed}>
+              Retry Failed
+            </Button>
+          )}
+          <Button variant="outline-secondary" size="sm" onClick={onClear}>
+            Clear Queue
+          </Button>
+        </div>
+      </Card.Header>
+      <Card.Body>
+        {/* Summary counts */}
+        <Row className="g-3 mb-3">
+          <Col xs={6} md={3}>
+            <div className="text-center">
+              <div className="metric-value" style={{ color: 'var(--color-accent-success)' }}>{summary.real}</div>
+              <div className="metric-label">Real</div>
+            </div>
+          </Col>
+          <Col xs={6} md={3}>
+            <div className="text-center">
+              <div className="metric-value" style={{ color: 'var(--color-accent-danger)' }}>{summary.fake}</div>
+              <div className="metric-label">AI-Generated</div>
+            </div>
+          </Col>
+          <Col xs={6} md={3}>
+            <div className="text-center">
+              <div className="metric-value" style={{ color: 'var(--color-accent-warning)' }}>{summary.failed}</div>
+              <div className="metric-label">Failed</div>
+            </div>
+          </Col>
+          <Col xs={6} md={3}>
+            <div className="text-center">
+              <div className="metric-value" style={{ color: 'var(--color-text-secondary)' }}>{summary.remaining}</div>
+              <div className="metric-label">Remaining</div>
+            </div>
+          </Col>
+        </Row>
+
+        {/* Overall progress */}
+        <ProgressBar
+          now={progressPercent}
+          label={`${processed} / ${items.length}`}
+          className="mb-4"
+          aria-label={`${processed} of ${items.length} images processed`}
+        />
+
+        {/* Sort control */}
+        <Form.Group className="d-flex align-items-center gap-2 mb-3">
+          <Form.Label htmlFor="batch-sort" className="mb-0 text-nowrap">
+            Sort by
+          </Form.Label>
+          <Form.Select
+            id="batch-sort"
+            size="sm"
+            value={sortBy}
+            onChange={(e) => setSortBy(e.target.value)}
+            style={{ maxWidth: '240px' }}
+          >
+            {SORT_OPTIONS.map((option) => (
+              <option key={option.value} value={option.value}>
+                {option.label}
+              </option>
+            ))}
+          </Form.Select>
+        </Form.Group>
+
+        {/* Results grid */}
+        <Row xs={1} md={2} xl={3} className="g-3">
+          {sortedItems.map((item) => {
+            const badge = STATUS_BADGES[item.status];
+            const isUploading = item.status === BATCH_STATUS.UPLOADING;
+
+            return (
+              <Col key={item.id}>
+                <div className="d-flex flex-column h-100">
+                  {/* Item toolbar: status + actions */}
+                  <div className="d-flex justify-content-between align-items-center mb-2">
+                    <Badge bg={badge.bg}>
+                      {isUploading && (
+                        <Spinner as="span" animation="border" size="sm" className="me-1" aria-hidden="true" />
+                      )}
+                      {badge.label}
+                    </Badge>
+                    <div className="d-flex gap-1">
+                      {item.status === BATCH_STATUS.FAILED && (
+                        <Button variant="link" size="sm" className="p-0" onClick={() => onRetry(item)}>
+                          Retry
+                        </Button>
+                      )}
+                      <Button
+                        variant="link"
+                        size="sm"
+                        className="p-0 ms-2"
+                        style={{ color: 'var(--color-text-muted)' }}
+                        onClick={() => onRemove(item)}
+                        aria-label={`${isUploading ? 'Cancel' : 'Remove'} ${item.file.name}`}
+                      >
+                        {isUploading ? 'Cancel' : 'Remove'}
+                      </Button>
+                    </div>
+                  </div>
+
+                  {item.status === BATCH_STATUS.DONE ? (
+                    <PredictionResult
+                      result={item.result}
+                      imageUrl={item.previewUrl}
+                      title={item.file.name}
+                      compact
+                    />
+                  ) : (
+                    /* Placeholder card until the result arrives */
+                    <Card className="custom-card h-100">
+                      <Card.Body className="p-3 text-center">
+                        <h3 className="h6 mb-2 text-truncate" title={item.file.name}>
+                          {item.file.name}
+                        </h3>
+                        <img
+                          src={item.previewUrl}
+                          alt={`Queued image ${item.file.name}`}
+                          style={{
+                            maxWidth: '100%',
+                            maxHeight: '160px',
+                            borderRadius: 'var(--radius-sm)',
+                            opacity: item.status === BATCH_STATUS.FAILED ? 0.5 : 1,
+                          }}
+                        />
+                        {isUploading && (
+                          <ProgressBar
+                            now={item.progress ?? 100}
+                            striped={item.progress === null || item.progress >= 100}
+                            animated={item.progress === null || item.progress >= 100}
+                            className="mt-2"
+                            style={{ height: '6px' }}
+                            aria-label={`Upload progress for ${item.file.name}`}
+                          />
+                        )}
+                        {item.error && (
+                          <p className="mt-2 mb-0" style={{ fontSize: '0.8125rem', color: 'var(--color-accent-danger)' }}>
+                            {item.error}
+                          </p>
+                        )}
+                      </Card.Body>
+                    </Card>
+                  )}
+                </div>
+              </Col>
+            );
+          })}
+        </Row>
+      </Card.Body>
+    </Card>
+  );
+}
+
+export default BatchQueue;
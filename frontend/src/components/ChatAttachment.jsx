@@ -0,0 +1,51 @@
+/**
+ * ChatAttachment Component
+ *
+ * Purpose: Image attached to a chat message, shown in the transcript as a
+ * thumbnail with its verdict (or "Classifying..." while the classifier runs,
+ * or the reason it couldn't be classified).
+ */
+
+import Spinner from 'react-bootstrap/Spinner';
+
+// Helpers
+import { isRealPrediction } from '../utils/prediction';
+
+function ChatAttachment({ attachment, isClassifying = false }) {
+  const { classification } = attachment;
+  const isReal = classification && isRealPrediction(classification.prediction);
+
+  return (
+    <figure className="d-flex gap-2 align-items-center mb-2" style={{ fontSize: '0.75rem' }}>
+      {attachment.thumbnail ? (
+        <img
+          src={attachment.thumbnail}
+          alt={`Attached image ${attachment.fileName}`}
+          style={{ width: '96px', height: '96px', objectFit: 'cover', borderRadius: 'var(--radius-sm)', flexShrink: 0 }}
+        />
+      ) : (
+        <span aria-hidden="true" style={{ fontSize: '1.5rem' }}>🖼️</span>
+      )}
+      <figcaption style={{ minWidth: 0 }}>
+        <span className="d-block text-truncate" title={attachment.fileName}>{attachment.fileName}</span>
+        {isClassifying ? (
+          <span className="animate-pulse">
+            <Spinner animation="border" size="sm" className="me-1" aria-hidden="true" />
+            Classifying...
+          </span>
+        ) : classification ? (
+          <span style={{ fontWeight: 600, color: isReal ? 'var(--color-accent-success)' : 'var(--color-accent-danger)' }}>
+            {isReal ? 'Real' : 'AI-Generated'}
+            <span className="mono ms-1">{classification.fakeProbability.toFixed(1)}% AI</span>
+          </span>
+        ) : (
+          <span style={{ color: 'var(--color-accent-warning)' }}>
+            Not classified{attachment.error ? `: ${attachment.error}` : ''}
+          </span>
+        )}
+      </figcaption>
+    </figure>
+  );
+}
+
+export default ChatAttachment;
@@ -0,0 +1,73 @@
+/**
+ * ChatContextCard Component
+ *
+ * Purpose: Pinned card above the AI Assistant chat showing the
+ * classification the conversation is about (thumbnail, verdict, P(AI-generated),
+ * model and the model's details).
+ *
+ * `onRemove` (optional) detaches the result before the first message is sent.
+ */
+
+import Button from 'react-bootstrap/Button';
+
+// Helpers
+import { isRealPrediction, describeThreshold } from '../utils/prediction';
+
+function ChatContextCard({ context, onRemove }) {
+  const isReal = isRealPrediction(context.prediction);
+  const accent = isReal ? 'var(--color-accent-success)' : 'var(--color-accent-danger)';
+
+  return (
+    <div
+      className="d-flex gap-3 align-items-start p-2 mb-3"
+      style={{
+        background: 'var(--color-bg-primary)',
+        borderRadius: 'var(--radius-sm)',
+        borderLeft: `3px solid ${accent}`,
+      }}
+      aria-label="Attached classification result"
+    >
+      {context.thumbnail && (
+        <img
+          src={context.thumbnail}
+          alt=""
+          style={{ width: '56px', height: '56px', objectFit: 'cover', borderRadius: 'var(--radius-sm)', flexShrink: 0 }}
+        />
+      )}
+      <div className="flex-grow-1" style={{ minWidth: 0, fontSize: '0.8125rem' }}>
+        <div className="d-flex align-items-center gap-2">
+          <span aria-hidden="true">📌</span>
+          <strong className="text-truncate" title={context.fileName}>{context.fileName}</strong>
+          <span style={{ color: accent, fontWeight: 600, whiteSpace: 'nowrap' }}>
+            {isReal ? 'Real' : 'AI-Generated'}
+          </span>
+        </div>
+        <div style={{ color: 'var(--color-text-muted)', fontSize: '0.75rem' }}>
+          P(AI-generated) <span className="mono">{context.fakeProbability.toFixed(1)}%</span>
+          {context.probability !== null && <> · P(Real) <span className="mono">{context.probability.toFixed(4)}</span></>}
+          {' · '}threshold {describeThreshold(context.threshold)}
+          {context.model && <> · {context.model.name}</>}
+        </div>
+        {context.details && (
+          <div className="text-truncate" style={{ color: 'var(--color-text-secondary)' }} title={context.details}>
+            {context.details}
+          </div>
+        )}
+      </div>
+      {onRemove && (
+        <Button
+          variant="link"
+          size="sm"
+          className="p-0"
+          style={{ color: 'var(--color-text-muted)' }}
+          onClick={onRemove}
+          aria-label="Remove attached result"
+        >
+          ✕
+        </Button>
+      )}
+    </div>
+  );
+}
+
+export default ChatContextCard;
@@ -0,0 +1,78 @@
+/**
+ * ChatMarkdown Component
+ *
+ * Purpose: Renders assistant replies as Markdown (GitHub flavour: headings,
+ * lists, tables, inline code, fenced code blocks, links).
+ * Safety:
+ * - Raw HTML in the reply is dropped, never rendered
+ * - javascript: and other unsafe link targets are removed (react-markdown's URL filter)
+ * - Links open in a new tab without access to this page
+ *
+ * Code blocks get a copy-to-clipboard button.
+ */
+
+import { useState, useRef, useEffect } from 'react';
+import Markdown from 'react-markdown';
+import remarkGfm from 'remark-gfm';
+
+// How long the "Copied" confirmation stays visible
+const COPIED_FEEDBACK_MS = 2000;
+
+/**
+ * Fenced code block with a copy button
+ */
+function CodeBlock({ children }) {
+  const [copyState, setCopyState] = useState(null); // 'copied' | 'failed'
+  const preRef = useRef(null);
+  const timerRef = useRef(null);
+
+  useEffect(() => () => clearTimeout(timerRef.current), []);
+
+  const handleCopy = async () => {
+    clearTimeout(timerRef.current);
+    try {
+      await navigator.clipboard.writeText(preRef.current?.textContent ?? '');
+      setCopyState('copied');
+    } catch (err) {
+      console.error('Copy error:', err);
+      setCopyState('failed');
+    }
+    timerRef.current = setTimeout(() => setCopyState(null), COPIED_FEEDBACK_MS);
+  };
+
+  return (
+    <div className="chat-code-block">
+      <button type="button" className="chat-code-copy" onClick={handleCopy} aria-label="Copy code">
+        {copyState === 'copied' ? '✓ Copied' : copyState === 'failed' ? 'Copy failed' : 'Copy'}
+      </button>
+      <pre ref={preRef}>{children}</pre>
+    </div>
+  );
+}
+
+// Element overrides
+const MARKDOWN_COMPONENTS = {
+  pre: ({ children }) => <CodeBlock>{children}</CodeBlock>,
+  a: ({ href, title, children }) => (
+    <a href={href} title={title} target="_blank" rel="noopener noreferrer nofollow">{children}</a>
+  ),
+  table: ({ children }) => (
+    <div className="chat-table-wrapper">
+      <table>{children}</table>
+    </div>
+  ),
+};
+
+const REMARK_PLUGINS = [remarkGfm];
+
+function ChatMarkdown({ content }) {
+  return (
+    <div className="chat-markdown">
+      <Markdown remarkPlugins={REMARK_PLUGINS} components={MARKDOWN_COMPONENTS} skipHtml>
+        {content}
+      </Markdown>
+    </div>
+  );
+}
+
+export default ChatMarkdown;
@@ -0,0 +1,112 @@
+/**
+ * ContentCredentials Component
+ *
+ * Purpose: Summarizes the C2PA Content Credentials of the selected image.
+ * Shows:
+ * - Signature validity (signature, assertion and image hashes)
+ * - Claim generator and signer
+ * - Recorded actions, e.g. "Created by generative AI"
+ *
+ * Parsing and verification happen in utils/c2pa.js.
+ */
+
+import Badge from 'react-bootstrap/Badge';
+import Spinner from 'react-bootstrap/Spinner';
+
+// Helpers
+import { SIGNATURE_STATUS, SIGNATURE_STATUS_LABELS, SOURCE_TYPE_LABELS } from '../utils/c2pa';
+
+// Badge colour for each validation outcome
+const STATUS_BADGE_VARIANTS = {
+  [SIGNATURE_STATUS.VALID]: 'success',
+  [SIGNATURE_STATUS.INVALID]: 'danger',
+  [SIGNATURE_STATUS.UNVERIFIED]: 'warning',
+};
+
+// Readable action names ("c2pa.color_adjustments" -> "color adjustments")
+const formatAction = (action) => action.replace(/^c2pa\./, '').replace(/_/g, ' ');
+
+function ContentCredentials({ credentials, isReading = false, error = null }) {
+  const textStyle = { fontSize: '0.8125rem', color: 'var(--color-text-muted)' };
+
+  if (isReading) {
+    return (
+      <p className="mb-0" style={textStyle}>
+        <Spinner animation="border" size="sm" className="me-2" />
+        Checking Content Credentials...
+      </p>
+    );
+  }
+
+  if (error) {
+    return <p className="mb-0" style={{ ...textStyle, color: 'var(--color-accent-warning)' }}>{error}</p>;
+  }
+
+  if (!credentials) {
+    return <p className="mb-0" style={textStyle}>No Content Credentials (C2PA) in this file.</p>;
+  }
+
+  const { validation, claimGenerator, signer, actions, manifestCount } = credentials;
+
+  return (
+    <div
+      className="p-3"
+      style={{ background: 'var(--color-bg-primary)', borderRadius: 'var(--radius-sm)', fontSize: '0.8125rem' }}
+    >
+      <div className="d-flex justify-content-between align-items-center mb-2">
+        <h4 className="mb-0" style={{ fontSize: '0.875rem' }}>Content Credentials</h4>
+        <Badge bg={STATUS_BADGE_VARIANTS[validation.status]}>{SIGNATURE_STATUS_LABELS[validation.status]}</Badge>
+      </div>
+
+      <dl className="row mb-2">
+        <dt className="col-4 fw-normal" style={{ color: 'var(--color-text-muted)' }}>Generator</dt>
+        <dd className="col-8 mb-1 text-break">{claimGenerator || 'Unknown'}</dd>
+        <dt className="col-4 fw-normal" style={{ color: 'var(--color-text-muted)' }}>Signed by</dt>
+        <dd className="col-8 mb-1 text-break">
+          {signer ? [signer.organization || signer.commonName, signer.issuer && `(issued by ${signer.issuer})`].filter(Boolean).join(' ') : 'Unknown'}
+        </dd>
+        {manifestCount > 1 && (
+          <>
+            <dt className="col-4 fw-normal" style={{ color: 'var(--color-text-muted)' }}>History</dt>
+            <dd className="col-8 mb-1">{manifestCount - 1} earlier manifest(s)</dd>
+          </>
+        )}
+      </dl>
+
+      {/* Actions */}
+      {actions.length > 0 && (
+        <ul className="mb-2 ps-3">
+          {actions.map((action, index) => (
+            <li key={index}>
+              <span className="text-capitalize">{formatAction(action.action)}</span>
+              {action.digitalSourceType && (
+                <strong> · {SOURCE_TYPE_LABELS[action.digitalSourceType] || action.digitalSourceType}</strong>
+              )}
+              {action.softwareAgent && <span style={{ color: 'var(--color-text-muted)' }}> ({action.softwareAgent})</span>}
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {/* Validation details */}
+      <ul className="list-unstyled mb-1">
+        {validation.checks.map((check) => (
+          <li
+            key={check.label}
+            style={{
+              color: check.passed === false ? 'var(--color-accent-danger)' : 'var(--color-text-muted)',
+            }}
+          >
+            <span aria-hidden="true">{check.passed === true ? '✓' : check.passed === false ? '✗' : '–'}</span>{' '}
+            {check.label}: {check.message}
+          </li>
+        ))}
+      </ul>
+      <p className="mb-0" style={{ fontSize: '0.75rem', color: 'var(--color-text-muted)' }}>
+        The signer is not checked against the C2PA trust list.
+      </p>
+    </div>
+  );
+}
+
+export default ContentCredentials;
@@ -0,0 +1,157 @@
+/**
+ * ConversationList Component
+ *
+ * Purpose: Sidebar of saved AI Assistant conversations.
+ * Features:
+ * - New conversation button
+ * - Search over titles and message text
+ * - Inline rename (Enter saves, Escape cancels; an empty title restores the automatic one)
+ * - Delete with confirmation
+ */
+
+import { useState } from 'react';
+import Form from 'react-bootstrap/Form';
+import Button from 'react-bootstrap/Button';
+
+// Services & helpers
+import { searchConversations } from '../services/conversations';
+
+function ConversationList({
+  conversations,
+  activeId,
+  onSelect,
+  onNew,
+  onRename,
+  onDelete,
+  disabled = false,
+}) {
+  const [search, setSearch] = useState('');
+  const [editing, setEditing] = useState(null); // { id, title }
+
+  const visibleConversations = searchConversations(conversations, search);
+
+  const startRename = (conversation) => setEditing({ id: conversation.id, title: conversation.title });
+
+  const commitRename = (conversation) => {
+    if (editing?.id !== conversation.id) return;
+    setEditing(null);
+    if (editing.title.trim() !== conversation.title) onRename(conversation, editing.title);
+  };
+
+  const handleRenameKeyDown = (event, conversation) => {
+    if (event.key === 'Enter') {
+      event.preventDefault();
+      commitRename(conversation);
+    } else if (event.key === 'Escape') {
+      setEditing(null);
+    }
+  };
+
+  const handleDelete = (conversation) => {
+    if (!window.confirm(`Delete "${conversation.title}"? This cannot be undone.`)) return;
+    onDelete(conversation);
+  };
+
+  return (
+    <div>
+      <Button variant="primary" size="sm" className="w-100 mb-2" onClick={onNew} disabled={disabled}>
+        + New Conversation
+      </Button>
+
+      {conversations.length > 0 && (
+        <Form.Control
+          type="search"
+          size="sm"
+          className="mb-2"
+          placeholder="Search conversations..."
+          aria-label="Search conversations"
+          value={search}
+          onChange={(e) => setSearch(e.target.value)}
+        />
+      )}
+
+      {conversations.length === 0 ? (
+        <p className="mb-0 text-center" style={{ color: 'var(--color-text-muted)', fontSize: '0.8125rem' }}>
+          Your conversations are saved here.
+        </p>
+      ) : visibleConversations.length === 0 ? (
+        <p className="mb-0 text-center" style={{ color: 'var(--color-text-muted)', fontSize: '0.8125rem' }}>
+          No conversation matches "{search.trim()}".
+        </p>
+      ) : (
+        <ul className="list-unstyled mb-0" style={{ maxHeight: '320px', overflowY: 'auto' }}>
+          {visibleConversations.map((conversation) => {
+            const isActive = conversation.id === activeId;
+            const isEditing = editing?.id === conversation.id;
+
+            return (
+              <li
+                key={conversation.id}
+                className="d-flex align-items-center gap-1 p-2 mb-1"
+                style={{
+                  borderRadius: 'var(--radius-sm)',
+                  background: isActive ? 'var(--color-bg-tertiary)' : 'transparent',
+                }}
+              >
+                {isEditing ? (
+                  <Form.Control
+                    size="sm"
+                    autoFocus
+                    aria-label="Conversation title"
+                    value={editing.title}
+                    onChange={(e) => setEditing({ ...editing, title: e.target.value })}
+                    onKeyDown={(e) => handleRenameKeyDown(e, conversation)}
+                    onBlur={() => commitRename(conversation)}
+                  />
+                ) : (
+                  <button
+                    type="button"
+                    className="btn btn-link p-0 text-start flex-grow-1 text-decoration-none"
+                    style={{ minWidth: 0, color: 'var(--color-text-primary)' }}
+                    onClick={() => onSelect(conversation)}
+                    disabled={disabled}
+                    aria-current={isActive ? 'true' : undefined}
+                  >
+                    <span className="d-block text-truncate" style={{ fontSize: '0.875rem' }} title={conversation.title}>
+                      {conversation.title}
+                    </span>
+                    <small style={{ color: 'var(--color-text-muted)', fontSize: '0.75rem' }}>
+                      {new Date(conversation.updatedAt).toLocaleString()} · {conversation.messages.length} messages
+                    </small>
+                  </button>
+                )}
+                {!isEditing && (
+                  <>
+                    <Button
+                      variant="link"
+                      size="sm"
+                      className="p-1"
+                      style={{ color: 'var(--color-text-muted)' }}
+                      onClick={() => startRename(conversation)}
+                      aria-label={`Rename "${conversation.title}"`}
+                    >
+                      ✎
+                    </Button>
+                    <Button
+                      variant="link"
+                      size="sm"
+                      className="p-1"
+                      style={{ color: 'var(--color-accent-danger)' }}
+                      onClick={() => handleDelete(conversation)}
+                      disabled={disabled && isActive}
+                      aria-label={`Delete "${conversation.title}"`}
+                    >
+                      ✕
+                    </Button>
+                  </>
+                )}
+              </li>
+            );
+          })}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+export default ConversationList;
@@ -0,0 +1,68 @@
+/**
+ * DecisionThresholdControl Component
+ *
+ * Purpose: Lets the user choose the threshold on P(AI-generated) at which
+ * an image is labelled AI-generated.
+ * Features:
+ * - Presets (high recall for fakes, balanced, high precision)
+ * - Fine-grained slider
+ *
+ * The value is persisted and shared (see useDecisionThreshold), so every
+ * result on screen is relabelled as soon as it changes.
+ */
+
+import { useId } from 'react';
+import Form from 'react-bootstrap/Form';
+import Button from 'react-bootstrap/Button';
+import ButtonGroup from 'react-bootstrap/ButtonGroup';
+
+// Hooks
+import useDecisionThreshold, { MIN_THRESHOLD, MAX_THRESHOLD } from '../hooks/useDecisionThreshold';
+
+// Helpers
+import { THRESHOLD_PRESETS, describeThreshold } from '../utils/prediction';
+
+function DecisionThresholdControl({ disabled = false }) {
+  const [threshold, setThreshold] = useDecisionThreshold();
+  const controlId = useId();
+
+  const activePreset = THRESHOLD_PRESETS.find((preset) => Math.abs(preset.threshold - threshold) < 0.005);
+
+  return (
+    <div>
+      <Form.Label htmlFor={controlId} className="mb-1" style={{ fontSize: '0.8125rem' }}>
+        Decision threshold: <span className="mono">{describeThreshold(threshold)}</span>
+      </Form.Label>
+
+      <ButtonGroup size="sm" className="w-100 mb-2" aria-label="Threshold presets">
+        {THRESHOLD_PRESETS.map((preset) => (
+          <Button
+            key={preset.id}
+            variant={activePreset?.id === preset.id ? 'primary' : 'outline-secondary'}
+            onClick={() => setThreshold(preset.threshold)}
+            disabled={disabled}
+          >
+            {preset.label}
+          </Button>
+        ))}
+      </ButtonGroup>
+
+      <Form.Range
+        id={controlId}
+        min={MIN_THRESHOLD}
+        max={MAX_THRESHOLD}
+        step={0.01}
+        value={threshold}
+        onChange={(e) => setThreshold(Number(e.target.value))}
+        disabled={disabled}
+      />
+      <Form.Text style={{ color: 'var(--color-text-muted)' }}>
+        {activePreset
+          ? activePreset.description
+          : `Images are labelled AI-generated when P(AI-generated) is at least ${Math.round(threshold * 100)}%.`}
+      </Form.Text>
+    </div>
+  );
+}
+
+export default DecisionThresholdControl;
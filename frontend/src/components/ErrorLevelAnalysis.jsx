@@ -0,0 +1,141 @@
+/**
+ * ErrorLevelAnalysis Component
+ *
+ * Purpose: Renders an Error Level Analysis (ELA) of the uploaded image.
+ * Features:
+ * - Re-compression quality slider (recomputed after the slider settles)
+ * - Amplification slider to make faint differences visible
+ * - Mean / max error level readout
+ *
+ * Everything runs in the browser (see utils/forensics.js).
+ * `onSettingsChange({ quality, amplification })` reports slider changes
+ * (e.g. so an exported report shows the same figures).
+ */
+
+import { useState, useEffect, useId } from 'react';
+import Form from 'react-bootstrap/Form';
+import Spinner from 'react-bootstrap/Spinner';
+
+// Helpers
+import { computeErrorLevels, ELA_DEFAULTS } from '../utils/forensics';
+
+// Wait this long after the last slider change before recomputing
+const RECOMPUTE_DELAY_MS = 250;
+
+function ErrorLevelAnalysis({ file, onSettingsChange }) {
+  const [quality, setQuality] = useState(ELA_DEFAULTS.quality);
+  const [amplification, setAmplification] = useState(ELA_DEFAULTS.amplification);
+  const [analysis, setAnalysis] = useState(null);
+  const [isComputing, setIsComputing] = useState(false);
+  const [error, setError] = useState(null);
+  const controlId = useId();
+
+  // Recompute when the image or settings change
+  useEffect(() => {
+    let cancelled = false;
+
+    const timer = setTimeout(async () => {
+      setIsComputing(true);
+      setError(null);
+      try {
+        const next = await computeErrorLevels(file, { quality, amplification });
+        if (!cancelled) setAnalysis(next);
+      } catch (err) {
+        if (cancelled) return;
+        console.error('Error level analysis error:', err);
+        setError(err.message || 'Could not compute error levels.');
+      } finally {
+        if (!cancelled) setIsComputing(false);
+      }
+    }, RECOMPUTE_DELAY_MS);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [file, quality, amplification]);
+
+  const isJpeg = file.type === 'image/jpeg';
+
+  return (
+    <div>
+      <p className="mb-3" style={{ fontSize: '0.8125rem', color: 'var(--color-text-muted)' }}>
+        The image is re-saved as JPEG and the difference is amplified. Areas that were edited or
+        generated separately often stand out as brighter or darker than their surroundings;
+        uniform noise across the image is expected.
+        {!isJpeg && ' This file is not a JPEG, so error levels mostly reflect this single re-compression.'}
+      </p>
+
+      {/* ELA image */}
+      <div className="text-center position-relative mb-3" style={{ minHeight: '120px' }}>
+        {analysis && (
+          <img
+            src={analysis.imageSrc}
+            alt={`Error level analysis at ${Math.round(quality * 100)}% JPEG quality`}
+            style={{
+              maxWidth: '100%',
+              maxHeight: '300px',
+              borderRadius: 'var(--radius-sm)',
+              opacity: isComputing ? 0.5 : 1,
+            }}
+          />
+        )}
+        {isComputing && (
+          <div className="position-absolute top-50 start-50 translate-middle">
+            <Spinner animation="border" size="sm" role="status" aria-label="Computing error levels" />
+          </div>
+        )}
+        {error && (
+          <p className="mb-0" style={{ fontSize: '0.8125rem', color: 'var(--color-accent-danger)' }}>{error}</p>
+        )}
+      </div>
+
+      {/* Error level summary */}
+      {analysis && (
+        <div className="d-flex justify-content-around mb-3 text-center">
+          <div>
+            <div className="mono" style={{ color: 'var(--color-accent-primary)' }}>{analysis.meanError.toFixed(2)}</div>
+            <div className="metric-label">Mean error</div>
+          </div>
+          <div>
+            <div className="mono" style={{ color: 'var(--color-accent-primary)' }}>{analysis.maxError}</div>
+            <div className="metric-label">Max error</div>
+          </div>
+        </div>
+      )}
+
+      {/* Controls */}
+      <Form.Label htmlFor={`${controlId}-quality`} className="mb-1" style={{ fontSize: '0.8125rem' }}>
+        JPEG quality: <span className="mono">{Math.round(quality * 100)}%</span>
+      </Form.Label>
+      <Form.Range
+        id={`${controlId}-quality`}
+        min={0.5}
+        max={1}
+        step={0.01}
+        value={quality}
+        onChange={(e) => {
+          setQuality(Number(e.target.value));
+          onSettingsChange?.({ quality: Number(e.target.value), amplification });
+        }}
+      />
+
+      <Form.Label htmlFor={`${controlId}-amplification`} className="mt-2 mb-1" style={{ fontSize: '0.8125rem' }}>
+        Amplification: <span className="mono">{amplification}×</span>
+      </Form.Label>
+      <Form.Range
+        id={`${controlId}-amplification`}
+        min={1}
+        max={50}
+        step={1}
+        value={amplification}
+        onChange={(e) => {
+          setAmplification(Number(e.target.value));
+          onSettingsChange?.({ quality, amplification: Number(e.target.value) });
+        }}
+      />
+    </div>
+  );
+}
+
+export default ErrorLevelAnalysis;
@@ -0,0 +1,191 @@
+/**
+ * FaceCropEditor Component
+ *
+ * Purpose: Lets the user confirm or adjust the face crop sent for classification.
+ * Features:
+ * - Runs in-browser face detection when the file changes
+ * - Proposes a square crop around the most confident face
+ * - Drag the box to move it, drag the corner handle to resize
+ * - Click another detected face outline to crop that face instead
+ * - Reports every detected face via `onFacesDetected` (for multi-face analysis)
+ * - `findSmallFaces` also searches image tiles, for group photos
+ *
+ * Controlled component: the parent owns `crop` and receives updates via
+ * `onCropChange` (including the initial proposal).
+ */
+
+import { useState, useEffect, useRef } from 'react';
+import Spinner from 'react-bootstrap/Spinner';
+
+// Services & helpers
+import { detectFaces, proposeFaceCrop, clampCrop } from '../services/faceDetection';
+import { loadImageBitmap } from '../utils/image';
+
+// Express an image-pixel box as CSS percentages of the displayed image
+const toPercentStyle = (box, imageSize) => ({
+  left: `${(box.x / imageSize.width) * 100}%`,
+  top: `${(box.y / imageSize.height) * 100}%`,
+  width: `${((box.width ?? box.size) / imageSize.width) * 100}%`,
+  height: `${((box.height ?? box.size) / imageSize.height) * 100}%`,
+});
+
+function FaceCropEditor({
+  file,
+  previewUrl,
+  crop,
+  onCropChange,
+  onFacesDetected,
+  findSmallFaces = false,
+  disabled = false,
+}) {
+  const [imageSize, setImageSize] = useState(null);
+  const [faces, setFaces] = useState([]);
+  const [status, setStatus] = useState('detecting'); // detecting | ready | error
+  const [message, setMessage] = useState(null);
+
+  const containerRef = useRef(null);
+  const dragRef = useRef(null);
+
+  // Detect faces whenever a new file is selected
+  useEffect(() => {
+    let cancelled = false;
+    let bitmap = null;
+
+    const runDetection = async () => {
+      setStatus('detecting');
+      setMessage(null);
+      try {
+        bitmap = await loadImageBitmap(file);
+        const size = { width: bitmap.width, height: bitmap.height };
+        if (cancelled) return;
+        setImageSize(size);
+
+        try {
+          const detected = await detectFaces(bitmap, { findSmallFaces });
+          if (cancelled) return;
+          setFaces(detected);
+          onFacesDetected?.(detected, size);
+          onCropChange(proposeFaceCrop(detected[0] || null, size));
+          setMessage(detected.length === 0 ? 'No face found. Position the crop box manually.' : null);
+        } catch (err) {
+          if (cancelled) return;
+          setFaces([]);
+          onFacesDetected?.([], size);
+          onCropChange(proposeFaceCrop(null, size));
+          setMessage(err.message);
+        }
+        setStatus('ready');
+      } catch (err) {
+        if (cancelled) return;
+        setStatus('error');
+        setMessage(err.message);
+        onCropChange(null);
+      } finally {
+        bitmap?.close();
+      }
+    };
+
+    runDetection();
+    return () => { cancelled = true; };
+  }, [file, findSmallFaces, onCropChange, onFacesDetected]);
+
+  // --- DRAG HANDLERS ---
+  const startDrag = (mode) => (event) => {
+    if (disabled || !crop) return;
+    event.preventDefault();
+    event.stopPropagation();
+    event.currentTarget.setPointerCapture(event.pointerId);
+
+    // Convert screen pixels to image pixels
+    const displayedWidth = containerRef.current.getBoundingClientRect().width;
+    dragRef.current = {
+      mode,
+      startX: event.clientX,
+      startY: event.clientY,
+      startCrop: crop,
+      scale: imageSize.width / displayedWidth,
+    };
+  };
+
+  const handlePointerMove = (event) => {
+    const drag = dragRef.current;
+    if (!drag) return;
+
+    const dx = (event.clientX - drag.startX) * drag.scale;
+    const dy = (event.clientY - drag.startY) * drag.scale;
+    const { x, y, size } = drag.startCrop;
+
+    if (drag.mode === 'move') {
+      onCropChange(clampCrop({ x: x + dx, y: y + dy, size }, imageSize));
+    } else {
+      // Square resize from the bottom-right corner, anchored at the top-left
+      const maxSize = Math.min(imageSize.width - x, imageSize.height - y);
+      const nextSize = Math.min(size + (dx + dy) / 2, maxSize);
+      onCropChange(clampCrop({ x, y, size: nextSize }, imageSize));
+    }
+  };
+
+  const endDrag = () => {
+    dragRef.current = null;
+  };
+
+  return (
+    <div className="text-center w-100" onClick={(e) => e.stopPropagation()}>
+      <div
+        ref={containerRef}
+        className="face-crop-editor position-relative d-inline-block"
+        onPointerMove={handlePointerMove}
+        onPointerUp={endDrag}
+        onPointerCancel={endDrag}
+      >
+        <img src={previewUrl} alt="Selected image" className="image-preview m-0 d-block" draggable={false} />
+
+        {imageSize && (
+          <>
+            {/* Other detected faces - click to crop that one instead */}
+            {faces.map((face, index) => (
+              <button
+                key={index}
+                type="button"
+                className="face-crop-candidate"
+                style={toPercentStyle(face, imageSize)}
+                onClick={() => onCropChange(proposeFaceCrop(face, imageSize))}
+                disabled={disabled}
+                aria-label={`Crop face ${index + 1} (${Math.round(face.score * 100)}% detection confidence)`}
+              />
+            ))}
+
+            {/* Crop box */}
+            {crop && (
+              <div
+                className="face-crop-box"
+                style={toPercentStyle(crop, imageSize)}
+                onPointerDown={startDrag('move')}
+                role="presentation"
+              >
+                <span
+                  className="face-crop-handle"
+                  onPointerDown={startDrag('resize')}
+                  aria-hidden="true"
+                />
+              </div>
+            )}
+          </>
+        )}
+
+        {status === 'detecting' && (
+          <div className="face-crop-status">
+            <Spinner animation="border" size="sm" className="me-2" />
+            Detecting faces...
+          </div>
+        )}
+      </div>
+
+      <p className="mt-2 mb-0" style={{ fontSize: '0.8125rem', color: message ? 'var(--color-accent-warning)' : 'var(--color-text-muted)' }}>
+        {message || (status === 'ready' && `${faces.length} face${faces.length === 1 ? '' : 's'} found. Drag the box to adjust; drag the corner to resize.`)}
+      </p>
+    </div>
+  );
+}
+
+export default FaceCropEditor;
@@ -0,0 +1,146 @@
+/**
+ * FeedbackControls Component
+ *
+ * Purpose: Lets a reviewer mark a prediction as correct, or as incorrect
+ * with the actual label, for active learning.
+ * Features:
+ * - Remembers earlier feedback for the same image (matched by SHA-256)
+ * - Works offline: feedback is queued locally until the backend is reachable
+ *
+ * Storage and syncing live in services/feedback.js.
+ */
+
+import { useState, useEffect } from 'react';
+import Button from 'react-bootstrap/Button';
+
+// Services & helpers
+import { recordFeedback, getFeedback } from '../services/feedback';
+import { sha256Hex } from '../utils/hash';
+import { isRealPrediction, toConfidencePercent, hasRawProbability, DEFAULT_THRESHOLD } from '../utils/prediction';
+
+const LABEL_NAMES = { Real: 'Real', Fake: 'AI-Generated' };
+
+function FeedbackControls({ result, imageFile = null, imageHash = null, fileName }) {
+  // { hash, entry } once the image hash is known; entry is the stored feedback, if any
+  const [state, setState] = useState(null);
+  const [isChoosingLabel, setIsChoosingLabel] = useState(false);
+  const [isEditing, setIsEditing] = useState(false);
+  const [isSaving, setIsSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  // Identify the image and load earlier feedback for it
+  useEffect(() => {
+    let cancelled = false;
+
+    Promise.resolve(imageHash || sha256Hex(imageFile))
+      .then(async (hash) => {
+        const entry = await getFeedback(hash).catch(() => undefined);
+        if (!cancelled) setState({ hash, entry });
+      })
+      .catch((err) => {
+        if (cancelled) return;
+        console.error('Feedback setup error:', err);
+        setError('Feedback is unavailable for this image.');
+      });
+
+    return () => { cancelled = true; };
+  }, [imageFile, imageHash]);
+
+  const predicted = isRealPrediction(result.prediction) ? 'Real' : 'Fake';
+
+  const handleFeedback = async (correctedLabel) => {
+    setIsSaving(true);
+    setError(null);
+    try {
+      const entry = await recordFeedback({
+        imageHash: state.hash,
+        fileName: fileName || imageFile?.name || 'image',
+        predicted,
+        modelPrediction: isRealPrediction(result.modelPrediction ?? result.prediction) ? 'Real' : 'Fake',
+        correctedLabel,
+        isCorrect: correctedLabel === predicted,
+        confidence: toConfidencePercent(result.confidence) / 100,
+        probability: hasRawProbability(result) ? result.probability : null,
+        threshold: result.threshold ?? DEFAULT_THRESHOLD,
+        model: result.model?.id ?? null,
+      });
+      setState((prev) => ({ ...prev, entry }));
+      setIsChoosingLabel(false);
+      setIsEditing(false);
+    } catch (err) {
+      console.error('Feedback error:', err);
+      setError(err.message || 'Feedback could not be saved.');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const textStyle = { fontSize: '0.8125rem', color: 'var(--color-text-muted)' };
+
+  if (!state) {
+    return error ? <p className="mb-0" style={textStyle}>{error}</p> : null;
+  }
+
+  const { entry } = state;
+
+  // Feedback already given
+  if (entry && !isEditing) {
+    return (
+      <div className="d-flex justify-content-between align-items-center gap-2 flex-wrap" style={textStyle}>
+        <span>
+          <span aria-hidden="true">{entry.isCorrect ? '👍' : '👎'}</span>{' '}
+          Marked {entry.isCorrect ? 'correct' : `incorrect (actually ${LABEL_NAMES[entry.correctedLabel]})`}
+          {entry.synced && ' · sent'}
+          {!entry.synced && (entry.rejected
+            ? ` · saved locally, but the server rejected it: ${entry.rejection}`
+            : ' · queued, will be sent when the server is reachable')}
+        </span>
+        <Button variant="link" size="sm" className="p-0" onClick={() => setIsEditing(true)}>
+          Change
+        </Button>
+      </div>
+    );
+  }
+
+  return (
+    <div style={textStyle}>
+      {!isChoosingLabel ? (
+        <div className="d-flex align-items-center gap-2 flex-wrap">
+          <span>Was this verdict right?</span>
+          <Button variant="outline-success" size="sm" onClick={() => handleFeedback(predicted)} disabled={isSaving}>
+            ✓ Correct
+          </Button>
+          <Button variant="outline-danger" size="sm" onClick={() => setIsChoosingLabel(true)} disabled={isSaving}>
+            ✗ Incorrect
+          </Button>
+          {isEditing && (
+            <Button variant="link" size="sm" className="p-0" onClick={() => setIsEditing(false)}>
+              Cancel
+            </Button>
+          )}
+        </div>
+      ) : (
+        <div className="d-flex align-items-center gap-2 flex-wrap">
+          <span>Actual label is</span>
+          {Object.entries(LABEL_NAMES).map(([label, name]) => (
+            <Button
+              key={label}
+              variant={label === predicted ? 'outline-secondary' : 'outline-primary'}
+              size="sm"
+              onClick={() => handleFeedback(label)}
+              disabled={isSaving}
+            >
+              {name}
+            </Button>
+          ))}
+          <Button variant="link" size="sm" className="p-0" onClick={() => setIsChoosingLabel(false)}>
+            Cancel
+          </Button>
+        </div>
+      )}
+      {error && <p className="mt-1 mb-0" style={{ color: 'var(--color-accent-warning)' }}>{error}</p>}
+    </div>
+  );
+}
+
+export default FeedbackControls;
@@ -0,0 +1,171 @@
+/**
+ * FeedbackPanel Component
+ *
+ * Purpose: Summarises the reviewer feedback collected in this browser and
+ * exports it for retraining.
+ * Features:
+ * - Counts of correct / incorrect verdicts and entries still queued for the backend
+ * - Entries the backend rejected, with its reason (they are not retried)
+ * - "Sync now" to retry the queue
+ * - CSV and JSONL export with the label columns of the train.csv backend/CNN.py reads
+ */
+
+import { useState, useEffect } from 'react';
+import Card from 'react-bootstrap/Card';
+import Button from 'react-bootstrap/Button';
+import Spinner from 'react-bootstrap/Spinner';
+
+// Services & helpers
+import {
+  listFeedback,
+  clearFeedback,
+  flushFeedbackQueue,
+  isQueued,
+  formatFeedbackCsv,
+  formatFeedbackJsonl,
+} from '../services/feedback';
+import { downloadFile } from '../utils/download';
+
+function FeedbackPanel() {
+  const [records, setRecords] = useState([]);
+  const [isSyncing, setIsSyncing] = useState(false);
+  const [message, setMessage] = useState(null);
+
+  // Load stored feedback on mount
+  useEffect(() => {
+    let cancelled = false;
+
+    listFeedback()
+      .then((stored) => {
+        if (!cancelled) setRecords(stored);
+      })
+      .catch((err) => {
+        console.error('Failed to load feedback:', err);
+        if (!cancelled) setMessage(err.message || 'Failed to load feedback.');
+      });
+
+    return () => { cancelled = true; };
+  }, []);
+
+  const pendingCount = records.filter(isQueued).length;
+  const rejected = records.filter((record) => record.rejected);
+  const incorrectCount = records.filter((record) => !record.isCorrect).length;
+
+  /**
+   * Retries every queued entry, then reloads the counts
+   */
+  const handleSync = async () => {
+    setIsSyncing(true);
+    setMessage(null);
+    try {
+      const sent = await flushFeedbackQueue();
+      const stored = await listFeedback();
+      setRecords(stored);
+      const remaining = stored.filter(isQueued).length;
+      setMessage(remaining > 0
+        ? `Sent ${sent}; ${remaining} still queued (is the backend reachable?).`
+        : `Sent ${sent}. Everything is synced.`);
+    } catch (err) {
+      console.error('Feedback sync error:', err);
+      setMessage(err.message || 'Failed to sync feedback.');
+    } finally {
+      setIsSyncing(false);
+    }
+  };
+
+  /**
+   * Deletes all stored feedback after confirmation
+   */
+  const handleClear = async () => {
+    const warning = pendingCount > 0
+      ? `Delete all feedback, including ${pendingCount} not yet sent? This cannot be undone.`
+      : 'Delete all stored feedback? This cannot be undone.';
+    if (!window.confirm(warning)) return;
+
+    try {
+      await clearFeedback();
+      setRecords([]);
+      setMessage(null);
+    } catch (err) {
+      console.error('Failed to clear feedback:', err);
+      setMessage(err.message || 'Failed to clear feedback.');
+    }
+  };
+
+  const exportName = `feedback-${new Date().toISOString().slice(0, 10)}`;
+
+  return (
+    <Card className="custom-card mb-4">
+      <Card.Body>
+        <div className="d-flex justify-content-between align-items-center flex-wrap gap-3">
+          <div>
+            <h2 className="h6 mb-1">Reviewer Feedback</h2>
+            <p className="mb-0" style={{ fontSize: '0.8125rem', color: 'var(--color-text-muted)' }}>
+              {records.length === 0
+                ? 'No feedback yet. Mark results as correct or incorrect to collect training labels.'
+                : `${records.length} images reviewed · ${incorrectCount} marked incorrect · ${pendingCount} waiting to be sent`
+                  + (rejected.length > 0 ? ` · ${rejected.length} rejected by the server` : '')}
+            </p>
+          </div>
+          <div className="d-flex gap-2 flex-wrap">
+            <Button
+              variant="outline-primary"
+              size="sm"
+              onClick={handleSync}
+              disabled={isSyncing || pendingCount === 0}
+            >
+              {isSyncing ? <Spinner animation="border" size="sm" /> : 'Sync now'}
+            </Button>
+            <Button
+              variant="outline-secondary"
+              size="sm"
+              onClick={() => downloadFile(formatFeedbackCsv(records), `${exportName}.csv`, 'text/csv')}
+              disabled={records.length === 0}
+            >
+              Export CSV
+            </Button>
+            <Button
+              variant="outline-secondary"
+              size="sm"
+              onClick={() => downloadFile(formatFeedbackJsonl(records), `${exportName}.jsonl`, 'application/x-ndjson')}
+              disabled={records.length === 0}
+            >
+              Export JSONL
+            </Button>
+            <Button
+              variant="outline-danger"
+              size="sm"
+              onClick={handleClear}
+              disabled={records.length === 0}
+            >
+              Clear
+            </Button>
+          </div>
+        </div>
+        {rejected.length > 0 && (
+          <ul className="mt-2 mb-0 ps-3" style={{ fontSize: '0.8125rem', color: 'var(--color-accent-warning)' }}>
+            {rejected.map((record) => (
+              <li key={record.imageHash}>
+                {record.fileName}: {record.rejection} (not retried; change the feedback to send it again)
+              </li>
+            ))}
+          </ul>
+        )}
+        {message && (
+          <p className="mt-2 mb-0" style={{ fontSize: '0.8125rem', color: 'var(--color-text-secondary)' }}>
+            {message}
+          </p>
+        )}
+        {records.length > 0 && (
+          <p className="mt-2 mb-0" style={{ fontSize: '0.75rem', color: 'var(--color-text-muted)' }}>
+            Exports use the corrected label. Images are not stored, so add a{' '}
+            <span className="mono">path</span> column for wherever you saved them (by file name or SHA-256)
+            before appending the rows to <span className="mono">train.csv</span>.
+          </p>
+        )}
+      </Card.Body>
+    </Card>
+  );
+}
+
+export default FeedbackPanel;
@@ -0,0 +1,77 @@
+/**
+ * ForensicsPanel Component
+ *
+ * Purpose: Collapsible panel of client-side image-forensics views shown
+ * alongside the CNN verdict.
+ * Includes:
+ * - Error Level Analysis (ELA)
+ * - Frequency spectrum (FFT) for GAN artifacts
+ *
+ * Analyses only run once the panel is opened. `onSettingsChange` receives the
+ * ELA settings on screen ({ quality, amplification }) from the first time the
+ * panel is opened, so callers know what the user has seen.
+ */
+
+import { useState, useRef, useId } from 'react';
+import Card from 'react-bootstrap/Card';
+import Button from 'react-bootstrap/Button';
+import Collapse from 'react-bootstrap/Collapse';
+
+// Components
+import ErrorLevelAnalysis from './ErrorLevelAnalysis';
+import FrequencySpectrum from './FrequencySpectrum';
+
+// Helpers
+import { ELA_DEFAULTS } from '../utils/forensics';
+
+function ForensicsPanel({ file, onSettingsChange }) {
+  const [isOpen, setIsOpen] = useState(false);
+  const wasOpenedRef = useRef(false);
+  const contentId = useId();
+
+  const handleToggle = () => {
+    if (!wasOpenedRef.current) {
+      wasOpenedRef.current = true;
+      onSettingsChange?.({ quality: ELA_DEFAULTS.quality, amplification: ELA_DEFAULTS.amplification });
+    }
+    setIsOpen((open) => !open);
+  };
+
+  return (
+    <Card className="custom-card mt-3">
+      <Card.Header className="p-0">
+        <Button
+          variant="link"
+          className="w-100 d-flex justify-content-between align-items-center text-decoration-none px-3 py-2"
+          style={{ color: 'var(--color-text-primary)' }}
+          onClick={handleToggle}
+          aria-expanded={isOpen}
+          aria-controls={contentId}
+        >
+          <span className="h6 mb-0">🔬 Forensics</span>
+          <span aria-hidden="true">{isOpen ? '▾' : '▸'}</span>
+        </Button>
+      </Card.Header>
+
+      <Collapse in={isOpen} mountOnEnter>
+        <div id={contentId}>
+          <Card.Body className="p-4">
+            <p className="mb-3" style={{ fontSize: '0.75rem', color: 'var(--color-text-muted)' }}>
+              Computed in your browser on the original upload ({file.name}).
+            </p>
+
+            <h3 className="h6 mb-2">Error Level Analysis</h3>
+            <ErrorLevelAnalysis file={file} onSettingsChange={onSettingsChange} />
+
+            <hr style={{ borderColor: 'var(--color-bg-tertiary)' }} />
+
+            <h3 className="h6 mb-2">Frequency Spectrum</h3>
+            <FrequencySpectrum file={file} />
+          </Card.Body>
+        </div>
+      </Collapse>
+    </Card>
+  );
+}
+
+export default ForensicsPanel;
@@ -0,0 +1,173 @@
+/**
+ * FrequencySpectrum Component
+ *
+ * Purpose: Fourier-domain view for spotting GAN upsampling artifacts.
+ * Shows:
+ * - 2D log-magnitude spectrum (zero frequency in the centre)
+ * - Azimuthally averaged 1D power spectrum (Recharts)
+ *
+ * Everything runs in the browser (see utils/forensics.js).
+ */
+
+import { useState, useEffect } from 'react';
+import Spinner from 'react-bootstrap/Spinner';
+import {
+  LineChart,
+  Line,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip,
+  ResponsiveContainer
+} from 'recharts';
+
+// Helpers
+import { computeFrequencySpectrum } from '../utils/forensics';
+
+// Custom tooltip styling to match theme
+const SpectrumTooltip = ({ active, payload, label }) => {
+  if (active && payload && payload.length) {
+    return (
+      <div
+        style={{
+          background: 'var(--color-bg-secondary)',
+          border: '1px solid var(--color-bg-tertiary)',
+          borderRadius: 'var(--radius-sm)',
+          padding: '0.75rem',
+          boxShadow: 'var(--shadow-md)'
+        }}
+      >
+        <p style={{ margin: 0, marginBottom: '0.5rem', color: 'var(--color-text-primary)', fontWeight: 600 }}>
+          {label.toFixed(3)} cycles/px
+        </p>
+        <p style={{ margin: 0, color: payload[0].color, fontSize: '0.875rem' }}>
+          Power: {payload[0].value.toFixed(1)} dB
+        </p>
+      </div>
+    );
+  }
+  return null;
+};
+
+// Common axis styling
+const axisStyle = {
+  fontSize: 12,
+  fill: 'var(--color-text-muted)',
+};
+
+function FrequencySpectrum({ file }) {
+  const [spectrum, setSpectrum] = useState(null);
+  const [isComputing, setIsComputing] = useState(true);
+  const [error, setError] = useState(null);
+
+  // Compute once per image
+  useEffect(() => {
+    let cancelled = false;
+
+    const runAnalysis = async () => {
+      setIsComputing(true);
+      setError(null);
+      try {
+        const next = await computeFrequencySpectrum(file);
+        if (!cancelled) setSpectrum(next);
+      } catch (err) {
+        if (cancelled) return;
+        console.error('Frequency spectrum error:', err);
+        setError(err.message || 'Could not compute the frequency spectrum.');
+      } finally {
+        if (!cancelled) setIsComputing(false);
+      }
+    };
+
+    runAnalysis();
+    return () => { cancelled = true; };
+  }, [file]);
+
+  if (isComputing) {
+    return (
+      <div className="text-center py-4" style={{ color: 'var(--color-text-muted)', fontSize: '0.8125rem' }}>
+        <Spinner animation="border" size="sm" className="me-2" />
+        Computing spectrum...
+      </div>
+    );
+  }
+
+  if (error) {
+    return (
+      <p className="mb-0" style={{ fontSize: '0.8125rem', color: 'var(--color-accent-danger)' }}>{error}</p>
+    );
+  }
+
+  return (
+    <div>
+      <p className="mb-3" style={{ fontSize: '0.8125rem', color: 'var(--color-text-muted)' }}>
+        GAN upsampling often leaves periodic artifacts: look for bright dots or grid lines away from
+        the centre of the spectrum, and bumps or a flattening tail at high frequencies in the power
+        spectrum. Natural photos usually fall off smoothly.
+      </p>
+
+      {/* 2D magnitude spectrum */}
+      <div className="text-center mb-3">
+        <img
+          src={spectrum.imageSrc}
+          alt="Fourier magnitude spectrum of the image"
+          style={{ width: '100%', maxWidth: '300px', borderRadius: 'var(--radius-sm)', imageRendering: 'pixelated' }}
+        />
+        <p className="mt-1 mb-0" style={{ fontSize: '0.75rem', color: 'var(--color-text-muted)' }}>
+          Centre {spectrum.size}×{spectrum.size}px, log magnitude
+        </p>
+      </div>
+
+      {/* 1D power spectrum */}
+      <ResponsiveContainer width="100%" height={240}>
+        <LineChart data={spectrum.radialProfile} margin={{ top: 10, right: 20, left: 0, bottom: 20 }}>
+          <CartesianGrid
+            strokeDasharray="3 3"
+            stroke="var(--color-bg-tertiary)"
+          />
+          <XAxis
+            dataKey="frequency"
+            type="number"
+            domain={[0, 0.5]}
+            tickFormatter={(value) => value.toFixed(2)}
+            tick={axisStyle}
+            axisLine={{ stroke: 'var(--color-bg-tertiary)' }}
+            tickLine={{ stroke: 'var(--color-bg-tertiary)' }}
+            label={{
+              value: 'Spatial frequency (cycles/px)',
+              position: 'insideBottom',
+              offset: -10,
+              style: axisStyle
+            }}
+          />
+          <YAxis
+            tick={axisStyle}
+            axisLine={{ stroke: 'var(--color-bg-tertiary)' }}
+            tickLine={{ stroke: 'var(--color-bg-tertiary)' }}
+            domain={['auto', 'auto']}
+            tickFormatter={(value) => Math.round(value)}
+            label={{
+              value: 'Power (dB)',
+              angle: -90,
+              position: 'insideLeft',
+              offset: 10,
+              style: axisStyle
+            }}
+          />
+          <Tooltip content={<SpectrumTooltip />} />
+          <Line
+            type="monotone"
+            dataKey="power"
+            name="Power"
+            stroke="#06b6d4"
+            strokeWidth={2}
+            dot={false}
+            isAnimationActive={false}
+          />
+        </LineChart>
+      </ResponsiveContainer>
+    </div>
+  );
+}
+
+export default FrequencySpectrum;
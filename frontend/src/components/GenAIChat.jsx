@@ -6,6 +6,11 @@
  * - Message history display
  * - Text input for user messages
  * - Loading state while waiting for response
+ * - Replies render as they stream in; Stop button (`onStop`) while one is generated
+ * - Assistant replies are rendered as sanitized Markdown (see ChatMarkdown)
+ * - Image attachments (📎, drag and drop or paste): previewed before sending,
+ *   shown with their verdict in the transcript (see ChatAttachment);
+ *   `onSendMessage(text, imageFile)` receives the image in an upload format
  * - Auto-scroll to latest message
  */
 /**
@@ -22,19 +27,44 @@ import Form from 'react-bootstrap/Form';
 import Button from 'react-bootstrap/Button';
 import Spinner from 'react-bootstrap/Spinner';
 
+// Components
+import ChatMarkdown from './ChatMarkdown';
+import ChatAttachment from './ChatAttachment';
+
+// Helpers
+import { validateImageFile, needsConversion, normalizeImageFile, ACCEPT_ATTRIBUTE } from '../utils/imageFormats';
+
+// Sent with an image that comes without a question
+const DEFAULT_ATTACHMENT_QUESTION = 'What can you tell me about this image?';
+
 function GenAIChat({ 
   onSendMessage, 
+  onStop,
   messages = [], 
   isLoading = false,
   placeholder = "Ask about how the model works, why it made a prediction, or about AI-generated faces..."
 }) {
   // --- STATE & REFS (These were missing in the previous snippet) ---
   const [inputValue, setInputValue] = useState('');
+
+  // Image waiting to be sent with the next message
+  const [attachedFile, setAttachedFile] = useState(null);
+  const [attachedPreviewUrl, setAttachedPreviewUrl] = useState(null);
+  const [isConverting, setIsConverting] = useState(false);
+  const [attachError, setAttachError] = useState(null);
+  const [isDragOver, setIsDragOver] = useState(false);
+  const selectionRef = useRef(0);
+  const fileInputRef = useRef(null);
   
   // Refs for auto-scrolling and focus
   const chatEndRef = useRef(null); // <--- This fixes the ReferenceError
   const inputRef = useRef(null);
 
+  // Release the preview when it is replaced or the chat unmounts
+  useEffect(() => () => {
+    if (attachedPreviewUrl) URL.revokeObjectURL(attachedPreviewUrl);
+  }, [attachedPreviewUrl]);
+
   // Auto-scroll to bottom when messages change
   useEffect(() => {
     chatEndRef.current?.scrollIntoView({ behavior: 'smooth' });
@@ -46,13 +76,75 @@ function GenAIChat({
   }, []);
 
   // --- HANDLERS ---
+  const clearAttachment = () => {
+    selectionRef.current += 1;
+    setAttachedFile(null);
+    setAttachedPreviewUrl(null);
+    setIsConverting(false);
+  };
+
+  /**
+   * Validates the image and converts it (HEIC, TIFF, GIF...) so it can be previewed and classified
+   */
+  const handleAttach = async (file) => {
+    const selection = selectionRef.current + 1;
+    selectionRef.current = selection;
+
+    const validationError = validateImageFile(file);
+    setAttachError(validationError);
+    if (validationError) return;
+
+    setIsConverting(needsConversion(file));
+    try {
+      const uploadFile = await normalizeImageFile(file);
+      if (selectionRef.current !== selection) return;
+      setAttachedFile(uploadFile);
+      setAttachedPreviewUrl(URL.createObjectURL(uploadFile));
+    } catch (err) {
+      if (selectionRef.current !== selection) return;
+      setAttachError(err.message);
+    } finally {
+      if (selectionRef.current === selection) setIsConverting(false);
+    }
+  };
+
+  const handleInputChange = (event) => {
+    const [file] = event.target.files || [];
+    if (file) handleAttach(file);
+    event.target.value = '';
+  };
+
+  const handleDragOver = (e) => {
+    if (!e.dataTransfer.types.includes('Files')) return;
+    e.preventDefault();
+    setIsDragOver(true);
+  };
+  const handleDragLeave = (e) => {
+    if (!e.currentTarget.contains(e.relatedTarget)) setIsDragOver(false);
+  };
+  const handleDrop = (e) => {
+    e.preventDefault();
+    setIsDragOver(false);
+    const [file] = e.dataTransfer.files || [];
+    if (file && !isLoading) handleAttach(file);
+  };
+
+  const handlePaste = (e) => {
+    const file = Array.from(e.clipboardData.files || []).find((pasted) => pasted.type.startsWith('image/'));
+    if (!file) return;
+    e.preventDefault();
+    handleAttach(file);
+  };
+
   const handleSubmit = (event) => {
     event.preventDefault();
     const trimmedInput = inputValue.trim();
-    if (!trimmedInput || isLoading) return;
+    if ((!trimmedInput && !attachedFile) || isConverting || isLoading) return;
     
-    onSendMessage(trimmedInput);
+    onSendMessage(trimmedInput || DEFAULT_ATTACHMENT_QUESTION, attachedFile);
     setInputValue('');
+    setAttachError(null);
+    clearAttachment();
   };
 
   const handleKeyDown = (event) => {
@@ -62,9 +154,22 @@ function GenAIChat({
     }
   };
 
+  // "Thinking..." only until the first streamed words arrive
+  const isWaitingForReply = isLoading && messages[messages.length - 1]?.role !== 'assistant';
+
   // --- RENDER ---
   return (
-    <div className="d-flex flex-column" style={{ height: '100%' }}>
+    <div
+      className="d-flex flex-column"
+      style={{
+        height: '100%',
+        outline: isDragOver ? '2px dashed var(--color-accent-primary)' : 'none',
+        borderRadius: 'var(--radius-md)',
+      }}
+      onDragOver={handleDragOver}
+      onDragLeave={handleDragLeave}
+      onDrop={handleDrop}
+    >
       {/* Chat messages container */}
       <div className="chat-container flex-grow-1 mb-3">
         {/* Welcome message if no messages yet */}
@@ -79,6 +184,7 @@ function GenAIChat({
             <p className="mb-2 fw-bold" style={{ color: 'var(--color-text-primary)' }}>AI Assistant is Ready</p>
             <p className="mb-0" style={{ fontSize: '0.875rem' }}>
               Ask questions about the classifier, its predictions, or deepfakes.
+              Drop an image here to ask about it.
             </p>
           </div>
         )}
@@ -91,12 +197,21 @@ function GenAIChat({
             role="article"
             aria-label={`${message.role === 'user' ? 'You' : 'AI Assistant'} said`}
           >
-            {message.content}
+            {message.attachment && (
+              <ChatAttachment attachment={message.attachment} isClassifying={message.isClassifying} />
+            )}
+            {message.role === 'assistant' ? <ChatMarkdown content={message.content} /> : message.content}
+            {message.isStreaming && <span className="animate-pulse ms-1" aria-hidden="true">▍</span>}
+            {message.isStopped && (
+              <small className="d-block mt-1" style={{ color: 'var(--color-text-muted)', fontSize: '0.75rem' }}>
+                Reply stopped
+              </small>
+            )}
           </div>
         ))}
 
         {/* Loading indicator */}
-        {isLoading && (
+        {isWaitingForReply && (
           <div className="chat-message assistant animate-pulse">
             <Spinner
               animation="border"
@@ -114,7 +229,63 @@ function GenAIChat({
 
       {/* Input form */}
       <Form onSubmit={handleSubmit}>
+        {/* Image waiting to be sent */}
+        {(attachedPreviewUrl || isConverting) && (
+          <div className="d-flex align-items-center gap-2 mb-2" style={{ fontSize: '0.8125rem' }}>
+            {isConverting ? (
+              <>
+                <Spinner animation="border" size="sm" aria-hidden="true" />
+                <span style={{ color: 'var(--color-text-muted)' }}>Converting image...</span>
+              </>
+            ) : (
+              <>
+                <img
+                  src={attachedPreviewUrl}
+                  alt={`Attached image ${attachedFile.name}`}
+                  style={{ width: '48px', height: '48px', objectFit: 'cover', borderRadius: 'var(--radius-sm)' }}
+                />
+                <span className="text-truncate" style={{ minWidth: 0 }} title={attachedFile.name}>{attachedFile.name}</span>
+              </>
+            )}
+            <Button
+              variant="link"
+              size="sm"
+              className="p-0"
+              style={{ color: 'var(--color-text-muted)' }}
+              onClick={clearAttachment}
+              aria-label="Remove attached image"
+            >
+              ✕
+            </Button>
+          </div>
+        )}
+        {attachError && (
+          <div className="mb-2" role="alert" style={{ color: 'var(--color-accent-danger)', fontSize: '0.8125rem' }}>
+            {attachError}
+          </div>
+        )}
+
         <div className="d-flex gap-2">
+          <input
+            ref={fileInputRef}
+            type="file"
+            accept={ACCEPT_ATTRIBUTE}
+            onChange={handleInputChange}
+            className="d-none"
+            aria-hidden="true"
+            tabIndex={-1}
+          />
+          <Button
+            type="button"
+            variant="outline-secondary"
+            onClick={() => fileInputRef.current?.click()}
+            disabled={isLoading || isConverting}
+            style={{ alignSelf: 'flex-end', minWidth: '48px' }}
+            aria-label="Attach an image"
+            title="Attach an image"
+          >
+            <span style={{ fontSize: '1.25rem' }} aria-hidden="true">📎</span>
+          </Button>
           <Form.Control
             ref={inputRef}
             as="textarea"
@@ -122,6 +293,7 @@ function GenAIChat({
             value={inputValue}
             onChange={(e) => setInputValue(e.target.value)}
             onKeyDown={handleKeyDown}
+            onPaste={handlePaste}
             placeholder={placeholder}
             disabled={isLoading}
             aria-label="Type your message"
@@ -133,29 +305,41 @@ function GenAIChat({
               borderColor: 'var(--color-bg-tertiary)'
             }}
           />
-          <Button
-            type="submit"
-            variant="primary"
-            disabled={!inputValue.trim() || isLoading}
-            style={{ alignSelf: 'flex-end', minWidth: '60px' }}
-            aria-label="Send message"
-          >
-            {isLoading ? (
-              <Spinner
-                as="span"
-                animation="border"
-                size="sm"
-                aria-hidden="true"
-              />
-            ) : (
-              <span style={{ fontSize: '1.25rem' }}>➤</span>
-            )}
-          </Button>
+          {isLoading && onStop ? (
+            <Button
+              type="button"
+              variant="outline-danger"
+              onClick={onStop}
+              style={{ alignSelf: 'flex-end', minWidth: '60px' }}
+              aria-label="Stop generating"
+            >
+              <span style={{ fontSize: '1.25rem' }}>■</span>
+            </Button>
+          ) : (
+            <Button
+              type="submit"
+              variant="primary"
+              disabled={(!inputValue.trim() && !attachedFile) || isConverting || isLoading}
+              style={{ alignSelf: 'flex-end', minWidth: '60px' }}
+              aria-label="Send message"
+            >
+              {isLoading ? (
+                <Spinner
+                  as="span"
+                  animation="border"
+                  size="sm"
+                  aria-hidden="true"
+                />
+              ) : (
+                <span style={{ fontSize: '1.25rem' }}>➤</span>
+              )}
+            </Button>
+          )}
         </div>
         
         {/* Help text */}
         <Form.Text className="d-block mt-1" style={{ color: 'var(--color-text-muted)', fontSize: '0.75rem' }}>
-          Press **Enter** to send, **Shift+Enter** for new line
+          Press <kbd>Enter</kbd> to send, <kbd>Shift</kbd>+<kbd>Enter</kbd> for new line; attached images are classified first
         </Form.Text>
       </Form>
     </div>
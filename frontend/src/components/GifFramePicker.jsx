@@ -0,0 +1,71 @@
+/**
+ * GifFramePicker Component
+ *
+ * Purpose: Chooses which frame of an animated GIF is classified.
+ * Features:
+ * - Slider over all frames (the frame is decoded when the slider is released)
+ * - Previous / next buttons for stepping one frame at a time
+ *
+ * The chosen frame is shown by the form's regular preview.
+ */
+
+import { useState, useId } from 'react';
+import Form from 'react-bootstrap/Form';
+import Button from 'react-bootstrap/Button';
+import Spinner from 'react-bootstrap/Spinner';
+
+function GifFramePicker({ frameCount, frameIndex, onSelect, isDecoding = false, disabled = false }) {
+  // Slider position while dragging; null once released
+  const [draft, setDraft] = useState(null);
+  const controlId = useId();
+
+  const shownIndex = draft ?? frameIndex;
+
+  const commit = () => {
+    if (draft !== null && draft !== frameIndex) onSelect(draft);
+    setDraft(null);
+  };
+
+  return (
+    <div className="mt-3">
+      <Form.Label htmlFor={controlId} className="mb-1 d-flex align-items-center" style={{ fontSize: '0.8125rem' }}>
+        Animated GIF: classifying frame <span className="mono ms-1">{shownIndex + 1}</span>&nbsp;of {frameCount}
+        {isDecoding && <Spinner animation="border" size="sm" className="ms-2" aria-label="Decoding frame" />}
+      </Form.Label>
+      <div className="d-flex align-items-center gap-2">
+        <Button
+          variant="outline-secondary"
+          size="sm"
+          onClick={() => onSelect(frameIndex - 1)}
+          disabled={disabled || frameIndex === 0}
+          aria-label="Previous frame"
+        >
+          ‹
+        </Button>
+        <Form.Range
+          id={controlId}
+          min={0}
+          max={frameCount - 1}
+          step={1}
+          value={shownIndex}
+          onChange={(e) => setDraft(Number(e.target.value))}
+          onPointerUp={commit}
+          onKeyUp={commit}
+          onBlur={commit}
+          disabled={disabled}
+        />
+        <Button
+          variant="outline-secondary"
+          size="sm"
+          onClick={() => onSelect(frameIndex + 1)}
+          disabled={disabled || frameIndex === frameCount - 1}
+          aria-label="Next frame"
+        >
+          ›
+        </Button>
+      </div>
+    </div>
+  );
+}
+
+export default GifFramePicker;
@@ -0,0 +1,89 @@
+/**
+ * HeatmapOverlay Component
+ *
+ * Purpose: Shows where the model looked when making its prediction.
+ * Renders a Grad-CAM / saliency heatmap on top of the analyzed image with:
+ * - Show/hide toggle
+ * - Adjustable overlay opacity
+ * - Colour legend (low → high model attention)
+ */
+
+import { useState, useMemo, useId } from 'react';
+import Form from 'react-bootstrap/Form';
+
+// Helpers
+import { heatmapToImageSrc, HEATMAP_GRADIENT } from '../utils/heatmap';
+
+function HeatmapOverlay({ imageUrl, heatmap, alt, borderColor }) {
+  const [showHeatmap, setShowHeatmap] = useState(true);
+  const [opacity, setOpacity] = useState(0.5);
+  const controlId = useId();
+
+  // Colourize array heatmaps once per response
+  const heatmapSrc = useMemo(() => heatmapToImageSrc(heatmap), [heatmap]);
+
+  return (
+    <div>
+      {/* Image with heatmap stacked on top (stretched to the image size) */}
+      <div
+        className="position-relative d-inline-block"
+        style={{
+          borderRadius: 'var(--radius-sm)',
+          border: `2px solid ${borderColor}`,
+          overflow: 'hidden',
+          lineHeight: 0,
+        }}
+      >
+        <img
+          src={imageUrl}
+          alt={alt}
+          style={{ maxWidth: '100%', maxHeight: '300px' }}
+        />
+        {showHeatmap && heatmapSrc && (
+          <img
+            src={heatmapSrc}
+            alt=""
+            aria-hidden="true"
+            className="position-absolute top-0 start-0 w-100 h-100"
+            style={{ opacity, pointerEvents: 'none' }}
+          />
+        )}
+      </div>
+
+      {/* Controls */}
+      <div className="mt-3 text-start">
+        <Form.Check
+          type="switch"
+          id={`${controlId}-toggle`}
+          label="Show model attention heatmap"
+          checked={showHeatmap}
+          onChange={(e) => setShowHeatmap(e.target.checked)}
+        />
+
+        <Form.Label htmlFor={`${controlId}-opacity`} className="mt-2 mb-1" style={{ fontSize: '0.8125rem' }}>
+          Overlay opacity: <span className="mono">{Math.round(opacity * 100)}%</span>
+        </Form.Label>
+        <Form.Range
+          id={`${controlId}-opacity`}
+          min={0}
+          max={1}
+          step={0.05}
+          value={opacity}
+          onChange={(e) => setOpacity(Number(e.target.value))}
+          disabled={!showHeatmap}
+        />
+
+        {/* Colour legend */}
+        <div className="mt-2" aria-label="Heatmap colour legend">
+          <div style={{ height: '8px', borderRadius: 'var(--radius-full)', background: HEATMAP_GRADIENT }} />
+          <div className="d-flex justify-content-between mt-1" style={{ fontSize: '0.75rem', color: 'var(--color-text-muted)' }}>
+            <span>Low attention</span>
+            <span>High attention</span>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default HeatmapOverlay;
@@ -4,8 +4,23 @@
  * Purpose: Handles image file selection and upload for classification.
  * Features:
  * - Drag and drop support
- * - File type validation
+ * - Paste from the clipboard (Ctrl+V anywhere on the page) when `enablePaste` is set
+ * - Image URLs, downloaded by the parent's `onFetchUrl` (the backend proxy)
+ * - Webcam capture (getUserMedia)
+ * - Every source goes through the same validation and preview
+ * - Anything but JPEG (PNG, WebP, HEIC, AVIF, TIFF) is decoded in the browser
+ *   and converted to JPEG for preview, cropping and classification; Content
+ *   Credentials and the `originalFile` handed to the parent (metadata,
+ *   hashes, reports) stay the file as selected
+ * - Frame picker for animated GIFs
+ * - Multi-file selection when `onBatchSubmit` is provided
+ * - File type validation (shared with the API, see utils/imageFormats.js)
  * - Image preview
+ * - Optional face detection + adjustable crop (only the crop is uploaded)
+ * - "Classify all faces" for group photos when `onMultiFaceSubmit` is provided
+ *   (disabled, with `multiFaceDisabledReason` shown, when the parent can't run it)
+ * - Reads and verifies C2PA Content Credentials of the selected image
+ * - Upload progress bar and Cancel button while a request is in flight
  * - Accessible file input with proper labeling
  */
 
@@ -21,66 +36,312 @@
  * ImageUploadForm Component
  * Full code with all definitions and Dark Mode styling.
  */
-import { useState, useRef, useCallback } from 'react';
+import { useState, useRef, useCallback, useEffect, useId } from 'react';
 import Form from 'react-bootstrap/Form';
 import Button from 'react-bootstrap/Button';
 import Spinner from 'react-bootstrap/Spinner';
+import ProgressBar from 'react-bootstrap/ProgressBar';
+import InputGroup from 'react-bootstrap/InputGroup';
 
-// Allowed image types
-const ALLOWED_TYPES = ['image/jpeg', 'image/png', 'image/webp', 'image/gif'];
-const MAX_FILE_SIZE = 10 * 1024 * 1024; // 10MB
+// Components
+import FaceCropEditor from './FaceCropEditor';
+import ContentCredentials from './ContentCredentials';
+import WebcamCapture from './WebcamCapture';
+import GifFramePicker from './GifFramePicker';
 
-function ImageUploadForm({ onSubmit, isLoading = false }) {
+// Helpers
+import { cropImageFile } from '../utils/image';
+import { readContentCredentials } from '../utils/c2pa';
+import {
+  validateImageFile,
+  needsConversion,
+  normalizeImageFile,
+  countImageFrames,
+  getImageType,
+  ACCEPT_ATTRIBUTE,
+  ACCEPTED_FORMATS_LABEL,
+  MAX_IMAGE_SIZE,
+} from '../utils/imageFormats';
+
+// getUserMedia only exists in secure contexts (https or localhost)
+const CAN_USE_WEBCAM = Boolean(navigator.mediaDevices?.getUserMedia);
+
+function ImageUploadForm({
+  onSubmit,
+  onBatchSubmit,
+  onMultiFaceSubmit,
+  multiFaceDisabledReason = null,
+  onCancel,
+  onFetchUrl,
+  enablePaste = false,
+  isLoading = false,
+  uploadProgress = null,
+}) {
   // --- STATE (This fixes the ReferenceError: isDragOver is not defined) ---
-  const [selectedFile, setSelectedFile] = useState(null);
+  const [selectedFiles, setSelectedFiles] = useState([]);
+  // The same files as selected, before format conversion (index-aligned with selectedFiles)
+  const [originalFiles, setOriginalFiles] = useState([]);
   const [previewUrl, setPreviewUrl] = useState(null);
   const [isDragOver, setIsDragOver] = useState(false); // <--- Vital line
   const [error, setError] = useState(null);
+
+  // Face crop state (the model was trained on tightly cropped faces)
+  const [cropFaces, setCropFaces] = useState(true);
+  const [crop, setCrop] = useState(null);
+  const [isCropping, setIsCropping] = useState(false);
+  const [detectedFaces, setDetectedFaces] = useState(null); // { faces, imageSize }
+
+  // C2PA manifest of the selected file: { file, data, error }
+  const [credentials, setCredentials] = useState(null);
+
+  // Other image sources
+  const [imageUrl, setImageUrl] = useState('');
+  const [isFetchingUrl, setIsFetchingUrl] = useState(false);
+  const [showWebcam, setShowWebcam] = useState(false);
+
+  // Format conversion (HEIC, AVIF, TIFF, GIF) and the animated GIF being shown: { file, frameCount, frameIndex }
+  const [isConverting, setIsConverting] = useState(false);
+  const [animation, setAnimation] = useState(null);
   
   const fileInputRef = useRef(null);
+  const fetchControllerRef = useRef(null);
+  // Bumped on every new selection so slow conversions can't overwrite a newer one
+  const selectionRef = useRef(0);
 
-  // --- HANDLERS ---
-  const validateFile = (file) => {
-    if (!file) return 'No file selected';
-    if (!ALLOWED_TYPES.includes(file.type)) return 'Invalid file type.';
-    if (file.size > MAX_FILE_SIZE) return 'File too large (Max 10MB).';
-    return null;
-  };
+  // Unique ids so several forms can share a page (e.g. the compare view)
+  const controlId = useId();
+
+  // Several files can only be picked when the parent can queue them
+  const allowMultiple = Boolean(onBatchSubmit);
+  const selectedFile = selectedFiles[0] || null;
+  const selectedOriginal = originalFiles[0] || null;
+  const isBatch = selectedFiles.length > 1;
 
-  const handleFileSelect = useCallback((file) => {
+  // Read Content Credentials whenever a single image is selected (conversion would drop the manifest)
+  useEffect(() => {
+    if (!selectedOriginal || isBatch) return undefined;
+    let cancelled = false;
+
+    readContentCredentials(selectedOriginal)
+      .then((data) => {
+        if (!cancelled) setCredentials({ file: selectedOriginal, data, error: null });
+      })
+      .catch((err) => {
+        if (cancelled) return;
+        console.error('Content Credentials error:', err);
+        setCredentials({ file: selectedOriginal, data: null, error: err.message || 'Could not read Content Credentials.' });
+      });
+
+    return () => { cancelled = true; };
+  }, [selectedOriginal, isBatch]);
+
+  // Ignore results that belong to a previously selected file
+  const currentCredentials = credentials?.file === selectedOriginal ? credentials : null;
+
+  // --- HANDLERS ---
+  const handleFileSelect = useCallback(async (files) => {
+    const selection = selectionRef.current + 1;
+    selectionRef.current = selection;
     setError(null);
-    const validationError = validateFile(file);
-    if (validationError) {
-      setError(validationError);
-      setSelectedFile(null);
+    setAnimation(null);
+
+    // Keep valid files, report the rejected ones by name
+    const rejected = [];
+    const acceptedFiles = files.filter((file) => {
+      const validationError = validateImageFile(file);
+      if (validationError) rejected.push({ name: file.name, message: validationError });
+      return !validationError;
+    });
+
+    // Convert up front so the preview, face detection and crop all work on the upload format
+    const validFiles = [];
+    const validOriginals = [];
+    if (acceptedFiles.some(needsConversion)) setIsConverting(true);
+    for (const file of acceptedFiles) {
+      try {
+        validFiles.push(await normalizeImageFile(file));
+        validOriginals.push(file);
+      } catch (err) {
+        rejected.push({ name: file.name, message: err.message });
+      }
+      if (selectionRef.current !== selection) return;
+    }
+
+    // A single animated GIF gets a frame picker
+    const [gif] = acceptedFiles;
+    const frameCount = acceptedFiles.length === 1 && validFiles.length === 1 && getImageType(gif) === 'image/gif'
+      ? await countImageFrames(gif).catch(() => 1)
+      : 1;
+    if (selectionRef.current !== selection) return;
+    setIsConverting(false);
+
+    const rejectedList = rejected.map(({ name, message }) => `${name}: ${message}`).join(' ');
+    if (validFiles.length === 0) {
+      setError(rejected.length > 1 ? `No valid images. ${rejectedList}` : rejected[0]?.message || 'No file selected');
+      setSelectedFiles([]);
+      setOriginalFiles([]);
       setPreviewUrl(null);
       return;
     }
-    setSelectedFile(file);
-    setPreviewUrl(URL.createObjectURL(file));
+    if (rejected.length > 0) {
+      setError(`Skipped ${rejected.length} file(s). ${rejectedList}`);
+    }
+
+    setAnimation(frameCount > 1 ? { file: gif, frameCount, frameIndex: 0 } : null);
+    setSelectedFiles(validFiles);
+    setOriginalFiles(validOriginals);
+    setCrop(null);
+    setDetectedFaces(null);
+    setPreviewUrl(validFiles.length === 1 ? URL.createObjectURL(validFiles[0]) : null);
   }, []);
 
+  /**
+   * Classify another frame of the selected animated GIF
+   */
+  const handleFrameSelect = async (frameIndex) => {
+    const selection = selectionRef.current + 1;
+    selectionRef.current = selection;
+    setAnimation((prev) => ({ ...prev, frameIndex }));
+    setIsConverting(true);
+    try {
+      const frame = await normalizeImageFile(animation.file, { frameIndex });
+      if (selectionRef.current !== selection) return;
+      // Frames share the GIF's size, so the crop stays valid
+      setSelectedFiles([frame]);
+      setDetectedFaces(null);
+      setPreviewUrl(URL.createObjectURL(frame));
+    } catch (err) {
+      if (selectionRef.current === selection) setError(err.message || 'Could not decode the frame.');
+    } finally {
+      if (selectionRef.current === selection) setIsConverting(false);
+    }
+  };
+
+  // Only the first file is used unless batch mode is enabled
+  const pickFiles = useCallback((fileList) => {
+    const files = Array.from(fileList || []);
+    return allowMultiple ? files : files.slice(0, 1);
+  }, [allowMultiple]);
+
+  // Paste images from the clipboard anywhere on the page
+  useEffect(() => {
+    if (!enablePaste || isLoading) return undefined;
+
+    const handlePaste = (event) => {
+      const images = Array.from(event.clipboardData?.files || []).filter((file) => file.type.startsWith('image/'));
+      // Let text through (e.g. a URL pasted into the URL field)
+      if (images.length === 0) return;
+      event.preventDefault();
+
+      // Clipboard images are all called "image.png"; give them a recognizable name
+      const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+      const named = images.map((file, index) => new File(
+        [file],
+        `pasted-${timestamp}${images.length > 1 ? `-${index + 1}` : ''}.${file.type.split('/')[1] || 'png'}`,
+        { type: file.type, lastModified: Date.now() }
+      ));
+      handleFileSelect(pickFiles(named));
+    };
+
+    document.addEventListener('paste', handlePaste);
+    return () => document.removeEventListener('paste', handlePaste);
+  }, [enablePaste, isLoading, handleFileSelect, pickFiles]);
+
+  // Abort a pending URL download when the form goes away
+  useEffect(() => () => fetchControllerRef.current?.abort(), []);
+
+  /**
+   * Download the entered URL through the parent (backend proxy)
+   */
+  const handleFetchUrl = async () => {
+    if (!imageUrl.trim()) return;
+
+    fetchControllerRef.current?.abort();
+    const controller = new AbortController();
+    fetchControllerRef.current = controller;
+
+    setIsFetchingUrl(true);
+    setError(null);
+    try {
+      const file = await onFetchUrl(imageUrl, { signal: controller.signal });
+      handleFileSelect([file]);
+      setImageUrl('');
+    } catch (err) {
+      if (err.isCancelled || err.name === 'AbortError') return;
+      console.error('Image URL error:', err);
+      setError(err.message || 'Could not download the image.');
+    } finally {
+      if (fetchControllerRef.current === controller) setIsFetchingUrl(false);
+    }
+  };
+
+  // Enter in the URL field downloads instead of submitting the form
+  const handleUrlKeyDown = (event) => {
+    if (event.key !== 'Enter') return;
+    event.preventDefault();
+    handleFetchUrl();
+  };
+
   const handleInputChange = (event) => {
-    const file = event.target.files?.[0];
-    if (file) handleFileSelect(file);
+    const files = pickFiles(event.target.files);
+    if (files.length > 0) handleFileSelect(files);
   };
 
   const handleDragOver = (e) => { e.preventDefault(); e.stopPropagation(); setIsDragOver(true); };
   const handleDragLeave = (e) => { e.preventDefault(); e.stopPropagation(); setIsDragOver(false); };
   const handleDrop = (e) => {
     e.preventDefault(); e.stopPropagation(); setIsDragOver(false);
-    const file = e.dataTransfer.files?.[0];
-    if (file) handleFileSelect(file);
+    const files = pickFiles(e.dataTransfer.files);
+    if (files.length > 0) handleFileSelect(files);
   };
 
-  const handleSubmit = (e) => {
+  const handleSubmit = async (e) => {
     e.preventDefault();
     if (!selectedFile) { setError('Please select an image first'); return; }
-    onSubmit(selectedFile);
+    if (isBatch) {
+      // Batch items are cropped to their best face automatically
+      onBatchSubmit(selectedFiles, { cropFaces, originalFiles });
+      handleClear();
+      return;
+    }
+    // The original file and its manifest travel with the (possibly cropped) upload
+    const submitOptions = { originalFile: selectedOriginal, contentCredentials: currentCredentials?.data ?? null };
+    if (!cropFaces || !crop) {
+      onSubmit(selectedFile, submitOptions);
+      return;
+    }
+
+    // Send only the cropped face
+    setIsCropping(true);
+    try {
+      onSubmit(await cropImageFile(selectedFile, crop), submitOptions);
+    } catch (err) {
+      setError(err.message || 'Could not crop the image.');
+    } finally {
+      setIsCropping(false);
+    }
+  };
+
+  const handleFacesDetected = useCallback((faces, imageSize) => {
+    setDetectedFaces({ faces, imageSize });
+  }, []);
+
+  // Offer per-face analysis when the crop editor found a group photo
+  const canClassifyAllFaces = Boolean(onMultiFaceSubmit) && cropFaces && !isBatch
+    && detectedFaces?.faces.length > 1;
+
+  const handleClassifyAllFaces = () => {
+    onMultiFaceSubmit(selectedFile, detectedFaces.faces, detectedFaces.imageSize, { originalFile: selectedOriginal });
   };
 
   const handleClear = () => {
-    setSelectedFile(null);
+    selectionRef.current += 1;
+    setIsConverting(false);
+    setAnimation(null);
+    setSelectedFiles([]);
+    setOriginalFiles([]);
+    setCrop(null);
+    setDetectedFaces(null);
     setPreviewUrl(null);
     setError(null);
     if (fileInputRef.current) fileInputRef.current.value = '';
@@ -102,10 +363,11 @@ function ImageUploadForm({ onSubmit, isLoading = false }) {
       <Form.Control
         ref={fileInputRef}
         type="file"
-        accept={ALLOWED_TYPES.join(',')}
+        accept={ACCEPT_ATTRIBUTE}
+        multiple={allowMultiple}
         onChange={handleInputChange}
         className="d-none"
-        id="image-upload-input"
+        id={`${controlId}-input`}
       />
 
       <div
@@ -117,7 +379,20 @@ function ImageUploadForm({ onSubmit, isLoading = false }) {
         role="button"
         tabIndex={0}
       >
-        {previewUrl ? (
+        {isBatch ? (
+          <div className="text-center w-100">
+            <div style={{ fontSize: '3rem', marginBottom: '0.5rem' }}>🗂️</div>
+            <p className="mb-1 fw-bold" style={{ color: 'var(--color-text-primary)' }}>
+              {selectedFiles.length} images selected
+            </p>
+            <p className="mb-0 text-truncate" style={{ color: 'var(--color-text-secondary)', fontSize: '0.875rem' }}>
+              {selectedFiles.map((file) => file.name).join(', ')}
+            </p>
+            <p className="mb-0" style={{ color: 'var(--color-text-muted)', fontSize: '0.875rem' }}>
+              {(selectedFiles.reduce((total, file) => total + file.size, 0) / 1024 / 1024).toFixed(2)} MB total
+            </p>
+          </div>
+        ) : previewUrl ? (
           <div className="text-center w-100 position-relative">
             <Button 
               variant="danger" 
@@ -128,28 +403,161 @@ function ImageUploadForm({ onSubmit, isLoading = false }) {
             >
               &times;
             </Button>
-            <img src={previewUrl} alt="Preview" className="image-preview" />
+            {cropFaces ? (
+              <FaceCropEditor
+                file={selectedFile}
+                previewUrl={previewUrl}
+                crop={crop}
+                onCropChange={setCrop}
+                onFacesDetected={handleFacesDetected}
+                // Group photos have small or distant faces
+                findSmallFaces={Boolean(onMultiFaceSubmit)}
+                disabled={isLoading}
+              />
+            ) : (
+              <img src={previewUrl} alt="Preview" className="image-preview" />
+            )}
             <p className="mt-3 mb-0 text-truncate" style={{ color: 'var(--color-text-secondary)' }}>
               {selectedFile.name} ({(selectedFile.size / 1024 / 1024).toFixed(2)} MB)
             </p>
           </div>
+        ) : isConverting ? (
+          <div className="text-center" aria-live="polite">
+            <Spinner animation="border" className="mb-3" />
+            <p className="mb-0" style={{ color: 'var(--color-text-secondary)' }}>Converting the image...</p>
+          </div>
         ) : (
           <div className="text-center">
             <div style={{ fontSize: '3rem', marginBottom: '1rem', color: 'var(--color-text-muted)' }}>📷</div>
-            <p className="mb-1 fw-bold" style={{ color: 'var(--color-text-primary)' }}>Click to upload or drag and drop</p>
-            <p className="mb-0" style={{ color: 'var(--color-text-muted)', fontSize: '0.875rem' }}>JPEG, PNG, WebP, or GIF (max 10MB)</p>
+            <p className="mb-1 fw-bold" style={{ color: 'var(--color-text-primary)' }}>
+              Click to upload or drag and drop{allowMultiple && ' (one or more images)'}
+            </p>
+            <p className="mb-0" style={{ color: 'var(--color-text-muted)', fontSize: '0.875rem' }}>
+              {ACCEPTED_FORMATS_LABEL} (max {MAX_IMAGE_SIZE / 1024 / 1024}MB)
+            </p>
+            {enablePaste && (
+              <p className="mt-1 mb-0" style={{ color: 'var(--color-text-muted)', fontSize: '0.8125rem' }}>
+                or paste one with <kbd>Ctrl</kbd>+<kbd>V</kbd>
+              </p>
+            )}
           </div>
         )}
       </div>
 
+      {animation && !isBatch && (
+        <GifFramePicker
+          frameCount={animation.frameCount}
+          frameIndex={animation.frameIndex}
+          onSelect={handleFrameSelect}
+          isDecoding={isConverting}
+          disabled={isLoading}
+        />
+      )}
+
+      {/* Other sources: image URL and webcam */}
+      {(onFetchUrl || CAN_USE_WEBCAM) && (
+        <div className="d-flex gap-2 mt-3 flex-wrap">
+          {onFetchUrl && (
+            <InputGroup size="sm" className="flex-grow-1" style={{ minWidth: '220px', width: 'auto' }}>
+              <Form.Control
+                type="url"
+                inputMode="url"
+                placeholder="https://example.com/image.jpg"
+                aria-label="Image URL"
+                value={imageUrl}
+                onChange={(e) => setImageUrl(e.target.value)}
+                onKeyDown={handleUrlKeyDown}
+                disabled={isLoading || isFetchingUrl}
+              />
+              <Button
+                variant="outline-secondary"
+                onClick={handleFetchUrl}
+                disabled={isLoading || isFetchingUrl || !imageUrl.trim()}
+              >
+                {isFetchingUrl ? <Spinner as="span" animation="border" size="sm" aria-label="Downloading" /> : 'Load URL'}
+              </Button>
+            </InputGroup>
+          )}
+          {CAN_USE_WEBCAM && (
+            <Button variant="outline-secondary" size="sm" onClick={() => setShowWebcam(true)} disabled={isLoading}>
+              📸 Webcam
+            </Button>
+          )}
+        </div>
+      )}
+      {showWebcam && (
+        <WebcamCapture onCapture={(file) => handleFileSelect([file])} onClose={() => setShowWebcam(false)} />
+      )}
+
+      <Form.Check
+        type="switch"
+        id={`${controlId}-crop-faces`}
+        className="mt-3"
+        label={isBatch ? 'Crop each image to its most prominent face' : 'Crop to face before classifying (recommended)'}
+        checked={cropFaces}
+        onChange={(e) => setCropFaces(e.target.checked)}
+        disabled={isLoading}
+      />
+
+      {/* Content Credentials (C2PA) of the selected image */}
+      {selectedFile && !isBatch && (
+        <div className="mt-3">
+          <ContentCredentials
+            credentials={currentCredentials?.data}
+            isReading={!currentCredentials}
+            error={currentCredentials?.error}
+          />
+        </div>
+      )}
+
       {error && <div className="alert alert-danger mt-3">{error}</div>}
 
+      {/* Upload progress - indeterminate once the file is sent and the model is running */}
+      {isLoading && (
+        <div className="mt-3" aria-live="polite">
+          {uploadProgress !== null && uploadProgress < 100 ? (
+            <>
+              <ProgressBar now={uploadProgress} aria-label="Upload progress" />
+              <small style={{ color: 'var(--color-text-muted)' }}>Uploading... {uploadProgress}%</small>
+            </>
+          ) : (
+            <>
+              <ProgressBar now={100} striped animated aria-label="Waiting for the model" />
+              <small style={{ color: 'var(--color-text-muted)' }}>
+                {uploadProgress === 100 ? 'Upload complete, waiting for the model...' : 'Analyzing...'}
+              </small>
+            </>
+          )}
+        </div>
+      )}
+
       <div className="d-flex gap-2 mt-4">
-        <Button type="submit" variant="primary" disabled={!selectedFile || isLoading || !!error} className="flex-grow-1" size="lg">
-          {isLoading ? <><Spinner as="span" animation="border" size="sm" className="me-2" />Analyzing...</> : 'Classify Image'}
+        <Button type="submit" variant="primary" disabled={!selectedFile || isCropping || isConverting || (isLoading && !isBatch)} className="flex-grow-1" size="lg">
+          {isLoading && !isBatch
+            ? <><Spinner as="span" animation="border" size="sm" className="me-2" />Analyzing...</>
+            : isBatch ? `Add ${selectedFiles.length} Images to Queue` : 'Classify Image'}
         </Button>
-        {selectedFile && <Button type="button" variant="outline-secondary" onClick={handleClear} disabled={isLoading}>Reset</Button>}
+        {canClassifyAllFaces && !isLoading && (
+          <Button
+            type="button"
+            variant="outline-secondary"
+            onClick={handleClassifyAllFaces}
+            disabled={isCropping || isConverting || Boolean(multiFaceDisabledReason)}
+          >
+            Classify All {detectedFaces.faces.length} Faces
+          </Button>
+        )}
+        {isLoading && onCancel ? (
+          <Button type="button" variant="outline-danger" onClick={onCancel}>Cancel</Button>
+        ) : (
+          selectedFile && <Button type="button" variant="outline-secondary" onClick={handleClear} disabled={isLoading}>Reset</Button>
+        )}
       </div>
+      {canClassifyAllFaces && !isLoading && multiFaceDisabledReason && (
+        <small className="d-block mt-2" style={{ color: 'var(--color-text-muted)' }}>
+          {multiFaceDisabledReason}
+        </small>
+      )}
     </Form>
   );
 }
@@ -38,6 +38,16 @@ function LayoutNavbar() {
               Classify Image
             </Nav.Link>
 
+            {/* Side-by-side comparison of two images */}
+            <Nav.Link as={NavLink} to="/compare">
+              Compare
+            </Nav.Link>
+
+            {/* Saved classifications */}
+            <Nav.Link as={NavLink} to="/history">
+              History
+            </Nav.Link>
+
             {/* GenAI Assistant */}
             <Nav.Link as={NavLink} to="/genai">
               AI Assistant
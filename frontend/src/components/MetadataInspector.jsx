@@ -0,0 +1,157 @@
+/**
+ * MetadataInspector Component
+ *
+ * Purpose: Shows the metadata evidence of the uploaded image next to the
+ * CNN verdict.
+ * Shows:
+ * - Flags (generator fingerprints, missing camera data, editing software, ...)
+ * - Key fields: camera make/model, software, dates, GPS presence
+ * - Generator hints with an excerpt of where they were found
+ * - Raw PNG text chunks / JPEG comments (collapsible)
+ *
+ * Parsing runs in the browser (see utils/metadata.js).
+ */
+
+import { useState, useEffect, useMemo, Fragment } from 'react';
+import Card from 'react-bootstrap/Card';
+import Spinner from 'react-bootstrap/Spinner';
+
+// Helpers
+import { readImageMetadata, analyzeMetadata } from '../utils/metadata';
+
+// Icon and colour for each flag level
+const FLAG_STYLES = {
+  danger: { icon: '⚠', color: 'var(--color-accent-danger)' },
+  warning: { icon: '!', color: 'var(--color-accent-warning)' },
+  info: { icon: 'ℹ', color: 'var(--color-text-muted)' },
+};
+
+function MetadataInspector({ file }) {
+  const [metadata, setMetadata] = useState(null);
+  const [isParsing, setIsParsing] = useState(true);
+  const [error, setError] = useState(null);
+
+  // Parse once per file
+  useEffect(() => {
+    let cancelled = false;
+
+    const runParse = async () => {
+      setIsParsing(true);
+      setError(null);
+      try {
+        const parsed = await readImageMetadata(file);
+        if (!cancelled) setMetadata(parsed);
+      } catch (err) {
+        if (cancelled) return;
+        console.error('Metadata parsing error:', err);
+        setError(err.message || 'Could not read the image metadata.');
+      } finally {
+        if (!cancelled) setIsParsing(false);
+      }
+    };
+
+    runParse();
+    return () => { cancelled = true; };
+  }, [file]);
+
+  const analysis = useMemo(() => (metadata ? analyzeMetadata(metadata) : null), [metadata]);
+
+  return (
+    <Card className="custom-card mt-3">
+      <Card.Body className="p-4">
+        <h3 className="h6 mb-3">🏷️ Metadata Evidence</h3>
+
+        {isParsing && (
+          <div style={{ color: 'var(--color-text-muted)', fontSize: '0.8125rem' }}>
+            <Spinner animation="border" size="sm" className="me-2" />
+            Reading metadata...
+          </div>
+        )}
+
+        {error && (
+          <p className="mb-0" style={{ fontSize: '0.8125rem', color: 'var(--color-accent-danger)' }}>{error}</p>
+        )}
+
+        {!isParsing && analysis && (
+          <>
+            {/* Flags */}
+            {analysis.flags.length > 0 && (
+              <ul className="list-unstyled mb-3" style={{ fontSize: '0.8125rem' }}>
+                {analysis.flags.map((flag, index) => (
+                  <li key={index} className="d-flex gap-2 mb-1" style={{ color: FLAG_STYLES[flag.level].color }}>
+                    <span aria-hidden="true" style={{ width: '1rem', textAlign: 'center' }}>{FLAG_STYLES[flag.level].icon}</span>
+                    <span>{flag.message}</span>
+                  </li>
+                ))}
+              </ul>
+            )}
+
+            {/* Key fields */}
+            <dl className="row mb-0" style={{ fontSize: '0.8125rem' }}>
+              {analysis.fields.map(({ label, value }) => (
+                <Fragment key={label}>
+                  <dt className="col-5 fw-normal" style={{ color: 'var(--color-text-muted)' }}>{label}</dt>
+                  <dd
+                    className="col-7 mb-1 text-break"
+                    style={{ color: value ? 'var(--color-text-primary)' : 'var(--color-text-muted)' }}
+                  >
+                    {value ?? 'Missing'}
+                  </dd>
+                </Fragment>
+              ))}
+            </dl>
+
+            {/* Generator hints */}
+            {analysis.generatorHints.map((hint, index) => (
+              <div key={index} className="mt-3">
+                <p className="mb-1" style={{ fontSize: '0.8125rem', color: 'var(--color-accent-danger)' }}>
+                  {hint.generator} · <span style={{ color: 'var(--color-text-muted)' }}>{hint.source}</span>
+                </p>
+                <pre
+                  className="mono mb-0 p-2"
+                  style={{
+                    fontSize: '0.75rem',
+                    whiteSpace: 'pre-wrap',
+                    background: 'var(--color-bg-primary)',
+                    borderRadius: 'var(--radius-sm)',
+                    maxHeight: '120px',
+                  }}
+                >
+                  {hint.excerpt}
+                </pre>
+              </div>
+            ))}
+
+            {/* Raw text chunks */}
+            {metadata.textChunks.length > 0 && (
+              <details className="mt-3" style={{ fontSize: '0.8125rem' }}>
+                <summary style={{ color: 'var(--color-text-secondary)' }}>
+                  Embedded text ({metadata.textChunks.length})
+                </summary>
+                {metadata.textChunks.map(({ keyword, text }, index) => (
+                  <div key={index} className="mt-2">
+                    <div className="mono" style={{ color: 'var(--color-text-muted)' }}>{keyword}</div>
+                    <pre
+                      className="mono mb-0 p-2"
+                      style={{
+                        fontSize: '0.75rem',
+                        whiteSpace: 'pre-wrap',
+                        background: 'var(--color-bg-primary)',
+                        borderRadius: 'var(--radius-sm)',
+                        maxHeight: '200px',
+                      }}
+                    >
+                      {text}
+                    </pre>
+                  </div>
+                ))}
+              </details>
+            )}
+          </>
+        )}
+      </Card.Body>
+    </Card>
+  );
+}
+
+export default MetadataInspector;
@@ -0,0 +1,143 @@
+/**
+ * MultiFaceResult Component
+ *
+ * Purpose: Displays per-face classifications for a group photo.
+ * Shows:
+ * - Image-level summary ("N of M faces likely AI-generated")
+ * - The full image with numbered boxes colour-coded Real / AI-Generated
+ * - A PredictionResult card for every face crop
+ * 
+ * Verdicts follow the user's decision threshold (see useDecisionThreshold).
+ */
+
+import Card from 'react-bootstrap/Card';
+import Spinner from 'react-bootstrap/Spinner';
+
+// Components
+import PredictionResult from './PredictionResult';
+
+// Hooks
+import useDecisionThreshold from '../hooks/useDecisionThreshold';
+
+// Helpers
+import { BATCH_STATUS } from '../hooks/useBatchClassifier';
+import { isRealPrediction, applyThreshold } from '../utils/prediction';
+
+/**
+ * Box colour for a face depending on its state and verdict
+ */
+const faceColor = (face) => {
+  if (face.status === BATCH_STATUS.FAILED) return 'var(--color-accent-warning)';
+  if (face.status !== BATCH_STATUS.DONE) return 'var(--color-text-muted)';
+  return isRealPrediction(face.result.prediction)
+    ? 'var(--color-accent-success)'
+    : 'var(--color-accent-danger)';
+};
+
+function MultiFaceResult({ imageUrl, imageSize, faces: rawFaces }) {
+  // Relabel finished faces with the decision threshold
+  const [threshold] = useDecisionThreshold();
+  const faces = rawFaces.map((face) => (
+    face.status === BATCH_STATUS.DONE ? { ...face, result: applyThreshold(face.result, threshold) } : face
+  ));
+
+  const finished = faces.filter((face) => face.status === BATCH_STATUS.DONE);
+  const fakeCount = finished.filter((face) => !isRealPrediction(face.result.prediction)).length;
+  const failedCount = faces.filter((face) => face.status === BATCH_STATUS.FAILED).length;
+  const pendingCount = faces.length - finished.length - failedCount;
+
+  return (
+    <Card className="custom-card animate-fade-in">
+      <Card.Body className="p-4">
+        {/* Image-level summary */}
+        <div className="text-center mb-4">
+          <h3 className="mb-3">Group Photo Result</h3>
+          <div className={`result-badge ${fakeCount > 0 ? 'fake' : 'real'}`}>
+            <span role="img" aria-hidden="true" style={{ fontSize: '1.25rem' }}>
+              {fakeCount > 0 ? '⚠' : '✓'}
+            </span>
+            <span>{fakeCount} of {faces.length} faces likely AI-generated</span>
+          </div>
+          {(pendingCount > 0 || failedCount > 0) && (
+            <p className="mt-2 mb-0" style={{ fontSize: '0.8125rem', color: 'var(--color-text-muted)' }}>
+              {pendingCount > 0 && (
+                <>
+                  <Spinner animation="border" size="sm" className="me-1" />
+                  {pendingCount} still analyzing
+                </>
+              )}
+              {pendingCount > 0 && failedCount > 0 && ' · '}
+              {failedCount > 0 && `${failedCount} could not be classified`}
+            </p>
+          )}
+        </div>
+
+        {/* Image with numbered face boxes */}
+        <div className="text-center mb-4">
+          <div className="position-relative d-inline-block" style={{ lineHeight: 0 }}>
+            <img
+              src={imageUrl}
+              alt={`Group photo with ${faces.length} detected faces`}
+              style={{ maxWidth: '100%', maxHeight: '360px', borderRadius: 'var(--radius-sm)' }}
+            />
+            {faces.map((face, index) => (
+              <div
+                key={index}
+                className="face-box"
+                style={{
+                  left: `${(face.box.x / imageSize.width) * 100}%`,
+                  top: `${(face.box.y / imageSize.height) * 100}%`,
+                  width: `${(face.box.width / imageSize.width) * 100}%`,
+                  height: `${(face.box.height / imageSize.height) * 100}%`,
+                  borderColor: faceColor(face),
+                }}
+              >
+                <span className="face-box-label" style={{ background: faceColor(face) }}>
+                  {index + 1}
+                </span>
+              </div>
+            ))}
+          </div>
+        </div>
+
+        {/* Per-face results */}
+        <div className="d-flex flex-column gap-3">
+          {faces.map((face, index) => {
+            const title = `Face #${index + 1}`;
+
+            if (face.status === BATCH_STATUS.DONE) {
+              return (
+                <PredictionResult
+                  key={index}
+                  result={face.result}
+                  imageUrl={face.cropUrl}
+                  imageFile={face.file}
+                  title={title}
+                  compact
+                />
+              );
+            }
+
+            return (
+              <Card key={index} className="custom-card">
+                <Card.Body className="p-3 d-flex justify-content-between align-items-center">
+                  <span className="h6 mb-0">{title}</span>
+                  {face.status === BATCH_STATUS.FAILED ? (
+                    <span style={{ fontSize: '0.8125rem', color: 'var(--color-accent-danger)' }}>{face.error}</span>
+                  ) : (
+                    <span style={{ fontSize: '0.8125rem', color: 'var(--color-text-muted)' }}>
+                      <Spinner animation="border" size="sm" className="me-2" />
+                      Analyzing...
+                    </span>
+                  )}
+                </Card.Body>
+              </Card>
+            );
+          })}
+        </div>
+      </Card.Body>
+    </Card>
+  );
+}
+
+export default MultiFaceResult;
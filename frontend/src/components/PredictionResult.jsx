@@ -6,37 +6,123 @@
  * - Prediction label (Real or Fake)
  * - Confidence score with visual bar
  * - Optional explanation text
+ * - Optional model-attention heatmap overlaid on the image
+ * - Which inference engine and model produced the result (server, in-browser, mock)
+ * - Each model's prediction when an ensemble answered
+ * - The decision threshold behind the verdict and the raw model probability
+ * - Correct / incorrect feedback controls when the analysed image is known
+ * - "Export report" as self-contained HTML or printable PDF
+ * - "Ask the assistant about this result" (opens /genai with the result attached)
+ * - Whether the image's C2PA Content Credentials agree with the prediction
+ * 
+ * The verdict is re-derived from the raw probability with the user's
+ * decision threshold (see useDecisionThreshold), so it follows the setting live.
+ * 
+ * `imageFile` is the file the model saw (feedback is recorded against it);
+ * `originalFile` is the upload it was derived from (e.g. before face
+ * cropping or format conversion), which the report hashes and embeds as
+ * evidence (`originalHash` when only the stored hash is known).
+ * 
+ * Set `compact` when rendering many results side by side (e.g. the batch
+ * grid): it tightens spacing and drops the interpretation guide.
  */
 
 import Card from 'react-bootstrap/Card';
-import Badge from 'react-bootstrap/Badge';
 
-function PredictionResult({ result, imageUrl }) {
+// Components
+import HeatmapOverlay from './HeatmapOverlay';
+import FeedbackControls from './FeedbackControls';
+import ReportExport from './ReportExport';
+import AskAssistantButton from './AskAssistantButton';
+
+// Hooks
+import useDecisionThreshold from '../hooks/useDecisionThreshold';
+
+// Helpers
+import {
+  isRealPrediction,
+  toConfidencePercent,
+  getConfidenceLevel,
+  applyThreshold,
+  labelEnsemble,
+  describeThreshold,
+  hasRawProbability,
+  DEFAULT_THRESHOLD,
+} from '../utils/prediction';
+import { hasHeatmap } from '../utils/heatmap';
+import { INFERENCE_ENGINES } from '../services/api';
+import { compareCredentialsWithPrediction, SIGNATURE_STATUS, SIGNATURE_STATUS_LABELS } from '../utils/c2pa';
+
+// How each inference engine is described to the user
+const ENGINE_LABELS = {
+  [INFERENCE_ENGINES.SERVER]: { icon: '🖥️', label: 'Server model' },
+  [INFERENCE_ENGINES.BROWSER]: { icon: '💻', label: 'In-browser model (offline)' },
+  [INFERENCE_ENGINES.MOCK]: { icon: '🧪', label: 'Mock response (dev mode)' },
+};
+
+// Styling for manifest vs. model agreement
+const AGREEMENT_STYLES = {
+  agrees: { icon: '✓', color: 'var(--color-accent-success)', label: 'Agrees with the model' },
+  conflicts: { icon: '⚠', color: 'var(--color-accent-danger)', label: 'Conflicts with the model' },
+  inconclusive: { icon: 'ℹ', color: 'var(--color-text-muted)', label: 'No origin claim' },
+};
+
+function PredictionResult({
+  result,
+  imageUrl,
+  title = 'Classification Result',
+  compact = false,
+  contentCredentials = null,
+  imageFile = null,
+  originalFile = null,
+  imageHash = null,
+  originalHash = null,
+  fileName,
+  analyzedAt = null,
+  forensics = null,
+}) {
+  // Relabel with the user's decision threshold
+  const [threshold] = useDecisionThreshold();
+  const labelledResult = applyThreshold(result, threshold);
+
   // Destructure result data
-  const { prediction, confidence, details } = result;
+  const { prediction, confidence, details, heatmap, engine, fallbackReason, model, ensemble } = labelledResult;
+  const engineInfo = ENGINE_LABELS[engine];
   
   // Determine if the prediction is "Real" (normalize different possible values)
-  const isReal = prediction?.toLowerCase() === 'real';
+  const isReal = isRealPrediction(prediction);
   
   // Convert confidence to percentage (handle both 0-1 and 0-100 formats)
-  const confidencePercent = confidence > 1 ? confidence : confidence * 100;
+  const confidencePercent = toConfidencePercent(confidence);
   const confidenceDisplay = confidencePercent.toFixed(1);
   
   // Determine confidence level for styling
-  const getConfidenceLevel = (percent) => {
-    if (percent >= 85) return 'high';
-    if (percent >= 65) return 'medium';
-    return 'low';
-  };
-  
   const confidenceLevel = getConfidenceLevel(confidencePercent);
 
+  // P(AI-generated), and whether the threshold overturned the model's own label
+  const fakePercent = isReal ? 100 - confidencePercent : confidencePercent;
+  const isRelabelled = isRealPrediction(labelledResult.modelPrediction) !== isReal;
+
+  // Ensemble members at the current threshold, and how many share the combined verdict
+  const ensembleLabels = labelEnsemble(result, threshold);
+
+  // Compare the signed provenance claim with the model's verdict
+  const credentialsComparison = contentCredentials
+    ? compareCredentialsWithPrediction(contentCredentials, prediction)
+    : null;
+  const agreementStyle = credentialsComparison && AGREEMENT_STYLES[credentialsComparison.agreement];
+
   return (
-    <Card className="custom-card animate-fade-in">
-      <Card.Body className="p-4">
+    <Card className="custom-card animate-fade-in h-100">
+      <Card.Body className={compact ? 'p-3' : 'p-4'}>
         {/* Header with result */}
-        <div className="text-center mb-4">
-          <h3 className="mb-3">Classification Result</h3>
+        <div className={`text-center ${compact ? 'mb-3' : 'mb-4'}`}>
+          <h3 
+            className={compact ? 'h6 mb-2 text-truncate' : 'mb-3'}
+            title={compact ? title : undefined}
+          >
+            {title}
+          </h3>
           
           {/* Main prediction badge */}
           <div className={`result-badge ${isReal ? 'real' : 'fake'}`}>
@@ -49,6 +135,19 @@ function PredictionResult({ result, imageUrl }) {
             </span>
             <span>{isReal ? 'Real Image' : 'AI-Generated'}</span>
           </div>
+
+          {/* Which engine answered */}
+          {engineInfo && (
+            <p className="mt-2 mb-0" style={{ fontSize: '0.75rem', color: 'var(--color-text-muted)' }}>
+              <span aria-hidden="true">{engineInfo.icon}</span> Produced by: <strong>{engineInfo.label}</strong>
+              {model && <> · <strong>{model.name}</strong></>}
+            </p>
+          )}
+          {fallbackReason && !compact && (
+            <p className="mt-1 mb-0" style={{ fontSize: '0.75rem', color: 'var(--color-accent-warning)' }}>
+              Server unavailable ({fallbackReason}), so the in-browser model was used.
+            </p>
+          )}
         </div>
 
         {/* Confidence score section */}
@@ -89,8 +188,68 @@ function PredictionResult({ result, imageUrl }) {
             {confidenceLevel === 'medium' && 'Moderate confidence'}
             {confidenceLevel === 'low' && 'Low confidence'}
           </p>
+
+          {/* Threshold that produced the verdict */}
+          <p className="mt-2 mb-0" style={{ fontSize: '0.75rem', color: 'var(--color-text-muted)' }}>
+            Verdict at threshold <strong className="mono">{describeThreshold(threshold)}</strong>:
+            P(AI-generated) = <span className="mono">{fakePercent.toFixed(1)}%</span>
+            {!compact && hasRawProbability(result) && (
+              <> · raw model output P(Real) = <span className="mono">{result.probability.toFixed(4)}</span></>
+            )}
+            {!hasRawProbability(result) && ' (estimated from the confidence)'}
+          </p>
+          {isRelabelled && (
+            <p className="mt-1 mb-0" style={{ fontSize: '0.75rem', color: 'var(--color-accent-warning)' }}>
+              Relabelled: at the default {DEFAULT_THRESHOLD.toFixed(2)} threshold the model says{' '}
+              {isRealPrediction(labelledResult.modelPrediction) ? 'Real' : 'AI-Generated'}.
+            </p>
+          )}
         </div>
 
+        {/* Per-model predictions of an ensemble */}
+        {ensemble?.length > 0 && (
+          <div className="mb-4">
+            <div className="d-flex justify-content-between align-items-center mb-2">
+              <span className="form-label mb-0">Per-model predictions</span>
+              <span style={{ fontSize: '0.75rem', color: 'var(--color-text-muted)' }}>
+                {ensembleLabels.agreeing} of {ensembleLabels.answered} agree
+              </span>
+            </div>
+            <ul className="list-unstyled mb-0">
+              {ensembleLabels.members.map((member) => {
+                const memberIsReal = isRealPrediction(member.prediction);
+                const memberPercent = toConfidencePercent(member.confidence);
+                return (
+                  <li key={member.model.id} className="mb-2" style={{ fontSize: '0.8125rem' }}>
+                    <div className="d-flex justify-content-between">
+                      <span>{member.model.name}</span>
+                      {member.error ? (
+                        <span style={{ color: 'var(--color-accent-warning)' }}>Failed: {member.error}</span>
+                      ) : (
+                        <span>
+                          <span style={{ color: memberIsReal ? 'var(--color-accent-success)' : 'var(--color-accent-danger)' }}>
+                            {memberIsReal ? 'Real' : 'AI-Generated'}
+                          </span>
+                          {' · '}
+                          <span className="mono">{memberPercent.toFixed(1)}%</span>
+                        </span>
+                      )}
+                    </div>
+                    {!member.error && !compact && (
+                      <div className="confidence-bar mt-1" style={{ height: '4px' }}>
+                        <div
+                          className={`confidence-bar-fill ${getConfidenceLevel(memberPercent)}`}
+                          style={{ width: `${memberPercent}%` }}
+                        />
+                      </div>
+                    )}
+                  </li>
+                );
+              })}
+            </ul>
+          </div>
+        )}
+
         {/* Optional explanation/details */}
         {details && (
           <div 
@@ -114,8 +273,80 @@ function PredictionResult({ result, imageUrl }) {
           </div>
         )}
 
-        {/* Image preview if provided */}
-        {imageUrl && (
+        {/* Content Credentials vs. model */}
+        {credentialsComparison && (
+          <div
+            className="mt-3 p-3"
+            style={{
+              background: 'var(--color-bg-primary)',
+              borderRadius: 'var(--radius-sm)',
+              borderLeft: `3px solid ${agreementStyle.color}`,
+            }}
+          >
+            <h4 style={{ fontSize: '0.875rem', marginBottom: '0.5rem', color: agreementStyle.color }}>
+              <span aria-hidden="true">{agreementStyle.icon}</span> Content Credentials: {agreementStyle.label}
+            </h4>
+            <p className="mb-1" style={{ fontSize: '0.8125rem', color: 'var(--color-text-secondary)' }}>
+              {credentialsComparison.message}
+            </p>
+            <p className="mb-0" style={{ fontSize: '0.75rem', color: 'var(--color-text-muted)' }}>
+              {contentCredentials.claimGenerator && `Manifest by ${contentCredentials.claimGenerator} · `}
+              {SIGNATURE_STATUS_LABELS[contentCredentials.validation.status]}
+              {contentCredentials.validation.status !== SIGNATURE_STATUS.VALID && ', so treat this claim with caution'}
+            </p>
+          </div>
+        )}
+
+        {/* Reviewer feedback (needs the image, or its hash, to identify it), report export and assistant hand-off */}
+        {(imageFile || imageHash || imageUrl) && (
+          <div
+            className="mt-3 pt-3 d-flex flex-column gap-2"
+            style={{ borderTop: '1px solid var(--color-bg-tertiary)' }}
+          >
+            {(imageFile || imageHash) && (
+              <FeedbackControls
+                result={labelledResult}
+                imageFile={imageFile}
+                imageHash={imageHash}
+                fileName={fileName}
+              />
+            )}
+            <ReportExport
+              report={{
+                result: labelledResult,
+                imageFile: originalFile || imageFile,
+                analyzedFile: originalFile && originalFile !== imageFile ? imageFile : null,
+                imageUrl,
+                imageHash: originalHash || imageHash,
+                fileName: fileName || (originalFile || imageFile)?.name,
+                analyzedAt,
+                engineLabel: engineInfo?.label,
+                forensics,
+                contentCredentials,
+              }}
+            />
+            <AskAssistantButton
+              result={labelledResult}
+              imageFile={imageFile}
+              imageUrl={imageUrl}
+              fileName={fileName}
+              analyzedAt={analyzedAt}
+            />
+          </div>
+        )}
+
+        {/* Image preview if provided (with heatmap overlay when the backend sent one) */}
+        {imageUrl && !compact && hasHeatmap(heatmap) && (
+          <div className="mt-4 text-center">
+            <HeatmapOverlay
+              imageUrl={imageUrl}
+              heatmap={heatmap}
+              alt={`Analyzed image classified as ${prediction}`}
+              borderColor={isReal ? 'var(--color-accent-success)' : 'var(--color-accent-danger)'}
+            />
+          </div>
+        )}
+        {imageUrl && (compact || !hasHeatmap(heatmap)) && (
           <div className="mt-4 text-center">
             <img
               src={imageUrl}
@@ -131,25 +362,27 @@ function PredictionResult({ result, imageUrl }) {
         )}
 
         {/* Interpretation guide */}
-        <div 
-          className="mt-4 p-3" 
-          style={{ 
-            background: 'rgba(6, 182, 212, 0.1)', 
-            borderRadius: 'var(--radius-sm)',
-            borderLeft: '3px solid var(--color-accent-primary)'
-          }}
-        >
-          <p style={{ 
-            fontSize: '0.8125rem', 
-            color: 'var(--color-text-secondary)',
-            marginBottom: 0
-          }}>
-            <strong>Note:</strong> This classification is based on patterns learned from the GenImage dataset. 
-            {confidencePercent < 70 && ' Low confidence scores suggest the image may have ambiguous features.'}
-            {confidencePercent >= 70 && confidencePercent < 85 && ' Consider additional verification for important decisions.'}
-            {confidencePercent >= 85 && ' High confidence indicates strong distinguishing features were detected.'}
-          </p>
-        </div>
+        {!compact && (
+          <div 
+            className="mt-4 p-3" 
+            style={{ 
+              background: 'rgba(6, 182, 212, 0.1)', 
+              borderRadius: 'var(--radius-sm)',
+              borderLeft: '3px solid var(--color-accent-primary)'
+            }}
+          >
+            <p style={{ 
+              fontSize: '0.8125rem', 
+              color: 'var(--color-text-secondary)',
+              marginBottom: 0
+            }}>
+              <strong>Note:</strong> This classification is based on patterns learned from the GenImage dataset. 
+              {confidencePercent < 70 && ' Low confidence scores suggest the image may have ambiguous features.'}
+              {confidencePercent >= 70 && confidencePercent < 85 && ' Consider additional verification for important decisions.'}
+              {confidencePercent >= 85 && ' High confidence indicates strong distinguishing features were detected.'}
+            </p>
+          </div>
+        )}
       </Card.Body>
     </Card>
   );
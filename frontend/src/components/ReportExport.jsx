@@ -0,0 +1,66 @@
+/**
+ * ReportExport Component
+ *
+ * Purpose: "Export report" actions for one classification.
+ * - HTML: downloads a self-contained report (works offline, see utils/report.js)
+ * - PDF: opens the same report in the print dialog to save it as PDF
+ *
+ * `report` takes the same fields as buildClassificationReport.
+ */
+
+import { useState } from 'react';
+import Button from 'react-bootstrap/Button';
+import ButtonGroup from 'react-bootstrap/ButtonGroup';
+import Spinner from 'react-bootstrap/Spinner';
+
+// Helpers
+import { buildClassificationReport, reportFileName } from '../utils/report';
+import { downloadFile, printHtml } from '../utils/download';
+
+function ReportExport({ report }) {
+  // Format being generated ('html' | 'pdf'), or null
+  const [pendingFormat, setPendingFormat] = useState(null);
+  const [error, setError] = useState(null);
+
+  const handleExport = async (format) => {
+    setPendingFormat(format);
+    setError(null);
+    try {
+      const html = await buildClassificationReport(report);
+      if (format === 'html') {
+        downloadFile(html, reportFileName(report.fileName || report.imageFile?.name), 'text/html');
+      } else {
+        await printHtml(html);
+      }
+    } catch (err) {
+      console.error('Report export error:', err);
+      setError(err.message || 'Could not create the report.');
+    } finally {
+      setPendingFormat(null);
+    }
+  };
+
+  return (
+    <div className="d-flex align-items-center gap-2 flex-wrap">
+      <span style={{ fontSize: '0.8125rem', color: 'var(--color-text-muted)' }}>Export report:</span>
+      <ButtonGroup size="sm">
+        {[
+          { format: 'html', label: 'HTML' },
+          { format: 'pdf', label: 'Print / PDF' },
+        ].map(({ format, label }) => (
+          <Button
+            key={format}
+            variant="outline-secondary"
+            onClick={() => handleExport(format)}
+            disabled={Boolean(pendingFormat)}
+          >
+            {pendingFormat === format ? <Spinner animation="border" size="sm" aria-label="Creating report" /> : label}
+          </Button>
+        ))}
+      </ButtonGroup>
+      {error && <span style={{ fontSize: '0.8125rem', color: 'var(--color-accent-danger)' }}>{error}</span>}
+    </div>
+  );
+}
+
+export default ReportExport;
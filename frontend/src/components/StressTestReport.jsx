@@ -0,0 +1,260 @@
+/**
+ * StressTestReport Component
+ *
+ * Purpose: Shows how the model's verdict holds up under simple perturbations.
+ * Shows:
+ * - Stability summary and any label flips relative to the reference
+ * - AI-generated probability per perturbation (Recharts)
+ * - Per-variant table with status, confidence and shift
+ * 
+ * Labels (and therefore flips) follow the user's decision threshold.
+ */
+
+import { useMemo } from 'react';
+import Card from 'react-bootstrap/Card';
+import Spinner from 'react-bootstrap/Spinner';
+import {
+  BarChart,
+  Bar,
+  Cell,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip,
+  ReferenceLine,
+  ResponsiveContainer
+} from 'recharts';
+
+// Hooks
+import useDecisionThreshold from '../hooks/useDecisionThreshold';
+
+// Helpers
+import { BATCH_STATUS } from '../hooks/useBatchClassifier';
+import { isRealPrediction, toConfidencePercent, toFakeProbability, applyThreshold, describeThreshold } from '../utils/prediction';
+
+// A shift this large (percentage points) counts as sensitive even without a flip
+const SENSITIVE_SHIFT = 15;
+
+// Verdict styling
+const VERDICTS = {
+  stable: { label: 'Stable', color: 'var(--color-accent-success)' },
+  sensitive: { label: 'Sensitive', color: 'var(--color-accent-warning)' },
+  unstable: { label: 'Unstable', color: 'var(--color-accent-danger)' },
+};
+
+// Common axis styling
+const axisStyle = {
+  fontSize: 12,
+  fill: 'var(--color-text-muted)',
+};
+
+// Custom tooltip styling to match theme
+const VariantTooltip = ({ active, payload }) => {
+  if (active && payload && payload.length) {
+    const variant = payload[0].payload;
+    return (
+      <div
+        style={{
+          background: 'var(--color-bg-secondary)',
+          border: '1px solid var(--color-bg-tertiary)',
+          borderRadius: 'var(--radius-sm)',
+          padding: '0.75rem',
+          boxShadow: 'var(--shadow-md)'
+        }}
+      >
+        <p style={{ margin: 0, marginBottom: '0.5rem', color: 'var(--color-text-primary)', fontWeight: 600 }}>
+          {variant.label}
+        </p>
+        <p style={{ margin: 0, fontSize: '0.875rem', color: 'var(--color-text-secondary)' }}>
+          {variant.isReal ? 'Real' : 'AI-Generated'} · {variant.confidence.toFixed(1)}% confidence
+        </p>
+        {variant.flipped && (
+          <p style={{ margin: 0, fontSize: '0.875rem', color: 'var(--color-accent-danger)' }}>Label flipped</p>
+        )}
+      </div>
+    );
+  }
+  return null;
+};
+
+function StressTestReport({ variants }) {
+  const [reference] = variants;
+  const [threshold] = useDecisionThreshold();
+  const referenceDone = reference.status === BATCH_STATUS.DONE;
+  const pendingCount = variants.filter(
+    (variant) => variant.status === BATCH_STATUS.PENDING || variant.status === BATCH_STATUS.UPLOADING
+  ).length;
+
+  // Compare every finished variant with the reference
+  const analysis = useMemo(() => {
+    if (!referenceDone) return null;
+
+    const referenceIsReal = isRealPrediction(applyThreshold(reference.result, threshold).prediction);
+    const referenceProbability = toFakeProbability(reference.result);
+
+    const rows = variants
+      .filter((variant) => variant.status === BATCH_STATUS.DONE)
+      .map((variant) => {
+        const result = applyThreshold(variant.result, threshold);
+        const isReal = isRealPrediction(result.prediction);
+        const probability = toFakeProbability(result);
+        return {
+          id: variant.id,
+          label: variant.label,
+          isReal,
+          confidence: toConfidencePercent(result.confidence),
+          probability,
+          shift: probability - referenceProbability,
+          flipped: variant.id !== reference.id && isReal !== referenceIsReal,
+        };
+      });
+
+    const compared = rows.filter((row) => row.id !== reference.id);
+    const flips = compared.filter((row) => row.flipped);
+    const maxShift = compared.reduce((max, row) => Math.max(max, Math.abs(row.shift)), 0);
+
+    let verdict = 'stable';
+    if (flips.length > 0) verdict = 'unstable';
+    else if (maxShift >= SENSITIVE_SHIFT) verdict = 'sensitive';
+
+    return { rows, compared, flips, maxShift, verdict, referenceIsReal };
+  }, [variants, reference, referenceDone, threshold]);
+
+  const rowsById = new Map(analysis?.rows.map((row) => [row.id, row]));
+  const verdict = analysis && VERDICTS[analysis.verdict];
+
+  return (
+    <Card className="custom-card animate-fade-in">
+      <Card.Body className="p-4">
+        <h3 className="mb-3 text-center">Stress Test</h3>
+
+        {/* Summary */}
+        {analysis ? (
+          <div className="text-center mb-4">
+            <div className="metric-value" style={{ color: verdict.color }}>{verdict.label}</div>
+            <p className="mb-1" style={{ fontSize: '0.875rem', color: 'var(--color-text-secondary)' }}>
+              Reference verdict: <strong>{analysis.referenceIsReal ? 'Real' : 'AI-Generated'}</strong>.{' '}
+              Kept under {analysis.compared.length - analysis.flips.length} of {analysis.compared.length} perturbations
+              {analysis.compared.length > 0 && `, largest shift ${analysis.maxShift.toFixed(1)} points`}.
+            </p>
+            {analysis.flips.length > 0 && (
+              <p className="mb-0" style={{ fontSize: '0.875rem', color: 'var(--color-accent-danger)' }}>
+                ⚠ Label flipped under: {analysis.flips.map((row) => row.label).join(', ')}
+              </p>
+            )}
+          </div>
+        ) : (
+          reference.status === BATCH_STATUS.FAILED && (
+            <p className="text-center mb-4" style={{ color: 'var(--color-accent-danger)' }}>
+              The reference image could not be classified: {reference.error}
+            </p>
+          )
+        )}
+
+        {pendingCount > 0 && (
+          <p className="text-center" style={{ fontSize: '0.8125rem', color: 'var(--color-text-muted)' }}>
+            <Spinner animation="border" size="sm" className="me-2" />
+            {pendingCount} of {variants.length} variants still analyzing...
+          </p>
+        )}
+
+        {/* AI-generated probability per perturbation */}
+        {analysis && analysis.rows.length > 0 && (
+          <ResponsiveContainer width="100%" height={Math.max(200, analysis.rows.length * 28)}>
+            <BarChart data={analysis.rows} layout="vertical" margin={{ top: 10, right: 20, left: 10, bottom: 20 }}>
+              <CartesianGrid
+                strokeDasharray="3 3"
+                stroke="var(--color-bg-tertiary)"
+              />
+              <XAxis
+                type="number"
+                domain={[0, 100]}
+                tick={axisStyle}
+                axisLine={{ stroke: 'var(--color-bg-tertiary)' }}
+                tickLine={{ stroke: 'var(--color-bg-tertiary)' }}
+                label={{
+                  value: 'AI-generated probability (%)',
+                  position: 'insideBottom',
+                  offset: -10,
+                  style: axisStyle
+                }}
+              />
+              <YAxis
+                type="category"
+                dataKey="label"
+                width={110}
+                tick={axisStyle}
+                axisLine={{ stroke: 'var(--color-bg-tertiary)' }}
+                tickLine={{ stroke: 'var(--color-bg-tertiary)' }}
+              />
+              <Tooltip content={<VariantTooltip />} cursor={{ fill: 'var(--color-bg-tertiary)', opacity: 0.3 }} />
+              <ReferenceLine x={threshold * 100} stroke="var(--color-text-muted)" strokeDasharray="4 4" />
+              <Bar dataKey="probability" isAnimationActive={false}>
+                {analysis.rows.map((row) => (
+                  <Cell
+                    key={row.id}
+                    fill={row.isReal ? '#10b981' : '#ef4444'}
+                    stroke={row.flipped ? '#f59e0b' : undefined}
+                    strokeWidth={row.flipped ? 2 : 0}
+                  />
+                ))}
+              </Bar>
+            </BarChart>
+          </ResponsiveContainer>
+        )}
+
+        {/* Per-variant table */}
+        <div className="table-responsive mt-3">
+          <table className="table table-sm mb-0" style={{ fontSize: '0.8125rem' }}>
+            <thead>
+              <tr>
+                <th scope="col">Variant</th>
+                <th scope="col">Verdict</th>
+                <th scope="col" className="text-end">Confidence</th>
+                <th scope="col" className="text-end">Shift</th>
+              </tr>
+            </thead>
+            <tbody>
+              {variants.map((variant) => {
+                const row = rowsById.get(variant.id);
+                return (
+                  <tr key={variant.id}>
+                    <td>
+                      {variant.label}
+                      <span className="d-block" style={{ fontSize: '0.6875rem', color: 'var(--color-text-muted)' }}>
+                        {variant.group}
+                      </span>
+                    </td>
+                    {row ? (
+                      <>
+                        <td style={{ color: row.isReal ? 'var(--color-accent-success)' : 'var(--color-accent-danger)' }}>
+                          {row.isReal ? 'Real' : 'AI-Generated'}
+                          {row.flipped && <strong style={{ color: 'var(--color-accent-warning)' }}> · flipped</strong>}
+                        </td>
+                        <td className="text-end mono">{row.confidence.toFixed(1)}%</td>
+                        <td className="text-end mono">
+                          {variant.id === reference.id ? '—' : `${row.shift > 0 ? '+' : ''}${row.shift.toFixed(1)}`}
+                        </td>
+                      </>
+                    ) : (
+                      <td colSpan={3} style={{ color: variant.status === BATCH_STATUS.FAILED ? 'var(--color-accent-danger)' : 'var(--color-text-muted)' }}>
+                        {variant.status === BATCH_STATUS.FAILED ? variant.error : 'Analyzing...'}
+                      </td>
+                    )}
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+
+        <p className="mt-3 mb-0" style={{ fontSize: '0.75rem', color: 'var(--color-text-muted)' }}>
+          Shift is the change in AI-generated probability (percentage points) relative to the reference.
+          Bars reaching the dashed line (decision threshold {describeThreshold(threshold)}) are classified AI-generated.
+        </p>
+      </Card.Body>
+    </Card>
+  );
+}
+
+export default StressTestReport;
@@ -0,0 +1,181 @@
+/**
+ * SyncedImageViewer Component
+ *
+ * Purpose: Shows several images side by side with one shared zoom and pan,
+ * so the same region can be inspected in each of them at once.
+ * Features:
+ * - Mouse wheel zooms around the cursor, dragging pans (in any pane)
+ * - Zoom in / out / reset buttons for keyboard and touchpad users
+ *
+ * Pan offsets are stored as fractions of the pane size, so panes of slightly
+ * different widths stay in step.
+ */
+
+import { useState, useRef, useEffect } from 'react';
+import Button from 'react-bootstrap/Button';
+import ButtonGroup from 'react-bootstrap/ButtonGroup';
+
+// Zoom limits and step (per wheel notch / button press)
+const MIN_ZOOM = 1;
+const MAX_ZOOM = 8;
+const ZOOM_STEP = 1.25;
+
+const INITIAL_VIEW = { zoom: 1, x: 0, y: 0 };
+
+/**
+ * Keep the zoomed image covering its pane (offsets are fractions, ≤ 0)
+ */
+const clampView = ({ zoom, x, y }) => {
+  const nextZoom = Math.min(MAX_ZOOM, Math.max(MIN_ZOOM, zoom));
+  const minOffset = 1 - nextZoom;
+  return {
+    zoom: nextZoom,
+    x: Math.min(0, Math.max(minOffset, x)),
+    y: Math.min(0, Math.max(minOffset, y)),
+  };
+};
+
+/**
+ * Zoom by `factor` while keeping the point (px, py), in pane fractions, fixed
+ */
+const zoomAround = (view, factor, px = 0.5, py = 0.5) => {
+  const zoom = Math.min(MAX_ZOOM, Math.max(MIN_ZOOM, view.zoom * factor));
+  const ratio = zoom / view.zoom;
+  return clampView({
+    zoom,
+    x: px - (px - view.x) * ratio,
+    y: py - (py - view.y) * ratio,
+  });
+};
+
+function SyncedImageViewer({ panes, height = 320 }) {
+  const [view, setView] = useState(INITIAL_VIEW);
+  const containerRef = useRef(null);
+  const dragRef = useRef(null);
+
+  // Wheel zoom needs a non-passive listener to stop the page from scrolling
+  useEffect(() => {
+    const container = containerRef.current;
+    if (!container) return undefined;
+
+    const handleWheel = (event) => {
+      const pane = event.target.closest('[data-viewer-pane]');
+      if (!pane) return;
+      event.preventDefault();
+
+      const rect = pane.getBoundingClientRect();
+      const px = (event.clientX - rect.left) / rect.width;
+      const py = (event.clientY - rect.top) / rect.height;
+      const factor = event.deltaY < 0 ? ZOOM_STEP : 1 / ZOOM_STEP;
+      setView((prev) => zoomAround(prev, factor, px, py));
+    };
+
+    container.addEventListener('wheel', handleWheel, { passive: false });
+    return () => container.removeEventListener('wheel', handleWheel);
+  }, []);
+
+  const handlePointerDown = (event) => {
+    event.currentTarget.setPointerCapture(event.pointerId);
+    const rect = event.currentTarget.getBoundingClientRect();
+    dragRef.current = { x: event.clientX, y: event.clientY, width: rect.width, height: rect.height };
+  };
+
+  const handlePointerMove = (event) => {
+    const drag = dragRef.current;
+    if (!drag) return;
+    const dx = (event.clientX - drag.x) / drag.width;
+    const dy = (event.clientY - drag.y) / drag.height;
+    drag.x = event.clientX;
+    drag.y = event.clientY;
+    setView((prev) => clampView({ ...prev, x: prev.x + dx, y: prev.y + dy }));
+  };
+
+  const handlePointerUp = () => {
+    dragRef.current = null;
+  };
+
+  const transform = `translate(${view.x * 100}%, ${view.y * 100}%) scale(${view.zoom})`;
+
+  return (
+    <div>
+      {/* Controls */}
+      <div className="d-flex justify-content-between align-items-center mb-2">
+        <span style={{ fontSize: '0.75rem', color: 'var(--color-text-muted)' }}>
+          Scroll to zoom, drag to pan. All panes move together.
+        </span>
+        <div className="d-flex align-items-center gap-2">
+          <span className="mono" style={{ fontSize: '0.8125rem', color: 'var(--color-text-secondary)' }}>
+            {view.zoom.toFixed(1)}×
+          </span>
+          <ButtonGroup size="sm">
+            <Button
+              variant="outline-secondary"
+              onClick={() => setView((prev) => zoomAround(prev, 1 / ZOOM_STEP))}
+              disabled={view.zoom <= MIN_ZOOM}
+              aria-label="Zoom out"
+            >
+              −
+            </Button>
+            <Button
+              variant="outline-secondary"
+              onClick={() => setView((prev) => zoomAround(prev, ZOOM_STEP))}
+              disabled={view.zoom >= MAX_ZOOM}
+              aria-label="Zoom in"
+            >
+              +
+            </Button>
+            <Button variant="outline-secondary" onClick={() => setView(INITIAL_VIEW)}>
+              Reset
+            </Button>
+          </ButtonGroup>
+        </div>
+      </div>
+
+      {/* Panes */}
+      <div
+        ref={containerRef}
+        style={{ display: 'grid', gridTemplateColumns: `repeat(${panes.length}, minmax(0, 1fr))`, gap: '0.75rem' }}
+      >
+        {panes.map((pane) => (
+          <figure key={pane.key} className="mb-0">
+            <div
+              data-viewer-pane
+              onPointerDown={handlePointerDown}
+              onPointerMove={handlePointerMove}
+              onPointerUp={handlePointerUp}
+              onPointerCancel={handlePointerUp}
+              style={{
+                height: `${height}px`,
+                overflow: 'hidden',
+                background: 'var(--color-bg-primary)',
+                borderRadius: 'var(--radius-sm)',
+                cursor: view.zoom > MIN_ZOOM ? 'grab' : 'zoom-in',
+                touchAction: 'none',
+              }}
+            >
+              <img
+                src={pane.src}
+                alt={pane.label}
+                draggable={false}
+                style={{
+                  width: '100%',
+                  height: '100%',
+                  objectFit: 'contain',
+                  transform,
+                  transformOrigin: '0 0',
+                  userSelect: 'none',
+                  imageRendering: view.zoom >= 4 ? 'pixelated' : 'auto',
+                }}
+              />
+            </div>
+            <figcaption className="mt-1 text-center text-truncate" style={{ fontSize: '0.8125rem', color: 'var(--color-text-secondary)' }}>
+              {pane.label}
+            </figcaption>
+          </figure>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+export default SyncedImageViewer;
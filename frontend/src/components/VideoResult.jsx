@@ -0,0 +1,261 @@
+/**
+ * VideoResult Component
+ *
+ * Purpose: Shows the outcome of screening a video clip frame by frame.
+ * Shows:
+ * - Aggregate verdict for the clip (mean AI-generated probability) and how
+ *   many frames crossed the decision threshold
+ * - Per-frame AI-generated probability timeline (Recharts); clicking a
+ *   point seeks the player to that frame
+ * - The most suspicious frames as the model saw them (face crops)
+ *
+ * Labels follow the user's decision threshold.
+ */
+
+import { useState, useRef, useMemo } from 'react';
+import Card from 'react-bootstrap/Card';
+import Spinner from 'react-bootstrap/Spinner';
+import {
+  LineChart,
+  Line,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip,
+  ReferenceLine,
+  ResponsiveContainer
+} from 'recharts';
+
+// Hooks
+import useDecisionThreshold from '../hooks/useDecisionThreshold';
+
+// Helpers
+import { BATCH_STATUS } from '../hooks/useBatchClassifier';
+import { toFakeProbability, describeThreshold } from '../utils/prediction';
+import { aggregateVideoFrames, formatTimestamp } from '../utils/video';
+
+// Number of most suspicious frames shown as thumbnails
+const TOP_FRAMES = 4;
+
+// Common axis styling
+const axisStyle = {
+  fontSize: 12,
+  fill: 'var(--color-text-muted)',
+};
+
+// Custom tooltip styling to match theme
+const FrameTooltip = ({ active, payload }) => {
+  if (active && payload && payload.length) {
+    const frame = payload[0].payload;
+    return (
+      <div
+        style={{
+          background: 'var(--color-bg-secondary)',
+          border: '1px solid var(--color-bg-tertiary)',
+          borderRadius: 'var(--radius-sm)',
+          padding: '0.75rem',
+          boxShadow: 'var(--shadow-md)'
+        }}
+      >
+        <p style={{ margin: 0, marginBottom: '0.5rem', color: 'var(--color-text-primary)', fontWeight: 600 }}>
+          {formatTimestamp(frame.time)}
+        </p>
+        <p style={{ margin: 0, fontSize: '0.875rem', color: frame.isFake ? 'var(--color-accent-danger)' : 'var(--color-accent-success)' }}>
+          AI-generated: {frame.probability.toFixed(1)}%
+        </p>
+        {frame.faceFound === false && (
+          <p style={{ margin: 0, fontSize: '0.75rem', color: 'var(--color-text-muted)' }}>No face found (whole frame)</p>
+        )}
+        <p style={{ margin: 0, fontSize: '0.75rem', color: 'var(--color-text-muted)' }}>Click to jump to this frame</p>
+      </div>
+    );
+  }
+  return null;
+};
+
+function VideoResult({ analysis }) {
+  const { fileName, videoUrl, duration, frames } = analysis;
+  const [threshold] = useDecisionThreshold();
+  const [currentTime, setCurrentTime] = useState(0);
+  const playerRef = useRef(null);
+
+  const pendingCount = frames.filter(
+    (frame) => frame.status === BATCH_STATUS.PENDING || frame.status === BATCH_STATUS.UPLOADING
+  ).length;
+  const failedFrames = frames.filter((frame) => frame.status === BATCH_STATUS.FAILED);
+
+  // Timeline points (classified frames only) and the clip verdict
+  const { points, summary } = useMemo(() => {
+    const doneFrames = frames.filter((frame) => frame.status === BATCH_STATUS.DONE);
+    return {
+      points: doneFrames.map((frame) => {
+        const probability = toFakeProbability(frame.result);
+        return {
+          time: frame.time,
+          probability,
+          isFake: probability >= threshold * 100,
+          faceFound: frame.faceFound,
+          fileUrl: frame.fileUrl,
+        };
+      }),
+      summary: aggregateVideoFrames(doneFrames, threshold),
+    };
+  }, [frames, threshold]);
+
+  const topFrames = [...points].sort((a, b) => b.probability - a.probability).slice(0, TOP_FRAMES);
+  const facelessCount = points.filter((point) => point.faceFound === false).length;
+
+  const seekTo = (time) => {
+    const player = playerRef.current;
+    if (!player) return;
+    player.pause();
+    player.currentTime = time;
+  };
+
+  const handleChartClick = (state) => {
+    const point = points[Number(state?.activeTooltipIndex)];
+    if (point) seekTo(point.time);
+  };
+
+  return (
+    <Card className="custom-card animate-fade-in">
+      <Card.Body className="p-4">
+        <h3 className="mb-3 text-center text-truncate" title={fileName}>Video Screening</h3>
+
+        {/* Aggregate verdict */}
+        {summary ? (
+          <div className="text-center mb-4">
+            <div className={`result-badge ${summary.isFake ? 'fake' : 'real'}`}>
+              <span role="img" aria-hidden="true" style={{ fontSize: '1.25rem' }}>{summary.isFake ? '⚠' : '✓'}</span>
+              <span>{summary.isFake ? 'Likely AI-Generated' : 'Likely Real'}</span>
+            </div>
+            <p className="mt-2 mb-1" style={{ fontSize: '0.875rem', color: 'var(--color-text-secondary)' }}>
+              Mean AI-generated probability <strong className="mono">{summary.meanProbability.toFixed(1)}%</strong>{' '}
+              across {summary.total} frames · {summary.flaggedCount} above the threshold
+            </p>
+            <p className="mb-0" style={{ fontSize: '0.75rem', color: 'var(--color-text-muted)' }}>
+              Peak {summary.peak.probability.toFixed(1)}% at {formatTimestamp(summary.peak.time)} ·
+              threshold {describeThreshold(threshold)}
+            </p>
+            {summary.suspicious && (
+              <p className="mt-2 mb-0" style={{ fontSize: '0.875rem', color: 'var(--color-accent-warning)' }}>
+                ⚠ {summary.flaggedCount} of {summary.total} frames look AI-generated. Parts of the clip may be
+                manipulated even though the clip as a whole scores as real.
+              </p>
+            )}
+          </div>
+        ) : (
+          pendingCount === 0 && (
+            <p className="text-center mb-4" style={{ color: 'var(--color-accent-danger)' }}>
+              None of the sampled frames could be classified.
+            </p>
+          )
+        )}
+
+        {pendingCount > 0 && (
+          <p className="text-center" style={{ fontSize: '0.8125rem', color: 'var(--color-text-muted)' }}>
+            <Spinner animation="border" size="sm" className="me-2" />
+            {pendingCount} of {frames.length} frames still analyzing...
+          </p>
+        )}
+
+        {/* Player */}
+        <video
+          ref={playerRef}
+          src={videoUrl}
+          controls
+          muted
+          playsInline
+          onTimeUpdate={(e) => setCurrentTime(e.currentTarget.currentTime)}
+          className="w-100 mb-3"
+          style={{ maxHeight: '320px', background: 'var(--color-bg-primary)', borderRadius: 'var(--radius-sm)' }}
+        />
+
+        {/* Per-frame timeline */}
+        {points.length > 0 && (
+          <ResponsiveContainer width="100%" height={240}>
+            <LineChart
+              data={points}
+              margin={{ top: 10, right: 20, left: 0, bottom: 20 }}
+              onClick={handleChartClick}
+              style={{ cursor: 'pointer' }}
+            >
+              <CartesianGrid strokeDasharray="3 3" stroke="var(--color-bg-tertiary)" />
+              <XAxis
+                dataKey="time"
+                type="number"
+                domain={[0, Math.max(duration, points[points.length - 1].time)]}
+                tickFormatter={formatTimestamp}
+                tick={axisStyle}
+                axisLine={{ stroke: 'var(--color-bg-tertiary)' }}
+                tickLine={{ stroke: 'var(--color-bg-tertiary)' }}
+                label={{ value: 'Time', position: 'insideBottom', offset: -10, style: axisStyle }}
+              />
+              <YAxis
+                domain={[0, 100]}
+                tick={axisStyle}
+                axisLine={{ stroke: 'var(--color-bg-tertiary)' }}
+                tickLine={{ stroke: 'var(--color-bg-tertiary)' }}
+                label={{ value: 'AI-generated (%)', angle: -90, position: 'insideLeft', offset: 15, style: axisStyle }}
+              />
+              <Tooltip content={<FrameTooltip />} />
+              <ReferenceLine y={threshold * 100} stroke="var(--color-text-muted)" strokeDasharray="4 4" />
+              <ReferenceLine x={currentTime} stroke="var(--color-accent-primary)" />
+              <Line
+                type="monotone"
+                dataKey="probability"
+                stroke="#06b6d4"
+                strokeWidth={2}
+                dot={{ r: 3 }}
+                activeDot={{ r: 6 }}
+                isAnimationActive={false}
+              />
+            </LineChart>
+          </ResponsiveContainer>
+        )}
+
+        {/* Most suspicious frames */}
+        {topFrames.length > 0 && (
+          <div className="mt-3">
+            <span className="form-label mb-2 d-block">Most suspicious frames</span>
+            <div className="d-flex gap-2 flex-wrap">
+              {topFrames.map((frame) => (
+                <button
+                  key={frame.time}
+                  type="button"
+                  className="btn p-0 border-0 text-center"
+                  onClick={() => seekTo(frame.time)}
+                  aria-label={`Jump to ${formatTimestamp(frame.time)}`}
+                >
+                  <img
+                    src={frame.fileUrl}
+                    alt=""
+                    style={{
+                      width: '72px',
+                      height: '72px',
+                      objectFit: 'cover',
+                      borderRadius: 'var(--radius-sm)',
+                      border: `2px solid ${frame.isFake ? 'var(--color-accent-danger)' : 'var(--color-accent-success)'}`,
+                    }}
+                  />
+                  <span className="d-block mono" style={{ fontSize: '0.6875rem', color: 'var(--color-text-muted)' }}>
+                    {formatTimestamp(frame.time)} · {frame.probability.toFixed(0)}%
+                  </span>
+                </button>
+              ))}
+            </div>
+          </div>
+        )}
+
+        {(failedFrames.length > 0 || facelessCount > 0) && (
+          <p className="mt-3 mb-0" style={{ fontSize: '0.75rem', color: 'var(--color-text-muted)' }}>
+            {failedFrames.length > 0 && `${failedFrames.length} frame(s) could not be classified (${failedFrames[0].error}). `}
+            {facelessCount > 0 && `No face was found in ${facelessCount} frame(s); they were classified whole.`}
+          </p>
+        )}
+      </Card.Body>
+    </Card>
+  );
+}
+
+export default VideoResult;
@@ -0,0 +1,200 @@
+/**
+ * VideoUploadForm Component
+ *
+ * Purpose: Selects a short MP4 / WebM clip for frame-by-frame screening.
+ * Features:
+ * - Click or drag and drop, with type and size validation
+ * - Preview player
+ * - Sampling rate (frames per second) and face-crop options
+ * - Progress (frames analyzed) and Cancel button while screening runs
+ */
+
+import { useState, useRef, useId, useEffect } from 'react';
+import Form from 'react-bootstrap/Form';
+import Button from 'react-bootstrap/Button';
+import Spinner from 'react-bootstrap/Spinner';
+import ProgressBar from 'react-bootstrap/ProgressBar';
+
+// Helpers
+import {
+  validateVideoFile,
+  VIDEO_TYPES,
+  MAX_VIDEO_SIZE,
+  SAMPLE_RATES,
+  DEFAULT_SAMPLE_RATE,
+  MAX_SAMPLED_FRAMES,
+} from '../utils/video';
+
+function VideoUploadForm({ onSubmit, onCancel, isLoading = false, progress = null }) {
+  const [selectedFile, setSelectedFile] = useState(null);
+  const [previewUrl, setPreviewUrl] = useState(null);
+  const [isDragOver, setIsDragOver] = useState(false);
+  const [error, setError] = useState(null);
+  const [sampleRate, setSampleRate] = useState(DEFAULT_SAMPLE_RATE);
+  const [cropFaces, setCropFaces] = useState(true);
+
+  const fileInputRef = useRef(null);
+  const controlId = useId();
+
+  // Release the preview when it is replaced or the form unmounts
+  useEffect(() => () => {
+    if (previewUrl) URL.revokeObjectURL(previewUrl);
+  }, [previewUrl]);
+
+  const handleFileSelect = (file) => {
+    const validationError = validateVideoFile(file);
+    setError(validationError);
+    setSelectedFile(validationError ? null : file);
+    setPreviewUrl(validationError ? null : URL.createObjectURL(file));
+  };
+
+  const handleInputChange = (event) => {
+    const [file] = event.target.files || [];
+    if (file) handleFileSelect(file);
+  };
+
+  const handleDragOver = (e) => { e.preventDefault(); e.stopPropagation(); setIsDragOver(true); };
+  const handleDragLeave = (e) => { e.preventDefault(); e.stopPropagation(); setIsDragOver(false); };
+  const handleDrop = (e) => {
+    e.preventDefault(); e.stopPropagation(); setIsDragOver(false);
+    const [file] = e.dataTransfer.files || [];
+    if (file) handleFileSelect(file);
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (!selectedFile) { setError('Please select a video first'); return; }
+    onSubmit(selectedFile, { sampleRate, cropFaces });
+  };
+
+  const handleClear = () => {
+    setSelectedFile(null);
+    setPreviewUrl(null);
+    setError(null);
+    if (fileInputRef.current) fileInputRef.current.value = '';
+  };
+
+  const uploadAreaClasses = [
+    'upload-area',
+    isDragOver ? 'drag-over' : '',
+    selectedFile ? 'has-file' : '',
+  ].filter(Boolean).join(' ');
+
+  return (
+    <Form onSubmit={handleSubmit}>
+      <Form.Control
+        ref={fileInputRef}
+        type="file"
+        accept={VIDEO_TYPES.join(',')}
+        onChange={handleInputChange}
+        className="d-none"
+        id={`${controlId}-input`}
+      />
+
+      <div
+        className={uploadAreaClasses}
+        onClick={() => !selectedFile && fileInputRef.current?.click()}
+        onDragOver={handleDragOver}
+        onDragLeave={handleDragLeave}
+        onDrop={handleDrop}
+        role="button"
+        tabIndex={0}
+      >
+        {previewUrl ? (
+          <div className="text-center w-100">
+            <video
+              src={previewUrl}
+              controls
+              muted
+              playsInline
+              style={{ maxWidth: '100%', maxHeight: '260px', borderRadius: 'var(--radius-sm)' }}
+              onClick={(e) => e.stopPropagation()}
+            />
+            <p className="mt-3 mb-0 text-truncate" style={{ color: 'var(--color-text-secondary)' }}>
+              {selectedFile.name} ({(selectedFile.size / 1024 / 1024).toFixed(2)} MB)
+            </p>
+          </div>
+        ) : (
+          <div className="text-center">
+            <div style={{ fontSize: '3rem', marginBottom: '1rem', color: 'var(--color-text-muted)' }}>🎞️</div>
+            <p className="mb-1 fw-bold" style={{ color: 'var(--color-text-primary)' }}>
+              Click to upload or drag and drop a video
+            </p>
+            <p className="mb-0" style={{ color: 'var(--color-text-muted)', fontSize: '0.875rem' }}>
+              MP4 or WebM (max {MAX_VIDEO_SIZE / 1024 / 1024}MB)
+            </p>
+          </div>
+        )}
+      </div>
+
+      {/* Sampling options */}
+      <Form.Group className="mt-3">
+        <Form.Label htmlFor={`${controlId}-rate`} style={{ fontSize: '0.8125rem' }}>
+          Frames to analyze
+        </Form.Label>
+        <Form.Select
+          id={`${controlId}-rate`}
+          size="sm"
+          value={sampleRate}
+          onChange={(e) => setSampleRate(Number(e.target.value))}
+          disabled={isLoading}
+        >
+          {SAMPLE_RATES.map((rate) => (
+            <option key={rate} value={rate}>
+              {rate < 1 ? `1 every ${1 / rate} seconds` : `${rate} per second`}
+            </option>
+          ))}
+        </Form.Select>
+        <Form.Text style={{ color: 'var(--color-text-muted)' }}>
+          At most {MAX_SAMPLED_FRAMES} frames per clip; longer clips are sampled more sparsely.
+        </Form.Text>
+      </Form.Group>
+
+      <Form.Check
+        type="switch"
+        id={`${controlId}-crop-faces`}
+        className="mt-3"
+        label="Crop each frame to its most prominent face (recommended)"
+        checked={cropFaces}
+        onChange={(e) => setCropFaces(e.target.checked)}
+        disabled={isLoading}
+      />
+
+      {error && <div className="alert alert-danger mt-3">{error}</div>}
+
+      {/* Screening progress */}
+      {isLoading && (
+        <div className="mt-3" aria-live="polite">
+          {progress?.total ? (
+            <>
+              <ProgressBar now={(progress.done / progress.total) * 100} aria-label="Frames analyzed" />
+              <small style={{ color: 'var(--color-text-muted)' }}>
+                Analyzed {progress.done} of {progress.total} frames...
+              </small>
+            </>
+          ) : (
+            <>
+              <ProgressBar now={100} striped animated aria-label="Reading the video" />
+              <small style={{ color: 'var(--color-text-muted)' }}>Reading the video...</small>
+            </>
+          )}
+        </div>
+      )}
+
+      <div className="d-flex gap-2 mt-4">
+        <Button type="submit" variant="primary" disabled={!selectedFile || isLoading} className="flex-grow-1" size="lg">
+          {isLoading
+            ? <><Spinner as="span" animation="border" size="sm" className="me-2" />Screening...</>
+            : 'Screen Video'}
+        </Button>
+        {isLoading && onCancel ? (
+          <Button type="button" variant="outline-danger" onClick={onCancel}>Cancel</Button>
+        ) : (
+          selectedFile && <Button type="button" variant="outline-secondary" onClick={handleClear}>Reset</Button>
+        )}
+      </div>
+    </Form>
+  );
+}
+
+export default VideoUploadForm;
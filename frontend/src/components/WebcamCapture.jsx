@@ -0,0 +1,167 @@
+/**
+ * WebcamCapture Component
+ *
+ * Purpose: Modal that shows the webcam (getUserMedia) and captures a single
+ * frame as a JPEG file.
+ * Features:
+ * - Camera switcher when the device has several (e.g. front / back)
+ * - Clear messages when access is denied or no camera exists
+ *
+ * The camera is released as soon as the modal closes. Render it only while
+ * it should be open.
+ */
+
+import { useState, useEffect } from 'react';
+import Modal from 'react-bootstrap/Modal';
+import Button from 'react-bootstrap/Button';
+import Form from 'react-bootstrap/Form';
+import Spinner from 'react-bootstrap/Spinner';
+
+// Helpers
+import { canvasToBlob } from '../utils/image';
+
+const CAPTURE_QUALITY = 0.92;
+
+/**
+ * Readable message for getUserMedia failures
+ */
+const describeCameraError = (err) => {
+  if (err.name === 'NotAllowedError') return 'Camera access was denied. Allow it in the browser settings and try again.';
+  if (err.name === 'NotFoundError' || err.name === 'OverconstrainedError') return 'No camera was found.';
+  if (err.name === 'NotReadableError') return 'The camera is in use by another application.';
+  return err.message || 'Could not start the camera.';
+};
+
+const stopStream = (stream) => stream?.getTracks().forEach((track) => track.stop());
+
+function WebcamCapture({ onCapture, onClose }) {
+  const [stream, setStream] = useState(null);
+  const [cameras, setCameras] = useState([]);
+  const [deviceId, setDeviceId] = useState(null);
+  const [isCapturing, setIsCapturing] = useState(false);
+  const [error, setError] = useState(null);
+  const [video, setVideo] = useState(null);
+
+  // Start (or switch) the camera; stop it on close
+  useEffect(() => {
+    let cancelled = false;
+    let activeStream = null;
+
+    const request = navigator.mediaDevices?.getUserMedia
+      ? navigator.mediaDevices.getUserMedia({
+        video: deviceId ? { deviceId: { exact: deviceId } } : { facingMode: 'user' },
+        audio: false,
+      })
+      : Promise.reject(new Error('This browser cannot access a camera (a secure https connection is required).'));
+
+    request
+      .then(async (nextStream) => {
+        if (cancelled) {
+          stopStream(nextStream);
+          return;
+        }
+        activeStream = nextStream;
+        setStream(nextStream);
+        setError(null);
+
+        // Device labels are only available once permission was granted
+        const devices = await navigator.mediaDevices.enumerateDevices();
+        if (!cancelled) setCameras(devices.filter((device) => device.kind === 'videoinput'));
+      })
+      .catch((err) => {
+        if (cancelled) return;
+        console.error('Webcam error:', err);
+        setError(describeCameraError(err));
+      });
+
+    return () => {
+      cancelled = true;
+      stopStream(activeStream);
+    };
+  }, [deviceId]);
+
+  // The video element mounts with the modal (callback ref), so attach the stream once both exist
+  useEffect(() => {
+    if (video && stream) video.srcObject = stream;
+  }, [video, stream]);
+
+  /**
+   * Grab the current frame at the camera's native resolution
+   */
+  const handleCapture = async () => {
+    if (!video?.videoWidth) return;
+
+    setIsCapturing(true);
+    try {
+      const canvas = document.createElement('canvas');
+      canvas.width = video.videoWidth;
+      canvas.height = video.videoHeight;
+      canvas.getContext('2d').drawImage(video, 0, 0);
+      const blob = await canvasToBlob(canvas, 'image/jpeg', CAPTURE_QUALITY);
+
+      const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+      onCapture(new File([blob], `webcam-${timestamp}.jpg`, { type: 'image/jpeg', lastModified: Date.now() }));
+      onClose();
+    } catch (err) {
+      console.error('Webcam capture error:', err);
+      setError(err.message || 'Could not capture the frame.');
+    } finally {
+      setIsCapturing(false);
+    }
+  };
+
+  const activeDeviceId = stream?.getVideoTracks()[0]?.getSettings().deviceId;
+
+  return (
+    <Modal show onHide={onClose} centered size="lg">
+      <Modal.Header closeButton style={{ background: 'var(--color-bg-secondary)', borderColor: 'var(--color-bg-tertiary)' }}>
+        <Modal.Title className="h6 mb-0">Capture from webcam</Modal.Title>
+      </Modal.Header>
+      <Modal.Body className="text-center" style={{ background: 'var(--color-bg-primary)' }}>
+        {error ? (
+          <p className="mb-0 py-4" style={{ color: 'var(--color-accent-danger)' }}>{error}</p>
+        ) : (
+          <>
+            {!stream && (
+              <div className="py-4">
+                <Spinner animation="border" size="sm" className="me-2" />
+                <span style={{ color: 'var(--color-text-muted)' }}>Waiting for camera permission...</span>
+              </div>
+            )}
+            <video
+              ref={setVideo}
+              autoPlay
+              playsInline
+              muted
+              className={stream ? '' : 'd-none'}
+              style={{ maxWidth: '100%', maxHeight: '60vh', borderRadius: 'var(--radius-sm)' }}
+            />
+          </>
+        )}
+        {cameras.length > 1 && (
+          <Form.Select
+            size="sm"
+            className="mt-3"
+            aria-label="Camera"
+            value={activeDeviceId || ''}
+            onChange={(e) => setDeviceId(e.target.value)}
+          >
+            {cameras.map((camera, index) => (
+              <option key={camera.deviceId} value={camera.deviceId}>
+                {camera.label || `Camera ${index + 1}`}
+              </option>
+            ))}
+          </Form.Select>
+        )}
+      </Modal.Body>
+      <Modal.Footer style={{ background: 'var(--color-bg-secondary)', borderColor: 'var(--color-bg-tertiary)' }}>
+        <Button variant="outline-secondary" onClick={onClose}>Cancel</Button>
+        <Button variant="primary" onClick={handleCapture} disabled={!stream || Boolean(error) || isCapturing}>
+          {isCapturing ? <Spinner animation="border" size="sm" /> : '📸 Capture'}
+        </Button>
+      </Modal.Footer>
+    </Modal>
+  );
+}
+
+export default WebcamCapture;
@@ -0,0 +1,212 @@
+/**
+ * useBatchClassifier Hook
+ * 
+ * Purpose: Runs a queue of images through a prediction function with a
+ * concurrency limit, tracking per-item status for the batch UI.
+ * 
+ * Item lifecycle: pending → uploading → done | failed
+ * Failed items can be retried; any item can be removed (aborting its upload).
+ * All in-flight requests are aborted when the owning view unmounts.
+ * Items queued with `cropFaces` are cropped to their best face before upload.
+ * `predict` receives each item's `originalFile` (the file as selected, before
+ * conversion or cropping) in its options.
+ */
+
+import { useState, useRef, useCallback, useEffect } from 'react';
+
+// API helpers
+import { isCancelledError } from '../services/api';
+import { cropToBestFace } from '../services/faceDetection';
+
+// Per-item status values
+export const BATCH_STATUS = {
+  PENDING: 'pending',
+  UPLOADING: 'uploading',
+  DONE: 'done',
+  FAILED: 'failed',
+};
+
+// Number of simultaneous /api/predict requests
+const DEFAULT_CONCURRENCY = 3;
+
+// Monotonic id so items keep their insertion order across re-renders
+let nextItemId = 1;
+
+/**
+ * @param {(file: File, options: object) => Promise<object>} predict - Prediction function (real or mock API,
+ *   or a wrapper that also records the result)
+ * @param {{concurrency?: number}} [options]
+ */
+function useBatchClassifier(predict, { concurrency = DEFAULT_CONCURRENCY } = {}) {
+  const [items, setItems] = useState([]);
+
+  // Queue bookkeeping lives in refs so the pump never reads stale state
+  const pendingRef = useRef([]);
+  const activeCountRef = useRef(0);
+  const predictRef = useRef(predict);
+  const previewUrlsRef = useRef(new Set());
+  const controllersRef = useRef(new Map()); // item id → AbortController
+
+  // Always call the latest prediction function (mock/real can change)
+  useEffect(() => {
+    predictRef.current = predict;
+  }, [predict]);
+
+  // Abort in-flight uploads and revoke preview URLs when the owning view unmounts
+  useEffect(() => {
+    const previewUrls = previewUrlsRef.current;
+    const controllers = controllersRef.current;
+    return () => {
+      pendingRef.current = [];
+      controllers.forEach((controller) => controller.abort());
+      controllers.clear();
+      previewUrls.forEach((url) => URL.revokeObjectURL(url));
+      previewUrls.clear();
+    };
+  }, []);
+
+  const updateItem = useCallback((id, patch) => {
+    setItems((prev) => prev.map((item) => (item.id === id ? { ...item, ...patch } : item)));
+  }, []);
+
+  /**
+   * Resolves the file to upload for an item, cropping to the face if requested.
+   * The preview switches to the crop so the card shows what was classified,
+   * unless the item was removed (or the view unmounted) while cropping.
+   */
+  const prepareFile = useCallback(async (item, signal) => {
+    if (!item.cropFaces) return item.file;
+
+    const { file, cropped } = await cropToBestFace(item.file);
+    // Aborted: nothing would revoke the URL, and the upload is cancelled anyway
+    if (cropped && !signal.aborted) {
+      const previewUrl = URL.createObjectURL(file);
+      previewUrlsRef.current.add(previewUrl);
+      updateItem(item.id, { previewUrl });
+    }
+    return file;
+  }, [updateItem]);
+
+  /**
+   * Starts pending items until the concurrency limit is reached.
+   * Each finished request frees a slot and pumps the queue again.
+   */
+  const pump = useCallback(function pumpQueue() {
+    while (activeCountRef.current < concurrency && pendingRef.current.length > 0) {
+      const item = pendingRef.current.shift();
+      const controller = new AbortController();
+      controllersRef.current.set(item.id, controller);
+      activeCountRef.current += 1;
+      updateItem(item.id, { status: BATCH_STATUS.UPLOADING, error: null, progress: 0 });
+
+      prepareFile(item, controller.signal)
+        .then((file) => predictRef.current(file, {
+          originalFile: item.originalFile,
+          signal: controller.signal,
+          onUploadProgress: ({ percent }) => updateItem(item.id, { progress: percent }),
+        }))
+        .then((result) => updateItem(item.id, { status: BATCH_STATUS.DONE, result }))
+        .catch((err) => {
+          // Aborted items were removed or cleared - nothing left to update
+          if (isCancelledError(err)) return;
+          console.error(`Batch classification error (${item.file.name}):`, err);
+          updateItem(item.id, {
+            status: BATCH_STATUS.FAILED,
+            error: err.message || 'Failed to classify image.',
+          });
+        })
+        .finally(() => {
+          controllersRef.current.delete(item.id);
+          activeCountRef.current -= 1;
+          pumpQueue();
+        });
+    }
+  }, [concurrency, prepareFile, updateItem]);
+
+  /**
+   * Adds files to the end of the queue
+   * @param {File[]} files - Validated image files
+   * @param {{cropFaces?: boolean, originalFiles?: File[]}} [options] - Crop each image to its best
+   *   face first; the files as selected when `files` are converted copies (same order)
+   */
+  const enqueue = useCallback((files, { cropFaces = false, originalFiles = files } = {}) => {
+    const newItems = files.map((file, index) => {
+      const previewUrl = URL.createObjectURL(file);
+      previewUrlsRef.current.add(previewUrl);
+      return {
+        id: nextItemId++,
+        file,
+        originalFile: originalFiles[index] ?? file,
+        previewUrl,
+        sourcePreviewUrl: previewUrl, // previewUrl before cropping
+        cropFaces,
+        status: BATCH_STATUS.PENDING,
+        progress: null,
+        result: null,
+        error: null,
+      };
+    });
+
+    setItems((prev) => [...prev, ...newItems]);
+    pendingRef.current.push(...newItems);
+    pump();
+  }, [pump]);
+
+  /**
+   * Revokes an item's crop preview, if any
+   */
+  const revokeCropPreview = useCallback((item) => {
+    if (item.previewUrl === item.sourcePreviewUrl) return;
+    URL.revokeObjectURL(item.previewUrl);
+    previewUrlsRef.current.delete(item.previewUrl);
+  }, []);
+
+  /**
+   * Puts a failed item back into the queue
+   * Its crop (if any) is redone, so the preview goes back to the source image.
+   */
+  const retryItem = useCallback((item) => {
+    if (item.status !== BATCH_STATUS.FAILED) return;
+    revokeCropPreview(item);
+    updateItem(item.id, { status: BATCH_STATUS.PENDING, error: null, previewUrl: item.sourcePreviewUrl });
+    pendingRef.current.push(item);
+    pump();
+  }, [pump, revokeCropPreview, updateItem]);
+
+  /**
+   * Re-queues every failed item
+   */
+  const retryFailed = useCallback(() => {
+    items
+      .filter((item) => item.status === BATCH_STATUS.FAILED)
+      .forEach(retryItem);
+  }, [items, retryItem]);
+
+  /**
+   * Removes an item, aborting its upload if it is in flight
+   */
+  const removeItem = useCallback((item) => {
+    controllersRef.current.get(item.id)?.abort();
+    pendingRef.current = pendingRef.current.filter((pending) => pending.id !== item.id);
+    revokeCropPreview(item);
+    URL.revokeObjectURL(item.sourcePreviewUrl);
+    previewUrlsRef.current.delete(item.sourcePreviewUrl);
+    setItems((prev) => prev.filter((existing) => existing.id !== item.id));
+  }, [revokeCropPreview]);
+
+  /**
+   * Empties the queue and aborts every in-flight request
+   */
+  const clear = useCallback(() => {
+    pendingRef.current = [];
+    controllersRef.current.forEach((controller) => controller.abort());
+    controllersRef.current.clear();
+    previewUrlsRef.current.forEach((url) => URL.revokeObjectURL(url));
+    previewUrlsRef.current.clear();
+    setItems([]);
+  }, []);
+
+  return { items, enqueue, retryItem, retryFailed, removeItem, clear };
+}
+
+export default useBatchClassifier;
@@ -0,0 +1,74 @@
+/**
+ * useDecisionThreshold Hook
+ *
+ * Purpose: The user's decision threshold on P(AI-generated), persisted in
+ * localStorage and shared by every component that shows a verdict. Changing
+ * it anywhere relabels all mounted results at once (and other open tabs).
+ *
+ * @example
+ * const [threshold, setThreshold] = useDecisionThreshold();
+ * const labelled = applyThreshold(result, threshold);
+ */
+
+import { useSyncExternalStore } from 'react';
+import { DEFAULT_THRESHOLD } from '../utils/prediction';
+
+const STORAGE_KEY = 'realOrAi.decisionThreshold';
+
+// Allowed range (0 or 1 would label everything the same)
+export const MIN_THRESHOLD = 0.05;
+export const MAX_THRESHOLD = 0.95;
+
+const listeners = new Set();
+
+/**
+ * Read the persisted threshold (invalid values fall back to the default)
+ */
+function readThreshold() {
+  const stored = Number(localStorage.getItem(STORAGE_KEY));
+  return stored >= MIN_THRESHOLD && stored <= MAX_THRESHOLD ? stored : DEFAULT_THRESHOLD;
+}
+
+let currentThreshold = readThreshold();
+
+function notify() {
+  listeners.forEach((listener) => listener());
+}
+
+/**
+ * Subscribe to threshold changes, including ones made in other tabs
+ */
+function subscribe(listener) {
+  const handleStorage = (event) => {
+    if (event.key !== STORAGE_KEY) return;
+    currentThreshold = readThreshold();
+    notify();
+  };
+
+  listeners.add(listener);
+  window.addEventListener('storage', handleStorage);
+  return () => {
+    listeners.delete(listener);
+    window.removeEventListener('storage', handleStorage);
+  };
+}
+
+/**
+ * Change (and persist) the decision threshold
+ * @param {number} threshold - Threshold on P(AI-generated), clamped to MIN_THRESHOLD-MAX_THRESHOLD
+ */
+export function setDecisionThreshold(threshold) {
+  currentThreshold = Math.min(MAX_THRESHOLD, Math.max(MIN_THRESHOLD, Number(threshold) || DEFAULT_THRESHOLD));
+  localStorage.setItem(STORAGE_KEY, String(currentThreshold));
+  notify();
+}
+
+/**
+ * @returns {[number, (threshold: number) => void]} Current threshold and its setter
+ */
+function useDecisionThreshold() {
+  const threshold = useSyncExternalStore(subscribe, () => currentThreshold);
+  return [threshold, setDecisionThreshold];
+}
+
+export default useDecisionThreshold;
@@ -0,0 +1,185 @@
+/**
+ * useVideoScreening Hook
+ *
+ * Purpose: Screens a video clip by sampling frames in the browser, cropping
+ * each to its most prominent face and classifying it, while tracking
+ * per-frame status for the timeline UI.
+ *
+ * Frame lifecycle: pending → uploading → done | failed
+ * Frames are extracted one at a time (a video element can only seek to one
+ * position at once) while earlier frames are being classified.
+ * Everything in flight is aborted by `cancel`, `reset` and on unmount.
+ */
+
+import { useState, useRef, useCallback, useEffect } from 'react';
+
+// API helpers
+import { isCancelledError } from '../services/api';
+import { detectFaces, proposeFaceCrop } from '../services/faceDetection';
+
+// Helpers
+import { BATCH_STATUS } from './useBatchClassifier';
+import { mapWithConcurrency } from '../utils/concurrency';
+import { loadVideo, planSampleTimes, captureFrame, frameToFile, DEFAULT_SAMPLE_RATE } from '../utils/video';
+
+// Simultaneous frame classifications
+const DEFAULT_CONCURRENCY = 3;
+
+/**
+ * Grab one frame as a file, cropped to its best face when requested
+ * Face detection problems fall back to the whole frame.
+ *
+ * @returns {Promise<{file: File, faceFound: boolean|null}>} `faceFound` is null when not cropping
+ */
+async function extractFrameFile(video, time, { cropFaces, baseName }) {
+  const canvas = await captureFrame(video, time);
+  const fileName = `${baseName}-${time.toFixed(2)}s.jpg`;
+  if (!cropFaces) return { file: await frameToFile(canvas, fileName), faceFound: null };
+
+  const [face] = await detectFaces(canvas).catch((err) => {
+    console.warn(`Face detection skipped for frame at ${time}s:`, err);
+    return [];
+  });
+  const crop = face ? proposeFaceCrop(face, { width: canvas.width, height: canvas.height }) : null;
+  return { file: await frameToFile(canvas, fileName, crop), faceFound: Boolean(face) };
+}
+
+/**
+ * @param {(file: File, options: object) => Promise<object>} predict - Prediction function (real or mock API)
+ * @param {{concurrency?: number}} [options]
+ */
+function useVideoScreening(predict, { concurrency = DEFAULT_CONCURRENCY } = {}) {
+  // { fileName, videoUrl, duration, sampleRate, frames: [{ time, status, fileUrl, faceFound, result, error }] }
+  const [analysis, setAnalysis] = useState(null);
+  const [isRunning, setIsRunning] = useState(false);
+  const [error, setError] = useState(null);
+
+  const predictRef = useRef(predict);
+  const controllerRef = useRef(null);
+  const objectUrlsRef = useRef(new Set());
+
+  // Always call the latest prediction function (mock/real or model can change)
+  useEffect(() => {
+    predictRef.current = predict;
+  }, [predict]);
+
+  const trackUrl = useCallback((blob) => {
+    const url = URL.createObjectURL(blob);
+    objectUrlsRef.current.add(url);
+    return url;
+  }, []);
+
+  const releaseUrls = useCallback(() => {
+    objectUrlsRef.current.forEach((url) => URL.revokeObjectURL(url));
+    objectUrlsRef.current.clear();
+  }, []);
+
+  // Abort work and free object URLs when the owning view unmounts
+  useEffect(() => () => {
+    controllerRef.current?.abort();
+    releaseUrls();
+  }, [releaseUrls]);
+
+  /**
+   * Stops sampling and classification; finished frames are kept
+   */
+  const cancel = useCallback(() => {
+    controllerRef.current?.abort();
+  }, []);
+
+  /**
+   * Cancels everything and forgets the current clip
+   */
+  const reset = useCallback(() => {
+    controllerRef.current?.abort();
+    controllerRef.current = null;
+    releaseUrls();
+    setAnalysis(null);
+    setIsRunning(false);
+    setError(null);
+  }, [releaseUrls]);
+
+  /**
+   * Samples and classifies a clip
+   * @param {File} file - Validated MP4 / WebM file
+   * @param {{sampleRate?: number, cropFaces?: boolean}} [options] - Frames per second; crop frames to the best face
+   */
+  const start = useCallback(async (file, { sampleRate = DEFAULT_SAMPLE_RATE, cropFaces = true } = {}) => {
+    reset();
+    const controller = new AbortController();
+    controllerRef.current = controller;
+    setIsRunning(true);
+
+    // Updates from a run that was reset or replaced are dropped
+    const isCurrent = () => controllerRef.current === controller;
+
+    const updateFrame = (index, patch) => {
+      if (!isCurrent()) return;
+      setAnalysis((prev) => prev && {
+        ...prev,
+        frames: prev.frames.map((frame, i) => (i === index ? { ...frame, ...patch } : frame)),
+      });
+    };
+
+    let source = null;
+    try {
+      source = await loadVideo(file);
+      if (!isCurrent()) return;
+      const times = planSampleTimes(source.duration, sampleRate);
+      const baseName = file.name.replace(/\.[^.]+$/, '') || 'video';
+
+      setAnalysis({
+        fileName: file.name,
+        videoUrl: trackUrl(file),
+        duration: source.duration,
+        sampleRate,
+        frames: times.map((time) => ({
+          time,
+          status: BATCH_STATUS.PENDING,
+          fileUrl: null,
+          faceFound: null,
+          result: null,
+          error: null,
+        })),
+      });
+
+      // Seeks are chained so frames are extracted in order, one at a time
+      let extraction = Promise.resolve();
+
+      await mapWithConcurrency(times, concurrency, async (time, index) => {
+        try {
+          const frame = extraction.then(() => {
+            if (controller.signal.aborted) throw new DOMException('Screening was cancelled', 'AbortError');
+            return extractFrameFile(source.video, time, { cropFaces, baseName });
+          });
+          extraction = frame.catch(() => {});
+
+          const { file: frameFile, faceFound } = await frame;
+          updateFrame(index, { status: BATCH_STATUS.UPLOADING, fileUrl: trackUrl(frameFile), faceFound });
+
+          const result = await predictRef.current(frameFile, { signal: controller.signal });
+          updateFrame(index, { status: BATCH_STATUS.DONE, result });
+        } catch (err) {
+          if (!isCancelledError(err)) console.error(`Video frame (${time}s) classification error:`, err);
+          updateFrame(index, {
+            status: BATCH_STATUS.FAILED,
+            error: isCancelledError(err) ? 'Cancelled' : err.message || 'Failed to classify this frame.',
+          });
+        }
+      });
+    } catch (err) {
+      console.error('Video screening error:', err);
+      if (isCurrent()) setError(err.message || 'Could not read the video.');
+    } finally {
+      source?.release();
+      if (isCurrent()) {
+        controllerRef.current = null;
+        setIsRunning(false);
+      }
+    }
+  }, [concurrency, reset, trackUrl]);
+
+  return { analysis, isRunning, error, start, cancel, reset };
+}
+
+export default useVideoScreening;
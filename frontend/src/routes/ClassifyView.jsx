@@ -5,61 +5,250 @@
  * Allows users to upload an image and receive a Real/Fake prediction.
  * 
  * Flow:
- * 1. User uploads image via ImageUploadForm
+ * 1. User uploads image via ImageUploadForm (file, drag and drop, Ctrl+V
+ *    paste, image URL via GET /api/fetch-image, or webcam)
  * 2. Image sent to /api/predict endpoint
  * 3. Result displayed via PredictionResult component
+ * 
+ * Selecting several images at once queues them instead (see BatchQueue).
+ * Group photos can be split into one classification per detected face
+ * (see MultiFaceResult).
+ * Every successful result is also saved to the local history (/history).
+ * The model selector lists the server's models (GET /api/models); the
+ * "ensemble" choice runs all of them and combines their verdicts.
+ * Verdicts follow the persisted decision threshold (DecisionThresholdControl).
+ * Single-image results also show the file's metadata evidence and a
+ * collapsible Forensics panel (ELA, frequency spectrum), both computed on
+ * the original, uncropped upload.
+ * Stress test mode classifies perturbed copies of the image instead (JPEG
+ * re-encoding, downscaling, blur, crops, flip, noise) and reports how stable
+ * the verdict is (see StressTestReport). These runs are not saved to history.
+ * Video mode samples frames of an MP4 / WebM clip, crops each to its face and
+ * classifies it, then shows a timeline and a verdict for the clip (see
+ * useVideoScreening and VideoResult). Frames are not saved to history either.
  */
 
-import { useState } from 'react';
+import { useState, useRef, useEffect, useCallback, useMemo } from 'react';
 import Row from 'react-bootstrap/Row';
 import Col from 'react-bootstrap/Col';
 import Alert from 'react-bootstrap/Alert';
+import Form from 'react-bootstrap/Form';
+import Button from 'react-bootstrap/Button';
+import ButtonGroup from 'react-bootstrap/ButtonGroup';
 
 // Components
 import ImageUploadForm from '../components/ImageUploadForm';
 import PredictionResult from '../components/PredictionResult';
+import BatchQueue from '../components/BatchQueue';
+import MultiFaceResult from '../components/MultiFaceResult';
+import ForensicsPanel from '../components/ForensicsPanel';
+import MetadataInspector from '../components/MetadataInspector';
+import StressTestReport from '../components/StressTestReport';
+import DecisionThresholdControl from '../components/DecisionThresholdControl';
+import VideoUploadForm from '../components/VideoUploadForm';
+import VideoResult from '../components/VideoResult';
+
+// Hooks
+import useBatchClassifier, { BATCH_STATUS } from '../hooks/useBatchClassifier';
+import useVideoScreening from '../hooks/useVideoScreening';
 
 // API service
-import { uploadImageAndPredict, mocks } from '../services/api';
+import {
+  uploadImageAndPredict,
+  fetchImageFromUrl,
+  isCancelledError,
+  getInferenceMode,
+  setInferenceMode,
+  INFERENCE_MODES,
+  getModels,
+  getSelectedModelId,
+  setSelectedModelId,
+  ENSEMBLE_MODEL,
+  mocks,
+} from '../services/api';
+import { LOCAL_MODEL } from '../services/localInference';
+import { saveClassification } from '../services/history';
+import { proposeFaceCrop } from '../services/faceDetection';
+
+// Helpers
+import { cropImageFile } from '../utils/image';
+import { mapWithConcurrency } from '../utils/concurrency';
+import { STRESS_VARIANTS, createReferenceCanvas, createVariantFile } from '../utils/perturbations';
 
 // Set to true to use mock API during development without backend
 const USE_MOCKS = false;
 
+// Call API (use mock or real based on flag)
+const predictImage = USE_MOCKS
+  ? mocks.uploadImageAndPredict
+  : uploadImageAndPredict;
+const fetchImage = USE_MOCKS
+  ? mocks.fetchImageFromUrl
+  : fetchImageFromUrl;
+
+// Simultaneous face classifications for group photos
+const MULTI_FACE_CONCURRENCY = 3;
+
+// Simultaneous variant classifications during a stress test
+const STRESS_TEST_CONCURRENCY = 2;
+
+// Inference engine choices shown in the selector
+const INFERENCE_MODE_OPTIONS = [
+  { value: INFERENCE_MODES.AUTO, label: 'Auto: server, in-browser model if the server is down' },
+  { value: INFERENCE_MODES.SERVER, label: 'Server only' },
+  { value: INFERENCE_MODES.BROWSER, label: 'In-browser model only (offline)' },
+];
+
+// What the upload form accepts
+const MEDIA_MODES = [
+  { value: 'image', label: '🖼️ Image' },
+  { value: 'video', label: '🎞️ Video' },
+];
+
 function ClassifyView() {
+  // Image or video screening
+  const [mediaMode, setMediaMode] = useState('image');
+
   // State management
   const [isLoading, setIsLoading] = useState(false);
   const [result, setResult] = useState(null);
   const [previewUrl, setPreviewUrl] = useState(null);
   const [error, setError] = useState(null);
+  const [uploadProgress, setUploadProgress] = useState(null);
+
+  // Original upload (before face cropping) for the metadata and forensics panels
+  const [sourceFile, setSourceFile] = useState(null);
+
+  // The file the model actually saw, which feedback is recorded against
+  const [classifiedFile, setClassifiedFile] = useState(null);
+
+  // ELA settings shown in the forensics panel (null until it is opened), for the report
+  const [forensicsSettings, setForensicsSettings] = useState(null);
+
+  // C2PA manifest read by the upload form, compared against the prediction
+  const [contentCredentials, setContentCredentials] = useState(null);
+
+  // Persisted inference engine preference
+  const [inferenceMode, setInferenceModeState] = useState(getInferenceMode);
+
+  // Server models (null while loading) and the persisted choice ('' = server default)
+  const [models, setModels] = useState(null);
+  const [modelsError, setModelsError] = useState(null);
+  const [selectedModelId, setSelectedModelIdState] = useState(getSelectedModelId);
+
+  // Group photo analysis: { imageSize, faces: [{ box, status, cropUrl, result, error }] }
+  const [multiFace, setMultiFace] = useState(null);
+
+  // Stress test: toggle, plus { variants: [{ ...STRESS_VARIANTS entry, status, result, error }] }
+  const [stressMode, setStressMode] = useState(false);
+  const [stressTest, setStressTest] = useState(null);
+
+  // Controller for the in-flight single-image request
+  const abortControllerRef = useRef(null);
+
+  // Abort any in-flight request when navigating away
+  useEffect(() => {
+    return () => abortControllerRef.current?.abort();
+  }, []);
+
+  // Load the models the backend can serve
+  useEffect(() => {
+    const controller = new AbortController();
+    const fetchModels = USE_MOCKS ? mocks.getModels : getModels;
+
+    fetchModels({ signal: controller.signal })
+      .then((response) => setModels(response.models || []))
+      .catch((err) => {
+        if (isCancelledError(err)) return;
+        console.error('Model list error:', err);
+        setModels([]);
+        setModelsError(err.message || 'Could not load the model list.');
+      });
+
+    return () => controller.abort();
+  }, []);
+
+  // Prediction options for the selected model (unknown ids use the server default)
+  const modelOptions = useMemo(() => {
+    if (!models || !selectedModelId) return {};
+    if (selectedModelId === ENSEMBLE_MODEL.id) {
+      return models.length > 1 ? { model: ENSEMBLE_MODEL, ensembleModels: models } : {};
+    }
+    const model = models.find((candidate) => candidate.id === selectedModelId);
+    return model ? { model } : {};
+  }, [models, selectedModelId]);
+
+  /**
+   * Classifies an image and records the result in the local history.
+   * History failures (e.g. private browsing) never block the result.
+   * `options.originalFile` is the upload the image was converted or cropped from.
+   */
+  const classifyAndRecord = useCallback(async (imageFile, { originalFile = imageFile, ...options } = {}) => {
+    const response = await predictImage(imageFile, { ...modelOptions, ...options });
+    saveClassification(imageFile, response, originalFile).catch((err) => {
+      console.warn('Could not save classification to history:', err);
+    });
+    return response;
+  }, [modelOptions]);
+
+  // Batch queue state (multi-file uploads)
+  const batch = useBatchClassifier(classifyAndRecord);
+
+  // Video screening state (frames are not recorded in the history)
+  const predictWithModel = useCallback(
+    (imageFile, options) => predictImage(imageFile, { ...modelOptions, ...options }),
+    [modelOptions]
+  );
+  const videoScreening = useVideoScreening(predictWithModel);
+  const videoFrames = videoScreening.analysis?.frames ?? [];
+  const videoProgress = videoScreening.analysis && {
+    done: videoFrames.filter((frame) => frame.status === BATCH_STATUS.DONE || frame.status === BATCH_STATUS.FAILED).length,
+    total: videoFrames.length,
+  };
 
   /**
    * Handles image submission for classification
-   * @param {File} imageFile - The uploaded image file
+   * @param {File} imageFile - The image sent to the model (possibly a face crop)
+   * @param {Object} [options]
+   * @param {File} [options.originalFile] - The file as uploaded, before cropping
+   * @param {Object|null} [options.contentCredentials] - Its C2PA manifest, if any
    */
-  const handleSubmit = async (imageFile) => {
+  const handleSubmit = async (imageFile, { originalFile = imageFile, contentCredentials = null } = {}) => {
+    if (stressMode) {
+      return handleStressTest(imageFile);
+    }
+
     // Reset previous state
-    setError(null);
-    setResult(null);
+    handleReset();
     setIsLoading(true);
+    setUploadProgress(0);
+
+    // New controller per request so Cancel only affects this one
+    const controller = new AbortController();
+    abortControllerRef.current = controller;
     
     // Create preview URL for the image
     const url = URL.createObjectURL(imageFile);
     setPreviewUrl(url);
 
     try {
-      // Call API (use mock or real based on flag)
-      const apiFunction = USE_MOCKS 
-        ? mocks.uploadImageAndPredict 
-        : uploadImageAndPredict;
-      
-      const response = await apiFunction(imageFile);
+      const response = await classifyAndRecord(imageFile, {
+        originalFile,
+        signal: controller.signal,
+        onUploadProgress: ({ percent }) => setUploadProgress(percent),
+      });
       
       // Set the result
       setResult(response);
+      setClassifiedFile(imageFile);
+      setSourceFile(originalFile);
+      setContentCredentials(contentCredentials);
     } catch (err) {
-      // Handle error
-      console.error('Classification error:', err);
-      setError(err.message || 'Failed to classify image. Please try again.');
+      // Handle error (cancellation is user-initiated, so no error message)
+      if (!isCancelledError(err)) {
+        console.error('Classification error:', err);
+        setError(err.message || 'Failed to classify image. Please try again.');
+      }
       
       // Clean up preview URL on error
       if (url) {
@@ -67,22 +256,187 @@ function ClassifyView() {
         setPreviewUrl(null);
       }
     } finally {
+      if (abortControllerRef.current === controller) {
+        abortControllerRef.current = null;
+      }
       setIsLoading(false);
+      setUploadProgress(null);
     }
   };
 
+  /**
+   * Classifies every detected face of a group photo separately
+   * @param {File} imageFile - The uploaded group photo
+   * @param {Array<{x: number, y: number, width: number, height: number}>} faces - Detected faces
+   * @param {{width: number, height: number}} imageSize - Image dimensions
+   * @param {Object} [options]
+   * @param {File} [options.originalFile] - The file as uploaded, before format conversion
+   */
+  const handleMultiFaceSubmit = async (imageFile, faces, imageSize, { originalFile = imageFile } = {}) => {
+    // Reset previous state
+    handleReset();
+    setIsLoading(true);
+
+    const controller = new AbortController();
+    abortControllerRef.current = controller;
+
+    setPreviewUrl(URL.createObjectURL(imageFile));
+    setMultiFace({
+      imageSize,
+      faces: faces.map((box) => ({
+        box,
+        status: BATCH_STATUS.PENDING,
+        cropUrl: null,
+        result: null,
+        error: null,
+      })),
+    });
+
+    const updateFace = (index, patch) => {
+      setMultiFace((prev) => prev && {
+        ...prev,
+        faces: prev.faces.map((face, i) => (i === index ? { ...face, ...patch } : face)),
+      });
+    };
+
+    try {
+      await mapWithConcurrency(faces, MULTI_FACE_CONCURRENCY, async (face, index) => {
+        try {
+          const cropFile = await cropImageFile(imageFile, proposeFaceCrop(face, imageSize), `face-${index + 1}`);
+          updateFace(index, { status: BATCH_STATUS.UPLOADING, cropUrl: URL.createObjectURL(cropFile) });
+
+          const response = await classifyAndRecord(cropFile, { originalFile, signal: controller.signal });
+          updateFace(index, { status: BATCH_STATUS.DONE, result: response, file: cropFile });
+        } catch (err) {
+          if (!isCancelledError(err)) console.error(`Face #${index + 1} classification error:`, err);
+          updateFace(index, {
+            status: BATCH_STATUS.FAILED,
+            error: isCancelledError(err) ? 'Cancelled' : err.message || 'Failed to classify this face.',
+          });
+        }
+      });
+    } finally {
+      if (abortControllerRef.current === controller) {
+        abortControllerRef.current = null;
+      }
+      setIsLoading(false);
+    }
+  };
+
+  /**
+   * Classifies perturbed variants of an image to check how stable the verdict is
+   * @param {File} imageFile - The image sent to the model (possibly a face crop)
+   */
+  const handleStressTest = async (imageFile) => {
+    // Reset previous state
+    handleReset();
+    setIsLoading(true);
+
+    const controller = new AbortController();
+    abortControllerRef.current = controller;
+
+    setPreviewUrl(URL.createObjectURL(imageFile));
+    setStressTest({
+      variants: STRESS_VARIANTS.map((variant) => ({
+        ...variant,
+        status: BATCH_STATUS.PENDING,
+        result: null,
+        error: null,
+      })),
+    });
+
+    const updateVariant = (index, patch) => {
+      setStressTest((prev) => prev && {
+        ...prev,
+        variants: prev.variants.map((variant, i) => (i === index ? { ...variant, ...patch } : variant)),
+      });
+    };
+
+    try {
+      const reference = await createReferenceCanvas(imageFile);
+      const baseName = imageFile.name.replace(/\.[^.]+$/, '') || 'image';
+
+      await mapWithConcurrency(STRESS_VARIANTS, STRESS_TEST_CONCURRENCY, async (variant, index) => {
+        try {
+          const variantFile = await createVariantFile(reference, variant, baseName);
+          updateVariant(index, { status: BATCH_STATUS.UPLOADING });
+
+          const response = await predictImage(variantFile, { ...modelOptions, signal: controller.signal });
+          updateVariant(index, { status: BATCH_STATUS.DONE, result: response });
+        } catch (err) {
+          if (!isCancelledError(err)) console.error(`Stress test (${variant.label}) error:`, err);
+          updateVariant(index, {
+            status: BATCH_STATUS.FAILED,
+            error: isCancelledError(err) ? 'Cancelled' : err.message || 'Failed to classify this variant.',
+          });
+        }
+      });
+    } catch (err) {
+      console.error('Stress test error:', err);
+      setStressTest(null);
+      setError(err.message || 'Could not prepare the stress test variants.');
+    } finally {
+      if (abortControllerRef.current === controller) {
+        abortControllerRef.current = null;
+      }
+      setIsLoading(false);
+    }
+  };
+
+  /**
+   * Switches between image and video screening, clearing the other's results
+   */
+  const handleMediaModeChange = (mode) => {
+    handleReset();
+    videoScreening.reset();
+    setMediaMode(mode);
+  };
+
+  /**
+   * Changes (and persists) where predictions run
+   */
+  const handleInferenceModeChange = (event) => {
+    setInferenceMode(event.target.value);
+    setInferenceModeState(event.target.value);
+  };
+
+  /**
+   * Changes (and persists) which server model answers
+   */
+  const handleModelChange = (event) => {
+    setSelectedModelId(event.target.value);
+    setSelectedModelIdState(event.target.value);
+  };
+
+  /**
+   * Cancels the in-flight classification request
+   */
+  const handleCancel = () => {
+    abortControllerRef.current?.abort();
+  };
+
   /**
    * Resets the view for a new classification
    */
   const handleReset = () => {
     setResult(null);
+    setClassifiedFile(null);
+    setSourceFile(null);
+    setForensicsSettings(null);
+    setContentCredentials(null);
     setError(null);
+    multiFace?.faces.forEach((face) => face.cropUrl && URL.revokeObjectURL(face.cropUrl));
+    setMultiFace(null);
+    setStressTest(null);
     if (previewUrl) {
       URL.revokeObjectURL(previewUrl);
       setPreviewUrl(null);
     }
   };
 
+  const defaultModel = models?.find((model) => model.default);
+  const hasResults = Boolean(result || multiFace || stressTest || videoScreening.analysis || videoScreening.error);
+
   return (
     <div className="animate-fade-in">
       {/* Page Header */}
@@ -93,13 +447,118 @@ function ClassifyView() {
 
       <Row className="g-4">
         {/* Upload Column */}
-        <Col lg={result ? 6 : 8} className="mx-auto">
+        <Col lg={hasResults ? 6 : 8} className="mx-auto">
           <div className="custom-card p-4">
-            <h2 className="h5 mb-3">Upload Image</h2>
-            <ImageUploadForm 
-              onSubmit={handleSubmit} 
-              isLoading={isLoading}
-            />
+            <div className="d-flex justify-content-between align-items-center mb-3 gap-2">
+              <h2 className="h5 mb-0">{mediaMode === 'video' ? 'Upload Video' : 'Upload Image'}</h2>
+              <ButtonGroup size="sm" aria-label="Media type">
+                {MEDIA_MODES.map((mode) => (
+                  <Button
+                    key={mode.value}
+                    variant={mediaMode === mode.value ? 'primary' : 'outline-secondary'}
+                    onClick={() => handleMediaModeChange(mode.value)}
+                    disabled={isLoading || videoScreening.isRunning}
+                  >
+                    {mode.label}
+                  </Button>
+                ))}
+              </ButtonGroup>
+            </div>
+            {mediaMode === 'video' ? (
+              <VideoUploadForm
+                onSubmit={videoScreening.start}
+                onCancel={videoScreening.cancel}
+                isLoading={videoScreening.isRunning}
+                progress={videoProgress}
+              />
+            ) : (
+              <ImageUploadForm 
+                onSubmit={handleSubmit} 
+                onBatchSubmit={batch.enqueue}
+                onMultiFaceSubmit={handleMultiFaceSubmit}
+                multiFaceDisabledReason={stressMode
+                  ? 'Classify All Faces is unavailable in stress test mode: perturbations run on one image at a time. Classify a single face, or turn the stress test off.'
+                  : null}
+                onCancel={handleCancel}
+                onFetchUrl={fetchImage}
+                enablePaste
+                isLoading={isLoading}
+                uploadProgress={uploadProgress}
+              />
+            )}
+
+            {/* Inference engine selector */}
+            <Form.Group className="mt-3">
+              <Form.Label htmlFor="inference-mode" style={{ fontSize: '0.8125rem' }}>
+                Inference engine
+              </Form.Label>
+              <Form.Select
+                id="inference-mode"
+                size="sm"
+                value={inferenceMode}
+                onChange={handleInferenceModeChange}
+                disabled={isLoading || videoScreening.isRunning || USE_MOCKS}
+              >
+                {INFERENCE_MODE_OPTIONS.map((option) => (
+                  <option key={option.value} value={option.value}>{option.label}</option>
+                ))}
+              </Form.Select>
+            </Form.Group>
+
+            {/* Model selector */}
+            <Form.Group className="mt-3">
+              <Form.Label htmlFor="model-select" style={{ fontSize: '0.8125rem' }}>
+                Model
+              </Form.Label>
+              <Form.Select
+                id="model-select"
+                size="sm"
+                value={modelOptions.model ? selectedModelId : ''}
+                onChange={handleModelChange}
+                disabled={isLoading || videoScreening.isRunning || !models || inferenceMode === INFERENCE_MODES.BROWSER}
+              >
+                <option value="">
+                  Server default{defaultModel ? ` (${defaultModel.name})` : ''}
+                </option>
+                {models?.map((model) => (
+                  <option key={model.id} value={model.id}>
+                    {model.name}{model.description ? ` – ${model.description}` : ''}
+                  </option>
+                ))}
+                {models?.length > 1 && (
+                  <option value={ENSEMBLE_MODEL.id}>{ENSEMBLE_MODEL.name}: combine every model</option>
+                )}
+              </Form.Select>
+              {inferenceMode === INFERENCE_MODES.BROWSER && (
+                <Form.Text style={{ color: 'var(--color-text-muted)' }}>
+                  The in-browser engine always runs {LOCAL_MODEL.name}.
+                </Form.Text>
+              )}
+              {modelsError && inferenceMode !== INFERENCE_MODES.BROWSER && (
+                <Form.Text style={{ color: 'var(--color-accent-warning)' }}>
+                  {modelsError} The server default model is used.
+                </Form.Text>
+              )}
+            </Form.Group>
+
+            {/* Decision threshold (relabels results live) */}
+            <div className="mt-3">
+              <DecisionThresholdControl />
+            </div>
+
+            {/* Stress test toggle */}
+            {mediaMode === 'image' && (
+              <Form.Check
+                type="switch"
+                id="stress-test-mode"
+                className="mt-3"
+                label="Stress test: classify perturbed copies (JPEG, resize, blur, crop, flip, noise)"
+                checked={stressMode}
+                onChange={(event) => setStressMode(event.target.checked)}
+                disabled={isLoading}
+                style={{ fontSize: '0.8125rem' }}
+              />
+            )}
             
             {/* Development mode indicator */}
             {USE_MOCKS && (
@@ -114,7 +573,7 @@ function ClassifyView() {
         </Col>
 
         {/* Results Column - only shown when there's a result */}
-        {(result || error) && (
+        {(hasResults || error) && (
           <Col lg={6}>
             {/* Error Alert */}
             {error && (
@@ -135,7 +594,18 @@ function ClassifyView() {
                 <PredictionResult 
                   result={result} 
                   imageUrl={previewUrl}
+                  contentCredentials={contentCredentials}
+                  imageFile={classifiedFile}
+                  originalFile={sourceFile}
+                  forensics={sourceFile && forensicsSettings && { file: sourceFile, ela: forensicsSettings }}
                 />
+
+                {sourceFile && (
+                  <>
+                    <MetadataInspector file={sourceFile} />
+                    <ForensicsPanel file={sourceFile} onSettingsChange={setForensicsSettings} />
+                  </>
+                )}
                 
                 {/* Try Another Button */}
                 <button
@@ -146,10 +616,83 @@ function ClassifyView() {
                 </button>
               </div>
             )}
+
+            {/* Group photo result */}
+            {multiFace && previewUrl && (
+              <div className="animate-fade-in">
+                <MultiFaceResult
+                  imageUrl={previewUrl}
+                  imageSize={multiFace.imageSize}
+                  faces={multiFace.faces}
+                />
+
+                <button
+                  onClick={handleReset}
+                  className="btn btn-outline-secondary w-100 mt-3"
+                  disabled={isLoading}
+                >
+                  Classify Another Image
+                </button>
+              </div>
+            )}
+
+            {/* Video screening */}
+            {videoScreening.error && (
+              <Alert
+                variant="danger"
+                dismissible
+                onClose={videoScreening.reset}
+                className="animate-fade-in"
+              >
+                <Alert.Heading>Video Screening Failed</Alert.Heading>
+                <p className="mb-0">{videoScreening.error}</p>
+              </Alert>
+            )}
+            {videoScreening.analysis && (
+              <div className="animate-fade-in">
+                <VideoResult analysis={videoScreening.analysis} />
+
+                <button
+                  onClick={videoScreening.reset}
+                  className="btn btn-outline-secondary w-100 mt-3"
+                  disabled={videoScreening.isRunning}
+                >
+                  Screen Another Video
+                </button>
+              </div>
+            )}
+
+            {/* Stress test report */}
+            {stressTest && (
+              <div className="animate-fade-in">
+                <StressTestReport variants={stressTest.variants} />
+
+                <button
+                  onClick={handleReset}
+                  className="btn btn-outline-secondary w-100 mt-3"
+                  disabled={isLoading}
+                >
+                  Classify Another Image
+                </button>
+              </div>
+            )}
           </Col>
         )}
       </Row>
 
+      {/* Batch Queue - only shown once several images were submitted */}
+      {batch.items.length > 0 && (
+        <div className="mt-4 animate-fade-in">
+          <BatchQueue
+            items={batch.items}
+            onRetry={batch.retryItem}
+            onRetryFailed={batch.retryFailed}
+            onRemove={batch.removeItem}
+            onClear={batch.clear}
+          />
+        </div>
+      )}
+
       {/* Usage Tips */}
       <div 
         className="mt-5 p-4 custom-card"
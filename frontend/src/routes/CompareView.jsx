@@ -0,0 +1,330 @@
+/**
+ * CompareView
+ *
+ * Purpose: Side-by-side comparison of two images, e.g. a suspected original
+ * and a suspected synthetic version of the same person.
+ *
+ * Flow:
+ * 1. User uploads image A and image B (each via its own ImageUploadForm)
+ * 2. Each image is classified as soon as it is submitted
+ * 3. Both results, the difference in AI-generated probability and a
+ *    synchronized zoom/pan viewer are shown once available
+ *
+ * Aligned images (same framing, possibly different resolution) can also be
+ * shown as a pixel-difference view. The viewer and the difference use the
+ * original uploads, not the face crops sent to the model.
+ * Every successful result is saved to the local history (/history).
+ */
+
+import { useState, useRef, useEffect } from 'react';
+import Row from 'react-bootstrap/Row';
+import Col from 'react-bootstrap/Col';
+import Card from 'react-bootstrap/Card';
+import Alert from 'react-bootstrap/Alert';
+import Form from 'react-bootstrap/Form';
+import Spinner from 'react-bootstrap/Spinner';
+
+// Components
+import ImageUploadForm from '../components/ImageUploadForm';
+import PredictionResult from '../components/PredictionResult';
+import SyncedImageViewer from '../components/SyncedImageViewer';
+
+// API service
+import { uploadImageAndPredict, fetchImageFromUrl, isCancelledError, mocks } from '../services/api';
+import { saveClassification } from '../services/history';
+
+// Hooks
+import useDecisionThreshold from '../hooks/useDecisionThreshold';
+
+// Helpers
+import { isRealPrediction, toConfidencePercent, toFakeProbability, applyThreshold, describeThreshold } from '../utils/prediction';
+import { computePixelDifference } from '../utils/forensics';
+
+// Set to true to use mock API during development without backend
+const USE_MOCKS = false;
+
+const fetchImage = USE_MOCKS ? mocks.fetchImageFromUrl : fetchImageFromUrl;
+
+// The two upload slots
+const SLOTS = [
+  { id: 'a', title: 'Image A', hint: 'e.g. the suspected original' },
+  { id: 'b', title: 'Image B', hint: 'e.g. the suspected synthetic version' },
+];
+
+const EMPTY_SLOT = {
+  isLoading: false,
+  uploadProgress: null,
+  result: null,
+  error: null,
+  file: null,
+  classifiedFile: null,
+  previewUrl: null,
+};
+
+function CompareView() {
+  // Per-slot state: { a: EMPTY_SLOT, b: EMPTY_SLOT }
+  const [slots, setSlots] = useState({ a: EMPTY_SLOT, b: EMPTY_SLOT });
+
+  // Pixel difference of the two originals: { first, second, data, error }
+  const [showDifference, setShowDifference] = useState(false);
+  const [difference, setDifference] = useState(null);
+
+  // Shared decision threshold on P(AI-generated)
+  const [threshold] = useDecisionThreshold();
+
+  // Controllers for in-flight requests, keyed by slot id
+  const abortControllersRef = useRef({});
+
+  // Abort any in-flight request when navigating away
+  useEffect(() => {
+    const controllers = abortControllersRef.current;
+    return () => Object.values(controllers).forEach((controller) => controller.abort());
+  }, []);
+
+  const updateSlot = (id, patch) => {
+    setSlots((prev) => ({ ...prev, [id]: { ...prev[id], ...patch } }));
+  };
+
+  const fileA = slots.a.file;
+  const fileB = slots.b.file;
+
+  // Compute the pixel difference once both originals are known
+  useEffect(() => {
+    if (!showDifference || !fileA || !fileB) return undefined;
+    let cancelled = false;
+
+    computePixelDifference(fileA, fileB)
+      .then((data) => {
+        if (!cancelled) setDifference({ first: fileA, second: fileB, data, error: null });
+      })
+      .catch((err) => {
+        if (cancelled) return;
+        console.error('Pixel difference error:', err);
+        setDifference({ first: fileA, second: fileB, data: null, error: err.message || 'Could not compare the pixels.' });
+      });
+
+    return () => { cancelled = true; };
+  }, [showDifference, fileA, fileB]);
+
+  // Ignore a difference computed for previously uploaded images
+  const currentDifference = difference?.first === fileA && difference?.second === fileB ? difference : null;
+
+  /**
+   * Classifies the image of one slot
+   * @param {string} id - Slot id ('a' or 'b')
+   * @param {File} imageFile - The image sent to the model (possibly a face crop)
+   * @param {Object} [options]
+   * @param {File} [options.originalFile] - The file as uploaded, shown in the viewer
+   */
+  const handleSubmit = async (id, imageFile, { originalFile = imageFile } = {}) => {
+    // Replace whatever this slot held before
+    abortControllersRef.current[id]?.abort();
+    if (slots[id].previewUrl) URL.revokeObjectURL(slots[id].previewUrl);
+    updateSlot(id, { ...EMPTY_SLOT, isLoading: true, uploadProgress: 0 });
+
+    const controller = new AbortController();
+    abortControllersRef.current[id] = controller;
+
+    try {
+      // Call API (use mock or real based on flag)
+      const apiFunction = USE_MOCKS
+        ? mocks.uploadImageAndPredict
+        : uploadImageAndPredict;
+
+      const response = await apiFunction(imageFile, {
+        signal: controller.signal,
+        onUploadProgress: ({ percent }) => updateSlot(id, { uploadProgress: percent }),
+      });
+      saveClassification(imageFile, response, originalFile).catch((err) => {
+        console.warn('Could not save classification to history:', err);
+      });
+
+      updateSlot(id, {
+        result: response,
+        file: originalFile,
+        classifiedFile: imageFile,
+        previewUrl: URL.createObjectURL(originalFile),
+      });
+    } catch (err) {
+      // Handle error (cancellation is user-initiated, so no error message)
+      if (!isCancelledError(err)) {
+        console.error('Classification error:', err);
+        updateSlot(id, { error: err.message || 'Failed to classify image. Please try again.' });
+      }
+    } finally {
+      if (abortControllersRef.current[id] === controller) {
+        delete abortControllersRef.current[id];
+        updateSlot(id, { isLoading: false, uploadProgress: null });
+      }
+    }
+  };
+
+  // Verdicts follow the user's decision threshold
+  const resultA = slots.a.result && applyThreshold(slots.a.result, threshold);
+  const resultB = slots.b.result && applyThreshold(slots.b.result, threshold);
+  const probabilityA = resultA && toFakeProbability(resultA);
+  const probabilityB = resultB && toFakeProbability(resultB);
+  const probabilityShift = resultA && resultB ? probabilityB - probabilityA : null;
+  const sameVerdict = resultA && resultB
+    && isRealPrediction(resultA.prediction) === isRealPrediction(resultB.prediction);
+
+  // Viewer panes: every classified original, plus the difference when enabled
+  const panes = SLOTS
+    .filter((slot) => slots[slot.id].previewUrl)
+    .map((slot) => ({ key: slot.id, src: slots[slot.id].previewUrl, label: `${slot.title}: ${slots[slot.id].file.name}` }));
+  if (showDifference && currentDifference?.data) {
+    panes.push({ key: 'difference', src: currentDifference.data.imageSrc, label: 'Pixel difference' });
+  }
+
+  return (
+    <div className="animate-fade-in">
+      {/* Page Header */}
+      <div className="page-header">
+        <h1>Compare Images</h1>
+        <p>Classify two images side by side, e.g. a suspected original and a suspected synthetic version</p>
+      </div>
+
+      {/* Upload Columns */}
+      <Row className="g-4">
+        {SLOTS.map((slot) => (
+          <Col md={6} key={slot.id}>
+            <div className="custom-card p-4 h-100">
+              <h2 className="h5 mb-1">{slot.title}</h2>
+              <p className="mb-3" style={{ fontSize: '0.8125rem', color: 'var(--color-text-muted)' }}>{slot.hint}</p>
+              <ImageUploadForm
+                onSubmit={(file, options) => handleSubmit(slot.id, file, options)}
+                onCancel={() => abortControllersRef.current[slot.id]?.abort()}
+                onFetchUrl={fetchImage}
+                isLoading={slots[slot.id].isLoading}
+                uploadProgress={slots[slot.id].uploadProgress}
+              />
+              {slots[slot.id].error && (
+                <Alert variant="danger" className="mt-3 mb-0 animate-fade-in">
+                  <Alert.Heading className="h6">Classification Failed</Alert.Heading>
+                  <p className="mb-0">{slots[slot.id].error}</p>
+                </Alert>
+              )}
+            </div>
+          </Col>
+        ))}
+      </Row>
+
+      {/* Results */}
+      {(resultA || resultB) && (
+        <Row className="g-4 mt-1 animate-fade-in">
+          {SLOTS.map((slot) => (
+            <Col md={6} key={slot.id}>
+              {slots[slot.id].result ? (
+                <PredictionResult
+                  result={slots[slot.id].result}
+                  title={`${slot.title}: ${slots[slot.id].file.name}`}
+                  imageFile={slots[slot.id].classifiedFile}
+                  compact
+                />
+              ) : (
+                <div className="custom-card p-4 h-100 d-flex align-items-center justify-content-center">
+                  <p className="mb-0" style={{ color: 'var(--color-text-muted)' }}>
+                    {slots[slot.id].isLoading ? 'Analyzing...' : `Upload ${slot.title} to compare.`}
+                  </p>
+                </div>
+              )}
+            </Col>
+          ))}
+        </Row>
+      )}
+
+      {/* Confidence difference */}
+      {resultA && resultB && (
+        <Card className="custom-card mt-4 animate-fade-in">
+          <Card.Body className="p-4">
+            <Row className="text-center g-3">
+              <Col xs={4}>
+                <div className="metric-value" style={{ color: 'var(--color-accent-primary)' }}>{probabilityA.toFixed(1)}%</div>
+                <div className="metric-label">Image A: AI-generated</div>
+              </Col>
+              <Col xs={4}>
+                <div className="metric-value" style={{ color: 'var(--color-accent-primary)' }}>{probabilityB.toFixed(1)}%</div>
+                <div className="metric-label">Image B: AI-generated</div>
+              </Col>
+              <Col xs={4}>
+                <div
+                  className="metric-value"
+                  style={{ color: sameVerdict ? 'var(--color-text-secondary)' : 'var(--color-accent-warning)' }}
+                >
+                  {probabilityShift > 0 ? '+' : ''}{probabilityShift.toFixed(1)}
+                </div>
+                <div className="metric-label">Difference (B − A, points)</div>
+              </Col>
+            </Row>
+            <p className="mt-3 mb-0 text-center" style={{ fontSize: '0.875rem', color: 'var(--color-text-secondary)' }}>
+              {sameVerdict
+                ? `Both images are classified ${isRealPrediction(resultA.prediction) ? 'Real' : 'AI-Generated'}`
+                : 'The model gives the two images different verdicts'}
+              {' '}(confidence {toConfidencePercent(resultA.confidence).toFixed(1)}% vs.{' '}
+              {toConfidencePercent(resultB.confidence).toFixed(1)}%) at threshold {describeThreshold(threshold)}.
+            </p>
+          </Card.Body>
+        </Card>
+      )}
+
+      {/* Synchronized viewer */}
+      {panes.length > 0 && (
+        <Card className="custom-card mt-4 animate-fade-in">
+          <Card.Body className="p-4">
+            <div className="d-flex justify-content-between align-items-center flex-wrap gap-2 mb-3">
+              <h3 className="h5 mb-0">Side by Side</h3>
+              <Form.Check
+                type="switch"
+                id="compare-pixel-difference"
+                label="Show pixel difference (aligned images)"
+                checked={showDifference}
+                onChange={(event) => setShowDifference(event.target.checked)}
+                disabled={!fileA || !fileB}
+                style={{ fontSize: '0.8125rem' }}
+              />
+            </div>
+
+            <SyncedImageViewer panes={panes} />
+
+            {/* Pixel difference summary */}
+            {showDifference && fileA && fileB && (
+              <div className="mt-3" style={{ fontSize: '0.8125rem' }}>
+                {!currentDifference && (
+                  <p className="mb-0" style={{ color: 'var(--color-text-muted)' }}>
+                    <Spinner animation="border" size="sm" className="me-2" />
+                    Comparing pixels...
+                  </p>
+                )}
+                {currentDifference?.error && (
+                  <p className="mb-0" style={{ color: 'var(--color-accent-warning)' }}>{currentDifference.error}</p>
+                )}
+                {currentDifference?.data && (
+                  <p className="mb-0" style={{ color: 'var(--color-text-secondary)' }}>
+                    Mean difference <span className="mono">{currentDifference.data.meanDifference.toFixed(2)}</span> / 255,{' '}
+                    <span className="mono">{(currentDifference.data.changedRatio * 100).toFixed(1)}%</span> of pixels changed noticeably.
+                    {currentDifference.data.resized && ' Image B was rescaled to the size of image A.'}
+                    <span className="d-block" style={{ color: 'var(--color-text-muted)' }}>
+                      Bright areas differ most. Re-compression alone produces faint, evenly spread noise.
+                    </span>
+                  </p>
+                )}
+              </div>
+            )}
+          </Card.Body>
+        </Card>
+      )}
+
+      {/* Development mode indicator */}
+      {USE_MOCKS && (
+        <Alert variant="info" className="mt-4 mb-0">
+          <small>
+            <strong>Dev Mode:</strong> Using mock API responses.
+            Set <code>USE_MOCKS = false</code> in CompareView.jsx to use the real backend.
+          </small>
+        </Alert>
+      )}
+    </div>
+  );
+}
+
+export default CompareView;
@@ -5,12 +5,20 @@
  * Provides a chat interface and summary generation functionality.
  * 
  * Features:
- * - Chat conversation with AI assistant
+ * - Chat conversation with AI assistant, streamed as it is generated (with Stop)
  * - Summary generation for results
- * - Conversation history management
+ * - Saved conversations (IndexedDB): they survive navigation and reloads,
+ *   with a sidebar to switch, search, rename and delete them, and Markdown /
+ *   JSON export
+ * - Classification hand-off: "Ask the assistant about this result" opens this
+ *   view with the result in the router state (`chatContext`); it is pinned to
+ *   the conversation it starts and sent with every request of it
+ * - Image attachments: classified first (uploadImageAndPredict, with the
+ *   user's decision threshold), then sent with the question - reference,
+ *   thumbnail and verdict - as the message's `attachment`
  */
 
-import { useState } from 'react';
+import { useState, useRef, useEffect } from 'react';
 import Row from 'react-bootstrap/Row';
 import Col from 'react-bootstrap/Col';
 import Card from 'react-bootstrap/Card';
@@ -18,12 +26,33 @@ import Button from 'react-bootstrap/Button';
 import Form from 'react-bootstrap/Form';
 import Alert from 'react-bootstrap/Alert';
 import Spinner from 'react-bootstrap/Spinner';
+import { useLocation, useNavigate } from 'react-router-dom';
 
 // Components
 import GenAIChat from '../components/GenAIChat';
+import ConversationList from '../components/ConversationList';
+import ChatContextCard from '../components/ChatContextCard';
+
+// Hooks
+import useDecisionThreshold from '../hooks/useDecisionThreshold';
 
 // API service
-import { sendChatMessage, summarizeText, mocks } from '../services/api';
+import { streamChatMessage, summarizeText, uploadImageAndPredict, isCancelledError, mocks } from '../services/api';
+
+// Services & helpers
+import {
+  listConversations,
+  createConversation,
+  saveConversationMessages,
+  renameConversation,
+  deleteConversation,
+  formatConversationMarkdown,
+  formatConversationJson,
+  conversationFileName,
+} from '../services/conversations';
+import { downloadFile } from '../utils/download';
+import { suggestContextQuestions, createImageAttachment, withAttachmentClassification } from '../utils/chatContext';
+import { applyThreshold } from '../utils/prediction';
 
 // Set to true to use mock API during development without backend
 const USE_MOCKS = false;
@@ -33,6 +62,19 @@ function GenAIView() {
   const [messages, setMessages] = useState([]);
   const [isChatLoading, setIsChatLoading] = useState(false);
   const [chatError, setChatError] = useState(null);
+  const chatControllerRef = useRef(null);
+  const [threshold] = useDecisionThreshold();
+
+  // Saved conversations; the open one is null until its first message is saved
+  const [conversations, setConversations] = useState([]);
+  const [activeConversation, setActiveConversation] = useState(null);
+
+  // Result handed over by "Ask the assistant about this result", attached to the next new conversation
+  const location = useLocation();
+  const navigate = useNavigate();
+  const [draftContext, setDraftContext] = useState(() => location.state?.chatContext ?? null);
+  const [reopenLatest] = useState(() => !location.state?.chatContext);
+  const chatContext = activeConversation ? activeConversation.context ?? null : draftContext;
 
   // Summary state
   const [summaryInput, setSummaryInput] = useState('');
@@ -40,36 +82,165 @@ function GenAIView() {
   const [isSummaryLoading, setIsSummaryLoading] = useState(false);
   const [summaryError, setSummaryError] = useState(null);
 
+  // Stop a reply that is still streaming when leaving the page
+  useEffect(() => () => chatControllerRef.current?.abort(), []);
+
+  // The hand-off is consumed once (a reload shouldn't attach it again)
+  useEffect(() => {
+    if (location.state?.chatContext) navigate(location.pathname, { replace: true, state: null });
+  }, [location, navigate]);
+
+  // Load saved conversations and reopen the most recent one (unless a result was handed over)
+  useEffect(() => {
+    let cancelled = false;
+
+    listConversations()
+      .then((saved) => {
+        if (cancelled) return;
+        setConversations(saved);
+        if (reopenLatest && saved.length > 0) {
+          setActiveConversation(saved[0]);
+          setMessages(saved[0].messages);
+        }
+      })
+      .catch((err) => {
+        if (cancelled) return;
+        console.error('Failed to load conversations:', err);
+        setChatError(err.message || 'Failed to load saved conversations.');
+      });
+
+    return () => { cancelled = true; };
+  }, [reopenLatest]);
+
+  /**
+   * Saves the messages of a conversation (creating it on the first message)
+   * A failed save is reported but doesn't interrupt the chat.
+   * @returns {Promise<object|null>} The saved record
+   */
+  const persistMessages = async (conversation, nextMessages) => {
+    try {
+      const saved = conversation
+        ? await saveConversationMessages(conversation, nextMessages)
+        : await createConversation(nextMessages, draftContext);
+      setConversations((prev) => [saved, ...prev.filter((existing) => existing.id !== saved.id)]);
+      setActiveConversation((current) => (current === conversation ? saved : current));
+      return saved;
+    } catch (err) {
+      console.error('Failed to save conversation:', err);
+      setChatError(`The conversation could not be saved: ${err.message || 'unknown error'}`);
+      return conversation;
+    }
+  };
+
+  /**
+   * Classifies an attached image
+   * A failed classification is recorded on the attachment; the question is still sent.
+   * @returns {Promise<object>} The attachment with its classification or error
+   */
+  const classifyAttachment = async (attachment, imageFile, signal) => {
+    try {
+      const apiFunction = USE_MOCKS
+        ? mocks.uploadImageAndPredict
+        : uploadImageAndPredict;
+
+      const result = await apiFunction(imageFile, { signal });
+      return await withAttachmentClassification(attachment, applyThreshold(result, threshold));
+    } catch (err) {
+      if (isCancelledError(err)) return { ...attachment, error: 'classification stopped' };
+      console.error('Attachment classification error:', err);
+      return { ...attachment, error: err.message || 'classification failed' };
+    }
+  };
+
   /**
    * Handles sending a chat message
+   * An attached image is classified first. The reply is shown as it streams
+   * in; whatever arrived is kept when the user stops it or the stream fails midway.
    * @param {string} userMessage - The user's message
+   * @param {File} [imageFile] - Attached image, in an upload format
    */
-  const handleSendMessage = async (userMessage) => {
-    // Add user message to state immediately
-    const newUserMessage = { role: 'user', content: userMessage };
-    const updatedMessages = [...messages, newUserMessage];
-    setMessages(updatedMessages);
-    
+  const handleSendMessage = async (userMessage, imageFile = null) => {
     setChatError(null);
     setIsChatLoading(true);
 
+    const controller = new AbortController();
+    chatControllerRef.current = controller;
+
+    // Add user message to state immediately (with its image while it is classified)
+    let newUserMessage = { role: 'user', content: userMessage };
+    if (imageFile) {
+      const attachment = await createImageAttachment(imageFile);
+      setMessages([...messages, { ...newUserMessage, attachment, isClassifying: true }]);
+      newUserMessage = { ...newUserMessage, attachment: await classifyAttachment(attachment, imageFile, controller.signal) };
+    }
+    const updatedMessages = [...messages, newUserMessage];
+    setMessages(updatedMessages);
+
+    // Stopped while the image was classified: keep the question, don't ask
+    if (controller.signal.aborted) {
+      if (chatControllerRef.current === controller) {
+        chatControllerRef.current = null;
+        setIsChatLoading(false);
+      }
+      await persistMessages(activeConversation, updatedMessages);
+      return;
+    }
+
+    // The question is saved right away, the reply once it is complete (or stopped)
+    const savedConversation = persistMessages(activeConversation, updatedMessages);
+
+    let partialReply = '';
+    let finalMessages = null;
+    const showReply = (content, flags = {}) => {
+      setMessages([...updatedMessages, { role: 'assistant', content, ...flags }]);
+    };
+
     try {
       // Call API (use mock or real based on flag)
       const apiFunction = USE_MOCKS 
-        ? mocks.sendChatMessage 
-        : sendChatMessage;
+        ? mocks.streamChatMessage 
+        : streamChatMessage;
       
-      const response = await apiFunction(updatedMessages);
-      
-      // Add assistant response to messages
-      const assistantMessage = { role: 'assistant', content: response.reply };
-      setMessages([...updatedMessages, assistantMessage]);
+      // Only role, content and attachments are sent (not the display flags)
+      const history = updatedMessages.map(({ role, content, attachment }) => (
+        attachment ? { role, content, attachment } : { role, content }
+      ));
+      const response = await apiFunction(history, {
+        signal: controller.signal,
+        context: chatContext ?? undefined,
+        onToken: (token, reply) => {
+          partialReply = reply;
+          showReply(reply, { isStreaming: true });
+        },
+      });
+
+      if (!response.reply) throw new Error('The assistant sent an empty reply. Please try again.');
+      finalMessages = [...updatedMessages, { role: 'assistant', content: response.reply }];
+      showReply(response.reply);
     } catch (err) {
-      console.error('Chat error:', err);
-      setChatError(err.message || 'Failed to get response. Please try again.');
+      if (partialReply) {
+        finalMessages = [...updatedMessages, { role: 'assistant', content: partialReply, isStopped: true }];
+        showReply(partialReply, { isStopped: true });
+      }
+      if (!isCancelledError(err)) {
+        console.error('Chat error:', err);
+        setChatError(err.message || 'Failed to get response. Please try again.');
+      }
     } finally {
-      setIsChatLoading(false);
+      if (chatControllerRef.current === controller) {
+        chatControllerRef.current = null;
+        setIsChatLoading(false);
+      }
     }
+
+    if (finalMessages) await persistMessages(await savedConversation, finalMessages);
+  };
+
+  /**
+   * Stops the reply that is streaming
+   */
+  const handleStopChat = () => {
+    chatControllerRef.current?.abort();
   };
 
   /**
@@ -101,15 +272,67 @@ function GenAIView() {
   };
 
   /**
-   * Clears the chat history
+   * Opens a saved conversation
    */
-  const handleClearChat = () => {
+  const handleSelectConversation = (conversation) => {
+    setDraftContext(null);
+    setActiveConversation(conversation);
+    setMessages(conversation.messages);
+    setChatError(null);
+  };
+
+  /**
+   * Starts an empty conversation (saved with its first message)
+   */
+  const handleNewConversation = () => {
+    setDraftContext(null);
+    setActiveConversation(null);
     setMessages([]);
     setChatError(null);
   };
 
-  // Suggested questions for the chat
-  const suggestedQuestions = [
+  /**
+   * Renames a conversation
+   */
+  const handleRenameConversation = async (conversation, title) => {
+    try {
+      const renamed = await renameConversation(conversation, title);
+      setConversations((prev) => prev.map((existing) => (existing.id === renamed.id ? renamed : existing)));
+      setActiveConversation((current) => (current?.id === renamed.id ? renamed : current));
+    } catch (err) {
+      console.error('Failed to rename conversation:', err);
+      setChatError(err.message || 'Failed to rename the conversation.');
+    }
+  };
+
+  /**
+   * Deletes a conversation (the open one is replaced by an empty one)
+   */
+  const handleDeleteConversation = async (conversation) => {
+    try {
+      await deleteConversation(conversation.id);
+      setConversations((prev) => prev.filter((existing) => existing.id !== conversation.id));
+      if (activeConversation?.id === conversation.id) handleNewConversation();
+    } catch (err) {
+      console.error('Failed to delete conversation:', err);
+      setChatError(err.message || 'Failed to delete the conversation.');
+    }
+  };
+
+  /**
+   * Downloads the open conversation
+   * @param {'md' | 'json'} format
+   */
+  const handleExportConversation = (format) => {
+    if (format === 'md') {
+      downloadFile(formatConversationMarkdown(activeConversation), conversationFileName(activeConversation, 'md'), 'text/markdown');
+    } else {
+      downloadFile(formatConversationJson(activeConversation), conversationFileName(activeConversation, 'json'), 'application/json');
+    }
+  };
+
+  // Suggested questions for the chat (about the attached result when there is one)
+  const suggestedQuestions = chatContext ? suggestContextQuestions(chatContext) : [
     "How does the model detect AI-generated faces?",
     "What features distinguish real photos from fake ones?",
     "Why might the model have low confidence?",
@@ -128,16 +351,29 @@ function GenAIView() {
         {/* Chat Section */}
         <Col lg={8}>
           <Card className="custom-card" style={{ minHeight: '500px' }}>
-            <Card.Header className="d-flex justify-content-between align-items-center">
-              <h2 className="h5 mb-0">Chat Assistant</h2>
-              {messages.length > 0 && (
-                <Button 
-                  variant="outline-secondary" 
-                  size="sm"
-                  onClick={handleClearChat}
-                >
-                  Clear Chat
-                </Button>
+            <Card.Header className="d-flex justify-content-between align-items-center gap-2">
+              <h2 className="h5 mb-0 text-truncate" style={{ minWidth: 0 }} title={activeConversation?.title}>
+                {activeConversation?.title || 'Chat Assistant'}
+              </h2>
+              {activeConversation && (
+                <div className="d-flex gap-2 flex-shrink-0">
+                  <Button
+                    variant="outline-secondary"
+                    size="sm"
+                    onClick={() => handleExportConversation('md')}
+                    disabled={isChatLoading}
+                  >
+                    Export Markdown
+                  </Button>
+                  <Button
+                    variant="outline-secondary"
+                    size="sm"
+                    onClick={() => handleExportConversation('json')}
+                    disabled={isChatLoading}
+                  >
+                    JSON
+                  </Button>
+                </div>
               )}
             </Card.Header>
             <Card.Body className="d-flex flex-column">
@@ -153,10 +389,19 @@ function GenAIView() {
                 </Alert>
               )}
 
+              {/* Attached classification result */}
+              {chatContext && (
+                <ChatContextCard
+                  context={chatContext}
+                  onRemove={activeConversation ? undefined : () => setDraftContext(null)}
+                />
+              )}
+
               {/* Chat Component */}
               <GenAIChat
                 messages={messages}
                 onSendMessage={handleSendMessage}
+                onStop={handleStopChat}
                 isLoading={isChatLoading}
               />
             </Card.Body>
@@ -175,6 +420,24 @@ function GenAIView() {
 
         {/* Sidebar */}
         <Col lg={4}>
+          {/* Saved conversations */}
+          <Card className="custom-card mb-4">
+            <Card.Header>
+              <h3 className="h6 mb-0">Conversations</h3>
+            </Card.Header>
+            <Card.Body className="p-2">
+              <ConversationList
+                conversations={conversations}
+                activeId={activeConversation?.id}
+                onSelect={handleSelectConversation}
+                onNew={handleNewConversation}
+                onRename={handleRenameConversation}
+                onDelete={handleDeleteConversation}
+                disabled={isChatLoading}
+              />
+            </Card.Body>
+          </Card>
+
           {/* Suggested Questions */}
           <Card className="custom-card mb-4">
             <Card.Header>
@@ -0,0 +1,338 @@
+/**
+ * HistoryView
+ *
+ * Purpose: Lists classifications saved locally (IndexedDB) so reviewers can
+ * look back at images that were already checked.
+ *
+ * Features:
+ * - Search by file name or analysis details
+ * - Filter by label and confidence band
+ * - Delete single entries or clear everything
+ * - Re-open an entry in PredictionResult
+ * - Relabel every entry live with the decision threshold
+ * - Review feedback: sync queued entries and export it for retraining
+ */
+
+import { useState, useEffect, useMemo } from 'react';
+import Row from 'react-bootstrap/Row';
+import Col from 'react-bootstrap/Col';
+import Card from 'react-bootstrap/Card';
+import Form from 'react-bootstrap/Form';
+import Button from 'react-bootstrap/Button';
+import Alert from 'react-bootstrap/Alert';
+import Spinner from 'react-bootstrap/Spinner';
+import Modal from 'react-bootstrap/Modal';
+import { Link } from 'react-router-dom';
+
+// Components
+import PredictionResult from '../components/PredictionResult';
+import DecisionThresholdControl from '../components/DecisionThresholdControl';
+import FeedbackPanel from '../components/FeedbackPanel';
+
+// Hooks
+import useDecisionThreshold from '../hooks/useDecisionThreshold';
+
+// Services & helpers
+import { listClassifications, deleteClassification, clearClassifications } from '../services/history';
+import {
+  isRealPrediction,
+  toConfidencePercent,
+  getConfidenceLevel,
+  applyThreshold,
+  describeThreshold,
+} from '../utils/prediction';
+
+// Filter options
+const LABEL_FILTERS = [
+  { value: 'all', label: 'All labels' },
+  { value: 'real', label: 'Real' },
+  { value: 'fake', label: 'AI-Generated' },
+];
+
+const CONFIDENCE_FILTERS = [
+  { value: 'all', label: 'Any confidence' },
+  { value: 'high', label: 'High (≥ 85%)' },
+  { value: 'medium', label: 'Moderate (65–85%)' },
+  { value: 'low', label: 'Low (< 65%)' },
+];
+
+function HistoryView() {
+  // Data state
+  const [records, setRecords] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  // Filter state
+  const [search, setSearch] = useState('');
+  const [labelFilter, setLabelFilter] = useState('all');
+  const [confidenceFilter, setConfidenceFilter] = useState('all');
+
+  // Record currently re-opened in the modal
+  const [openRecord, setOpenRecord] = useState(null);
+
+  // Saved verdicts are re-derived with the current threshold
+  const [threshold] = useDecisionThreshold();
+
+  /**
+   * Loads all saved classifications
+   */
+  const fetchHistory = async () => {
+    setIsLoading(true);
+    setError(null);
+
+    try {
+      setRecords(await listClassifications());
+    } catch (err) {
+      console.error('Failed to load history:', err);
+      setError(err.message || 'Failed to load history.');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  // Load history on mount
+  useEffect(() => {
+    fetchHistory();
+  }, []);
+
+  /**
+   * Deletes one entry
+   */
+  const handleDelete = async (record) => {
+    try {
+      await deleteClassification(record.id);
+      setRecords((prev) => prev.filter((existing) => existing.id !== record.id));
+      if (openRecord?.id === record.id) setOpenRecord(null);
+    } catch (err) {
+      console.error('Failed to delete history entry:', err);
+      setError(err.message || 'Failed to delete entry.');
+    }
+  };
+
+  /**
+   * Deletes every entry after confirmation
+   */
+  const handleClearAll = async () => {
+    if (!window.confirm('Delete all saved classifications? This cannot be undone.')) return;
+
+    try {
+      await clearClassifications();
+      setRecords([]);
+    } catch (err) {
+      console.error('Failed to clear history:', err);
+      setError(err.message || 'Failed to clear history.');
+    }
+  };
+
+  // Relabel, then apply search and filters
+  const filteredRecords = useMemo(() => {
+    const query = search.trim().toLowerCase();
+
+    return records
+      .map((record) => ({ ...record, result: applyThreshold(record.result, threshold) }))
+      .filter((record) => {
+        const { prediction, confidence, details = '' } = record.result;
+
+        if (query && !`${record.fileName} ${details}`.toLowerCase().includes(query)) return false;
+
+        if (labelFilter !== 'all') {
+          const recordLabel = isRealPrediction(prediction) ? 'real' : 'fake';
+          if (recordLabel !== labelFilter) return false;
+        }
+
+        if (confidenceFilter !== 'all') {
+          if (getConfidenceLevel(toConfidencePercent(confidence)) !== confidenceFilter) return false;
+        }
+
+        return true;
+      });
+  }, [records, search, labelFilter, confidenceFilter, threshold]);
+
+  return (
+    <div className="animate-fade-in">
+      {/* Page Header */}
+      <div className="page-header">
+        <h1>Classification History</h1>
+        <p>Previously classified images, stored locally in this browser</p>
+      </div>
+
+      {/* Filters */}
+      <Card className="custom-card mb-4">
+        <Card.Body>
+          <Row className="g-3 align-items-end">
+            <Col md={5}>
+              <Form.Label htmlFor="history-search">Search</Form.Label>
+              <Form.Control
+                id="history-search"
+                type="search"
+                value={search}
+                onChange={(e) => setSearch(e.target.value)}
+                placeholder="File name or analysis details..."
+              />
+            </Col>
+            <Col xs={6} md={3}>
+              <Form.Label htmlFor="history-label-filter">Label</Form.Label>
+              <Form.Select
+                id="history-label-filter"
+                value={labelFilter}
+                onChange={(e) => setLabelFilter(e.target.value)}
+              >
+                {LABEL_FILTERS.map((option) => (
+                  <option key={option.value} value={option.value}>{option.label}</option>
+                ))}
+              </Form.Select>
+            </Col>
+            <Col xs={6} md={3}>
+              <Form.Label htmlFor="history-confidence-filter">Confidence</Form.Label>
+              <Form.Select
+                id="history-confidence-filter"
+                value={confidenceFilter}
+                onChange={(e) => setConfidenceFilter(e.target.value)}
+              >
+                {CONFIDENCE_FILTERS.map((option) => (
+                  <option key={option.value} value={option.value}>{option.label}</option>
+                ))}
+              </Form.Select>
+            </Col>
+            <Col md={1} className="text-md-end">
+              <Button
+                variant="outline-danger"
+                size="sm"
+                onClick={handleClearAll}
+                disabled={records.length === 0}
+              >
+                Clear
+              </Button>
+            </Col>
+          </Row>
+          <Row className="mt-3">
+            <Col md={6}>
+              <DecisionThresholdControl />
+            </Col>
+          </Row>
+        </Card.Body>
+      </Card>
+
+      {/* Reviewer feedback */}
+      <FeedbackPanel />
+
+      {/* Error State */}
+      {error && (
+        <Alert variant="danger" dismissible onClose={() => setError(null)}>
+          <Alert.Heading>History Unavailable</Alert.Heading>
+          <p className="mb-0">{error}</p>
+        </Alert>
+      )}
+
+      {/* Loading State */}
+      {isLoading && (
+        <div className="text-center py-5">
+          <Spinner animation="border" role="status" className="mb-3" />
+          <p style={{ color: 'var(--color-text-muted)' }}>Loading history...</p>
+        </div>
+      )}
+
+      {/* Empty State */}
+      {!isLoading && !error && records.length === 0 && (
+        <div className="text-center p-5 custom-card">
+          <div style={{ fontSize: '3rem', marginBottom: '1rem' }}>🗃️</div>
+          <p className="mb-2 fw-bold" style={{ color: 'var(--color-text-primary)' }}>No classifications yet</p>
+          <p className="mb-0" style={{ fontSize: '0.875rem' }}>
+            Results from the <Link to="/classify" style={{ color: 'var(--color-accent-secondary)' }}>Classify</Link> page are saved here automatically.
+          </p>
+        </div>
+      )}
+
+      {/* Results */}
+      {!isLoading && records.length > 0 && (
+        <>
+          <p className="mb-3" style={{ fontSize: '0.875rem', color: 'var(--color-text-muted)' }}>
+            Showing {filteredRecords.length} of {records.length} classifications · verdicts at threshold {describeThreshold(threshold)}
+          </p>
+
+          <Row xs={1} sm={2} lg={3} xl={4} className="g-3">
+            {filteredRecords.map((record) => {
+              const { prediction, confidence } = record.result;
+              const isReal = isRealPrediction(prediction);
+
+              return (
+                <Col key={record.id}>
+                  <Card className="custom-card h-100">
+                    <div
+                      className="text-center p-2"
+                      style={{ background: 'var(--color-bg-primary)', borderRadius: 'var(--radius-md) var(--radius-md) 0 0' }}
+                    >
+                      <img
+                        src={record.thumbnail}
+                        alt={`Thumbnail of ${record.fileName}`}
+                        style={{ maxWidth: '100%', height: '140px', objectFit: 'contain' }}
+                      />
+                    </div>
+                    <Card.Body className="p-3 d-flex flex-column">
+                      <h2 className="h6 mb-1 text-truncate" title={record.fileName}>{record.fileName}</h2>
+                      <p className="mb-2" style={{ fontSize: '0.75rem', color: 'var(--color-text-muted)' }}>
+                        {new Date(record.timestamp).toLocaleString()}
+                      </p>
+                      <div className="d-flex justify-content-between align-items-center mb-3">
+                        <span className={`result-badge ${isReal ? 'real' : 'fake'}`} style={{ fontSize: '0.6875rem', padding: '0.25rem 0.625rem' }}>
+                          {isReal ? 'Real' : 'AI-Generated'}
+                        </span>
+                        <span className="mono" style={{ color: 'var(--color-accent-primary)', fontSize: '0.875rem' }}>
+                          {toConfidencePercent(confidence).toFixed(1)}%
+                        </span>
+                      </div>
+                      <div className="d-flex gap-2 mt-auto">
+                        <Button variant="primary" size="sm" className="flex-grow-1" onClick={() => setOpenRecord(record)}>
+                          Open
+                        </Button>
+                        <Button
+                          variant="outline-danger"
+                          size="sm"
+                          onClick={() => handleDelete(record)}
+                          aria-label={`Delete ${record.fileName}`}
+                        >
+                          Delete
+                        </Button>
+                      </div>
+                    </Card.Body>
+                  </Card>
+                </Col>
+              );
+            })}
+          </Row>
+
+          {filteredRecords.length === 0 && (
+            <p className="text-center py-4" style={{ color: 'var(--color-text-muted)' }}>
+              No classifications match the current filters.
+            </p>
+          )}
+        </>
+      )}
+
+      {/* Re-opened result */}
+      <Modal show={Boolean(openRecord)} onHide={() => setOpenRecord(null)} size="lg" centered>
+        {openRecord && (
+          <>
+            <Modal.Header closeButton style={{ background: 'var(--color-bg-secondary)', borderColor: 'var(--color-bg-tertiary)' }}>
+              <Modal.Title className="h6 mb-0 text-truncate">
+                {openRecord.fileName} · {new Date(openRecord.timestamp).toLocaleString()}
+              </Modal.Title>
+            </Modal.Header>
+            <Modal.Body style={{ background: 'var(--color-bg-primary)' }}>
+              <PredictionResult
+                result={openRecord.result}
+                imageUrl={openRecord.thumbnail}
+                imageHash={openRecord.imageHash}
+                originalHash={openRecord.originalHash}
+                fileName={openRecord.fileName}
+                analyzedAt={openRecord.timestamp}
+              />
+            </Modal.Body>
+          </>
+        )}
+      </Modal>
+    </div>
+  );
+}
+
+export default HistoryView;
@@ -7,23 +7,47 @@
  * Endpoints:
  * - POST /api/predict     → Image classification (Real vs AI-Generated)
  * - POST /api/gen/summary → Generate AI summary of results
- * - POST /api/chat        → Chat with GenAI assistant
+ * - POST /api/chat        → Chat with GenAI assistant (streamed as Server-Sent Events when supported)
  * - GET  /api/metrics     → Fetch training metrics
+ * - GET  /api/models      → List the models the backend can serve
+ * - POST /api/feedback    → Reviewer feedback on a prediction (see services/feedback.js)
+ * - GET  /api/fetch-image → Proxy that downloads an image from a URL (avoids CORS)
  * - GET  /api/health      → Backend health check
+ * 
+ * Every exported function accepts an optional trailing `options` object
+ * (see RequestOptions) for cancellation, progress reporting and timeouts.
+ * 
+ * Predictions can also run on an in-browser copy of the model
+ * (localInference.js) - see INFERENCE_MODES - and on a chosen server model
+ * or an ensemble of all of them - see ENSEMBLE_MODEL.
  */
 
 import axios from 'axios';
+import { predictLocally, LOCAL_MODEL } from './localInference';
+import { aggregateEnsemble } from '../utils/prediction';
+import { validateImageFile, normalizeImageFile } from '../utils/imageFormats';
+import { describeAttachment } from '../utils/chatContext';
 
 // Get base URL from environment variable, or use empty string for relative paths
 // In development, Vite's proxy handles /api/* requests
 // In production, set VITE_API_BASE_URL to your backend URL
 const API_BASE_URL = import.meta.env.VITE_API_BASE_URL || '';
 
-// Create axios instance with default configuration
+// Default timeouts per endpoint (ms) - callers can override via options.timeout
+export const DEFAULT_TIMEOUTS = {
+  predict: 60000,  // Large image uploads on slow links
+  summary: 30000,
+  chat: 60000,     // LLM replies can take a while
+  metrics: 15000,
+  models: 10000,
+  feedback: 10000,
+  fetchImage: 20000, // The proxy has to download the remote image first
+  health: 5000,
+};
+
 // Create axios instance with default configuration
 const apiClient = axios.create({
   baseURL: API_BASE_URL,
-  timeout: 30000, // 30 second timeout for large image uploads
   headers: {
     'Accept': 'application/json',
     'ngrok-skip-browser-warning': 'true',
@@ -34,77 +58,458 @@ const apiClient = axios.create({
 apiClient.interceptors.response.use(
   (response) => response,
   (error) => {
+    // Aborted requests are not failures - flag them so callers can ignore them
+    if (axios.isCancel(error)) {
+      return Promise.reject(createCancelledError(error));
+    }
+
+    const isTimeout = error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT';
+
     // Extract error message from various error formats
     const message = 
       error.response?.data?.error ||
       error.response?.data?.message ||
+      (isTimeout && 'The request timed out. Please check your connection and try again.') ||
       error.message ||
       'An unexpected error occurred';
     
     // Create a standardized error object
     const standardError = new Error(message);
     standardError.status = error.response?.status || 500;
+    standardError.isTimeout = isTimeout;
     standardError.originalError = error;
     
     return Promise.reject(standardError);
   }
 );
 
+/**
+ * Options accepted by every exported API function
+ * 
+ * @typedef {Object} RequestOptions
+ * @property {AbortSignal} [signal] - Aborts the request when signalled
+ * @property {number} [timeout] - Timeout in ms (defaults to DEFAULT_TIMEOUTS for the endpoint)
+ * @property {(progress: RequestProgress) => void} [onUploadProgress] - Called as the request body is sent
+ * @property {(progress: RequestProgress) => void} [onDownloadProgress] - Called as the response is received
+ */
+
+/**
+ * @typedef {Object} RequestProgress
+ * @property {number} loaded - Bytes transferred so far
+ * @property {number|undefined} total - Total bytes, if known
+ * @property {number|null} percent - 0-100, or null when the total is unknown
+ */
+
+/**
+ * Create the error thrown when a request is aborted
+ * @param {unknown} [cause] - Underlying cancellation error
+ */
+function createCancelledError(cause) {
+  const cancelledError = new Error('Request was cancelled');
+  cancelledError.isCancelled = true;
+  cancelledError.originalError = cause;
+  return cancelledError;
+}
+
+/**
+ * Check whether an error came from an aborted request
+ * 
+ * @param {unknown} error - Error thrown by an API function
+ * @returns {boolean}
+ * 
+ * @example
+ * try { await uploadImageAndPredict(file, { signal }); }
+ * catch (err) { if (!isCancelledError(err)) setError(err.message); }
+ */
+export function isCancelledError(error) {
+  return Boolean(error?.isCancelled) || error?.name === 'AbortError' || axios.isCancel(error);
+}
+
+/**
+ * Wrap a progress callback so it receives a normalized RequestProgress
+ */
+function toProgressHandler(callback) {
+  if (!callback) return undefined;
+  return (event) => callback({
+    loaded: event.loaded,
+    total: event.total,
+    percent: event.total ? Math.round((event.loaded / event.total) * 100) : null,
+  });
+}
+
+/**
+ * Translate RequestOptions into an axios request config
+ * 
+ * @param {RequestOptions} options - Caller options
+ * @param {number} defaultTimeout - Endpoint default timeout in ms
+ */
+function toRequestConfig(options = {}, defaultTimeout) {
+  return {
+    signal: options.signal,
+    timeout: options.timeout ?? defaultTimeout,
+    onUploadProgress: toProgressHandler(options.onUploadProgress),
+    onDownloadProgress: toProgressHandler(options.onDownloadProgress),
+  };
+}
+
+// ========== INFERENCE ENGINE SELECTION ==========
+
+// Where predictions may run
+export const INFERENCE_MODES = {
+  AUTO: 'auto',       // Server first, in-browser model when the server is unreachable
+  SERVER: 'server',   // Server only
+  BROWSER: 'browser', // In-browser model only (works offline)
+};
+
+// Which engine actually produced a result (the `engine` field of predictions)
+export const INFERENCE_ENGINES = {
+  SERVER: 'server',
+  BROWSER: 'browser',
+  MOCK: 'mock',
+};
+
+const INFERENCE_MODE_STORAGE_KEY = 'realOrAi.inferenceMode';
+
+/**
+ * Get the persisted inference mode
+ * @returns {string} One of INFERENCE_MODES
+ */
+export function getInferenceMode() {
+  const stored = localStorage.getItem(INFERENCE_MODE_STORAGE_KEY);
+  return Object.values(INFERENCE_MODES).includes(stored) ? stored : INFERENCE_MODES.AUTO;
+}
+
+/**
+ * Persist the inference mode used by uploadImageAndPredict
+ * @param {string} mode - One of INFERENCE_MODES
+ */
+export function setInferenceMode(mode) {
+  if (!Object.values(INFERENCE_MODES).includes(mode)) {
+    throw new Error(`Unknown inference mode: ${mode}`);
+  }
+  localStorage.setItem(INFERENCE_MODE_STORAGE_KEY, mode);
+}
+
+// ========== MODEL SELECTION ==========
+
+/**
+ * A model the backend can serve (entry of GET /api/models)
+ * 
+ * @typedef {Object} ModelInfo
+ * @property {string} id - Sent as the `model` field of /api/predict
+ * @property {string} name - Display name, e.g. "DenseNet121"
+ * @property {string} [description] - Short description for the selector
+ * @property {boolean} [default] - Used when the request names no model
+ */
+
+// Pseudo-model: runs every listed model and combines their verdicts
+export const ENSEMBLE_MODEL = { id: 'ensemble', name: 'Ensemble (all models)' };
+
+const MODEL_STORAGE_KEY = 'realOrAi.model';
+
+/**
+ * Get the persisted model choice
+ * @returns {string} A model id, ENSEMBLE_MODEL.id, or '' for the server default
+ */
+export function getSelectedModelId() {
+  return localStorage.getItem(MODEL_STORAGE_KEY) || '';
+}
+
+/**
+ * Persist the model choice ('' restores the server default)
+ * @param {string} modelId - A model id or ENSEMBLE_MODEL.id
+ */
+export function setSelectedModelId(modelId) {
+  if (modelId) localStorage.setItem(MODEL_STORAGE_KEY, modelId);
+  else localStorage.removeItem(MODEL_STORAGE_KEY);
+}
+
+/**
+ * List the models available on the backend
+ * 
+ * @param {RequestOptions} [options] - Cancellation, progress and timeout options
+ * @returns {Promise<{models: ModelInfo[]}>}
+ * 
+ * @example
+ * const { models } = await getModels();
+ * console.log(models[0]); // { id: "densenet121", name: "DenseNet121", default: true }
+ */
+export async function getModels(options = {}) {
+  const response = await apiClient.get('/api/models', toRequestConfig(options, DEFAULT_TIMEOUTS.models));
+  return response.data;
+}
+
+/**
+ * Whether a server error means the backend is down rather than rejecting the input
+ */
+function isServerUnavailable(error) {
+  return !error.originalError?.response || error.status >= 500;
+}
+
 /**
  * Upload an image and get Real/Fake prediction
  * 
- * @param {File} imageFile - The image file to classify
- * @returns {Promise<{prediction: string, confidence: number, details?: string}>}
+ * Runs on the server, the in-browser model, or the server with an
+ * in-browser fallback, depending on the inference mode.
+ * 
+ * @param {File} imageFile - The image file to classify (any accepted format, see utils/imageFormats.js)
+ * @param {RequestOptions & {engine?: string, model?: ModelInfo, ensembleModels?: ModelInfo[]}} [options] -
+ *   Cancellation, progress and timeout options; `engine` overrides the persisted
+ *   mode (one of INFERENCE_MODES); `model` picks the server model (default: the
+ *   server's choice), ENSEMBLE_MODEL runs all `ensembleModels` (default: all listed)
+ * @returns {Promise<{prediction: string, confidence: number, probability?: number, details?: string, heatmap?: number[][] | string, engine: string, fallbackReason?: string, model?: ModelInfo, ensemble?: Array<{model: ModelInfo, prediction?: string, confidence?: number, error?: string}>}>}
+ *   `probability` is the raw sigmoid output, P(Real) on a 0-1 scale; the UI
+ *   applies its own decision threshold to it (see utils/prediction.js).
+ *   `heatmap` is optional: a Grad-CAM map as a 2D array of 0-1 values, or a PNG
+ *   (data URL, URL or bare base64) - see utils/heatmap.js.
+ *   `engine` is one of INFERENCE_ENGINES; `fallbackReason` is set when the
+ *   server failed and the in-browser model answered instead (it also says so
+ *   when that replaced the chosen model or ensemble).
+ *   `model` is the model that answered; ensemble results list each member's
+ *   prediction in `ensemble`. The in-browser engine always uses DenseNet121.
  * 
  * @example
- * const result = await uploadImageAndPredict(file);
+ * const controller = new AbortController();
+ * const result = await uploadImageAndPredict(file, {
+ *   signal: controller.signal,
+ *   onUploadProgress: ({ percent }) => console.log(`${percent}% sent`),
+ * });
  * console.log(result.prediction); // "Real" or "Fake"
  * console.log(result.confidence); // 0.93
+ * console.log(result.engine);     // "server"
  */
-export async function uploadImageAndPredict(imageFile) {
+export async function uploadImageAndPredict(imageFile, options = {}) {
   // Validate input
   if (!imageFile) {
     throw new Error('No image file provided');
   }
 
-  // Check file type
-  const validTypes = ['image/jpeg', 'image/png', 'image/webp', 'image/gif'];
-  if (!validTypes.includes(imageFile.type)) {
-    throw new Error('Invalid file type. Please upload a JPEG, PNG, WebP, or GIF image.');
+  // Check file type and size (shared with the upload form)
+  const validationError = validateImageFile(imageFile);
+  if (validationError) {
+    throw new Error(validationError);
   }
 
-  // Check file size (max 10MB)
-  const maxSize = 10 * 1024 * 1024;
-  if (imageFile.size > maxSize) {
-    throw new Error('File too large. Maximum size is 10MB.');
+  // Anything but JPEG is converted to JPEG in the browser first
+  const uploadFile = await normalizeImageFile(imageFile);
+
+  const mode = options.engine || getInferenceMode();
+
+  if (mode === INFERENCE_MODES.BROWSER) {
+    const localResult = await predictLocally(uploadFile, options);
+    return { ...localResult, engine: INFERENCE_ENGINES.BROWSER };
   }
 
+  try {
+    const serverResult = options.model?.id === ENSEMBLE_MODEL.id
+      ? await predictEnsembleOnServer(uploadFile, options)
+      : await predictOnServer(uploadFile, options);
+    return { ...serverResult, engine: INFERENCE_ENGINES.SERVER };
+  } catch (serverError) {
+    if (mode !== INFERENCE_MODES.AUTO || serverError.isCancelled || !isServerUnavailable(serverError)) {
+      throw serverError;
+    }
+
+    // Backend unreachable - fall back to the in-browser model, whatever was selected
+    const replacedModel = options.model && options.model.id !== LOCAL_MODEL.id ? options.model : null;
+    const fallbackReason = replacedModel
+      ? `${serverError.message}; ${replacedModel.name} is not available in the browser, so ${LOCAL_MODEL.name} answered instead`
+      : serverError.message;
+    try {
+      const localResult = await predictLocally(uploadFile, options);
+      return { ...localResult, model: LOCAL_MODEL, engine: INFERENCE_ENGINES.BROWSER, fallbackReason };
+    } catch (localError) {
+      if (isCancelledError(localError)) throw localError;
+      serverError.message = `${serverError.message} (In-browser fallback also failed: ${localError.message})`;
+      throw serverError;
+    }
+  }
+}
+
+/**
+ * Send an image to POST /api/predict
+ */
+async function predictOnServer(imageFile, options) {
   // Create FormData for multipart upload
   const formData = new FormData();
   formData.append('image', imageFile);
+  if (options.model) formData.append('model', options.model.id);
 
   // Send POST request with multipart/form-data
   const response = await apiClient.post('/api/predict', formData, {
+    ...toRequestConfig(options, DEFAULT_TIMEOUTS.predict),
     headers: {
       'Content-Type': 'multipart/form-data',
     },
   });
 
+  // Older backends do not report the model; fall back to the one requested
+  const { model, ...result } = response.data;
+  const answeredBy = options.model || (model ? { id: model, name: model } : undefined);
+  return { ...result, model: answeredBy };
+}
+
+/**
+ * Classify an image with every server model and combine the verdicts
+ * The image is uploaded once per model; members that fail are reported
+ * alongside the others as long as at least one model answered.
+ */
+async function predictEnsembleOnServer(imageFile, options) {
+  const models = options.ensembleModels?.length
+    ? options.ensembleModels
+    : (await getModels({ signal: options.signal })).models;
+  if (!models?.length) {
+    throw new Error('The server did not list any models to combine.');
+  }
+
+  const outcomes = await Promise.allSettled(models.map((model, index) => predictOnServer(imageFile, {
+    ...options,
+    model,
+    // Every request sends the same bytes, so report upload progress once
+    onUploadProgress: index === 0 ? options.onUploadProgress : undefined,
+  })));
+
+  const failures = outcomes.filter((outcome) => outcome.status === 'rejected').map((outcome) => outcome.reason);
+  const cancelled = failures.find(isCancelledError);
+  if (cancelled) throw cancelled;
+  if (failures.length === outcomes.length) throw failures[0];
+
+  return buildEnsembleResult(models, outcomes.map((outcome) => (
+    outcome.status === 'fulfilled' ? outcome.value : { error: outcome.reason.message }
+  )));
+}
+
+/**
+ * Assemble an ensemble result from per-model responses (same order as `models`)
+ */
+function buildEnsembleResult(models, responses) {
+  const ensemble = models.map((model, index) => {
+    const { prediction, confidence, probability, error } = responses[index];
+    return error ? { model, error } : { model, prediction, confidence, probability };
+  });
+  const { prediction, confidence, probability, answered } = aggregateEnsemble(ensemble);
+
+  return {
+    prediction,
+    confidence,
+    probability,
+    // Agreement depends on the user's threshold, so it is worked out when shown (see labelEnsemble)
+    details: `Average of ${answered} model${answered === 1 ? '' : 's'}.`,
+    model: ENSEMBLE_MODEL,
+    ensemble,
+  };
+}
+
+/**
+ * Send reviewer feedback on a prediction
+ * Use services/feedback.js rather than calling this directly: it stores the
+ * feedback locally first and retries when the backend is unreachable.
+ * 
+ * @param {Object} feedback - Feedback entry (see services/feedback.js)
+ * @param {string} feedback.imageHash - SHA-256 of the classified image
+ * @param {string} feedback.predicted - Verdict shown to the reviewer ("Real" or "Fake")
+ * @param {string} feedback.correctedLabel - Actual label according to the reviewer
+ * @param {RequestOptions} [options] - Cancellation, progress and timeout options
+ * @returns {Promise<{status: string}>}
+ * 
+ * @example
+ * await sendFeedback({ imageHash, predicted: 'Fake', correctedLabel: 'Real', isCorrect: false, ... });
+ */
+export async function sendFeedback(feedback, options = {}) {
+  if (!feedback?.imageHash || !feedback.correctedLabel) {
+    throw new Error('Feedback needs an image hash and a label');
+  }
+
+  const response = await apiClient.post('/api/feedback', feedback, toRequestConfig(options, DEFAULT_TIMEOUTS.feedback));
   return response.data;
 }
 
+/**
+ * Whether a failed request should be retried later (backend down or offline)
+ * 
+ * @param {unknown} error - Error thrown by an API function
+ * @returns {boolean}
+ */
+export function isRetryableError(error) {
+  return !isCancelledError(error) && isServerUnavailable(error);
+}
+
+/**
+ * Parse and check an image URL entered by the user
+ * @returns {URL}
+ */
+function parseImageUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(String(url).trim());
+  } catch {
+    throw new Error('Please enter a valid URL.');
+  }
+  if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+    throw new Error('Only http and https image URLs are supported.');
+  }
+  return parsed;
+}
+
+/**
+ * Wrap a downloaded image in a File named after the URL's last path segment
+ */
+function toDownloadedFile(blob, url) {
+  const lastSegment = decodeURIComponent(url.pathname.split('/').pop() || '');
+  const extension = blob.type.startsWith('image/') ? `.${blob.type.slice('image/'.length).replace('jpeg', 'jpg')}` : '';
+  const name = /\.[a-z0-9]+$/i.test(lastSegment) ? lastSegment : `${lastSegment || url.hostname}${extension}`;
+  return new File([blob], name, { type: blob.type, lastModified: Date.now() });
+}
+
+/**
+ * Download an image from a URL through the backend proxy
+ * Browsers cannot read most remote images directly (CORS), so the backend
+ * fetches it and streams the bytes back with the remote Content-Type.
+ * The returned file is not validated here; it goes through the same checks
+ * as an uploaded file.
+ * 
+ * @param {string} url - http(s) URL of the image
+ * @param {RequestOptions} [options] - Cancellation, progress and timeout options
+ * @returns {Promise<File>}
+ * 
+ * @example
+ * const file = await fetchImageFromUrl('https://example.com/portrait.jpg');
+ */
+export async function fetchImageFromUrl(url, options = {}) {
+  const parsed = parseImageUrl(url);
+
+  try {
+    const response = await apiClient.get('/api/fetch-image', {
+      ...toRequestConfig(options, DEFAULT_TIMEOUTS.fetchImage),
+      params: { url: parsed.href },
+      headers: { Accept: 'image/*' },
+      responseType: 'blob',
+    });
+    return toDownloadedFile(response.data, parsed);
+  } catch (error) {
+    // Error bodies arrive as blobs too - surface the proxy's JSON message
+    const body = error.originalError?.response?.data;
+    if (body instanceof Blob && body.type.includes('json')) {
+      const details = await body.text().then(JSON.parse).catch(() => ({}));
+      error.message = details.error || details.message || error.message;
+    }
+    throw error;
+  }
+}
+
 /**
  * Generate a summary using GenAI
  * 
  * @param {string} text - Text to summarize
  * @param {string} [context] - Optional context for better summaries
+ * @param {RequestOptions} [options] - Cancellation, progress and timeout options
  * @returns {Promise<{summary: string}>}
  * 
  * @example
  * const result = await summarizeText("Model predicted Real with 93% confidence", "image classification");
  * console.log(result.summary); // "The model is highly confident..."
  */
-export async function summarizeText(text, context = '') {
+export async function summarizeText(text, context = '', options = {}) {
   if (!text || typeof text !== 'string') {
     throw new Error('Text is required for summarization');
   }
@@ -112,15 +517,32 @@ export async function summarizeText(text, context = '') {
   const response = await apiClient.post('/api/gen/summary', {
     text,
     context,
-  });
+  }, toRequestConfig(options, DEFAULT_TIMEOUTS.summary));
 
   return response.data;
 }
 
+/**
+ * Chat messages as sent to /api/chat
+ * A message with an image attachment keeps it as `attachment` (reference,
+ * thumbnail and classification) and gets a plain-text description of it
+ * appended to its content, for backends that only read `content`.
+ */
+function toChatPayload(messages) {
+  return messages.map(({ role, content, attachment }) => (attachment
+    ? { role, content: `${content}\n\n${describeAttachment(attachment)}`, attachment }
+    : { role, content }
+  ));
+}
+
 /**
  * Send a message to the GenAI chat assistant
  * 
- * @param {Array<{role: string, content: string}>} messages - Conversation history
+ * @param {Array<{role: string, content: string, attachment?: Object}>} messages - Conversation history;
+ *   `attachment` is an attached image (see createImageAttachment in utils/chatContext.js)
+ * @param {RequestOptions & {context?: Object}} [options] - Cancellation, progress and timeout
+ *   options; `context` is structured data the conversation is about (e.g. a
+ *   classification, see utils/chatContext.js), sent as the `context` field
  * @returns {Promise<{reply: string}>}
  * 
  * @example
@@ -129,7 +551,7 @@ export async function summarizeText(text, context = '') {
  * ]);
  * console.log(result.reply); // "The model detected..."
  */
-export async function sendChatMessage(messages) {
+export async function sendChatMessage(messages, options = {}) {
   if (!Array.isArray(messages) || messages.length === 0) {
     throw new Error('Messages array is required');
   }
@@ -142,15 +564,211 @@ export async function sendChatMessage(messages) {
   }
 
   const response = await apiClient.post('/api/chat', {
-    messages,
-  });
+    messages: toChatPayload(messages),
+    ...(options.context && { context: options.context }),
+  }, toRequestConfig(options, DEFAULT_TIMEOUTS.chat));
 
   return response.data;
 }
 
+// Backend replies to a streaming request that mean "no streaming here"
+const STREAM_UNSUPPORTED_STATUSES = [404, 405, 501];
+
+/**
+ * Build the standardized API error (same shape as the axios interceptor's) for a fetch response
+ */
+async function createResponseError(response) {
+  const details = await response.json().catch(() => ({}));
+  const error = new Error(details.error || details.message || `Request failed with status ${response.status}`);
+  error.status = response.status;
+  error.isTimeout = false;
+  return error;
+}
+
+/**
+ * Split Server-Sent Events out of a text buffer
+ * 
+ * @param {string} buffer - Received text not yet parsed
+ * @param {{isComplete?: boolean}} [options] - The stream has ended: the trailing
+ *   event is complete even without its closing blank line
+ * @returns {{events: Array<{event: string, data: string}>, rest: string}} Complete events and the trailing partial one
+ */
+function parseSseEvents(buffer, { isComplete = false } = {}) {
+  const blocks = buffer.replace(/\r\n?/g, '\n').split('\n\n');
+  const rest = isComplete ? '' : blocks.pop();
+
+  const events = blocks.map((block) => {
+    let event = 'message';
+    const data = [];
+    block.split('\n').forEach((line) => {
+      if (line.startsWith('event:')) event = line.slice(6).trim();
+      else if (line.startsWith('data:')) data.push(line.slice(5).replace(/^ /, ''));
+    });
+    return { event, data: data.join('\n') };
+  }).filter((event) => event.data);
+
+  return { events, rest };
+}
+
+/**
+ * Text carried by one SSE data payload: `{"token": "..."}` (or `delta` / `content`) or plain text
+ */
+function readSseToken(data) {
+  try {
+    const payload = JSON.parse(data);
+    if (typeof payload === 'string') return payload;
+    if (payload.error) throw Object.assign(new Error(payload.error), { status: 500, isTimeout: false });
+    return payload.token ?? payload.delta ?? payload.content ?? '';
+  } catch (err) {
+    if (err instanceof SyntaxError) return data;
+    throw err;
+  }
+}
+
+/**
+ * Stream a reply from the GenAI chat assistant
+ * 
+ * Sends the same request as sendChatMessage with `stream: true` and reads the
+ * reply as it is generated, either as Server-Sent Events
+ * (`data: {"token": "..."}` per chunk, `data: [DONE]` at the end,
+ * `event: error` with `{"error": "..."}` on failure) or as a chunked
+ * `text/plain` body. Backends without streaming answer with the usual JSON
+ * `{reply}` (or 404/405/501, which retries through sendChatMessage); the reply
+ * is then delivered as a single token.
+ * 
+ * `timeout` applies to the wait for the first byte and to every pause between chunks.
+ * Aborting keeps nothing: callers own the partial text received through `onToken`.
+ * 
+ * @param {Array<{role: string, content: string, attachment?: Object}>} messages - Conversation history, as in sendChatMessage
+ * @param {RequestOptions & {context?: Object, onToken?: (token: string, reply: string) => void}} [options] -
+ *   Cancellation and timeout options; `context` as in sendChatMessage; `onToken`
+ *   receives each chunk and the reply so far
+ * @returns {Promise<{reply: string, streamed: boolean}>} `streamed` is false when the non-streaming fallback answered
+ * 
+ * @example
+ * const controller = new AbortController();
+ * const { reply } = await streamChatMessage(messages, {
+ *   signal: controller.signal,
+ *   onToken: (token, replySoFar) => render(replySoFar),
+ * });
+ */
+export async function streamChatMessage(messages, options = {}) {
+  if (!Array.isArray(messages) || messages.length === 0) {
+    throw new Error('Messages array is required');
+  }
+  for (const msg of messages) {
+    if (!msg.role || !msg.content) {
+      throw new Error('Each message must have a role and content');
+    }
+  }
+
+  const { signal, context, onToken } = options;
+  const timeout = options.timeout ?? DEFAULT_TIMEOUTS.chat;
+
+  // Abort on the caller's signal, or when the backend goes quiet for too long
+  const controller = new AbortController();
+  let timedOut = false;
+  let timer = null;
+  const restartTimer = () => {
+    clearTimeout(timer);
+    timer = setTimeout(() => { timedOut = true; controller.abort(); }, timeout);
+  };
+  const abortFromCaller = () => controller.abort(signal.reason);
+  if (signal?.aborted) throw createCancelledError(signal.reason);
+  signal?.addEventListener('abort', abortFromCaller, { once: true });
+
+  let reply = '';
+  const appendToken = (token) => {
+    if (!token) return;
+    reply += token;
+    onToken?.(token, reply);
+  };
+
+  try {
+    restartTimer();
+    const response = await fetch(`${API_BASE_URL}/api/chat`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Accept': 'text/event-stream, text/plain, application/json',
+        'ngrok-skip-browser-warning': 'true',
+      },
+      body: JSON.stringify({ messages: toChatPayload(messages), stream: true, ...(context && { context }) }),
+      signal: controller.signal,
+    });
+
+    if (STREAM_UNSUPPORTED_STATUSES.includes(response.status)) {
+      clearTimeout(timer);
+      const { reply: fallbackReply } = await sendChatMessage(messages, { signal, timeout, context });
+      appendToken(fallbackReply);
+      return { reply, streamed: false };
+    }
+    if (!response.ok) throw await createResponseError(response);
+
+    const contentType = response.headers.get('Content-Type') || '';
+
+    // Backend ignored `stream` and answered the usual way
+    if (contentType.includes('application/json')) {
+      appendToken((await response.json()).reply);
+      return { reply, streamed: false };
+    }
+
+    const isSse = contentType.includes('text/event-stream');
+    const reader = response.body.pipeThrough(new TextDecoderStream()).getReader();
+    let buffer = '';
+    for (;;) {
+      restartTimer();
+      const { done, value } = await reader.read();
+
+      if (!isSse) {
+        if (done) break;
+        appendToken(value);
+        continue;
+      }
+
+      // At the end, parse what is left too: the last event may lack its closing blank line
+      const { events, rest } = parseSseEvents(buffer + (value ?? ''), { isComplete: done });
+      buffer = rest;
+      for (const { event, data } of events) {
+        if (data === '[DONE]') {
+          reader.cancel().catch(() => {});
+          return { reply, streamed: true };
+        }
+        if (event === 'error') {
+          throw Object.assign(new Error(readSseToken(data) || 'The assistant stopped unexpectedly.'), { status: 500, isTimeout: false });
+        }
+        appendToken(readSseToken(data));
+      }
+      if (done) break;
+    }
+    return { reply, streamed: true };
+  } catch (error) {
+    if (timedOut) {
+      const timeoutError = new Error('The request timed out. Please check your connection and try again.');
+      timeoutError.status = 500;
+      timeoutError.isTimeout = true;
+      timeoutError.originalError = error;
+      throw timeoutError;
+    }
+    if (isCancelledError(error)) throw createCancelledError(error);
+    if (error.status) throw error;
+
+    // Network failures: same shape as axios errors without a response
+    const networkError = new Error(error.message || 'An unexpected error occurred');
+    networkError.status = 500;
+    networkError.isTimeout = false;
+    networkError.originalError = error;
+    throw networkError;
+  } finally {
+    clearTimeout(timer);
+    signal?.removeEventListener('abort', abortFromCaller);
+  }
+}
+
 /**
  * Fetch training metrics from the backend
  * 
+ * @param {RequestOptions} [options] - Cancellation, progress and timeout options
  * @returns {Promise<{
  *   epochs: number[],
  *   train_accuracy: number[],
@@ -165,35 +783,95 @@ export async function sendChatMessage(messages) {
  * console.log(metrics.epochs);        // [1, 2, 3, 4, ...]
  * console.log(metrics.train_accuracy); // [0.7, 0.8, 0.85, ...]
  */
-export async function getMetrics() {
-  const response = await apiClient.get('/api/metrics');
+export async function getMetrics(options = {}) {
+  const response = await apiClient.get('/api/metrics', toRequestConfig(options, DEFAULT_TIMEOUTS.metrics));
   return response.data;
 }
 
 /**
  * Check backend health status
  * 
+ * @param {RequestOptions} [options] - Cancellation, progress and timeout options
  * @returns {Promise<{status: string}>}
  * 
  * @example
  * const health = await checkHealth();
  * console.log(health.status); // "ok"
  */
-export async function checkHealth() {
-  const response = await apiClient.get('/api/health');
+export async function checkHealth(options = {}) {
+  const response = await apiClient.get('/api/health', toRequestConfig(options, DEFAULT_TIMEOUTS.health));
   return response.data;
 }
 
 // ========== MOCK FUNCTIONS FOR DEVELOPMENT ==========
-// These can be used when the backend is not available
+// These can be used when the backend is not available.
+// They honour options.signal so cancellation can be tested without a backend.
+
+// Models listed by the mock backend (backend/CNN.py trains both)
+const MOCK_MODELS = [
+  { id: 'densenet121', name: 'DenseNet121', description: 'CNN, ImageNet-pretrained and fine-tuned', default: true },
+  { id: 'vit', name: 'ViT', description: 'Vision Transformer' },
+];
+
+/**
+ * Simulated network delay that rejects when the signal aborts
+ */
+function mockDelay(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(createCancelledError(signal.reason));
+      return;
+    }
+    const timer = setTimeout(resolve, ms);
+    signal?.addEventListener('abort', () => {
+      clearTimeout(timer);
+      reject(createCancelledError(signal.reason));
+    }, { once: true });
+  });
+}
 
 /**
  * Mock prediction for development/testing
- * Simulates a 1-2 second API delay
+ * Simulates a 1-2 second API delay with upload progress
  */
-export async function mockUploadImageAndPredict(imageFile) {
-  // Simulate network delay
-  await new Promise(resolve => setTimeout(resolve, 1500));
+export async function mockUploadImageAndPredict(imageFile, options = {}) {
+  // Simulate an upload in 5 progress steps
+  const steps = 5;
+  for (let step = 1; step <= steps; step++) {
+    await mockDelay(200, options.signal);
+    options.onUploadProgress?.({
+      loaded: Math.round((imageFile.size * step) / steps),
+      total: imageFile.size,
+      percent: (step / steps) * 100,
+    });
+  }
+
+  // Simulate server-side inference
+  await mockDelay(500, options.signal);
+
+  // Independent random verdict per member model
+  if (options.model?.id === ENSEMBLE_MODEL.id) {
+    const models = options.ensembleModels?.length ? options.ensembleModels : MOCK_MODELS;
+    const responses = models.map(() => {
+      const probability = parseFloat(Math.random().toFixed(4));
+      return {
+        prediction: probability >= 0.5 ? 'Real' : 'Fake',
+        confidence: probability >= 0.5 ? probability : parseFloat((1 - probability).toFixed(4)),
+        probability,
+      };
+    });
+    return { ...buildEnsembleResult(models, responses), engine: INFERENCE_ENGINES.MOCK };
+  }
+
+  // 14x14 Grad-CAM-like map with a blob around a random facial region
+  const size = 14;
+  const centerX = 4 + Math.random() * 6;
+  const centerY = 3 + Math.random() * 6;
+  const heatmap = Array.from({ length: size }, (_, y) => (
+    Array.from({ length: size }, (_, x) => (
+      parseFloat(Math.exp(-((x - centerX) ** 2 + (y - centerY) ** 2) / 12).toFixed(3))
+    ))
+  ));
   
   // Randomly return Real or Fake
   const isReal = Math.random() > 0.5;
@@ -202,17 +880,21 @@ export async function mockUploadImageAndPredict(imageFile) {
   return {
     prediction: isReal ? 'Real' : 'Fake',
     confidence: parseFloat(confidence.toFixed(2)),
+    probability: parseFloat((isReal ? confidence : 1 - confidence).toFixed(2)),
     details: isReal 
       ? 'The image shows natural skin texture and consistent lighting patterns typical of real photographs.'
       : 'The model detected artifacts in the eye region and inconsistent facial symmetry typical of AI-generated images.',
+    heatmap,
+    engine: INFERENCE_ENGINES.MOCK,
+    model: options.model || MOCK_MODELS[0],
   };
 }
 
 /**
  * Mock metrics for development/testing
  */
-export async function mockGetMetrics() {
-  await new Promise(resolve => setTimeout(resolve, 500));
+export async function mockGetMetrics(options = {}) {
+  await mockDelay(500, options.signal);
   
   return {
     epochs: [1, 2, 3, 4, 5, 6, 7, 8, 9, 10],
@@ -227,15 +909,58 @@ export async function mockGetMetrics() {
   };
 }
 
+/**
+ * Mock model list for development/testing
+ */
+export async function mockGetModels(options = {}) {
+  await mockDelay(300, options.signal);
+  return { models: MOCK_MODELS };
+}
+
+/**
+ * Mock feedback submission for development/testing
+ */
+export async function mockSendFeedback(feedback, options = {}) {
+  await mockDelay(300, options.signal);
+  return { status: 'ok' };
+}
+
+/**
+ * Mock image download for development/testing
+ * Fetches the URL directly, so only CORS-enabled URLs work without the backend.
+ */
+export async function mockFetchImageFromUrl(url, options = {}) {
+  const parsed = parseImageUrl(url);
+  await mockDelay(300, options.signal);
+
+  const response = await fetch(parsed.href, { signal: options.signal });
+  if (!response.ok) throw new Error(`Could not download the image (HTTP ${response.status}).`);
+  return toDownloadedFile(await response.blob(), parsed);
+}
+
 /**
  * Mock chat response for development/testing
  */
-export async function mockSendChatMessage(messages) {
-  await new Promise(resolve => setTimeout(resolve, 1000));
+export async function mockSendChatMessage(messages, options = {}) {
+  await mockDelay(1000, options.signal);
   
   const lastMessage = messages[messages.length - 1];
   const userQuery = lastMessage.content.toLowerCase();
   
+  // A message with an image attached
+  if (lastMessage.attachment) {
+    return {
+      reply: `${describeAttachment(lastMessage.attachment)}\n\nA mock backend can't look at the image itself; a real assistant would answer your question using the thumbnail and this verdict.`,
+    };
+  }
+
+  // Questions about an attached classification
+  if (options.context?.summary && (userQuery.includes('why') || userQuery.includes('this'))) {
+    return {
+      reply: `${options.context.summary}\n\nA mock backend can't inspect the image itself, but a real assistant would explain which facial regions (eyes, hairline, skin texture, background) drove this score and how close it is to the threshold.`,
+    };
+  }
+
   // Simple keyword-based mock responses
   if (userQuery.includes('fake') || userQuery.includes('ai')) {
     return {
@@ -256,11 +981,27 @@ export async function mockSendChatMessage(messages) {
   }
 }
 
+/**
+ * Mock streaming chat for development/testing
+ * Streams the mockSendChatMessage reply word by word.
+ */
+export async function mockStreamChatMessage(messages, options = {}) {
+  const { reply: fullReply } = await mockSendChatMessage(messages, options);
+
+  let reply = '';
+  for (const token of fullReply.match(/\S+\s*/g) || []) {
+    await mockDelay(40, options.signal);
+    reply += token;
+    options.onToken?.(token, reply);
+  }
+  return { reply, streamed: true };
+}
+
 /**
  * Mock summary for development/testing
  */
-export async function mockSummarizeText(text, context) {
-  await new Promise(resolve => setTimeout(resolve, 800));
+export async function mockSummarizeText(text, context, options = {}) {
+  await mockDelay(800, options.signal);
   
   return {
     summary: `Based on the ${context || 'provided context'}: The analysis indicates the image classification system is performing within expected parameters. The confidence level suggests the model has identified clear distinguishing features that align with its training on the GenImage dataset.`,
@@ -271,7 +1012,11 @@ export async function mockSummarizeText(text, context) {
 export const mocks = {
   uploadImageAndPredict: mockUploadImageAndPredict,
   getMetrics: mockGetMetrics,
+  getModels: mockGetModels,
+  sendFeedback: mockSendFeedback,
+  fetchImageFromUrl: mockFetchImageFromUrl,
   sendChatMessage: mockSendChatMessage,
+  streamChatMessage: mockStreamChatMessage,
   summarizeText: mockSummarizeText,
 };
 
@@ -280,7 +1025,16 @@ export default {
   uploadImageAndPredict,
   summarizeText,
   sendChatMessage,
+  streamChatMessage,
   getMetrics,
+  getModels,
+  sendFeedback,
+  fetchImageFromUrl,
   checkHealth,
+  isCancelledError,
+  getInferenceMode,
+  setInferenceMode,
+  getSelectedModelId,
+  setSelectedModelId,
   mocks,
 };
\ No newline at end of file
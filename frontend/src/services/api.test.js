@@ -0,0 +1,135 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+
+import { streamChatMessage, uploadImageAndPredict, INFERENCE_MODES, INFERENCE_ENGINES, ENSEMBLE_MODEL } from './api';
+import { predictLocally, LOCAL_MODEL } from './localInference';
+
+// ONNX Runtime does not run under Node: stand in for the in-browser model
+vi.mock('./localInference', () => ({
+  LOCAL_MODEL: { id: 'densenet121', name: 'DenseNet121' },
+  predictLocally: vi.fn(),
+}));
+
+const MESSAGES = [{ role: 'user', content: 'Is this image real?' }];
+
+/**
+ * Stub fetch with a response whose body arrives in the given chunks
+ */
+function mockStream(chunks, contentType = 'text/event-stream') {
+  const encoder = new TextEncoder();
+  const body = new ReadableStream({
+    start(controller) {
+      chunks.forEach((chunk) => controller.enqueue(encoder.encode(chunk)));
+      controller.close();
+    },
+  });
+  vi.stubGlobal('fetch', vi.fn().mockResolvedValue(
+    new Response(body, { status: 200, headers: { 'Content-Type': contentType } })
+  ));
+}
+
+async function collect(chunks, contentType) {
+  mockStream(chunks, contentType);
+  const tokens = [];
+  const result = await streamChatMessage(MESSAGES, { onToken: (token) => tokens.push(token) });
+  return { ...result, tokens };
+}
+
+afterEach(() => {
+  vi.unstubAllGlobals();
+});
+
+describe('streamChatMessage SSE parsing', () => {
+  it('reads JSON tokens up to [DONE]', async () => {
+    const { reply, tokens, streamed } = await collect([
+      'data: {"token": "The "}\n\n',
+      'data: {"delta": "image "}\n\ndata: {"content": "looks real."}\n\n',
+      'data: [DONE]\n\n',
+      'data: {"token": " ignored"}\n\n',
+    ]);
+
+    expect(tokens).toEqual(['The ', 'image ', 'looks real.']);
+    expect(reply).toBe('The image looks real.');
+    expect(streamed).toBe(true);
+  });
+
+  it('joins events split across chunks', async () => {
+    const { reply } = await collect(['da', 'ta: {"tok', 'en": "Hel"}\n', '\ndata: {"token": "lo"}\n\n']);
+
+    expect(reply).toBe('Hello');
+  });
+
+  it('accepts CRLF and CR line endings', async () => {
+    const { tokens } = await collect(['data: {"token": "a"}\r\n\r\n', 'data: {"token": "b"}\r\rdata: [DONE]\r\n\r\n']);
+
+    expect(tokens).toEqual(['a', 'b']);
+  });
+
+  it('joins multi-line data with newlines and keeps plain-text payloads', async () => {
+    const { reply } = await collect(['data: first line\ndata: second line\n\n', 'data:  indented\n\n']);
+
+    expect(reply).toBe('first line\nsecond line indented');
+  });
+
+  it('ignores comments, other fields and events without data', async () => {
+    const { tokens } = await collect([': keep-alive\n\n', 'id: 1\nretry: 1000\ndata: {"token": "x"}\n\n', 'event: ping\n\n']);
+
+    expect(tokens).toEqual(['x']);
+  });
+
+  it('parses the last event even without its closing blank line', async () => {
+    const { reply } = await collect(['data: {"token": "Done"}\n\n', 'data: {"token": "!"}']);
+
+    expect(reply).toBe('Done!');
+  });
+
+  it('throws the message of an error event', async () => {
+    mockStream(['data: {"token": "Partial"}\n\n', 'event: error\ndata: {"error": "Model overloaded"}\n\n']);
+    const tokens = [];
+
+    await expect(streamChatMessage(MESSAGES, { onToken: (token) => tokens.push(token) }))
+      .rejects.toMatchObject({ message: 'Model overloaded', status: 500, isTimeout: false });
+    expect(tokens).toEqual(['Partial']);
+  });
+
+  it('throws the error carried by a data payload', async () => {
+    mockStream(['data: {"error": "Context too long"}\n\n']);
+
+    await expect(streamChatMessage(MESSAGES)).rejects.toThrow('Context too long');
+  });
+
+  it('streams text/plain bodies chunk by chunk', async () => {
+    const { tokens, streamed } = await collect(['data: not SSE\n\n', 'more'], 'text/plain');
+
+    expect(tokens).toEqual(['data: not SSE\n\n', 'more']);
+    expect(streamed).toBe(true);
+  });
+});
+
+describe('uploadImageAndPredict in-browser fallback', () => {
+  const image = new File([Uint8Array.of(0xff, 0xd8, 0xff, 0xd9)], 'photo.jpg', { type: 'image/jpeg' });
+  // No backend runs during the tests, so every server request fails without a response
+  const options = { engine: INFERENCE_MODES.AUTO, timeout: 2000 };
+
+  afterEach(() => {
+    vi.mocked(predictLocally).mockReset();
+  });
+
+  it('answers with the in-browser model when the server is unreachable', async () => {
+    vi.mocked(predictLocally).mockResolvedValue({ prediction: 'Real', confidence: 0.8, probability: 0.8, model: LOCAL_MODEL });
+    const result = await uploadImageAndPredict(image, options);
+
+    expect(result).toMatchObject({ prediction: 'Real', engine: INFERENCE_ENGINES.BROWSER, model: LOCAL_MODEL });
+    expect(result.fallbackReason).not.toMatch(/instead/);
+  });
+
+  it.each([
+    ['an ensemble', ENSEMBLE_MODEL],
+    ['another server model', { id: 'vit', name: 'ViT' }],
+  ])('says so when it replaces %s', async (_, model) => {
+    vi.mocked(predictLocally).mockResolvedValue({ prediction: 'Fake', confidence: 0.7, probability: 0.3, model: LOCAL_MODEL });
+    const result = await uploadImageAndPredict(image, { ...options, model, ensembleModels: [{ id: 'vit', name: 'ViT' }] });
+
+    expect(result.model).toEqual(LOCAL_MODEL);
+    expect(result.fallbackReason).toContain(`${model.name} is not available in the browser, so DenseNet121 answered instead`);
+  });
+});
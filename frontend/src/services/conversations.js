@@ -0,0 +1,192 @@
+/**
+ * Conversation Store
+ *
+ * Purpose: Persists AI Assistant conversations locally (IndexedDB) so they
+ * survive navigation and reloads, and formats them for export.
+ *
+ * Record shape:
+ * {
+ *   id: number,            // Auto-assigned
+ *   title: string,         // Derived from the first question unless renamed
+ *   isTitleCustom: boolean,
+ *   createdAt: number,     // ms since epoch
+ *   updatedAt: number,
+ *   messages: Array<{role: 'user' | 'assistant', content: string, attachment?: object, isStopped?: boolean}>,
+ *                          // attachment: attached image (utils/chatContext.js createImageAttachment)
+ *   context: object | null, // Pinned classification (utils/chatContext.js), sent with every request
+ * }
+ */
+
+import { withStore } from './db';
+import { describeAttachment } from '../utils/chatContext';
+
+const STORE = 'conversations';
+
+const MAX_TITLE_LENGTH = 60;
+export const UNTITLED_CONVERSATION = 'New conversation';
+
+/**
+ * Title from the first question of a conversation
+ *
+ * @param {Array<{role: string, content: string}>} messages
+ * @returns {string}
+ */
+export function deriveConversationTitle(messages) {
+  const firstQuestion = messages.find((message) => message.role === 'user')?.content || '';
+  const title = firstQuestion.replace(/\s+/g, ' ').trim();
+  if (!title) return UNTITLED_CONVERSATION;
+  return title.length > MAX_TITLE_LENGTH ? `${title.slice(0, MAX_TITLE_LENGTH - 1).trimEnd()}…` : title;
+}
+
+/**
+ * Only what is worth keeping (streaming flags are display state)
+ */
+const toStoredMessages = (messages) => messages.map(({ role, content, attachment, isStopped }) => ({
+  role,
+  content,
+  ...(attachment && { attachment }),
+  ...(isStopped && { isStopped }),
+}));
+
+/**
+ * Start a conversation
+ *
+ * @param {Array<{role: string, content: string}>} messages - Initial messages
+ * @param {object|null} [context=null] - Classification the conversation is about
+ * @returns {Promise<object>} The saved record (with its id)
+ */
+export async function createConversation(messages, context = null) {
+  const now = Date.now();
+  const conversation = {
+    title: deriveConversationTitle(messages),
+    isTitleCustom: false,
+    createdAt: now,
+    updatedAt: now,
+    messages: toStoredMessages(messages),
+    context,
+  };
+  const id = await withStore(STORE, 'readwrite', (store) => store.add(conversation));
+  return { ...conversation, id };
+}
+
+/**
+ * Replace the messages of a conversation
+ * The title follows the first question until the user renames it.
+ *
+ * @param {object} conversation - Stored record
+ * @param {Array<{role: string, content: string}>} messages - Full message list
+ * @returns {Promise<object>} The updated record
+ */
+export async function saveConversationMessages(conversation, messages) {
+  const updated = {
+    ...conversation,
+    title: conversation.isTitleCustom ? conversation.title : deriveConversationTitle(messages),
+    updatedAt: Date.now(),
+    messages: toStoredMessages(messages),
+  };
+  await withStore(STORE, 'readwrite', (store) => store.put(updated));
+  return updated;
+}
+
+/**
+ * Rename a conversation (an empty title goes back to the automatic one)
+ *
+ * @param {object} conversation - Stored record
+ * @param {string} title - New title
+ * @returns {Promise<object>} The updated record
+ */
+export async function renameConversation(conversation, title) {
+  const trimmed = title.trim();
+  const updated = {
+    ...conversation,
+    title: trimmed || deriveConversationTitle(conversation.messages),
+    isTitleCustom: Boolean(trimmed),
+  };
+  await withStore(STORE, 'readwrite', (store) => store.put(updated));
+  return updated;
+}
+
+/**
+ * List all conversations, most recently active first
+ * @returns {Promise<object[]>}
+ */
+export async function listConversations() {
+  const records = await withStore(STORE, 'readonly', (store) => store.index('updatedAt').getAll());
+  return records.reverse();
+}
+
+/**
+ * Delete one conversation
+ * @param {number} id - Record id
+ */
+export async function deleteConversation(id) {
+  await withStore(STORE, 'readwrite', (store) => store.delete(id));
+}
+
+/**
+ * Conversations whose title or messages contain the query (case-insensitive)
+ *
+ * @param {object[]} conversations - From listConversations()
+ * @param {string} query - Search text
+ * @returns {object[]}
+ */
+export function searchConversations(conversations, query) {
+  const needle = query.trim().toLowerCase();
+  if (!needle) return conversations;
+  return conversations.filter((conversation) => (
+    conversation.title.toLowerCase().includes(needle)
+    || conversation.messages.some((message) => (
+      message.content.toLowerCase().includes(needle)
+      || message.attachment?.fileName.toLowerCase().includes(needle)
+    ))
+  ));
+}
+
+/**
+ * Format a conversation as a Markdown transcript
+ * @param {object} conversation - Stored record
+ * @returns {string}
+ */
+export function formatConversationMarkdown(conversation) {
+  const header = [
+    `# ${conversation.title}`,
+    '',
+    `_Exported ${new Date().toLocaleString()} · started ${new Date(conversation.createdAt).toLocaleString()}_`,
+    ...(conversation.context ? ['', `> **Attached result:** ${conversation.context.summary}`] : []),
+  ];
+  const turns = conversation.messages.map((message) => [
+    `## ${message.role === 'user' ? 'You' : 'AI Assistant'}`,
+    '',
+    message.content,
+    ...(message.attachment ? ['', `> ${describeAttachment(message.attachment)}`] : []),
+    ...(message.isStopped ? ['', '_(reply stopped)_'] : []),
+  ].join('\n'));
+  return `${[header.join('\n'), ...turns].join('\n\n')}\n`;
+}
+
+/**
+ * Format a conversation as JSON
+ * @param {object} conversation - Stored record
+ * @returns {string}
+ */
+export function formatConversationJson(conversation) {
+  const { id, title, createdAt, updatedAt, messages, context = null } = conversation;
+  return `${JSON.stringify({
+    id,
+    title,
+    createdAt: new Date(createdAt).toISOString(),
+    updatedAt: new Date(updatedAt).toISOString(),
+    context,
+    messages,
+  }, null, 2)}\n`;
+}
+
+/**
+ * File name for an exported conversation, e.g. "conversation-how-does-the-model-work.md"
+ * @param {object} conversation - Stored record
+ * @param {string} extension - Without the dot
+ */
+export function conversationFileName(conversation, extension) {
+  const slug = conversation.title.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 40);
+  return `conversation-${slug || conversation.id}.${extension}`;
+}
@@ -0,0 +1,128 @@
+/**
+ * IndexedDB Access Layer
+ * 
+ * Purpose: Opens the app's local IndexedDB database and wraps its
+ * callback-based requests in promises. Feature modules (e.g. history.js)
+ * build their own CRUD helpers on top of `withStore`.
+ * 
+ * Adding a store: add it to STORES and bump DB_VERSION; the upgrade
+ * handler creates any store (and index) that doesn't exist yet.
+ */
+
+const DB_NAME = 'real-or-ai';
+const DB_VERSION = 3;
+
+// Object stores: name → { keyPath, autoIncrement, indexes }
+export const STORES = {
+  classifications: {
+    keyPath: 'id',
+    autoIncrement: true,
+    indexes: ['timestamp'],
+  },
+  // One entry per image (latest feedback wins)
+  feedback: {
+    keyPath: 'imageHash',
+    autoIncrement: false,
+    indexes: ['timestamp'],
+  },
+  // AI Assistant chats
+  conversations: {
+    keyPath: 'id',
+    autoIncrement: true,
+    indexes: ['updatedAt'],
+  },
+};
+
+// Shared connection, opened lazily on first use
+let dbPromise = null;
+
+/**
+ * Open (and upgrade if needed) the database
+ * @returns {Promise<IDBDatabase>}
+ */
+function openDatabase() {
+  if (dbPromise) return dbPromise;
+
+  if (typeof indexedDB === 'undefined') {
+    return Promise.reject(new Error('Local storage (IndexedDB) is not available in this browser.'));
+  }
+
+  dbPromise = new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    let blocked = false;
+
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      const transaction = request.transaction;
+
+      Object.entries(STORES).forEach(([name, { keyPath, autoIncrement, indexes = [] }]) => {
+        const store = db.objectStoreNames.contains(name)
+          ? transaction.objectStore(name)
+          : db.createObjectStore(name, { keyPath, autoIncrement });
+
+        indexes.forEach((index) => {
+          if (!store.indexNames.contains(index)) store.createIndex(index, index);
+        });
+      });
+    };
+
+    request.onsuccess = () => {
+      const db = request.result;
+      if (blocked) {
+        db.close(); // Opened after the caller gave up; the next call opens again
+        return;
+      }
+      // Another tab is upgrading: let go so it isn't blocked, reopen on next use
+      db.onversionchange = () => {
+        db.close();
+        dbPromise = null;
+      };
+      resolve(db);
+    };
+    request.onerror = () => {
+      dbPromise = null; // Allow a retry on the next call
+      reject(request.error);
+    };
+    // An older version is still open in another tab (one without the handler above)
+    request.onblocked = () => {
+      blocked = true;
+      dbPromise = null;
+      reject(new Error('Local storage is being upgraded but another tab of this app is still using it. Close the other tabs and reload.'));
+    };
+  });
+
+  return dbPromise;
+}
+
+/**
+ * Run an operation against one object store inside a transaction
+ * Resolves with the returned request's result once the transaction completes.
+ * The operation must queue its requests synchronously (no awaits inside),
+ * otherwise IndexedDB auto-commits the transaction.
+ * 
+ * @param {string} storeName - Key of STORES
+ * @param {'readonly' | 'readwrite'} mode - Transaction mode
+ * @param {(store: IDBObjectStore) => IDBRequest | void} operation
+ * @returns {Promise<any>}
+ * 
+ * @example
+ * const all = await withStore('classifications', 'readonly', (store) => store.getAll());
+ */
+export async function withStore(storeName, mode, operation) {
+  const db = await openDatabase();
+
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(storeName, mode);
+    const store = transaction.objectStore(storeName);
+    let result;
+
+    const request = operation(store);
+    if (request) {
+      request.onsuccess = () => { result = request.result; };
+    }
+
+    transaction.oncomplete = () => resolve(result);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
+  });
+}
@@ -0,0 +1,241 @@
+/**
+ * Face Detection Service
+ * 
+ * Purpose: In-browser face detection (MediaPipe BlazeFace) used to crop
+ * faces before classification. The model in backend/CNN.py was trained on
+ * tightly cropped faces, so sending only the face keeps uploads close to
+ * the training distribution.
+ * 
+ * The detector (WASM runtime + model) is loaded lazily on first use, from
+ * this app's own origin: the WASM files are bundled from @mediapipe/tasks-vision
+ * and the model is served from public/models/ (see README). To load them from
+ * elsewhere instead:
+ * - VITE_FACE_DETECTOR_WASM_URL  → folder containing the tasks-vision wasm files
+ * - VITE_FACE_DETECTOR_MODEL_URL → blaze_face_short_range.tflite
+ *
+ * MediaPipe's FaceDetector supports the short-range BlazeFace model only,
+ * which sees the image at 128x128 and misses faces smaller than about a fifth
+ * of it. For group photos, `findSmallFaces` also runs it on overlapping tiles,
+ * where those faces appear larger.
+ */
+
+import wasmLoaderUrl from '@mediapipe/tasks-vision/vision_wasm_internal.js?url';
+import wasmBinaryUrl from '@mediapipe/tasks-vision/vision_wasm_internal.wasm?url';
+import noSimdWasmLoaderUrl from '@mediapipe/tasks-vision/vision_wasm_nosimd_internal.js?url';
+import noSimdWasmBinaryUrl from '@mediapipe/tasks-vision/vision_wasm_nosimd_internal.wasm?url';
+
+import { loadImageBitmap, cropImageFile } from '../utils/image';
+
+const WASM_URL = import.meta.env.VITE_FACE_DETECTOR_WASM_URL || null;
+const MODEL_URL = import.meta.env.VITE_FACE_DETECTOR_MODEL_URL || '/models/blaze_face_short_range.tflite';
+
+// Minimum detector score for a face to be reported
+const MIN_DETECTION_CONFIDENCE = 0.5;
+
+// Small-face pass: tiles per side, and the share of a tile its neighbour overlaps
+// (so a face cut by one tile's edge is whole in the next)
+const TILE_GRID = 3;
+const TILE_OVERLAP = 0.25;
+
+// Two boxes are the same face when their intersection covers this much of the smaller one
+const DUPLICATE_OVERLAP = 0.5;
+
+// BlazeFace boxes cover eyes-to-chin; the training crops include hair and jaw
+const FACE_CROP_SCALE = 1.8;
+
+// Shared detector instance, created on first use
+let detectorPromise = null;
+
+/**
+ * WASM runtime files: the configured folder, else the bundled copies
+ * (the SIMD build when the browser supports it)
+ */
+async function resolveWasmFileset(FilesetResolver) {
+  if (WASM_URL) return FilesetResolver.forVisionTasks(WASM_URL);
+
+  return (await FilesetResolver.isSimdSupported())
+    ? { wasmLoaderPath: wasmLoaderUrl, wasmBinaryPath: wasmBinaryUrl }
+    : { wasmLoaderPath: noSimdWasmLoaderUrl, wasmBinaryPath: noSimdWasmBinaryUrl };
+}
+
+/**
+ * Load the MediaPipe face detector
+ * @returns {Promise<import('@mediapipe/tasks-vision').FaceDetector>}
+ */
+function loadDetector() {
+  if (detectorPromise) return detectorPromise;
+
+  detectorPromise = (async () => {
+    const { FilesetResolver, FaceDetector } = await import('@mediapipe/tasks-vision');
+    const vision = await resolveWasmFileset(FilesetResolver);
+    return FaceDetector.createFromOptions(vision, {
+      baseOptions: { modelAssetPath: MODEL_URL },
+      runningMode: 'IMAGE',
+      minDetectionConfidence: MIN_DETECTION_CONFIDENCE,
+    });
+  })().catch((err) => {
+    detectorPromise = null; // Allow a retry (e.g. after going back online)
+    console.error('Face detector failed to load:', err);
+    throw new Error('Face detection is unavailable. You can still position the crop manually.');
+  });
+
+  return detectorPromise;
+}
+
+/**
+ * Run the detector on one image or tile
+ * @returns {Array<{x: number, y: number, width: number, height: number, score: number}>}
+ */
+function runDetector(detector, image, offsetX = 0, offsetY = 0) {
+  return detector.detect(image).detections
+    .filter((detection) => detection.boundingBox)
+    .map(({ boundingBox, categories }) => ({
+      x: boundingBox.originX + offsetX,
+      y: boundingBox.originY + offsetY,
+      width: boundingBox.width,
+      height: boundingBox.height,
+      score: categories[0]?.score ?? 0,
+    }));
+}
+
+/**
+ * Overlapping tiles covering an image (TILE_GRID per side)
+ * 
+ * @param {{width: number, height: number}} imageSize - Image dimensions
+ * @returns {Array<{x: number, y: number, width: number, height: number}>}
+ */
+export function getDetectionTiles({ width, height }) {
+  const tileWidth = width / (TILE_GRID - (TILE_GRID - 1) * TILE_OVERLAP);
+  const tileHeight = height / (TILE_GRID - (TILE_GRID - 1) * TILE_OVERLAP);
+  const tiles = [];
+  for (let row = 0; row < TILE_GRID; row++) {
+    for (let col = 0; col < TILE_GRID; col++) {
+      tiles.push({
+        x: Math.round(col * tileWidth * (1 - TILE_OVERLAP)),
+        y: Math.round(row * tileHeight * (1 - TILE_OVERLAP)),
+        width: Math.round(tileWidth),
+        height: Math.round(tileHeight),
+      });
+    }
+  }
+  return tiles;
+}
+
+/**
+ * Whether a box found in a tile touches one of the tile's edges inside the
+ * image: the face is cut off there, and whole in the neighbouring tile
+ */
+function isCutByTileEdge(box, tile, imageSize) {
+  return (box.x <= tile.x + 1 && tile.x > 0)
+    || (box.y <= tile.y + 1 && tile.y > 0)
+    || (box.x + box.width >= tile.x + tile.width - 1 && tile.x + tile.width < imageSize.width)
+    || (box.y + box.height >= tile.y + tile.height - 1 && tile.y + tile.height < imageSize.height);
+}
+
+/**
+ * Drop boxes that repeat a higher-scoring one (the same face found in the
+ * whole image and a tile, or in two tiles)
+ * 
+ * @param {Array<{x: number, y: number, width: number, height: number, score: number}>} boxes
+ * @returns {Array<{x: number, y: number, width: number, height: number, score: number}>} Highest score first
+ */
+export function mergeFaceBoxes(boxes) {
+  const isDuplicate = (a, b) => {
+    const overlapWidth = Math.min(a.x + a.width, b.x + b.width) - Math.max(a.x, b.x);
+    const overlapHeight = Math.min(a.y + a.height, b.y + b.height) - Math.max(a.y, b.y);
+    if (overlapWidth <= 0 || overlapHeight <= 0) return false;
+    const smallerArea = Math.min(a.width * a.height, b.width * b.height);
+    return (overlapWidth * overlapHeight) / smallerArea > DUPLICATE_OVERLAP;
+  };
+
+  return [...boxes]
+    .sort((a, b) => b.score - a.score)
+    .reduce((kept, box) => (kept.some((other) => isDuplicate(box, other)) ? kept : [...kept, box]), []);
+}
+
+/**
+ * Detect faces in an image
+ * 
+ * @param {ImageBitmap | HTMLCanvasElement | HTMLImageElement} image - Decoded image
+ * @param {{findSmallFaces?: boolean}} [options] - Also search overlapping tiles,
+ *   for the smaller faces of group photos (runs the detector TILE_GRID² more times)
+ * @returns {Promise<Array<{x: number, y: number, width: number, height: number, score: number}>>}
+ *   Boxes in image pixels, highest score first
+ */
+export async function detectFaces(image, { findSmallFaces = false } = {}) {
+  const detector = await loadDetector();
+  const boxes = runDetector(detector, image);
+  if (!findSmallFaces) return mergeFaceBoxes(boxes);
+
+  const canvas = document.createElement('canvas');
+  const context = canvas.getContext('2d');
+  const imageSize = { width: image.naturalWidth ?? image.width, height: image.naturalHeight ?? image.height };
+  getDetectionTiles(imageSize).forEach((tile) => {
+    canvas.width = tile.width;
+    canvas.height = tile.height;
+    context.drawImage(image, tile.x, tile.y, tile.width, tile.height, 0, 0, tile.width, tile.height);
+    boxes.push(...runDetector(detector, canvas, tile.x, tile.y).filter((box) => !isCutByTileEdge(box, tile, imageSize)));
+  });
+  return mergeFaceBoxes(boxes);
+}
+
+/**
+ * Clamp a square crop so it stays inside the image
+ * 
+ * @param {{x: number, y: number, size: number}} crop - Square crop in image pixels
+ * @param {{width: number, height: number}} imageSize - Image dimensions
+ * @returns {{x: number, y: number, size: number}}
+ */
+export function clampCrop(crop, imageSize) {
+  const size = Math.round(Math.min(Math.max(crop.size, 16), imageSize.width, imageSize.height));
+  return {
+    x: Math.round(Math.min(Math.max(crop.x, 0), imageSize.width - size)),
+    y: Math.round(Math.min(Math.max(crop.y, 0), imageSize.height - size)),
+    size,
+  };
+}
+
+/**
+ * Propose a square crop around a detected face (with margin for hair/jaw)
+ * Without a face, proposes the largest centred square.
+ * 
+ * @param {{x: number, y: number, width: number, height: number} | null} face - Detected face box
+ * @param {{width: number, height: number}} imageSize - Image dimensions
+ * @returns {{x: number, y: number, size: number}}
+ */
+export function proposeFaceCrop(face, imageSize) {
+  if (!face) {
+    const size = Math.min(imageSize.width, imageSize.height);
+    return clampCrop({ x: (imageSize.width - size) / 2, y: (imageSize.height - size) / 2, size }, imageSize);
+  }
+
+  const size = Math.max(face.width, face.height) * FACE_CROP_SCALE;
+  const centerX = face.x + face.width / 2;
+  // Shift up slightly: the detector box sits low relative to the full head
+  const centerY = face.y + face.height * 0.4;
+  return clampCrop({ x: centerX - size / 2, y: centerY - size / 2, size }, imageSize);
+}
+
+/**
+ * Crop an image file to its most confident face
+ * Returns the original file when no face is found or detection is unavailable.
+ * 
+ * @param {File} imageFile - Image to crop
+ * @returns {Promise<{file: File, cropped: boolean}>}
+ */
+export async function cropToBestFace(imageFile) {
+  let bitmap = null;
+  try {
+    bitmap = await loadImageBitmap(imageFile);
+    const [bestFace] = await detectFaces(bitmap);
+    if (!bestFace) return { file: imageFile, cropped: false };
+
+    const crop = proposeFaceCrop(bestFace, { width: bitmap.width, height: bitmap.height });
+    return { file: await cropImageFile(imageFile, crop), cropped: true };
+  } catch (err) {
+    console.warn(`Face crop skipped for ${imageFile.name}:`, err);
+    return { file: imageFile, cropped: false };
+  } finally {
+    bitmap?.close();
+  }
+}
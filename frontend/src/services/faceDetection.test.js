@@ -0,0 +1,43 @@
+import { describe, it, expect } from 'vitest';
+
+import { getDetectionTiles, mergeFaceBoxes } from './faceDetection';
+
+describe('getDetectionTiles', () => {
+  it('covers the image with a 3x3 grid of overlapping tiles', () => {
+    const tiles = getDetectionTiles({ width: 1000, height: 500 });
+
+    expect(tiles).toHaveLength(9);
+    expect(tiles[0]).toEqual({ x: 0, y: 0, width: 400, height: 200 });
+    expect(tiles[1]).toEqual({ x: 300, y: 0, width: 400, height: 200 });
+    expect(tiles[8]).toEqual({ x: 600, y: 300, width: 400, height: 200 });
+    // Neighbours share a quarter of a tile
+    expect(tiles[0].x + tiles[0].width - tiles[1].x).toBe(100);
+  });
+});
+
+describe('mergeFaceBoxes', () => {
+  const box = (x, y, size, score) => ({ x, y, width: size, height: size, score });
+
+  it('keeps separate faces, highest score first', () => {
+    const merged = mergeFaceBoxes([box(0, 0, 10, 0.6), box(100, 0, 10, 0.9), box(0, 100, 10, 0.7)]);
+
+    expect(merged.map((face) => face.score)).toEqual([0.9, 0.7, 0.6]);
+  });
+
+  it('keeps the higher-scoring box of a face found twice', () => {
+    // Whole-image and tile detections of the same face, slightly offset
+    const merged = mergeFaceBoxes([box(100, 100, 40, 0.7), box(104, 98, 40, 0.85)]);
+
+    expect(merged).toEqual([box(104, 98, 40, 0.85)]);
+  });
+
+  it('treats a box mostly inside a larger one as the same face', () => {
+    const merged = mergeFaceBoxes([box(100, 100, 40, 0.9), box(110, 110, 16, 0.6)]);
+
+    expect(merged).toEqual([box(100, 100, 40, 0.9)]);
+  });
+
+  it('keeps faces that only touch', () => {
+    expect(mergeFaceBoxes([box(0, 0, 40, 0.9), box(30, 0, 40, 0.8)])).toHaveLength(2);
+  });
+});
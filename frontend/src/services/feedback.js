@@ -0,0 +1,238 @@
+/**
+ * Feedback Store
+ * 
+ * Purpose: Captures reviewer feedback on predictions ("correct" or
+ * "incorrect, the actual label is ...") for active learning.
+ * Feedback is saved locally (IndexedDB) first, then sent to POST /api/feedback.
+ * Entries the backend could not receive stay queued and are retried when the
+ * browser comes back online (see startFeedbackSync). Entries it refused
+ * (a non-retryable error) are marked `rejected` and not sent again until the
+ * reviewer changes that feedback.
+ * 
+ * Record shape:
+ * {
+ *   imageHash: string,       // SHA-256 of the classified image (key)
+ *   fileName: string,
+ *   predicted: string,       // Verdict shown to the reviewer: "Real" | "Fake"
+ *   modelPrediction: string, // Model's own label at the default threshold
+ *   correctedLabel: string,  // Actual label: "Real" | "Fake"
+ *   isCorrect: boolean,
+ *   confidence: number,      // Confidence of `predicted`, 0-1
+ *   probability: number|null,// Raw P(Real), when the response had it
+ *   threshold: number,       // Decision threshold behind `predicted`
+ *   model: string|null,      // Model id
+ *   timestamp: number,       // ms since epoch
+ *   synced: boolean,         // Received by the backend
+ *   rejected?: boolean,      // Refused by the backend, not retried
+ *   rejection?: string,      // The backend's error message
+ * }
+ * 
+ * Exports carry the label columns of the 140k dataset's train.csv that
+ * backend/CNN.py reads (label with 1 = real, label_str). The images themselves
+ * are not kept, so there is no `path` column: whoever appends the rows to
+ * train.csv adds it for wherever they saved the images (matched by file name
+ * or SHA-256).
+ */
+
+import { withStore } from './db';
+import { sendFeedback, isRetryableError } from './api';
+
+const STORE = 'feedback';
+
+// In-flight queue flush, shared so concurrent triggers don't double-send
+let flushPromise = null;
+
+/**
+ * Whether two stored records are the same save of an image's feedback
+ * (every save gets a new timestamp)
+ */
+const isSameEntry = (a, b) => a.timestamp === b.timestamp && a.correctedLabel === b.correctedLabel;
+
+/**
+ * Send one stored entry and store the outcome (unless the entry changed meanwhile)
+ * @returns {Promise<{synced: boolean, rejected?: boolean, rejection?: string}>}
+ *   Neither synced nor rejected when the backend is unreachable
+ */
+async function syncEntry(record) {
+  const { synced: _synced, rejected: _rejected, rejection: _rejection, ...payload } = record;
+  let status = { synced: true };
+  try {
+    await sendFeedback(payload);
+  } catch (err) {
+    if (isRetryableError(err)) return { synced: false };
+    status = { synced: false, rejected: true, rejection: err.message || 'Rejected by the server' };
+  }
+  // Re-read inside the transaction: the reviewer may have changed or cleared
+  // this feedback while it was being sent, and that version is not sent yet
+  await withStore(STORE, 'readwrite', (store) => {
+    const request = store.get(record.imageHash);
+    request.onsuccess = () => {
+      const current = request.result;
+      if (current && isSameEntry(current, record)) store.put({ ...current, ...status });
+    };
+  });
+  return status;
+}
+
+/**
+ * Save feedback for an image and try to send it right away
+ * Throws only when the feedback could not be stored locally; a server that
+ * refuses it is reported through `rejected` on the returned record.
+ * 
+ * @param {Omit<Object, 'timestamp' | 'synced'>} entry - See record shape above
+ * @returns {Promise<Object>} The stored record; `synced` is false when it was queued
+ */
+export async function recordFeedback(entry) {
+  const record = { ...entry, timestamp: Date.now(), synced: false };
+  try {
+    await withStore(STORE, 'readwrite', (store) => store.put(record));
+  } catch (err) {
+    throw Object.assign(new Error(`Feedback could not be saved in this browser: ${err.message || 'storage error'}`), { cause: err });
+  }
+
+  try {
+    return { ...record, ...(await syncEntry(record)) };
+  } catch (err) {
+    // Stored but the outcome was not: it stays queued
+    console.warn('Could not store the feedback sync status:', err);
+    return record;
+  }
+}
+
+/**
+ * Get the stored feedback for an image, if any
+ * @param {string} imageHash - SHA-256 of the image
+ * @returns {Promise<Object|undefined>}
+ */
+export async function getFeedback(imageHash) {
+  return withStore(STORE, 'readonly', (store) => store.get(imageHash));
+}
+
+/**
+ * List all stored feedback, newest first
+ * @returns {Promise<object[]>}
+ */
+export async function listFeedback() {
+  const records = await withStore(STORE, 'readonly', (store) => store.index('timestamp').getAll());
+  return records.reverse();
+}
+
+/**
+ * Whether a stored entry still waits to be sent
+ * @param {Object} record - From listFeedback()
+ * @returns {boolean}
+ */
+export const isQueued = (record) => !record.synced && !record.rejected;
+
+/**
+ * Delete all stored feedback
+ */
+export async function clearFeedback() {
+  await withStore(STORE, 'readwrite', (store) => store.clear());
+}
+
+/**
+ * Send queued feedback, oldest first
+ * Skips rejected entries and stops at the first entry the backend cannot
+ * receive (it is probably down).
+ * 
+ * @returns {Promise<number>} How many entries were sent
+ */
+export function flushFeedbackQueue() {
+  if (flushPromise) return flushPromise;
+
+  flushPromise = (async () => {
+    const pending = (await listFeedback()).filter(isQueued).reverse();
+    let sent = 0;
+    for (const record of pending) {
+      const status = await syncEntry(record);
+      if (status.rejected) {
+        console.warn(`Feedback for ${record.fileName} was rejected:`, status.rejection);
+      } else if (!status.synced) {
+        break;
+      } else {
+        sent += 1;
+      }
+    }
+    return sent;
+  })().finally(() => {
+    flushPromise = null;
+  });
+
+  return flushPromise;
+}
+
+/**
+ * Retry queued feedback now and whenever the browser comes back online
+ * @returns {() => void} Stops listening
+ */
+export function startFeedbackSync() {
+  const flush = () => {
+    flushFeedbackQueue().catch((err) => console.warn('Could not sync queued feedback:', err));
+  };
+
+  flush();
+  window.addEventListener('online', flush);
+  return () => window.removeEventListener('online', flush);
+}
+
+// ========== EXPORT ==========
+
+/**
+ * Map stored feedback to rows with train.csv's label columns
+ * 
+ * @param {object[]} records - From listFeedback()
+ * @returns {object[]}
+ */
+export function toTrainingRows(records) {
+  return records.map((record) => {
+    const labelStr = record.correctedLabel.toLowerCase() === 'real' ? 'real' : 'fake';
+    return {
+      id: record.imageHash,
+      label: labelStr === 'real' ? 1 : 0,
+      label_str: labelStr,
+      image_hash: record.imageHash,
+      file_name: record.fileName,
+      predicted: record.predicted.toLowerCase() === 'real' ? 'real' : 'fake',
+      corrected_label: labelStr,
+      is_correct: record.isCorrect,
+      confidence: Number(record.confidence.toFixed(4)),
+      probability: record.probability ?? null,
+      threshold: record.threshold,
+      model: record.model || '',
+      timestamp: new Date(record.timestamp).toISOString(),
+    };
+  });
+}
+
+/**
+ * Quote a CSV field when needed (RFC 4180)
+ */
+const toCsvField = (value) => {
+  const text = String(value ?? '');
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Format feedback as CSV (header + one row per image)
+ * @param {object[]} records - From listFeedback()
+ * @returns {string}
+ */
+export function formatFeedbackCsv(records) {
+  const rows = toTrainingRows(records);
+  if (rows.length === 0) return '';
+  const columns = Object.keys(rows[0]);
+  return [
+    columns.join(','),
+    ...rows.map((row) => columns.map((column) => toCsvField(row[column])).join(',')),
+  ].join('\n') + '\n';
+}
+
+/**
+ * Format feedback as JSON Lines (one object per image)
+ * @param {object[]} records - From listFeedback()
+ * @returns {string}
+ */
+export function formatFeedbackJsonl(records) {
+  return toTrainingRows(records).map((row) => JSON.stringify(row)).join('\n') + (records.length ? '\n' : '');
+}
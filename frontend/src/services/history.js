@@ -0,0 +1,74 @@
+/**
+ * Classification History Store
+ * 
+ * Purpose: Persists classification results locally (IndexedDB) so they
+ * survive resets and reloads, for the /history view.
+ * 
+ * Record shape:
+ * {
+ *   id: number,          // Auto-assigned
+ *   fileName: string,    // Of the file as uploaded
+ *   fileSize: number,    // Bytes
+ *   imageHash: string,   // SHA-256 of the classified image (links feedback to the record)
+ *   originalHash: string, // SHA-256 of the file as uploaded (before conversion or face cropping)
+ *   thumbnail: string,   // JPEG data URL
+ *   timestamp: number,   // ms since epoch
+ *   result: object,      // Full /api/predict response (prediction, confidence, details, ...)
+ * }
+ */
+
+import { withStore } from './db';
+import { createThumbnail } from '../utils/image';
+import { sha256Hex } from '../utils/hash';
+
+const STORE = 'classifications';
+
+/**
+ * Save a classification result with a thumbnail of the image
+ * 
+ * @param {File} imageFile - The classified image
+ * @param {object} result - Response from uploadImageAndPredict
+ * @param {File} [originalFile] - The file as uploaded, when imageFile was converted or cropped from it
+ * @returns {Promise<number>} The new record id
+ */
+export async function saveClassification(imageFile, result, originalFile = imageFile) {
+  const [thumbnail, imageHash, originalHash] = await Promise.all([
+    createThumbnail(imageFile),
+    sha256Hex(imageFile),
+    originalFile === imageFile ? null : sha256Hex(originalFile),
+  ]);
+
+  return withStore(STORE, 'readwrite', (store) => store.add({
+    fileName: originalFile.name,
+    fileSize: originalFile.size,
+    imageHash,
+    originalHash: originalHash ?? imageHash,
+    thumbnail,
+    timestamp: Date.now(),
+    result,
+  }));
+}
+
+/**
+ * List all saved classifications, newest first
+ * @returns {Promise<object[]>}
+ */
+export async function listClassifications() {
+  const records = await withStore(STORE, 'readonly', (store) => store.index('timestamp').getAll());
+  return records.reverse();
+}
+
+/**
+ * Delete one saved classification
+ * @param {number} id - Record id
+ */
+export async function deleteClassification(id) {
+  await withStore(STORE, 'readwrite', (store) => store.delete(id));
+}
+
+/**
+ * Delete every saved classification
+ */
+export async function clearClassifications() {
+  await withStore(STORE, 'readwrite', (store) => store.clear());
+}
@@ -0,0 +1,167 @@
+/**
+ * Local (In-Browser) Inference Service
+ * 
+ * Purpose: Runs the exported DenseNet121 classifier in the browser with
+ * ONNX Runtime Web, so classification keeps working when the Flask backend
+ * is unreachable (see inference modes in api.js).
+ * 
+ * Model: cnn_densenet_real_fake.onnx, exported by backend/export_onnx.py.
+ * Copy it to public/models/ or point VITE_LOCAL_MODEL_URL at it.
+ * 
+ * Preprocessing mirrors load_and_preprocess_image in backend/CNN.py:
+ * decode to RGB → bilinear resize to 224x224 (tf.image.resize semantics)
+ * → scale to 0-1. No mean/std normalization.
+ */
+
+import { loadImageBitmap } from '../utils/image';
+
+const MODEL_URL = import.meta.env.VITE_LOCAL_MODEL_URL || '/models/cnn_densenet_real_fake.onnx';
+
+// Must match IMG_SIZE in backend/CNN.py
+const IMG_SIZE = 224;
+
+// The sigmoid output is P(label = 1); in the 140k dataset label 1 is "real"
+const POSITIVE_LABEL = 'Real';
+const NEGATIVE_LABEL = 'Fake';
+
+// The model shipped for in-browser use (same shape as entries of GET /api/models)
+export const LOCAL_MODEL = { id: 'densenet121', name: 'DenseNet121' };
+
+// Shared inference session, created on first use
+let sessionPromise = null;
+
+/**
+ * Download the exported model
+ * Throws an error flagged `isModelMissing` when there is no file at MODEL_URL.
+ * 
+ * @returns {Promise<Uint8Array>}
+ */
+async function fetchModel() {
+  const response = await fetch(MODEL_URL);
+  // The Vite dev server (and most SPA hosts) answer unknown paths with index.html
+  const isHtml = (response.headers.get('Content-Type') || '').includes('text/html');
+  if (response.status === 404 || (response.ok && isHtml)) {
+    throw Object.assign(new Error(`Model file not found at ${MODEL_URL}`), { isModelMissing: true });
+  }
+  if (!response.ok) {
+    throw new Error(`Model download failed with status ${response.status}`);
+  }
+  return new Uint8Array(await response.arrayBuffer());
+}
+
+/**
+ * Load ONNX Runtime and the exported model
+ * @returns {Promise<{ort: object, session: object}>}
+ */
+function loadSession() {
+  if (sessionPromise) return sessionPromise;
+
+  sessionPromise = (async () => {
+    const [ort, model] = await Promise.all([import('onnxruntime-web'), fetchModel()]);
+    const session = await ort.InferenceSession.create(model, {
+      executionProviders: ['wasm'],
+    });
+    return { ort, session };
+  })().catch((err) => {
+    sessionPromise = null; // Allow a retry (e.g. after the model is deployed)
+    console.error('Local model failed to load:', err);
+    if (err.isModelMissing) {
+      throw new Error(`The in-browser model file is missing at ${MODEL_URL}. Export it with backend/export_onnx.py and copy it to public/models/ (or set VITE_LOCAL_MODEL_URL).`);
+    }
+    throw new Error('The in-browser model could not be loaded. Make sure the exported model is deployed.');
+  });
+
+  return sessionPromise;
+}
+
+/**
+ * Bilinear resize of RGBA pixels to a float RGB tensor (NHWC, 0-1)
+ * Matches tf.image.resize (bilinear, half-pixel centers, no antialiasing).
+ * 
+ * @param {Uint8ClampedArray} rgba - Source pixels
+ * @param {number} width - Source width
+ * @param {number} height - Source height
+ * @param {number} size - Output width/height
+ * @returns {Float32Array} Length size * size * 3
+ */
+export function resizeBilinearToTensor(rgba, width, height, size = IMG_SIZE) {
+  const output = new Float32Array(size * size * 3);
+  const scaleY = height / size;
+  const scaleX = width / size;
+
+  for (let outY = 0; outY < size; outY++) {
+    const inY = (outY + 0.5) * scaleY - 0.5;
+    const y0 = Math.max(Math.floor(inY), 0);
+    const y1 = Math.min(Math.ceil(inY), height - 1);
+    const dy = inY - Math.floor(inY);
+
+    for (let outX = 0; outX < size; outX++) {
+      const inX = (outX + 0.5) * scaleX - 0.5;
+      const x0 = Math.max(Math.floor(inX), 0);
+      const x1 = Math.min(Math.ceil(inX), width - 1);
+      const dx = inX - Math.floor(inX);
+
+      for (let c = 0; c < 3; c++) {
+        const topLeft = rgba[(y0 * width + x0) * 4 + c];
+        const topRight = rgba[(y0 * width + x1) * 4 + c];
+        const bottomLeft = rgba[(y1 * width + x0) * 4 + c];
+        const bottomRight = rgba[(y1 * width + x1) * 4 + c];
+
+        const top = topLeft + (topRight - topLeft) * dx;
+        const bottom = bottomLeft + (bottomRight - bottomLeft) * dx;
+        output[(outY * size + outX) * 3 + c] = (top + (bottom - top) * dy) / 255;
+      }
+    }
+  }
+
+  return output;
+}
+
+/**
+ * Decode an image file and build the model input tensor data
+ * @param {Blob} imageFile
+ * @returns {Promise<Float32Array>}
+ */
+async function preprocessImage(imageFile) {
+  const bitmap = await loadImageBitmap(imageFile);
+  const canvas = document.createElement('canvas');
+  canvas.width = bitmap.width;
+  canvas.height = bitmap.height;
+  const context = canvas.getContext('2d');
+  context.drawImage(bitmap, 0, 0);
+  bitmap.close();
+
+  const { data } = context.getImageData(0, 0, canvas.width, canvas.height);
+  return resizeBilinearToTensor(data, canvas.width, canvas.height);
+}
+
+/**
+ * Classify an image entirely in the browser
+ * 
+ * @param {File} imageFile - The image file to classify
+ * @param {{signal?: AbortSignal}} [options]
+ * @returns {Promise<{prediction: string, confidence: number, probability: number, details: string, model: {id: string, name: string}}>}
+ *   `probability` is the raw sigmoid output, P(Real)
+ */
+export async function predictLocally(imageFile, options = {}) {
+  const { signal } = options;
+  const [{ ort, session }, input] = await Promise.all([loadSession(), preprocessImage(imageFile)]);
+  signal?.throwIfAborted();
+
+  const feeds = {
+    [session.inputNames[0]]: new ort.Tensor('float32', input, [1, IMG_SIZE, IMG_SIZE, 3]),
+  };
+  const outputs = await session.run(feeds);
+  signal?.throwIfAborted();
+
+  const probability = outputs[session.outputNames[0]].data[0];
+  const isPositive = probability >= 0.5;
+
+  return {
+    prediction: isPositive ? POSITIVE_LABEL : NEGATIVE_LABEL,
+    confidence: isPositive ? probability : 1 - probability,
+    probability,
+    details: 'Classified offline by the in-browser copy of the DenseNet121 model. No image data left this device.',
+    model: LOCAL_MODEL,
+  };
+}
@@ -0,0 +1,516 @@
+/**
+ * C2PA Helpers
+ *
+ * Purpose: Reads C2PA Content Credentials embedded in JPEG, PNG, WebP, HEIF
+ * (HEIC / AVIF) and TIFF files, entirely in the browser.
+ *
+ * - Reassembles the JUMBF manifest store (JPEG APP11 / PNG caBX / WebP C2PA /
+ *   HEIF C2PA uuid box / TIFF tag 52545)
+ * - Decodes the active manifest's claim, actions and signer certificate
+ * - Verifies the COSE signature (WebCrypto), the assertion hashes and the
+ *   image data hash
+ *
+ * Not covered: checking the signer against the C2PA trust list, timestamps
+ * and revocation. A "valid" result means the manifest is intact and matches
+ * this image, not that the signer is trustworthy.
+ */
+
+import { decodeCbor, encodeSignatureStructure } from './cbor';
+import {
+  IMAGE_FORMATS,
+  detectImageFormat,
+  readAscii,
+  readBoxes,
+  readJpegSegments,
+  readPngChunks,
+  readRiffChunks,
+  readTiffTagBytes,
+} from './imageContainers';
+import { isRealPrediction } from './prediction';
+
+export const SIGNATURE_STATUS = {
+  VALID: 'valid',
+  INVALID: 'invalid',
+  UNVERIFIED: 'unverified',
+};
+
+export const SIGNATURE_STATUS_LABELS = {
+  [SIGNATURE_STATUS.VALID]: 'Valid signature',
+  [SIGNATURE_STATUS.INVALID]: 'Invalid / tampered',
+  [SIGNATURE_STATUS.UNVERIFIED]: 'Not verified',
+};
+
+// What the manifest says about how the image was made
+export const CONTENT_ORIGINS = {
+  AI: 'ai',
+  CAPTURE: 'capture',
+};
+
+const utf8Decoder = new TextDecoder('utf-8');
+
+const JPEG_APP11 = 0xeb;
+const TIFF_C2PA_TAG = 0xcd41;
+// Top-level `uuid` box holding the manifest store in HEIF (ISO BMFF) files
+const BMFF_C2PA_UUID = 'd8fec3d61b0e483c92975828877ec481';
+const MANIFEST_STORE_LABEL = 'c2pa';
+
+// COSE algorithm id -> WebCrypto parameters
+const COSE_ALGORITHMS = {
+  [-7]: { name: 'ES256', key: { name: 'ECDSA', namedCurve: 'P-256' }, verify: { name: 'ECDSA', hash: 'SHA-256' } },
+  [-35]: { name: 'ES384', key: { name: 'ECDSA', namedCurve: 'P-384' }, verify: { name: 'ECDSA', hash: 'SHA-384' } },
+  [-36]: { name: 'ES512', key: { name: 'ECDSA', namedCurve: 'P-521' }, verify: { name: 'ECDSA', hash: 'SHA-512' } },
+  [-37]: { name: 'PS256', key: { name: 'RSA-PSS', hash: 'SHA-256' }, verify: { name: 'RSA-PSS', saltLength: 32 } },
+  [-38]: { name: 'PS384', key: { name: 'RSA-PSS', hash: 'SHA-384' }, verify: { name: 'RSA-PSS', saltLength: 48 } },
+  [-39]: { name: 'PS512', key: { name: 'RSA-PSS', hash: 'SHA-512' }, verify: { name: 'RSA-PSS', saltLength: 64 } },
+  [-8]: { name: 'EdDSA', key: { name: 'Ed25519' }, verify: { name: 'Ed25519' } },
+};
+const COSE_HEADER_ALG = 1;
+const COSE_HEADER_X5CHAIN = 33;
+
+// C2PA hash algorithm names -> WebCrypto
+const HASH_ALGORITHMS = {
+  sha256: 'SHA-256',
+  sha384: 'SHA-384',
+  sha512: 'SHA-512',
+};
+
+// IPTC digital source types (last URL segment)
+const AI_SOURCE_TYPES = new Set([
+  'trainedAlgorithmicMedia',
+  'compositeWithTrainedAlgorithmicMedia',
+  'algorithmicMedia',
+  'compositeSynthetic',
+]);
+const CAPTURE_SOURCE_TYPES = new Set([
+  'digitalCapture',
+  'computationalCapture',
+  'compositeCapture',
+  'negativeFilm',
+  'positiveFilm',
+  'print',
+]);
+
+export const SOURCE_TYPE_LABELS = {
+  trainedAlgorithmicMedia: 'Created by generative AI',
+  compositeWithTrainedAlgorithmicMedia: 'Edited with generative AI',
+  algorithmicMedia: 'Created by an algorithm (non-AI)',
+  compositeSynthetic: 'Composite including synthetic elements',
+  digitalCapture: 'Captured with a digital camera',
+  computationalCapture: 'Captured with computational photography',
+  compositeCapture: 'Composite of captured images',
+  negativeFilm: 'Scanned from negative film',
+  positiveFilm: 'Scanned from positive film',
+  print: 'Scanned from a print',
+  minorHumanEdits: 'Minor human edits',
+  humanEdits: 'Edited by a person',
+  dataDrivenMedia: 'Generated from data',
+};
+
+/**
+ * @typedef {Object} ContentCredentials
+ * @property {number} manifestCount - Manifests in the store (active + ingredients)
+ * @property {string|null} title - Asset title from the claim
+ * @property {string|null} claimGenerator - Software that wrote the manifest
+ * @property {{commonName: string|null, organization: string|null, issuer: string|null}|null} signer
+ * @property {string|null} signatureAlgorithm - COSE algorithm name
+ * @property {Array<{action: string, digitalSourceType: string|null, softwareAgent: string|null, when: string|null}>} actions
+ * @property {string|null} origin - One of CONTENT_ORIGINS, or null if the manifest does not say
+ * @property {{status: string, checks: Array<{label: string, passed: boolean|null, message: string}>}} validation
+ */
+
+// --- JUMBF ---
+
+/**
+ * Parse a JUMBF superbox ("jumb") body into a labelled tree
+ * `payload` (description + content boxes) is what hashed URIs cover.
+ */
+function parseSuperbox(payload) {
+  const [description, ...contents] = readBoxes(payload);
+  if (description?.type !== 'jumd' || description.data.length < 17) return null;
+
+  const toggles = description.data[16];
+  let label = null;
+  if (toggles & 0x02) {
+    const end = description.data.indexOf(0, 17);
+    label = utf8Decoder.decode(description.data.subarray(17, end < 0 ? undefined : end));
+  }
+
+  return {
+    label,
+    payload,
+    children: contents.filter((box) => box.type === 'jumb').map((box) => parseSuperbox(box.data)).filter(Boolean),
+    content: contents.find((box) => box.type !== 'jumb') || null,
+  };
+}
+
+/**
+ * Pull the raw JUMBF manifest store out of the image container
+ *
+ * @param {Uint8Array} bytes - Whole file
+ * @returns {Uint8Array|null}
+ */
+function extractManifestStore(bytes) {
+  const format = detectImageFormat(bytes);
+
+  if (format === IMAGE_FORMATS.PNG) {
+    return readPngChunks(bytes).find((chunk) => chunk.type === 'caBX')?.data || null;
+  }
+  if (format === IMAGE_FORMATS.WEBP) {
+    return readRiffChunks(bytes).find((chunk) => chunk.type === 'C2PA')?.data || null;
+  }
+  if (format === IMAGE_FORMATS.TIFF) {
+    return readTiffTagBytes(bytes, TIFF_C2PA_TAG);
+  }
+  if (format === IMAGE_FORMATS.HEIF) {
+    // uuid (16) + version/flags (4) + purpose ("manifest\0") + merkle offset (8) + store
+    const box = readBoxes(bytes).find(({ type, data }) => type === 'uuid' && data.length > 20
+      && Array.from(data.subarray(0, 16), (byte) => byte.toString(16).padStart(2, '0')).join('') === BMFF_C2PA_UUID);
+    if (!box) return null;
+    const purposeEnd = box.data.indexOf(0, 20);
+    if (purposeEnd < 0 || readAscii(box.data, 20, purposeEnd) !== 'manifest') return null;
+    return box.data.subarray(purposeEnd + 1 + 8);
+  }
+  if (format !== IMAGE_FORMATS.JPEG) return null;
+
+  // APP11: "JP" + box instance (2) + sequence (4) + box header (repeated in every segment) + data
+  const packets = readJpegSegments(bytes)
+    .filter(({ marker, data }) => marker === JPEG_APP11 && data.length > 16 && readAscii(data, 0, 2) === 'JP')
+    .map(({ data }) => {
+      const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+      const hasExtendedSize = view.getUint32(8) === 1;
+      return {
+        instance: view.getUint16(2),
+        sequence: view.getUint32(4),
+        type: readAscii(data, 12, 16),
+        headerLength: hasExtendedSize ? 16 : 8,
+        data,
+      };
+    })
+    .filter((packet) => packet.type === 'jumb');
+  if (packets.length === 0) return null;
+
+  // The manifest store is the first box instance; packets may arrive out of order
+  const instance = packets[0].instance;
+  const ordered = packets
+    .filter((packet) => packet.instance === instance)
+    .sort((a, b) => a.sequence - b.sequence);
+
+  const parts = ordered.map((packet, index) => packet.data.subarray(index === 0 ? 8 : 8 + packet.headerLength));
+  const store = new Uint8Array(parts.reduce((total, part) => total + part.length, 0));
+  let position = 0;
+  parts.forEach((part) => { store.set(part, position); position += part.length; });
+  return store;
+}
+
+/**
+ * Decode a CBOR or JSON content box
+ */
+function decodeContent(box) {
+  if (!box) return null;
+  if (box.content?.type === 'cbor') return decodeCbor(box.content.data);
+  if (box.content?.type === 'json') return JSON.parse(utf8Decoder.decode(box.content.data));
+  return null;
+}
+
+// Assertion labels may carry an instance suffix ("c2pa.actions__1")
+const baseLabel = (label) => label.replace(/__\d+$/, '');
+
+// --- X.509 (just enough DER to get the key and names) ---
+
+function readTlv(bytes, offset) {
+  const tag = bytes[offset];
+  let length = bytes[offset + 1];
+  let header = 2;
+  if (length & 0x80) {
+    const count = length & 0x7f;
+    length = 0;
+    for (let i = 0; i < count; i++) length = length * 256 + bytes[offset + 2 + i];
+    header += count;
+  }
+  return { tag, start: offset, contentStart: offset + header, end: offset + header + length };
+}
+
+function readChildren(bytes, parent) {
+  const children = [];
+  for (let offset = parent.contentStart; offset < parent.end;) {
+    const child = readTlv(bytes, offset);
+    children.push(child);
+    offset = child.end;
+  }
+  return children;
+}
+
+// Attribute type OIDs (2.5.4.x) in distinguished names
+const NAME_ATTRIBUTES = { 3: 'commonName', 10: 'organization' };
+
+function readName(bytes, name) {
+  const result = { commonName: null, organization: null };
+  readChildren(bytes, name).forEach((set) => {
+    readChildren(bytes, set).forEach((attribute) => {
+      const [oid, value] = readChildren(bytes, attribute);
+      const oidBytes = bytes.subarray(oid.contentStart, oid.end);
+      if (oidBytes.length === 3 && oidBytes[0] === 0x55 && oidBytes[1] === 0x04 && NAME_ATTRIBUTES[oidBytes[2]]) {
+        result[NAME_ATTRIBUTES[oidBytes[2]]] = utf8Decoder.decode(bytes.subarray(value.contentStart, value.end));
+      }
+    });
+  });
+  return result;
+}
+
+/**
+ * Extract the public key and names from a DER certificate
+ */
+function parseCertificate(der) {
+  const certificate = readTlv(der, 0);
+  const [tbs] = readChildren(der, certificate);
+  let fields = readChildren(der, tbs);
+  if (fields[0].tag === 0xa0) fields = fields.slice(1); // explicit version
+
+  const [, , issuer, , subject, publicKeyInfo] = fields;
+  return {
+    publicKey: der.slice(publicKeyInfo.start, publicKeyInfo.end),
+    subject: readName(der, subject),
+    issuer: readName(der, issuer),
+  };
+}
+
+// --- Verification ---
+
+const bytesEqual = (a, b) => a.length === b.length && a.every((value, i) => value === b[i]);
+
+async function digest(algorithm, data) {
+  const hashName = HASH_ALGORITHMS[algorithm || 'sha256'];
+  if (!hashName) throw new Error(`Unsupported hash algorithm: ${algorithm}`);
+  return new Uint8Array(await crypto.subtle.digest(hashName, data));
+}
+
+/**
+ * Verify the COSE_Sign1 claim signature against the leaf certificate
+ */
+async function verifySignature(signatureBox, claimBytes) {
+  const [protectedBytes, unprotected = {}, , signature] = decodeContent(signatureBox);
+  const protectedHeader = protectedBytes.length > 0 ? decodeCbor(protectedBytes) : {};
+
+  const algorithm = COSE_ALGORITHMS[protectedHeader[COSE_HEADER_ALG]];
+  const chain = protectedHeader[COSE_HEADER_X5CHAIN] ?? unprotected[COSE_HEADER_X5CHAIN];
+  const leaf = Array.isArray(chain) ? chain[0] : chain;
+  const certificate = leaf ? parseCertificate(leaf) : null;
+
+  const result = {
+    algorithm: algorithm?.name || null,
+    signer: certificate && {
+      commonName: certificate.subject.commonName,
+      organization: certificate.subject.organization,
+      issuer: certificate.issuer.organization || certificate.issuer.commonName,
+    },
+    passed: null,
+    message: null,
+  };
+
+  if (!algorithm) {
+    result.message = `Unsupported signature algorithm (${protectedHeader[COSE_HEADER_ALG]}).`;
+    return result;
+  }
+  if (!certificate) {
+    result.message = 'No signing certificate in the manifest.';
+    return result;
+  }
+
+  try {
+    const key = await crypto.subtle.importKey('spki', certificate.publicKey, algorithm.key, false, ['verify']);
+    result.passed = await crypto.subtle.verify(
+      algorithm.verify,
+      key,
+      signature,
+      encodeSignatureStructure(protectedBytes, claimBytes)
+    );
+    result.message = result.passed
+      ? `Signature verified (${algorithm.name}).`
+      : 'Signature does not match the claim.';
+  } catch (err) {
+    result.message = `Could not verify the signature: ${err.message}`;
+  }
+  return result;
+}
+
+/**
+ * Check every assertion referenced by the claim against its hash
+ */
+async function verifyAssertionHashes(claim, assertionStore) {
+  const references = claim.assertions || [...(claim.created_assertions || []), ...(claim.gathered_assertions || [])];
+  if (references.length === 0) return { passed: null, message: 'Claim lists no assertions.' };
+
+  for (const reference of references) {
+    const label = reference.url.split('/').pop().replace(/^self#jumbf=/, '');
+    const assertion = assertionStore?.children.find((box) => box.label === label);
+    if (!assertion) return { passed: false, message: `Assertion "${label}" is missing.` };
+
+    const hash = await digest(reference.alg || claim.alg, assertion.payload);
+    if (!bytesEqual(hash, reference.hash)) {
+      return { passed: false, message: `Assertion "${label}" was modified.` };
+    }
+  }
+  return { passed: true, message: `${references.length} assertions intact.` };
+}
+
+/**
+ * Hash the file (minus the excluded manifest bytes) and compare
+ */
+async function verifyDataHash(fileBytes, dataHash, claimAlgorithm) {
+  if (!dataHash) return { passed: null, message: 'No image data hash to check.' };
+
+  const exclusions = [...(dataHash.exclusions || [])].sort((a, b) => a.start - b.start);
+  const parts = [];
+  let position = 0;
+  exclusions.forEach(({ start, length }) => {
+    parts.push(fileBytes.subarray(position, start));
+    position = start + length;
+  });
+  parts.push(fileBytes.subarray(position));
+
+  const hash = await digest(dataHash.alg || claimAlgorithm, await new Blob(parts).arrayBuffer());
+  return bytesEqual(hash, dataHash.hash)
+    ? { passed: true, message: 'Image pixels match the signed hash.' }
+    : { passed: false, message: 'Image was changed after it was signed.' };
+}
+
+// --- Public API ---
+
+const lastSegment = (uri) => (uri ? uri.split('/').pop() : null);
+
+const formatAgent = (agent) => {
+  if (!agent) return null;
+  if (typeof agent === 'string') return agent;
+  return [agent.name, agent.version].filter(Boolean).join(' ') || null;
+};
+
+/**
+ * Read and verify the C2PA manifest of an image
+ *
+ * @param {File} file - JPEG, PNG, WebP, HEIF or TIFF image (as uploaded, before any conversion)
+ * @returns {Promise<ContentCredentials|null>} null when the image has no manifest
+ */
+export async function readContentCredentials(file) {
+  const bytes = new Uint8Array(await file.arrayBuffer());
+  const storeBytes = extractManifestStore(bytes);
+  if (!storeBytes) return null;
+
+  const [rootBox] = readBoxes(storeBytes);
+  const store = rootBox?.type === 'jumb' ? parseSuperbox(rootBox.data) : null;
+  if (!store || store.label !== MANIFEST_STORE_LABEL || store.children.length === 0) {
+    throw new Error('Content Credentials are present but could not be parsed.');
+  }
+
+  // The active manifest is the last one in the store
+  const manifest = store.children[store.children.length - 1];
+  const findChild = (labels) => manifest.children.find((box) => labels.includes(box.label));
+  const claimBox = findChild(['c2pa.claim.v2', 'c2pa.claim']);
+  const signatureBox = findChild(['c2pa.signature']);
+  const assertionStore = findChild(['c2pa.assertions']);
+  if (!claimBox || !signatureBox) throw new Error('Content Credentials manifest is incomplete.');
+
+  const claim = decodeContent(claimBox);
+  const assertions = (assertionStore?.children || []).map((box) => {
+    try {
+      return { label: baseLabel(box.label), data: decodeContent(box) };
+    } catch {
+      return { label: baseLabel(box.label), data: null };
+    }
+  });
+
+  // Actions and the origin they declare
+  const actions = assertions
+    .filter(({ label, data }) => (label === 'c2pa.actions' || label === 'c2pa.actions.v2') && data?.actions)
+    .flatMap(({ data }) => data.actions)
+    .map((action) => ({
+      action: action.action,
+      digitalSourceType: lastSegment(action.digitalSourceType),
+      softwareAgent: formatAgent(action.softwareAgent),
+      when: action.when || null,
+    }));
+
+  let origin = null;
+  if (actions.some((action) => AI_SOURCE_TYPES.has(action.digitalSourceType))) {
+    origin = CONTENT_ORIGINS.AI;
+  } else if (actions.some((action) => action.action === 'c2pa.created' && CAPTURE_SOURCE_TYPES.has(action.digitalSourceType))) {
+    origin = CONTENT_ORIGINS.CAPTURE;
+  }
+
+  // Claim generator: prefer the structured info (v2 map, v1 list)
+  const generatorInfo = Array.isArray(claim.claim_generator_info)
+    ? claim.claim_generator_info[0]
+    : claim.claim_generator_info;
+
+  // Verification
+  const checks = [];
+  let signer = null;
+  let signatureAlgorithm = null;
+
+  if (!globalThis.crypto?.subtle) {
+    checks.push({ label: 'Signature', passed: null, message: 'WebCrypto is unavailable (requires HTTPS or localhost).' });
+  } else {
+    const signature = await verifySignature(signatureBox, claimBox.content.data).catch((err) => ({
+      signer: null,
+      algorithm: null,
+      passed: false,
+      message: `Malformed signature: ${err.message}`,
+    }));
+    signer = signature.signer;
+    signatureAlgorithm = signature.algorithm;
+    checks.push({ label: 'Signature', passed: signature.passed, message: signature.message });
+
+    const assertionCheck = await verifyAssertionHashes(claim, assertionStore)
+      .catch((err) => ({ passed: null, message: err.message }));
+    checks.push({ label: 'Assertions', ...assertionCheck });
+
+    const dataHash = assertions.find(({ label }) => label === 'c2pa.hash.data')?.data;
+    const hasBmffHash = assertions.some(({ label }) => label?.startsWith('c2pa.hash.bmff'));
+    const dataCheck = !dataHash && hasBmffHash
+      ? { passed: null, message: 'HEIF/AVIF box hashes (c2pa.hash.bmff) are not checked.' }
+      : await verifyDataHash(bytes, dataHash, claim.alg)
+        .catch((err) => ({ passed: null, message: err.message }));
+    checks.push({ label: 'Image data', ...dataCheck });
+  }
+
+  let status = SIGNATURE_STATUS.UNVERIFIED;
+  if (checks.some((check) => check.passed === false)) status = SIGNATURE_STATUS.INVALID;
+  else if (checks[0].passed === true) status = SIGNATURE_STATUS.VALID;
+
+  return {
+    manifestCount: store.children.length,
+    title: claim['dc:title'] || null,
+    claimGenerator: formatAgent(generatorInfo) || claim.claim_generator || null,
+    signer,
+    signatureAlgorithm,
+    actions,
+    origin,
+    validation: { status, checks },
+  };
+}
+
+/**
+ * Compare what the manifest declares with the model's prediction
+ *
+ * @param {ContentCredentials} credentials
+ * @param {string} prediction - Model label ("Real" / "Fake" / ...)
+ * @returns {{agreement: 'agrees'|'conflicts'|'inconclusive', message: string}}
+ */
+export function compareCredentialsWithPrediction(credentials, prediction) {
+  const modelLabel = isRealPrediction(prediction) ? 'real' : 'AI-generated';
+
+  if (!credentials.origin) {
+    return {
+      agreement: 'inconclusive',
+      message: 'The manifest does not state whether the image was captured or generated.',
+    };
+  }
+
+  const manifestLabel = credentials.origin === CONTENT_ORIGINS.CAPTURE ? 'real' : 'AI-generated';
+  if (manifestLabel === modelLabel) {
+    return { agreement: 'agrees', message: `The manifest and the model both say the image is ${modelLabel}.` };
+  }
+  return {
+    agreement: 'conflicts',
+    message: `The manifest declares the image ${manifestLabel}, but the model predicts ${modelLabel}.`,
+  };
+}
@@ -0,0 +1,317 @@
+import { describe, it, expect, beforeAll } from 'vitest';
+
+import { readContentCredentials, compareCredentialsWithPrediction, CONTENT_ORIGINS, SIGNATURE_STATUS } from './c2pa';
+import { encodeSignatureStructure } from './cbor';
+
+// --- Encoding helpers ---
+
+const encoder = new TextEncoder();
+
+const concat = (...parts) => {
+  const output = new Uint8Array(parts.reduce((total, part) => total + part.length, 0));
+  let position = 0;
+  parts.forEach((part) => { output.set(part, position); position += part.length; });
+  return output;
+};
+
+const ascii = (text) => Uint8Array.from(text, (char) => char.charCodeAt(0));
+const uint16 = (value) => Uint8Array.of(value >> 8, value & 0xff);
+const uint32 = (value) => Uint8Array.of(value >>> 24, (value >> 16) & 0xff, (value >> 8) & 0xff, value & 0xff);
+
+const sha256 = async (bytes) => new Uint8Array(await crypto.subtle.digest('SHA-256', bytes));
+
+/**
+ * CBOR encoder for the fixtures (integers, strings, bytes, arrays, maps)
+ * Maps with integer keys (COSE headers) are passed as Map.
+ */
+function encodeCbor(value) {
+  const head = (majorType, length) => {
+    const type = majorType << 5;
+    if (length < 24) return Uint8Array.of(type | length);
+    if (length < 0x100) return Uint8Array.of(type | 24, length);
+    if (length < 0x10000) return concat(Uint8Array.of(type | 25), uint16(length));
+    return concat(Uint8Array.of(type | 26), uint32(length));
+  };
+
+  if (value === null) return Uint8Array.of(0xf6);
+  if (typeof value === 'number') return value >= 0 ? head(0, value) : head(1, -1 - value);
+  if (typeof value === 'string') {
+    const bytes = encoder.encode(value);
+    return concat(head(3, bytes.length), bytes);
+  }
+  if (value instanceof Uint8Array) return concat(head(2, value.length), value);
+  if (Array.isArray(value)) return concat(head(4, value.length), ...value.map(encodeCbor));
+
+  const entries = value instanceof Map ? [...value.entries()] : Object.entries(value);
+  return concat(head(5, entries.length), ...entries.flatMap(([key, item]) => [encodeCbor(key), encodeCbor(item)]));
+}
+
+// ISO BMFF / JUMBF box
+const box = (type, data) => concat(uint32(data.length + 8), ascii(type), data);
+
+/**
+ * JUMBF superbox: description (type UUID, toggles, label) + content boxes
+ * Returns the box and its payload (what hashed URIs cover).
+ */
+function superbox(label, contents) {
+  const description = box('jumd', concat(new Uint8Array(16), Uint8Array.of(0x03), ascii(label), Uint8Array.of(0)));
+  const payload = concat(description, ...contents);
+  return { bytes: box('jumb', payload), payload };
+}
+
+// DER TLV with short or long form length
+function der(tag, ...contents) {
+  const body = concat(...contents);
+  const length = body.length < 0x80
+    ? Uint8Array.of(body.length)
+    : body.length < 0x100 ? Uint8Array.of(0x81, body.length) : Uint8Array.of(0x82, body.length >> 8, body.length & 0xff);
+  return concat(Uint8Array.of(tag), length, body);
+}
+
+const derName = (commonName, organization) => der(0x30,
+  der(0x31, der(0x30, der(0x06, Uint8Array.of(0x55, 0x04, 0x03)), der(0x0c, encoder.encode(commonName)))),
+  der(0x31, der(0x30, der(0x06, Uint8Array.of(0x55, 0x04, 0x0a)), der(0x0c, encoder.encode(organization))))
+);
+
+/**
+ * Just enough of an X.509 certificate for the reader: names and the public key
+ */
+function buildCertificate(spki) {
+  const ecdsaWithSha256 = der(0x30, der(0x06, Uint8Array.of(0x2a, 0x86, 0x48, 0xce, 0x3d, 0x04, 0x03, 0x02)));
+  const tbs = der(0x30,
+    der(0xa0, der(0x02, Uint8Array.of(2))),
+    der(0x02, Uint8Array.of(1)),
+    ecdsaWithSha256,
+    derName('Test CA', 'Test Root Org'),
+    der(0x30),
+    derName('Test Signer', 'Example Camera Co'),
+    spki
+  );
+  return der(0x30, tbs, ecdsaWithSha256, der(0x03, Uint8Array.of(0), new Uint8Array(64)));
+}
+
+// --- Manifest fixtures ---
+
+const AI_ACTIONS = {
+  actions: [{
+    action: 'c2pa.created',
+    digitalSourceType: 'http://cv.iptc.org/newscodes/digitalsourcetype/trainedAlgorithmicMedia',
+    softwareAgent: { name: 'Image Generator', version: '3' },
+    when: '2025-01-01T00:00:00Z',
+  }],
+};
+
+let signingKeys;
+let otherKeys;
+let certificate;
+
+beforeAll(async () => {
+  const generate = () => crypto.subtle.generateKey({ name: 'ECDSA', namedCurve: 'P-256' }, true, ['sign', 'verify']);
+  [signingKeys, otherKeys] = await Promise.all([generate(), generate()]);
+  certificate = buildCertificate(new Uint8Array(await crypto.subtle.exportKey('spki', signingKeys.publicKey)));
+});
+
+/**
+ * Signed manifest store with the given assertions
+ *
+ * @param {Object} options
+ * @param {Object<string, Object>} options.assertions - Label -> CBOR content
+ * @param {CryptoKey} [options.signWith] - Private key (defaults to the certificate's)
+ * @param {Object<string, Object>} [options.replaceAfterSigning] - Assertions swapped in after hashing
+ */
+async function buildManifestStore({ assertions, signWith = signingKeys.privateKey, replaceAfterSigning = {} }) {
+  const hashedBoxes = Object.entries(assertions).map(([label, content]) => ({
+    label,
+    ...superbox(label, [box('cbor', encodeCbor(content))]),
+  }));
+  const references = await Promise.all(hashedBoxes.map(async ({ label, payload }) => ({
+    url: `self#jumbf=c2pa.assertions/${label}`,
+    hash: await sha256(payload),
+  })));
+  const storedBoxes = hashedBoxes.map(({ label, bytes }) => (replaceAfterSigning[label]
+    ? superbox(label, [box('cbor', encodeCbor(replaceAfterSigning[label]))]).bytes
+    : bytes));
+
+  const claimBytes = encodeCbor({
+    'dc:title': 'generated.png',
+    claim_generator_info: [{ name: 'Test Signer App', version: '1.0' }],
+    alg: 'sha256',
+    assertions: references,
+  });
+
+  const protectedBytes = encodeCbor(new Map([[1, -7], [33, certificate]]));
+  const signature = new Uint8Array(await crypto.subtle.sign(
+    { name: 'ECDSA', hash: 'SHA-256' },
+    signWith,
+    encodeSignatureStructure(protectedBytes, claimBytes)
+  ));
+
+  const manifest = superbox('urn:uuid:00000000-0000-0000-0000-000000000001', [
+    superbox('c2pa.assertions', storedBoxes).bytes,
+    superbox('c2pa.claim', [box('cbor', claimBytes)]).bytes,
+    superbox('c2pa.signature', [box('cbor', encodeCbor([protectedBytes, {}, null, signature]))]).bytes,
+  ]);
+  return superbox('c2pa', [manifest.bytes]).bytes;
+}
+
+const pngChunk = (type, data) => concat(uint32(data.length), ascii(type), data, new Uint8Array(4));
+const PNG_SIGNATURE = Uint8Array.of(0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a);
+
+/**
+ * PNG with a caBX chunk whose manifest hashes the rest of the file (c2pa.hash.data)
+ */
+async function buildSignedPng(options = {}) {
+  const before = concat(PNG_SIGNATURE, pngChunk('IHDR', new Uint8Array(13)));
+  const after = concat(pngChunk('IDAT', Uint8Array.of(1, 2, 3, 4, 5, 6, 7, 8)), pngChunk('IEND', new Uint8Array(0)));
+  const hash = await sha256(concat(before, after));
+
+  // The exclusion covers the caBX chunk, whose size depends on the exclusion itself
+  let chunkLength = 0;
+  let store;
+  for (;;) {
+    const hashData = { exclusions: [{ start: before.length, length: chunkLength }], alg: 'sha256', hash };
+    store = await buildManifestStore({ ...options, assertions: { 'c2pa.actions': AI_ACTIONS, 'c2pa.hash.data': hashData } });
+    if (store.length + 12 === chunkLength) break;
+    chunkLength = store.length + 12;
+  }
+  return concat(before, pngChunk('caBX', store), after);
+}
+
+const toFile = (bytes, type) => new File([bytes], 'image', { type });
+const checksByLabel = (credentials) => Object.fromEntries(
+  credentials.validation.checks.map(({ label, passed }) => [label, passed])
+);
+
+// --- Tests ---
+
+describe('readContentCredentials', () => {
+  it('returns null when the image has no manifest', async () => {
+    const png = concat(PNG_SIGNATURE, pngChunk('IHDR', new Uint8Array(13)), pngChunk('IEND', new Uint8Array(0)));
+
+    await expect(readContentCredentials(toFile(png, 'image/png'))).resolves.toBeNull();
+  });
+
+  it('reads and verifies a signed PNG manifest', async () => {
+    const credentials = await readContentCredentials(toFile(await buildSignedPng(), 'image/png'));
+
+    expect(credentials).toMatchObject({
+      manifestCount: 1,
+      title: 'generated.png',
+      claimGenerator: 'Test Signer App 1.0',
+      signer: { commonName: 'Test Signer', organization: 'Example Camera Co', issuer: 'Test Root Org' },
+      signatureAlgorithm: 'ES256',
+      origin: CONTENT_ORIGINS.AI,
+      actions: [{
+        action: 'c2pa.created',
+        digitalSourceType: 'trainedAlgorithmicMedia',
+        softwareAgent: 'Image Generator 3',
+        when: '2025-01-01T00:00:00Z',
+      }],
+    });
+    expect(credentials.validation.status).toBe(SIGNATURE_STATUS.VALID);
+    expect(checksByLabel(credentials)).toEqual({ Signature: true, Assertions: true, 'Image data': true });
+  });
+
+  it('detects image data changed after signing', async () => {
+    const png = await buildSignedPng();
+    png[png.length - 20] ^= 0xff; // inside IDAT
+    const credentials = await readContentCredentials(toFile(png, 'image/png'));
+
+    expect(checksByLabel(credentials)).toEqual({ Signature: true, Assertions: true, 'Image data': false });
+    expect(credentials.validation.status).toBe(SIGNATURE_STATUS.INVALID);
+  });
+
+  it('detects an assertion changed after signing', async () => {
+    const png = await buildSignedPng({ replaceAfterSigning: { 'c2pa.actions': { actions: [{ action: 'c2pa.opened' }] } } });
+    const credentials = await readContentCredentials(toFile(png, 'image/png'));
+
+    expect(checksByLabel(credentials).Assertions).toBe(false);
+    expect(credentials.validation.status).toBe(SIGNATURE_STATUS.INVALID);
+  });
+
+  it('rejects a signature made with another key', async () => {
+    const credentials = await readContentCredentials(toFile(await buildSignedPng({ signWith: otherKeys.privateKey }), 'image/png'));
+
+    expect(checksByLabel(credentials).Signature).toBe(false);
+    expect(credentials.validation.status).toBe(SIGNATURE_STATUS.INVALID);
+  });
+
+  it('reassembles a manifest split over out-of-order JPEG APP11 segments', async () => {
+    const store = await buildManifestStore({ assertions: { 'c2pa.actions': AI_ACTIONS } });
+    const header = store.subarray(0, 8);
+    const middle = Math.floor(store.length / 2);
+    const app11 = (sequence, data) => {
+      const payload = concat(ascii('JP'), uint16(1), uint32(sequence), data);
+      return concat(Uint8Array.of(0xff, 0xeb), uint16(payload.length + 2), payload);
+    };
+    const jpeg = concat(
+      Uint8Array.of(0xff, 0xd8),
+      app11(2, concat(header, store.subarray(middle))),
+      app11(1, store.subarray(0, middle)),
+      Uint8Array.of(0xff, 0xd9)
+    );
+    const credentials = await readContentCredentials(toFile(jpeg, 'image/jpeg'));
+
+    expect(checksByLabel(credentials)).toEqual({ Signature: true, Assertions: true, 'Image data': null });
+    expect(credentials.validation.status).toBe(SIGNATURE_STATUS.VALID);
+    expect(credentials.origin).toBe(CONTENT_ORIGINS.AI);
+  });
+
+  it('reads the manifest from a WebP C2PA chunk and a TIFF IFD0 tag', async () => {
+    const store = await buildManifestStore({ assertions: { 'c2pa.actions': AI_ACTIONS } });
+
+    const chunkSize = new Uint8Array(4);
+    new DataView(chunkSize.buffer).setUint32(0, store.length, true);
+    const body = concat(ascii('WEBP'), ascii('C2PA'), chunkSize, store, new Uint8Array(store.length % 2));
+    const riffSize = new Uint8Array(4);
+    new DataView(riffSize.buffer).setUint32(0, body.length, true);
+    const webp = concat(ascii('RIFF'), riffSize, body);
+
+    // Big-endian TIFF, IFD0 with one UNDEFINED entry (tag 52545) pointing after the IFD
+    const tiff = concat(ascii('MM'), uint16(42), uint32(8), uint16(1), uint16(0xcd41), uint16(7), uint32(store.length), uint32(26), uint32(0), store);
+
+    const fromWebp = await readContentCredentials(toFile(webp, 'image/webp'));
+    const fromTiff = await readContentCredentials(toFile(tiff, 'image/tiff'));
+
+    expect(fromWebp.validation.status).toBe(SIGNATURE_STATUS.VALID);
+    expect(fromTiff.validation.status).toBe(SIGNATURE_STATUS.VALID);
+  });
+
+  it('reads the manifest from the C2PA uuid box of a HEIF file, without checking BMFF hashes', async () => {
+    const store = await buildManifestStore({
+      assertions: { 'c2pa.actions': AI_ACTIONS, 'c2pa.hash.bmff.v2': { alg: 'sha256', hash: new Uint8Array(32) } },
+    });
+    const uuid = Uint8Array.of(0xd8, 0xfe, 0xc3, 0xd6, 0x1b, 0x0e, 0x48, 0x3c, 0x92, 0x97, 0x58, 0x28, 0x87, 0x7e, 0xc4, 0x81);
+    const heif = concat(
+      box('ftyp', concat(ascii('heic'), new Uint8Array(4), ascii('mif1heic'))),
+      box('uuid', concat(uuid, new Uint8Array(4), ascii('manifest\0'), new Uint8Array(8), store))
+    );
+    const credentials = await readContentCredentials(toFile(heif, 'image/heic'));
+
+    expect(checksByLabel(credentials)).toEqual({ Signature: true, Assertions: true, 'Image data': null });
+    expect(credentials.validation.checks[2].message).toMatch(/c2pa\.hash\.bmff/);
+  });
+
+  it('throws when a manifest store is present but not a C2PA store', async () => {
+    const png = concat(
+      PNG_SIGNATURE,
+      pngChunk('IHDR', new Uint8Array(13)),
+      pngChunk('caBX', superbox('not-c2pa', []).bytes),
+      pngChunk('IEND', new Uint8Array(0))
+    );
+
+    await expect(readContentCredentials(toFile(png, 'image/png'))).rejects.toThrow('could not be parsed');
+  });
+});
+
+describe('compareCredentialsWithPrediction', () => {
+  it('agrees, conflicts or stays inconclusive depending on the declared origin', () => {
+    expect(compareCredentialsWithPrediction({ origin: CONTENT_ORIGINS.AI }, 'Fake').agreement).toBe('agrees');
+    expect(compareCredentialsWithPrediction({ origin: CONTENT_ORIGINS.CAPTURE }, 'real').agreement).toBe('agrees');
+    expect(compareCredentialsWithPrediction({ origin: CONTENT_ORIGINS.CAPTURE }, 'Fake')).toEqual({
+      agreement: 'conflicts',
+      message: 'The manifest declares the image real, but the model predicts AI-generated.',
+    });
+    expect(compareCredentialsWithPrediction({ origin: null }, 'Real').agreement).toBe('inconclusive');
+  });
+});
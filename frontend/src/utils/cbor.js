@@ -0,0 +1,159 @@
+/**
+ * CBOR Helpers
+ *
+ * Purpose: Minimal CBOR (RFC 8949) support for reading C2PA manifests.
+ * - decodeCbor(): full decoder (maps become plain objects, tags are unwrapped)
+ * - encodeSignatureStructure(): the one structure we need to encode, the
+ *   COSE Sig_structure used to verify COSE_Sign1 signatures
+ */
+
+const utf8Decoder = new TextDecoder('utf-8');
+const utf8Encoder = new TextEncoder();
+
+const BREAK = Symbol('break');
+
+/**
+ * Decode a half-precision float
+ */
+function decodeFloat16(bits) {
+  const exponent = (bits >> 10) & 0x1f;
+  const fraction = bits & 0x3ff;
+  const sign = bits & 0x8000 ? -1 : 1;
+  if (exponent === 0) return sign * 2 ** -14 * (fraction / 1024);
+  if (exponent === 0x1f) return fraction ? NaN : sign * Infinity;
+  return sign * 2 ** (exponent - 15) * (1 + fraction / 1024);
+}
+
+/**
+ * Decode a CBOR item
+ *
+ * @param {Uint8Array} bytes - Encoded data
+ * @returns {*} Decoded value (byte strings as Uint8Array)
+ */
+export function decodeCbor(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  let offset = 0;
+
+  const ensure = (length) => {
+    if (offset + length > bytes.length) throw new Error('Truncated CBOR data.');
+  };
+
+  const readArgument = (info) => {
+    if (info < 24) return info;
+    if (info === 24) { ensure(1); return bytes[offset++]; }
+    if (info === 25) { ensure(2); const value = view.getUint16(offset); offset += 2; return value; }
+    if (info === 26) { ensure(4); const value = view.getUint32(offset); offset += 4; return value; }
+    if (info === 27) { ensure(8); const value = Number(view.getBigUint64(offset)); offset += 8; return value; }
+    if (info === 31) return null; // indefinite length
+    throw new Error('Invalid CBOR length.');
+  };
+
+  const readChunks = (majorType) => {
+    const parts = [];
+    for (;;) {
+      const part = readItem();
+      if (part === BREAK) break;
+      parts.push(part);
+    }
+    if (majorType === 3) return parts.join('');
+    const joined = new Uint8Array(parts.reduce((total, part) => total + part.length, 0));
+    let position = 0;
+    parts.forEach((part) => { joined.set(part, position); position += part.length; });
+    return joined;
+  };
+
+  function readItem() {
+    ensure(1);
+    const initial = bytes[offset++];
+    const majorType = initial >> 5;
+    const info = initial & 0x1f;
+
+    if (majorType === 7) {
+      if (info === 20) return false;
+      if (info === 21) return true;
+      if (info === 22) return null;
+      if (info === 23) return undefined;
+      if (info === 25) { ensure(2); const value = decodeFloat16(view.getUint16(offset)); offset += 2; return value; }
+      if (info === 26) { ensure(4); const value = view.getFloat32(offset); offset += 4; return value; }
+      if (info === 27) { ensure(8); const value = view.getFloat64(offset); offset += 8; return value; }
+      if (info === 31) return BREAK;
+      return readArgument(info); // unassigned simple value
+    }
+
+    const argument = readArgument(info);
+
+    switch (majorType) {
+      case 0:
+        return argument;
+      case 1:
+        return -1 - argument;
+      case 2:
+      case 3: {
+        if (argument === null) return readChunks(majorType);
+        ensure(argument);
+        const data = bytes.subarray(offset, offset + argument);
+        offset += argument;
+        return majorType === 2 ? data : utf8Decoder.decode(data);
+      }
+      case 4: {
+        const items = [];
+        while (argument === null || items.length < argument) {
+          const item = readItem();
+          if (item === BREAK) break;
+          items.push(item);
+        }
+        return items;
+      }
+      case 5: {
+        const map = {};
+        for (let count = 0; argument === null || count < argument; count++) {
+          const key = readItem();
+          if (key === BREAK) break;
+          map[key] = readItem();
+        }
+        return map;
+      }
+      default:
+        // Tag: keep the tagged value only
+        return readItem();
+    }
+  }
+
+  return readItem();
+}
+
+/**
+ * Encode a CBOR head (major type + argument) for lengths below 2^32
+ */
+function encodeHead(majorType, length) {
+  const type = majorType << 5;
+  if (length < 24) return [type | length];
+  if (length < 0x100) return [type | 24, length];
+  if (length < 0x10000) return [type | 25, length >> 8, length & 0xff];
+  return [type | 26, (length >>> 24) & 0xff, (length >> 16) & 0xff, (length >> 8) & 0xff, length & 0xff];
+}
+
+/**
+ * Encode the COSE Sig_structure for a COSE_Sign1 message (RFC 9052 §4.4):
+ * ["Signature1", protected, external_aad, payload]
+ *
+ * @param {Uint8Array} protectedHeader - Serialized protected header (as in the message)
+ * @param {Uint8Array} payload - Signed payload
+ * @param {Uint8Array} [externalAad] - Externally supplied data (empty for C2PA)
+ * @returns {Uint8Array}
+ */
+export function encodeSignatureStructure(protectedHeader, payload, externalAad = new Uint8Array(0)) {
+  const context = utf8Encoder.encode('Signature1');
+  const parts = [
+    [0x84],
+    encodeHead(3, context.length), context,
+    encodeHead(2, protectedHeader.length), protectedHeader,
+    encodeHead(2, externalAad.length), externalAad,
+    encodeHead(2, payload.length), payload,
+  ];
+
+  const output = new Uint8Array(parts.reduce((total, part) => total + part.length, 0));
+  let position = 0;
+  parts.forEach((part) => { output.set(part, position); position += part.length; });
+  return output;
+}
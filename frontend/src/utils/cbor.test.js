@@ -0,0 +1,105 @@
+import { describe, it, expect } from 'vitest';
+
+import { decodeCbor, encodeSignatureStructure } from './cbor';
+
+const hex = (text) => Uint8Array.from(text.match(/../g) || [], (byte) => parseInt(byte, 16));
+
+describe('decodeCbor', () => {
+  // Examples from RFC 8949 Appendix A
+  it.each([
+    ['00', 0],
+    ['17', 23],
+    ['1818', 24],
+    ['1903e8', 1000],
+    ['1a000f4240', 1000000],
+    ['1b000000e8d4a51000', 1000000000000],
+    ['20', -1],
+    ['3903e7', -1000],
+    ['f4', false],
+    ['f5', true],
+    ['f6', null],
+    ['f7', undefined],
+    ['f93c00', 1],
+    ['f9c400', -4],
+    ['f97c00', Infinity],
+    ['f90001', 5.960464477539063e-8],
+    ['fa47c35000', 100000],
+    ['fb3ff199999999999a', 1.1],
+    ['60', ''],
+    ['6449455446', 'IETF'],
+    ['62c3bc', 'ü'],
+    ['7f657374726561646d696e67ff', 'streaming'],
+  ])('decodes %s', (encoded, expected) => {
+    expect(decodeCbor(hex(encoded))).toBe(expected);
+  });
+
+  it('decodes NaN', () => {
+    expect(decodeCbor(hex('f97e00'))).toBeNaN();
+  });
+
+  it('decodes byte strings as Uint8Array, including indefinite-length ones', () => {
+    expect(decodeCbor(hex('4401020304'))).toEqual(Uint8Array.of(1, 2, 3, 4));
+    expect(decodeCbor(hex('5f42010243030405ff'))).toEqual(Uint8Array.of(1, 2, 3, 4, 5));
+  });
+
+  it('decodes arrays and maps, definite and indefinite', () => {
+    expect(decodeCbor(hex('8301820203820405'))).toEqual([1, [2, 3], [4, 5]]);
+    expect(decodeCbor(hex('9f018202039f0405ffff'))).toEqual([1, [2, 3], [4, 5]]);
+    expect(decodeCbor(hex('a201020304'))).toEqual({ 1: 2, 3: 4 });
+    expect(decodeCbor(hex('a26161016162820203'))).toEqual({ a: 1, b: [2, 3] });
+    expect(decodeCbor(hex('bf6346756ef563416d7421ff'))).toEqual({ Fun: true, Amt: -2 });
+  });
+
+  it('unwraps tags', () => {
+    expect(decodeCbor(hex('c074323031332d30332d32315432303a30343a30305a'))).toBe('2013-03-21T20:04:00Z');
+    // COSE_Sign1 (tag 18) around its four-element array
+    expect(decodeCbor(hex('d28443a10126a0f64101'))).toEqual([hex('a10126'), {}, null, Uint8Array.of(1)]);
+  });
+
+  it('throws on truncated data', () => {
+    expect(() => decodeCbor(hex('19'))).toThrow('Truncated CBOR data.');
+    expect(() => decodeCbor(hex('6449455'))).toThrow('Truncated CBOR data.');
+    expect(() => decodeCbor(new Uint8Array(0))).toThrow('Truncated CBOR data.');
+  });
+
+  it('throws on reserved length encodings', () => {
+    expect(() => decodeCbor(hex('1c'))).toThrow('Invalid CBOR length.');
+  });
+});
+
+describe('encodeSignatureStructure', () => {
+  it('encodes ["Signature1", protected, external_aad, payload] (RFC 9052 §4.4)', () => {
+    const protectedHeader = hex('a10126'); // { 1: -7 } (ES256)
+    const payload = hex('deadbeef');
+
+    expect(encodeSignatureStructure(protectedHeader, payload)).toEqual(hex(
+      '84' // array(4)
+      + '6a5369676e617475726531' // "Signature1"
+      + '43a10126' // bstr(protected)
+      + '40' // bstr(external_aad), empty
+      + '44deadbeef' // bstr(payload)
+    ));
+  });
+
+  it('includes external additional data', () => {
+    const encoded = encodeSignatureStructure(hex('a10126'), Uint8Array.of(1), Uint8Array.of(9, 9));
+
+    expect(decodeCbor(encoded)).toEqual(['Signature1', hex('a10126'), Uint8Array.of(9, 9), Uint8Array.of(1)]);
+  });
+
+  it.each([
+    [23, '57'],
+    [24, '5818'],
+    [255, '58ff'],
+    [256, '590100'],
+    [70000, '5a00011170'],
+  ])('uses the shortest length head for a %i-byte payload', (length, head) => {
+    const payload = new Uint8Array(length).fill(7);
+    const encoded = encodeSignatureStructure(new Uint8Array(0), payload);
+    const headStart = 1 + 11 + 1 + 1; // array head, context, empty protected, empty aad
+
+    expect(encoded.subarray(headStart, headStart + head.length / 2)).toEqual(hex(head));
+    expect(encoded.length).toBe(headStart + head.length / 2 + length);
+    expect(decodeCbor(encoded)[3]).toEqual(payload);
+  });
+});
@@ -0,0 +1,149 @@
+/**
+ * Chat Context Helpers
+ *
+ * Purpose: Packages a classification result so the AI Assistant can answer
+ * questions about it ("Why did the model think this was fake?").
+ * The context travels to /genai in the router state, is pinned to the
+ * conversation it starts and is sent with every request of that
+ * conversation (the `context` field of /api/chat).
+ *
+ * Images attached to a chat message are classified the same way and travel
+ * with that message (its `attachment`).
+ */
+
+import { createThumbnail } from './image';
+import { sha256Hex } from './hash';
+import { isRealPrediction, hasRawProbability, toFakeProbability, describeThreshold, labelEnsemble } from './prediction';
+
+export const CHAT_CONTEXT_TYPES = {
+  CLASSIFICATION: 'classification',
+};
+
+// Small enough to send with every chat request
+const CONTEXT_THUMBNAIL_SIZE = 160;
+
+/**
+ * Thumbnail of the analysed image, from the file or (e.g. in History) its URL
+ */
+async function createContextThumbnail(imageFile, imageUrl) {
+  try {
+    const blob = imageFile || (imageUrl && await fetch(imageUrl).then((response) => response.blob()));
+    return blob ? await createThumbnail(blob, CONTEXT_THUMBNAIL_SIZE) : null;
+  } catch (err) {
+    console.warn('Could not create the context thumbnail:', err);
+    return null;
+  }
+}
+
+/**
+ * Plain-text description of a classification, for backends that put the
+ * context into the system prompt as is
+ */
+function summarizeClassification(context) {
+  const label = isRealPrediction(context.prediction) ? 'real' : 'AI-generated';
+  const lines = [
+    `The user is asking about the image "${context.fileName}", which the classifier labelled ${label}.`,
+    `P(AI-generated) = ${context.fakeProbability.toFixed(1)}% at a decision threshold of ${describeThreshold(context.threshold)}.`,
+  ];
+  if (context.probability !== null) lines.push(`Raw model output P(Real) = ${context.probability.toFixed(4)}.`);
+  if (context.model) lines.push(`Model: ${context.model.name}${context.engine ? ` (${context.engine} inference)` : ''}.`);
+  if (context.ensemble.length > 0) {
+    const answered = context.ensemble.filter((member) => !member.error);
+    const agreeing = answered.filter((member) => isRealPrediction(member.prediction) === isRealPrediction(context.prediction));
+    lines.push(`Ensemble members at this threshold: ${context.ensemble.map((member) => (
+      member.error ? `${member.model.name} failed` : `${member.model.name} said ${member.prediction}`
+    )).join(', ')} (${agreeing.length} of ${answered.length} agree).`);
+  }
+  if (context.details) lines.push(`Model details: ${context.details}`);
+  return lines.join(' ');
+}
+
+/**
+ * Structured context for one classification result
+ *
+ * @param {Object} params
+ * @param {Object} params.result - Prediction relabelled with the user's threshold (see applyThreshold)
+ * @param {File} [params.imageFile] - The classified image
+ * @param {string} [params.imageUrl] - Its URL when the file isn't available
+ * @param {string} [params.fileName]
+ * @param {number} [params.analyzedAt] - ms since epoch (defaults to now)
+ * @returns {Promise<Object>} Serializable context: verdict, raw probability,
+ *   details, model, ensemble members (labelled at `threshold`), thumbnail
+ *   (JPEG data URL or null) and a plain-text `summary`
+ */
+export async function buildClassificationContext({ result, imageFile = null, imageUrl = null, fileName, analyzedAt }) {
+  const context = {
+    type: CHAT_CONTEXT_TYPES.CLASSIFICATION,
+    fileName: fileName || imageFile?.name || 'image',
+    prediction: result.prediction,
+    modelPrediction: result.modelPrediction ?? result.prediction,
+    confidence: result.confidence,
+    probability: hasRawProbability(result) ? result.probability : null,
+    fakeProbability: toFakeProbability(result),
+    threshold: result.threshold,
+    details: result.details || '',
+    model: result.model ? { id: result.model.id, name: result.model.name } : null,
+    engine: result.engine || null,
+    ensemble: labelEnsemble(result, result.threshold).members.map(({ model, prediction, confidence, error }) => ({
+      model: { id: model.id, name: model.name },
+      ...(error ? { error } : { prediction, confidence }),
+    })),
+    analyzedAt: new Date(analyzedAt ?? Date.now()).toISOString(),
+    thumbnail: await createContextThumbnail(imageFile, imageUrl),
+  };
+  return { ...context, summary: summarizeClassification(context) };
+}
+
+/**
+ * Questions offered while a context is attached
+ * @param {Object} context - From buildClassificationContext
+ * @returns {string[]}
+ */
+export function suggestContextQuestions(context) {
+  const label = isRealPrediction(context.prediction) ? 'real' : 'AI-generated';
+  return [
+    `Why did the model think this image is ${label}?`,
+    'How much should I trust this result?',
+    'What should I check to verify this image manually?',
+    'What does the raw probability mean here?',
+  ];
+}
+
+/**
+ * Reference to an image attached to a chat message, before it is classified
+ *
+ * @param {File} imageFile - Image in an upload format (see normalizeImageFile)
+ * @returns {Promise<Object>} `{type: 'image', fileName, sha256, thumbnail, classification: null, error: null}`
+ *   (`sha256` is null where WebCrypto is unavailable, i.e. outside HTTPS / localhost)
+ */
+export async function createImageAttachment(imageFile) {
+  const [sha256, thumbnail] = await Promise.all([
+    sha256Hex(imageFile).catch(() => null),
+    createContextThumbnail(imageFile, null),
+  ]);
+  return { type: 'image', fileName: imageFile.name, sha256, thumbnail, classification: null, error: null };
+}
+
+/**
+ * The attachment with its classification (the thumbnail isn't repeated in it)
+ *
+ * @param {Object} attachment - From createImageAttachment
+ * @param {Object} result - Prediction relabelled with the user's threshold (see applyThreshold)
+ * @returns {Promise<Object>}
+ */
+export async function withAttachmentClassification(attachment, result) {
+  const classification = await buildClassificationContext({ result, fileName: attachment.fileName });
+  return { ...attachment, classification, error: null };
+}
+
+/**
+ * Plain-text line about an attachment, appended to its message for the assistant
+ * @param {Object} attachment - From createImageAttachment
+ * @returns {string}
+ */
+export function describeAttachment(attachment) {
+  const hash = attachment.sha256 ? ` (SHA-256 ${attachment.sha256.slice(0, 12)})` : '';
+  const reference = `[Attached image "${attachment.fileName}"${hash}]`;
+  if (attachment.classification) return `${reference} ${attachment.classification.summary}`;
+  return `${reference} It could not be classified${attachment.error ? `: ${attachment.error}` : '.'}`;
+}
@@ -0,0 +1,31 @@
+/**
+ * Concurrency Helpers
+ * 
+ * Purpose: Run async work over a list without flooding the backend.
+ */
+
+/**
+ * Map items through an async worker with at most `limit` running at once
+ * Results keep the input order. The worker should handle its own errors;
+ * a rejection stops the remaining items from starting.
+ * 
+ * @template T, R
+ * @param {T[]} items - Items to process
+ * @param {number} limit - Maximum simultaneous workers
+ * @param {(item: T, index: number) => Promise<R>} worker
+ * @returns {Promise<R[]>}
+ */
+export async function mapWithConcurrency(items, limit, worker) {
+  const results = new Array(items.length);
+  let nextIndex = 0;
+
+  const runners = Array.from({ length: Math.min(limit, items.length) }, async () => {
+    while (nextIndex < items.length) {
+      const index = nextIndex++;
+      results[index] = await worker(items[index], index);
+    }
+  });
+
+  await Promise.all(runners);
+  return results;
+}
@@ -0,0 +1,56 @@
+import { describe, it, expect } from 'vitest';
+
+import { mapWithConcurrency } from './concurrency';
+
+// Resolves after the other queued tasks had a chance to start
+const tick = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+describe('mapWithConcurrency', () => {
+  it('keeps the input order, whatever order the workers finish in', async () => {
+    const delays = [30, 0, 20, 10];
+    const results = await mapWithConcurrency(delays, 2, async (delay, index) => {
+      await new Promise((resolve) => setTimeout(resolve, delay));
+      return `${index}:${delay}`;
+    });
+
+    expect(results).toEqual(['0:30', '1:0', '2:20', '3:10']);
+  });
+
+  it('never runs more than `limit` workers at once', async () => {
+    let running = 0;
+    let maxRunning = 0;
+
+    await mapWithConcurrency(Array.from({ length: 10 }, (_, i) => i), 3, async () => {
+      running += 1;
+      maxRunning = Math.max(maxRunning, running);
+      await tick();
+      running -= 1;
+    });
+
+    expect(maxRunning).toBe(3);
+  });
+
+  it('starts every item once when the limit exceeds the item count', async () => {
+    const seen = [];
+    await mapWithConcurrency(['a', 'b'], 5, async (item, index) => {
+      seen.push([item, index]);
+    });
+
+    expect(seen).toEqual([['a', 0], ['b', 1]]);
+  });
+
+  it('resolves to an empty array for no items', async () => {
+    await expect(mapWithConcurrency([], 3, async () => 'unused')).resolves.toEqual([]);
+  });
+
+  it('rejects with the worker error and starts no further items', async () => {
+    const started = [];
+    const run = mapWithConcurrency([1, 2, 3, 4], 1, async (item) => {
+      started.push(item);
+      if (item === 2) throw new Error('boom');
+    });
+
+    await expect(run).rejects.toThrow('boom');
+    expect(started).toEqual([1, 2]);
+  });
+});
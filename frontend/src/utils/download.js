@@ -0,0 +1,59 @@
+/**
+ * Download Helpers
+ *
+ * Purpose: Lets the user save generated content (exports, reports) as a file,
+ * or print it.
+ */
+
+/**
+ * Save text or a blob as a file via a temporary link
+ *
+ * @param {string|Blob} content - File content
+ * @param {string} fileName - Suggested file name
+ * @param {string} [type='text/plain'] - MIME type when `content` is a string
+ */
+export function downloadFile(content, fileName, type = 'text/plain') {
+  const blob = content instanceof Blob ? content : new Blob([content], { type: `${type};charset=utf-8` });
+  const url = URL.createObjectURL(blob);
+
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+
+  // Give the browser a moment to start the download before releasing the blob
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * Open the browser's print dialog for an HTML document (e.g. to save it as PDF)
+ * The document is loaded in a hidden iframe, so the current page is untouched.
+ *
+ * @param {string} html - Complete HTML document
+ * @returns {Promise<void>} Resolves once the print dialog has been opened
+ */
+export function printHtml(html) {
+  return new Promise((resolve, reject) => {
+    const frame = document.createElement('iframe');
+    frame.setAttribute('aria-hidden', 'true');
+    frame.style.cssText = 'position: fixed; right: 0; bottom: 0; width: 0; height: 0; border: 0;';
+
+    frame.onload = () => {
+      try {
+        const printWindow = frame.contentWindow;
+        printWindow.addEventListener('afterprint', () => frame.remove());
+        printWindow.focus();
+        printWindow.print();
+        resolve();
+      } catch (err) {
+        frame.remove();
+        reject(err);
+      }
+    };
+
+    frame.srcdoc = html;
+    document.body.appendChild(frame);
+  });
+}
@@ -0,0 +1,361 @@
+/**
+ * Forensics Helpers
+ *
+ * Purpose: Classic image-forensics analyses computed entirely in the browser.
+ * They complement the CNN verdict with views an analyst can inspect directly.
+ *
+ * Analyses:
+ * - Error Level Analysis (ELA)
+ * - Fourier magnitude spectrum + azimuthally averaged power spectrum
+ * - Pixel difference between two aligned images
+ */
+
+import { loadImageBitmap, drawToCanvas, canvasToBlob } from './image';
+import { toDisplayableImageFile } from './imageFormats';
+
+// Largest square (power of two) analyzed by the frequency spectrum
+const SPECTRUM_MAX_SIZE = 512;
+const SPECTRUM_MIN_SIZE = 32;
+
+// Pixel difference: allowed aspect ratio mismatch, and the per-channel change
+// (0-255) above which a pixel counts as changed (ignores re-compression noise)
+const DIFFERENCE_ASPECT_TOLERANCE = 0.01;
+const DIFFERENCE_CHANGE_THRESHOLD = 24;
+
+/**
+ * Decode an upload, including formats the browser can't (HEIC, TIFF), which are converted first
+ */
+const decodeUpload = async (imageFile) => loadImageBitmap(await toDisplayableImageFile(imageFile));
+
+// Default pixel-difference amplification
+export const DIFFERENCE_DEFAULTS = {
+  amplification: 4,
+};
+
+// Default ELA settings (JPEG quality 0-1, difference multiplier)
+export const ELA_DEFAULTS = {
+  quality: 0.9,
+  amplification: 15,
+};
+
+/**
+ * @typedef {Object} ErrorLevelResult
+ * @property {string} imageSrc - PNG data URL of the amplified difference image
+ * @property {number} width - Image width in pixels
+ * @property {number} height - Image height in pixels
+ * @property {number} meanError - Mean absolute difference per channel (0-255, before amplification)
+ * @property {number} maxError - Largest absolute difference per channel (0-255, before amplification)
+ */
+
+/**
+ * Error Level Analysis
+ * Re-saves the image as JPEG at a known quality and visualizes how much each
+ * pixel changed. Regions that were edited, pasted in or generated separately
+ * often re-compress differently from the rest of the image.
+ *
+ * @param {Blob} imageFile - Image to analyze (most meaningful for JPEGs)
+ * @param {Object} [options]
+ * @param {number} [options.quality=0.9] - Re-compression quality (0-1)
+ * @param {number} [options.amplification=15] - Multiplier applied to the differences
+ * @returns {Promise<ErrorLevelResult>}
+ */
+export async function computeErrorLevels(imageFile, {
+  quality = ELA_DEFAULTS.quality,
+  amplification = ELA_DEFAULTS.amplification,
+} = {}) {
+  const bitmap = await decodeUpload(imageFile);
+  const { canvas, context } = drawToCanvas(bitmap);
+  bitmap.close();
+
+  const { width, height } = canvas;
+  const original = context.getImageData(0, 0, width, height);
+
+  // Re-compress and decode again
+  const recompressedBitmap = await loadImageBitmap(await canvasToBlob(canvas, 'image/jpeg', quality));
+  context.drawImage(recompressedBitmap, 0, 0);
+  recompressedBitmap.close();
+  const recompressed = context.getImageData(0, 0, width, height).data;
+
+  // Amplified per-channel difference (alpha stays opaque)
+  const output = context.createImageData(width, height);
+  let total = 0;
+  let maxError = 0;
+
+  for (let i = 0; i < original.data.length; i += 4) {
+    for (let channel = 0; channel < 3; channel++) {
+      const diff = Math.abs(original.data[i + channel] - recompressed[i + channel]);
+      output.data[i + channel] = Math.min(255, diff * amplification);
+      total += diff;
+      if (diff > maxError) maxError = diff;
+    }
+    output.data[i + 3] = 255;
+  }
+
+  context.putImageData(output, 0, 0);
+
+  return {
+    imageSrc: canvas.toDataURL('image/png'),
+    width,
+    height,
+    meanError: total / (width * height * 3),
+    maxError,
+  };
+}
+
+/**
+ * @typedef {Object} SpectrumResult
+ * @property {string} imageSrc - PNG data URL of the centred log-magnitude spectrum
+ * @property {number} size - Side length of the analyzed square in pixels
+ * @property {Array<{frequency: number, power: number}>} radialProfile -
+ *   Azimuthally averaged power (dB) per spatial frequency (cycles/pixel, 0-0.5)
+ */
+
+/**
+ * In-place iterative radix-2 FFT of one row or column
+ *
+ * @param {Float64Array} re - Real parts (length must be a power of two)
+ * @param {Float64Array} im - Imaginary parts
+ */
+function fft1d(re, im) {
+  const n = re.length;
+
+  // Bit-reversal permutation
+  for (let i = 1, j = 0; i < n; i++) {
+    let bit = n >> 1;
+    for (; j & bit; bit >>= 1) j ^= bit;
+    j ^= bit;
+    if (i < j) {
+      [re[i], re[j]] = [re[j], re[i]];
+      [im[i], im[j]] = [im[j], im[i]];
+    }
+  }
+
+  // Butterflies
+  for (let length = 2; length <= n; length <<= 1) {
+    const angle = (-2 * Math.PI) / length;
+    const stepRe = Math.cos(angle);
+    const stepIm = Math.sin(angle);
+    for (let start = 0; start < n; start += length) {
+      let wRe = 1;
+      let wIm = 0;
+      for (let k = 0; k < length / 2; k++) {
+        const a = start + k;
+        const b = a + length / 2;
+        const tRe = re[b] * wRe - im[b] * wIm;
+        const tIm = re[b] * wIm + im[b] * wRe;
+        re[b] = re[a] - tRe;
+        im[b] = im[a] - tIm;
+        re[a] += tRe;
+        im[a] += tIm;
+        const nextWRe = wRe * stepRe - wIm * stepIm;
+        wIm = wRe * stepIm + wIm * stepRe;
+        wRe = nextWRe;
+      }
+    }
+  }
+}
+
+/**
+ * 2D FFT of a square grid stored row-major (rows, then columns)
+ */
+function fft2d(re, im, size) {
+  const rowRe = new Float64Array(size);
+  const rowIm = new Float64Array(size);
+
+  for (let pass = 0; pass < 2; pass++) {
+    // pass 0 walks rows, pass 1 walks columns
+    const [stride, step] = pass === 0 ? [size, 1] : [1, size];
+    for (let line = 0; line < size; line++) {
+      for (let k = 0; k < size; k++) {
+        rowRe[k] = re[line * stride + k * step];
+        rowIm[k] = im[line * stride + k * step];
+      }
+      fft1d(rowRe, rowIm);
+      for (let k = 0; k < size; k++) {
+        re[line * stride + k * step] = rowRe[k];
+        im[line * stride + k * step] = rowIm[k];
+      }
+    }
+  }
+}
+
+/**
+ * Frequency spectrum analysis
+ * GAN upsampling layers tend to leave periodic artifacts that show up as
+ * bright dots/grids in the 2D spectrum and as bumps in the high-frequency
+ * tail of the 1D power spectrum.
+ *
+ * The centred square (largest power of two up to 512 px) is analyzed at
+ * native resolution, since resampling would smear exactly those artifacts.
+ *
+ * @param {Blob} imageFile - Image to analyze
+ * @returns {Promise<SpectrumResult>}
+ */
+export async function computeFrequencySpectrum(imageFile) {
+  const bitmap = await decodeUpload(imageFile);
+  const shortestSide = Math.min(bitmap.width, bitmap.height);
+  if (shortestSide < SPECTRUM_MIN_SIZE) {
+    bitmap.close();
+    throw new Error(`Image is too small for a spectrum (needs at least ${SPECTRUM_MIN_SIZE}px).`);
+  }
+
+  const size = Math.min(SPECTRUM_MAX_SIZE, 2 ** Math.floor(Math.log2(shortestSide)));
+  const canvas = document.createElement('canvas');
+  canvas.width = size;
+  canvas.height = size;
+  const context = canvas.getContext('2d', { willReadFrequently: true });
+  context.drawImage(
+    bitmap,
+    Math.floor((bitmap.width - size) / 2),
+    Math.floor((bitmap.height - size) / 2),
+    size, size, 0, 0, size, size
+  );
+  bitmap.close();
+  const pixels = context.getImageData(0, 0, size, size).data;
+
+  // Grayscale (BT.601 luma) with a Hann window to suppress edge leakage
+  const re = new Float64Array(size * size);
+  const im = new Float64Array(size * size);
+  const hann = Float64Array.from({ length: size }, (_, i) => 0.5 - 0.5 * Math.cos((2 * Math.PI * i) / (size - 1)));
+  for (let y = 0; y < size; y++) {
+    for (let x = 0; x < size; x++) {
+      const p = (y * size + x) * 4;
+      const luma = 0.299 * pixels[p] + 0.587 * pixels[p + 1] + 0.114 * pixels[p + 2];
+      re[y * size + x] = luma * hann[x] * hann[y];
+    }
+  }
+
+  fft2d(re, im, size);
+
+  // Centre the zero frequency (fftshift), log-scale and bin by radius
+  const half = size / 2;
+  const logMagnitude = new Float64Array(size * size);
+  const radialSum = new Float64Array(half + 1);
+  const radialCount = new Uint32Array(half + 1);
+  let minLog = Infinity;
+  let maxLog = -Infinity;
+
+  for (let y = 0; y < size; y++) {
+    for (let x = 0; x < size; x++) {
+      const source = ((y + half) % size) * size + ((x + half) % size);
+      const power = re[source] ** 2 + im[source] ** 2;
+      const value = Math.log1p(Math.sqrt(power));
+      logMagnitude[y * size + x] = value;
+      if (value < minLog) minLog = value;
+      if (value > maxLog) maxLog = value;
+
+      const radius = Math.round(Math.hypot(x - half, y - half));
+      if (radius <= half) {
+        radialSum[radius] += power;
+        radialCount[radius] += 1;
+      }
+    }
+  }
+
+  // Grayscale spectrum image
+  const output = context.createImageData(size, size);
+  const range = maxLog - minLog || 1;
+  for (let i = 0; i < logMagnitude.length; i++) {
+    const level = Math.round(((logMagnitude[i] - minLog) / range) * 255);
+    output.data[i * 4] = level;
+    output.data[i * 4 + 1] = level;
+    output.data[i * 4 + 2] = level;
+    output.data[i * 4 + 3] = 255;
+  }
+  context.putImageData(output, 0, 0);
+
+  // Skip the DC term, which only reflects overall brightness
+  const radialProfile = [];
+  for (let radius = 1; radius <= half; radius++) {
+    const meanPower = radialSum[radius] / radialCount[radius];
+    radialProfile.push({
+      frequency: radius / size,
+      power: 10 * Math.log10(meanPower + Number.EPSILON),
+    });
+  }
+
+  return {
+    imageSrc: canvas.toDataURL('image/png'),
+    size,
+    radialProfile,
+  };
+}
+
+/**
+ * @typedef {Object} DifferenceResult
+ * @property {string} imageSrc - PNG data URL of the amplified difference image
+ * @property {number} width - Width of the compared area in pixels (that of the first image)
+ * @property {number} height - Height of the compared area in pixels
+ * @property {number} meanDifference - Mean absolute difference per channel (0-255)
+ * @property {number} changedRatio - Share of pixels (0-1) that changed noticeably
+ * @property {boolean} resized - Whether the second image was rescaled to match the first
+ */
+
+/**
+ * Pixel difference between two aligned images
+ * Meant for a suspected original and a suspected edit/re-generation of the
+ * same shot. The second image is rescaled to the first one's size when only
+ * their resolution differs; different aspect ratios are rejected because the
+ * pixels would not line up.
+ *
+ * @param {Blob} firstFile - Reference image
+ * @param {Blob} secondFile - Image compared against it
+ * @param {Object} [options]
+ * @param {number} [options.amplification=4] - Multiplier applied to the differences
+ * @returns {Promise<DifferenceResult>}
+ */
+export async function computePixelDifference(firstFile, secondFile, {
+  amplification = DIFFERENCE_DEFAULTS.amplification,
+} = {}) {
+  const [first, second] = await Promise.all([decodeUpload(firstFile), decodeUpload(secondFile)]);
+
+  const aspectMismatch = Math.abs(first.width / first.height - second.width / second.height)
+    / (first.width / first.height);
+  if (aspectMismatch > DIFFERENCE_ASPECT_TOLERANCE) {
+    first.close();
+    second.close();
+    throw new Error(
+      `The images are not aligned (${first.width}×${first.height} vs. ${second.width}×${second.height}), `
+      + 'so a pixel difference would not be meaningful.'
+    );
+  }
+
+  const { canvas, context } = drawToCanvas(first);
+  first.close();
+  const { width, height } = canvas;
+  const firstPixels = context.getImageData(0, 0, width, height).data;
+
+  const resized = second.width !== width || second.height !== height;
+  context.clearRect(0, 0, width, height);
+  context.drawImage(second, 0, 0, width, height);
+  second.close();
+  const secondPixels = context.getImageData(0, 0, width, height).data;
+
+  // Amplified per-channel difference (alpha stays opaque)
+  const output = context.createImageData(width, height);
+  let total = 0;
+  let changed = 0;
+
+  for (let i = 0; i < firstPixels.length; i += 4) {
+    let pixelMax = 0;
+    for (let channel = 0; channel < 3; channel++) {
+      const diff = Math.abs(firstPixels[i + channel] - secondPixels[i + channel]);
+      output.data[i + channel] = Math.min(255, diff * amplification);
+      total += diff;
+      if (diff > pixelMax) pixelMax = diff;
+    }
+    output.data[i + 3] = 255;
+    if (pixelMax > DIFFERENCE_CHANGE_THRESHOLD) changed += 1;
+  }
+
+  context.putImageData(output, 0, 0);
+
+  return {
+    imageSrc: canvas.toDataURL('image/png'),
+    width,
+    height,
+    meanDifference: total / (width * height * 3),
+    changedRatio: changed / (width * height),
+    resized,
+  };
+}
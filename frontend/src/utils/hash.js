@@ -0,0 +1,17 @@
+/**
+ * Hash Helpers
+ *
+ * Purpose: Content hashes of images (WebCrypto), used to identify the same
+ * image across feedback, exports and reports without storing the file.
+ */
+
+/**
+ * SHA-256 of a file or blob as lowercase hex
+ *
+ * @param {Blob} blob - File to hash
+ * @returns {Promise<string>} 64 hex characters
+ */
+export async function sha256Hex(blob) {
+  const digest = await crypto.subtle.digest('SHA-256', await blob.arrayBuffer());
+  return Array.from(new Uint8Array(digest), (byte) => byte.toString(16).padStart(2, '0')).join('');
+}
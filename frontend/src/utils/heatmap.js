@@ -0,0 +1,95 @@
+/**
+ * Heatmap Helpers
+ * 
+ * Purpose: Turn the optional `heatmap` field of a /api/predict response
+ * into something an <img> can display.
+ * 
+ * Accepted formats:
+ * - number[][]  → Grad-CAM / saliency values in 0-1 (rows × cols), colourized here
+ * - string      → PNG as a data URL, absolute/relative URL, or bare base64
+ *                 (expected to use the same colour scale as HEATMAP_STOPS)
+ */
+
+// Colour scale from low (blue) to high (red) model attention
+export const HEATMAP_STOPS = [
+  { at: 0, color: [30, 64, 175] },    // Blue
+  { at: 0.25, color: [6, 182, 212] }, // Cyan
+  { at: 0.5, color: [16, 185, 129] }, // Green
+  { at: 0.75, color: [245, 158, 11] }, // Amber
+  { at: 1, color: [239, 68, 68] },    // Red
+];
+
+// CSS gradient matching HEATMAP_STOPS, used by the legend
+export const HEATMAP_GRADIENT = `linear-gradient(90deg, ${HEATMAP_STOPS
+  .map(({ at, color }) => `rgb(${color.join(', ')}) ${at * 100}%`)
+  .join(', ')})`;
+
+/**
+ * Interpolate the colour scale at a 0-1 value
+ * @returns {number[]} [r, g, b]
+ */
+function colorAt(value) {
+  const v = Math.min(1, Math.max(0, value));
+  const upperIndex = HEATMAP_STOPS.findIndex((stop) => stop.at >= v);
+  if (upperIndex <= 0) return HEATMAP_STOPS[0].color;
+
+  const lower = HEATMAP_STOPS[upperIndex - 1];
+  const upper = HEATMAP_STOPS[upperIndex];
+  const t = (v - lower.at) / (upper.at - lower.at);
+  return lower.color.map((channel, i) => Math.round(channel + (upper.color[i] - channel) * t));
+}
+
+/**
+ * Whether a prediction response carries a usable heatmap
+ * 
+ * @param {unknown} heatmap - `heatmap` field from the API response
+ * @returns {boolean}
+ */
+export function hasHeatmap(heatmap) {
+  if (typeof heatmap === 'string') return heatmap.length > 0;
+  return Array.isArray(heatmap) && heatmap.length > 0 && Array.isArray(heatmap[0]) && heatmap[0].length > 0;
+}
+
+/**
+ * Render a heatmap as an image source
+ * 2D arrays are min-max normalized and drawn to a canvas; low values are
+ * more transparent so the underlying face stays visible.
+ * 
+ * @param {number[][] | string} heatmap - `heatmap` field from the API response
+ * @returns {string | null} URL usable as an <img> src
+ */
+export function heatmapToImageSrc(heatmap) {
+  if (!hasHeatmap(heatmap)) return null;
+
+  if (typeof heatmap === 'string') {
+    if (/^(data:|https?:|\/)/.test(heatmap)) return heatmap;
+    return `data:image/png;base64,${heatmap}`;
+  }
+
+  const rows = heatmap.length;
+  const cols = heatmap[0].length;
+  const values = heatmap.flat();
+  // reduce instead of Math.min(...values): full-resolution maps exceed the argument limit
+  const min = values.reduce((lowest, value) => Math.min(lowest, value), Infinity);
+  const max = values.reduce((highest, value) => Math.max(highest, value), -Infinity);
+  const range = max - min || 1;
+
+  const canvas = document.createElement('canvas');
+  canvas.width = cols;
+  canvas.height = rows;
+  const context = canvas.getContext('2d');
+  const imageData = context.createImageData(cols, rows);
+
+  values.forEach((value, index) => {
+    const normalized = (value - min) / range;
+    const [r, g, b] = colorAt(normalized);
+    const offset = index * 4;
+    imageData.data[offset] = r;
+    imageData.data[offset + 1] = g;
+    imageData.data[offset + 2] = b;
+    imageData.data[offset + 3] = Math.round(80 + normalized * 175);
+  });
+
+  context.putImageData(imageData, 0, 0);
+  return canvas.toDataURL('image/png');
+}
@@ -0,0 +1,115 @@
+/**
+ * Image Helpers
+ * 
+ * Purpose: Browser-side image utilities (decoding, resizing, encoding)
+ * shared across the classify and history features.
+ */
+
+/**
+ * Decode an image file/blob into an ImageBitmap
+ * 
+ * @param {Blob} blob - Image file or blob
+ * @returns {Promise<ImageBitmap>}
+ */
+export async function loadImageBitmap(blob) {
+  try {
+    return await createImageBitmap(blob);
+  } catch {
+    throw new Error('Could not decode the image.');
+  }
+}
+
+/**
+ * Encode a canvas as an image blob
+ * 
+ * @param {HTMLCanvasElement} canvas - Canvas to encode
+ * @param {string} type - Output MIME type
+ * @param {number} [quality] - Encoder quality (0-1) for lossy formats
+ * @returns {Promise<Blob>}
+ */
+export function canvasToBlob(canvas, type, quality) {
+  return new Promise((resolve, reject) => {
+    canvas.toBlob(
+      (result) => (result ? resolve(result) : reject(new Error('Could not encode the image.'))),
+      type,
+      quality
+    );
+  });
+}
+
+/**
+ * Draw an image onto a new canvas at its natural size
+ * 
+ * @param {ImageBitmap|HTMLImageElement|HTMLCanvasElement} source - Decoded image
+ * @returns {{canvas: HTMLCanvasElement, context: CanvasRenderingContext2D}}
+ */
+export function drawToCanvas(source) {
+  const canvas = document.createElement('canvas');
+  canvas.width = source.width;
+  canvas.height = source.height;
+  const context = canvas.getContext('2d', { willReadFrequently: true });
+  context.drawImage(source, 0, 0);
+  return { canvas, context };
+}
+
+/**
+ * Read a blob as a data URL (keeps the original bytes, unlike a canvas re-encode)
+ * 
+ * @param {Blob} blob - Image file or blob
+ * @returns {Promise<string>}
+ */
+export function blobToDataUrl(blob) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(new Error('Could not read the image.'));
+    reader.readAsDataURL(blob);
+  });
+}
+
+/**
+ * Create a small JPEG data URL preview of an image
+ * Data URLs survive reloads, unlike object URLs, so they can be persisted.
+ * 
+ * @param {Blob} blob - Image file or blob
+ * @param {number} [maxSize=320] - Longest side of the thumbnail in pixels
+ * @returns {Promise<string>} JPEG data URL
+ */
+export async function createThumbnail(blob, maxSize = 320) {
+  const bitmap = await loadImageBitmap(blob);
+  const scale = Math.min(1, maxSize / Math.max(bitmap.width, bitmap.height));
+
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.round(bitmap.width * scale);
+  canvas.height = Math.round(bitmap.height * scale);
+  canvas.getContext('2d').drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+  bitmap.close();
+
+  return canvas.toDataURL('image/jpeg', 0.85);
+}
+
+/**
+ * Crop a square region out of an image file
+ * JPEGs stay JPEG (high quality); everything else is saved losslessly as PNG.
+ * 
+ * @param {File} imageFile - Source image
+ * @param {{x: number, y: number, size: number}} crop - Square region in image pixels
+ * @param {string} [suffix='face'] - Appended to the original file name
+ * @returns {Promise<File>} Cropped image named "<original>-<suffix>.<ext>"
+ */
+export async function cropImageFile(imageFile, crop, suffix = 'face') {
+  const bitmap = await loadImageBitmap(imageFile);
+
+  const canvas = document.createElement('canvas');
+  canvas.width = crop.size;
+  canvas.height = crop.size;
+  canvas.getContext('2d').drawImage(bitmap, crop.x, crop.y, crop.size, crop.size, 0, 0, crop.size, crop.size);
+  bitmap.close();
+
+  const isJpeg = imageFile.type === 'image/jpeg';
+  const type = isJpeg ? 'image/jpeg' : 'image/png';
+  const blob = await canvasToBlob(canvas, type, isJpeg ? 0.95 : undefined);
+
+  const baseName = imageFile.name.replace(/\.[^.]+$/, '');
+  return new File([blob], `${baseName}-${suffix}.${isJpeg ? 'jpg' : 'png'}`, { type, lastModified: Date.now() });
+}
@@ -0,0 +1,324 @@
+/**
+ * Image Container Helpers
+ *
+ * Purpose: Low-level walkers over the byte structure of image files, used by
+ * the metadata inspector and the Content Credentials (C2PA) reader. They only
+ * split a file into its segments/chunks; interpreting the payloads is left to
+ * the callers.
+ *
+ * Supported containers:
+ * - JPEG (marker segments up to the start of scan)
+ * - PNG (chunks)
+ * - WebP (RIFF chunks)
+ * - HEIF (HEIC / AVIF: ISO BMFF boxes and the items of the `meta` box)
+ * - TIFF (EXIF structure; raw IFD0 tag values)
+ */
+
+export const IMAGE_FORMATS = {
+  JPEG: 'jpeg',
+  PNG: 'png',
+  WEBP: 'webp',
+  GIF: 'gif',
+  HEIF: 'heif',
+  TIFF: 'tiff',
+  UNKNOWN: 'unknown',
+};
+
+// `ftyp` brands of HEIC and AVIF still images (and their sequences)
+const HEIF_BRANDS = new Set(['heic', 'heix', 'hevc', 'heim', 'heis', 'mif1', 'msf1', 'avif', 'avis']);
+
+const PNG_SIGNATURE = [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a];
+
+// JPEG markers without a length field
+const STANDALONE_MARKERS = new Set([0x01, 0xd0, 0xd1, 0xd2, 0xd3, 0xd4, 0xd5, 0xd6, 0xd7, 0xd8]);
+const JPEG_SOS = 0xda;
+const JPEG_EOI = 0xd9;
+
+const latin1Decoder = new TextDecoder('latin1');
+
+/**
+ * Decode a byte range as Latin-1 (one char per byte)
+ *
+ * @param {Uint8Array} bytes
+ * @param {number} [start=0]
+ * @param {number} [end=bytes.length]
+ * @returns {string}
+ */
+export function readAscii(bytes, start = 0, end = bytes.length) {
+  return latin1Decoder.decode(bytes.subarray(start, end));
+}
+
+/**
+ * Identify the container from its magic bytes (the MIME type can lie)
+ *
+ * @param {Uint8Array} bytes - Start of the file
+ * @returns {string} One of IMAGE_FORMATS
+ */
+export function detectImageFormat(bytes) {
+  if (bytes[0] === 0xff && bytes[1] === 0xd8) return IMAGE_FORMATS.JPEG;
+  if (PNG_SIGNATURE.every((value, i) => bytes[i] === value)) return IMAGE_FORMATS.PNG;
+  if (readAscii(bytes, 0, 4) === 'RIFF' && readAscii(bytes, 8, 12) === 'WEBP') return IMAGE_FORMATS.WEBP;
+  if (readAscii(bytes, 0, 4) === 'GIF8') return IMAGE_FORMATS.GIF;
+  if (readAscii(bytes, 0, 4) === 'II*\0' || readAscii(bytes, 0, 4) === 'MM\0*') return IMAGE_FORMATS.TIFF;
+  if (readAscii(bytes, 4, 8) === 'ftyp' && HEIF_BRANDS.has(readAscii(bytes, 8, 12))) return IMAGE_FORMATS.HEIF;
+  return IMAGE_FORMATS.UNKNOWN;
+}
+
+/**
+ * Split a JPEG into its header segments
+ * Stops at the start of scan, after which only entropy-coded data follows.
+ *
+ * @param {Uint8Array} bytes - Whole file
+ * @returns {Array<{marker: number, data: Uint8Array}>} Segment payloads (without marker/length)
+ */
+export function readJpegSegments(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const segments = [];
+  let offset = 2;
+
+  while (offset + 4 <= bytes.length) {
+    if (bytes[offset] !== 0xff) break;
+    const marker = bytes[offset + 1];
+
+    // Fill bytes and standalone markers
+    if (marker === 0xff) { offset += 1; continue; }
+    if (STANDALONE_MARKERS.has(marker)) { offset += 2; continue; }
+    if (marker === JPEG_SOS || marker === JPEG_EOI) break;
+
+    const length = view.getUint16(offset + 2);
+    if (length < 2 || offset + 2 + length > bytes.length) break;
+    segments.push({ marker, data: bytes.subarray(offset + 4, offset + 2 + length) });
+    offset += 2 + length;
+  }
+
+  return segments;
+}
+
+/**
+ * Split a PNG into its chunks
+ *
+ * @param {Uint8Array} bytes - Whole file
+ * @returns {Array<{type: string, data: Uint8Array}>}
+ */
+export function readPngChunks(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const chunks = [];
+  let offset = PNG_SIGNATURE.length;
+
+  while (offset + 12 <= bytes.length) {
+    const length = view.getUint32(offset);
+    const type = readAscii(bytes, offset + 4, offset + 8);
+    const dataStart = offset + 8;
+    if (dataStart + length > bytes.length) break;
+
+    chunks.push({ type, data: bytes.subarray(dataStart, dataStart + length) });
+    if (type === 'IEND') break;
+    offset = dataStart + length + 4; // skip CRC
+  }
+
+  return chunks;
+}
+
+/**
+ * Split a RIFF file (WebP) into its top-level chunks
+ *
+ * @param {Uint8Array} bytes - Whole file
+ * @returns {Array<{type: string, data: Uint8Array}>}
+ */
+export function readRiffChunks(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const chunks = [];
+  let offset = 12;
+
+  while (offset + 8 <= bytes.length) {
+    const type = readAscii(bytes, offset, offset + 4);
+    const length = view.getUint32(offset + 4, true);
+    const dataStart = offset + 8;
+    if (dataStart + length > bytes.length) break;
+
+    chunks.push({ type, data: bytes.subarray(dataStart, dataStart + length) });
+    offset = dataStart + length + (length % 2); // chunks are padded to even sizes
+  }
+
+  return chunks;
+}
+
+/**
+ * Split ISO BMFF boxes (HEIF files, JUMBF)
+ *
+ * @param {Uint8Array} bytes - Box sequence
+ * @returns {Array<{type: string, data: Uint8Array}>} Box payloads (without size/type header)
+ */
+export function readBoxes(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const boxes = [];
+  let offset = 0;
+
+  while (offset + 8 <= bytes.length) {
+    let size = view.getUint32(offset);
+    const type = readAscii(bytes, offset + 4, offset + 8);
+    let header = 8;
+    if (size === 1) {
+      size = Number(view.getBigUint64(offset + 8));
+      header = 16;
+    } else if (size === 0) {
+      size = bytes.length - offset;
+    }
+    if (size < header || offset + size > bytes.length) break;
+
+    boxes.push({ type, data: bytes.subarray(offset + header, offset + size) });
+    offset += size;
+  }
+
+  return boxes;
+}
+
+/**
+ * Read an unsigned big-endian integer of 0, 2, 4 or 8 bytes
+ */
+function readUint(view, offset, size) {
+  if (size === 2) return view.getUint16(offset);
+  if (size === 4) return view.getUint32(offset);
+  if (size === 8) return Number(view.getBigUint64(offset));
+  return 0;
+}
+
+/**
+ * Read a null-terminated UTF-8 string
+ * @returns {{value: string, end: number}} The string and the offset after its terminator
+ */
+function readCString(bytes, offset) {
+  const end = bytes.indexOf(0, offset);
+  const stop = end < 0 ? bytes.length : end;
+  return { value: new TextDecoder().decode(bytes.subarray(offset, stop)), end: stop + 1 };
+}
+
+/**
+ * Item types and MIME types from an `iinf` box (item info entries version 2+)
+ */
+function readItemInfos(data) {
+  const version = data[0];
+  const entries = readBoxes(data.subarray(version === 0 ? 6 : 8)).filter((box) => box.type === 'infe');
+
+  return entries.map(({ data: infe }) => {
+    const view = new DataView(infe.buffer, infe.byteOffset, infe.byteLength);
+    const infeVersion = infe[0];
+    if (infeVersion < 2) return null;
+
+    const idSize = infeVersion === 2 ? 2 : 4;
+    const id = readUint(view, 4, idSize);
+    const typeOffset = 4 + idSize + 2; // skip item_protection_index
+    const type = readAscii(infe, typeOffset, typeOffset + 4);
+    const name = readCString(infe, typeOffset + 4);
+    const contentType = type === 'mime' ? readCString(infe, name.end).value : null;
+    return { id, type, contentType };
+  }).filter(Boolean);
+}
+
+/**
+ * Byte extents of each item from an `iloc` box (file offsets only)
+ */
+function readItemLocations(data) {
+  const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+  const version = data[0];
+  const offsetSize = data[4] >> 4;
+  const lengthSize = data[4] & 0x0f;
+  const baseOffsetSize = data[5] >> 4;
+  const indexSize = version === 1 || version === 2 ? data[5] & 0x0f : 0;
+
+  let offset = 6;
+  const itemCount = version < 2 ? view.getUint16(offset) : view.getUint32(offset);
+  offset += version < 2 ? 2 : 4;
+
+  const locations = new Map();
+  for (let i = 0; i < itemCount && offset < data.length; i++) {
+    const id = version < 2 ? view.getUint16(offset) : view.getUint32(offset);
+    offset += version < 2 ? 2 : 4;
+    const constructionMethod = version === 1 || version === 2 ? view.getUint16(offset) & 0x0f : 0;
+    if (version === 1 || version === 2) offset += 2;
+    offset += 2; // data_reference_index
+    const baseOffset = readUint(view, offset, baseOffsetSize);
+    offset += baseOffsetSize;
+    const extentCount = view.getUint16(offset);
+    offset += 2;
+
+    const extents = [];
+    for (let k = 0; k < extentCount; k++) {
+      offset += indexSize;
+      const extentOffset = readUint(view, offset, offsetSize);
+      offset += offsetSize;
+      const extentLength = readUint(view, offset, lengthSize);
+      offset += lengthSize;
+      extents.push({ start: baseOffset + extentOffset, length: extentLength });
+    }
+    // Items stored inside the `idat` box or other items are not needed for metadata
+    if (constructionMethod === 0) locations.set(id, extents);
+  }
+
+  return locations;
+}
+
+/**
+ * Read the items of a HEIF file's `meta` box (EXIF, XMP, ...)
+ * Image items are skipped by the callers; only their type is used.
+ *
+ * @param {Uint8Array} bytes - Whole file
+ * @returns {Array<{id: number, type: string, contentType: string|null, data: Uint8Array|null}>}
+ */
+export function readHeifItems(bytes) {
+  const meta = readBoxes(bytes).find((box) => box.type === 'meta');
+  if (!meta) return [];
+
+  const children = readBoxes(meta.data.subarray(4)); // FullBox version/flags
+  const iinf = children.find((box) => box.type === 'iinf');
+  const iloc = children.find((box) => box.type === 'iloc');
+  if (!iinf || !iloc) return [];
+
+  const locations = readItemLocations(iloc.data);
+  return readItemInfos(iinf.data).map((item) => {
+    const extents = locations.get(item.id);
+    if (!extents || extents.some(({ start, length }) => length === 0 || start + length > bytes.length)) {
+      return { ...item, data: null };
+    }
+
+    const data = new Uint8Array(extents.reduce((total, { length }) => total + length, 0));
+    let position = 0;
+    extents.forEach(({ start, length }) => {
+      data.set(bytes.subarray(start, start + length), position);
+      position += length;
+    });
+    return { ...item, data };
+  });
+}
+
+// Byte size of each TIFF field type
+const TIFF_TYPE_SIZES = { 1: 1, 2: 1, 3: 2, 4: 4, 5: 8, 7: 1, 9: 4, 10: 8 };
+
+/**
+ * Read the raw bytes of one IFD0 tag of a TIFF file (XMP, IPTC, C2PA packets)
+ *
+ * @param {Uint8Array} bytes - Data starting at the TIFF header
+ * @param {number} tag - Tag number
+ * @returns {Uint8Array|null}
+ */
+export function readTiffTagBytes(bytes, tag) {
+  if (bytes.length < 8) return null;
+  const littleEndian = readAscii(bytes, 0, 2) === 'II';
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const ifdOffset = view.getUint32(4, littleEndian);
+  if (ifdOffset + 2 > bytes.length) return null;
+
+  const count = view.getUint16(ifdOffset, littleEndian);
+  for (let i = 0; i < count; i++) {
+    const entry = ifdOffset + 2 + i * 12;
+    if (entry + 12 > bytes.length) break;
+    if (view.getUint16(entry, littleEndian) !== tag) continue;
+
+    const typeSize = TIFF_TYPE_SIZES[view.getUint16(entry + 2, littleEndian)];
+    if (!typeSize) return null;
+    const byteLength = typeSize * view.getUint32(entry + 4, littleEndian);
+    const start = byteLength <= 4 ? entry + 8 : view.getUint32(entry + 8, littleEndian);
+    return start + byteLength <= bytes.length ? bytes.subarray(start, start + byteLength) : null;
+  }
+  return null;
+}
@@ -0,0 +1,237 @@
+/**
+ * Image Format Helpers
+ *
+ * Purpose: Single source of truth for which image files are accepted, and
+ * conversion of the formats the classifier can't take into the upload format.
+ * - JPEG is uploaded unchanged (the format the model was trained on, and the
+ *   only one backend/CNN.py decodes, with tf.image.decode_jpeg)
+ * - PNG, WebP, HEIC/HEIF, AVIF, TIFF and GIF are decoded in the browser and
+ *   re-encoded as high-quality JPEG for upload
+ * - PNG and WebP are displayed and analysed as they are; the other formats
+ *   are shown converted (see toDisplayableImageFile)
+ * - Animated GIFs: any single frame can be picked (the first by default)
+ *
+ * The HEIC and TIFF decoders are loaded on first use only.
+ */
+
+import { canvasToBlob, drawToCanvas, loadImageBitmap } from './image';
+
+export const MAX_IMAGE_SIZE = 10 * 1024 * 1024; // 10MB
+
+// Sent to the backend as they are
+export const UPLOAD_IMAGE_TYPES = ['image/jpeg'];
+
+// Uploaded as CONVERTED_IMAGE_TYPE, but displayed as they are
+const DISPLAYED_IMAGE_TYPES = ['image/png', 'image/webp'];
+
+// Uploaded and displayed as CONVERTED_IMAGE_TYPE
+const CONVERTED_IMAGE_TYPES = ['image/gif', 'image/avif', 'image/heic', 'image/heif', 'image/tiff'];
+const CONVERTED_IMAGE_TYPE = 'image/jpeg';
+const CONVERTED_IMAGE_QUALITY = 0.95;
+
+export const ACCEPTED_IMAGE_TYPES = [...UPLOAD_IMAGE_TYPES, ...DISPLAYED_IMAGE_TYPES, ...CONVERTED_IMAGE_TYPES];
+
+// Many systems report HEIC (and sometimes TIFF) with an empty MIME type
+const EXTENSION_TYPES = {
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg',
+  png: 'image/png',
+  webp: 'image/webp',
+  gif: 'image/gif',
+  avif: 'image/avif',
+  heic: 'image/heic',
+  heif: 'image/heif',
+  tif: 'image/tiff',
+  tiff: 'image/tiff',
+};
+
+// Value for <input type="file" accept>
+export const ACCEPT_ATTRIBUTE = [
+  ...ACCEPTED_IMAGE_TYPES,
+  ...Object.keys(EXTENSION_TYPES).map((extension) => `.${extension}`),
+].join(',');
+
+// Human-readable list for upload hints and error messages
+export const ACCEPTED_FORMATS_LABEL = 'JPEG, PNG, WebP, GIF, HEIC, AVIF or TIFF';
+
+/**
+ * MIME type of a file, falling back to its extension when the browser left it empty
+ *
+ * @param {File} file
+ * @returns {string} MIME type, or '' when unknown
+ */
+export function getImageType(file) {
+  if (file.type) return file.type === 'image/tif' ? 'image/tiff' : file.type;
+  const extension = file.name?.split('.').pop().toLowerCase();
+  return EXTENSION_TYPES[extension] || '';
+}
+
+/**
+ * Check a file against the accepted formats and size
+ *
+ * @param {File} file - Selected file
+ * @returns {string|null} Error message, or null when the file is accepted
+ */
+export function validateImageFile(file) {
+  if (!file) return 'No file selected';
+  if (!ACCEPTED_IMAGE_TYPES.includes(getImageType(file))) {
+    return `Invalid file type. Please choose a ${ACCEPTED_FORMATS_LABEL} image.`;
+  }
+  if (file.size > MAX_IMAGE_SIZE) return `File too large (Max ${MAX_IMAGE_SIZE / 1024 / 1024}MB).`;
+  return null;
+}
+
+/**
+ * Whether a file has to go through normalizeImageFile before upload
+ * @param {File} file
+ */
+export function needsConversion(file) {
+  return !UPLOAD_IMAGE_TYPES.includes(getImageType(file));
+}
+
+/**
+ * Whether a file has to be converted before it can be displayed or decoded
+ * everywhere (HEIC, TIFF...)
+ * @param {File} file
+ */
+export function needsDisplayConversion(file) {
+  return CONVERTED_IMAGE_TYPES.includes(getImageType(file));
+}
+
+/**
+ * Whether the browser can list and decode individual GIF frames (WebCodecs)
+ */
+const canDecodeFrames = () => typeof ImageDecoder !== 'undefined';
+
+/**
+ * Number of frames in an image (animated GIFs only; everything else is 1)
+ * Returns 1 when the browser can't decode individual frames.
+ *
+ * @param {File} file
+ * @returns {Promise<number>}
+ */
+export async function countImageFrames(file) {
+  if (getImageType(file) !== 'image/gif' || !canDecodeFrames()) return 1;
+
+  const decoder = new ImageDecoder({ data: await file.arrayBuffer(), type: 'image/gif' });
+  try {
+    await decoder.tracks.ready;
+    return decoder.tracks.selectedTrack?.frameCount || 1;
+  } finally {
+    decoder.close();
+  }
+}
+
+/**
+ * Decode one GIF frame (fully composited) onto a canvas
+ */
+async function decodeGifFrame(file, frameIndex) {
+  if (frameIndex === 0 || !canDecodeFrames()) return drawBitmap(file);
+
+  const decoder = new ImageDecoder({ data: await file.arrayBuffer(), type: 'image/gif' });
+  try {
+    const { image } = await decoder.decode({ frameIndex });
+    const canvas = document.createElement('canvas');
+    canvas.width = image.displayWidth;
+    canvas.height = image.displayHeight;
+    canvas.getContext('2d').drawImage(image, 0, 0);
+    image.close();
+    return canvas;
+  } finally {
+    decoder.close();
+  }
+}
+
+/**
+ * Decode with the browser's own decoders (GIF, AVIF; HEIC in Safari)
+ */
+async function drawBitmap(file) {
+  const bitmap = await loadImageBitmap(file);
+  const { canvas } = drawToCanvas(bitmap);
+  bitmap.close();
+  return canvas;
+}
+
+/**
+ * Decode HEIC/HEIF natively when the browser can (Safari), else with libheif
+ */
+async function decodeHeic(file) {
+  try {
+    return await drawBitmap(file);
+  } catch {
+    const { default: heic2any } = await import('heic2any');
+    // Multi-image HEIC files (bursts, Live Photos) give their primary image
+    const jpeg = await heic2any({ blob: file, toType: CONVERTED_IMAGE_TYPE, quality: CONVERTED_IMAGE_QUALITY });
+    return drawBitmap(jpeg);
+  }
+}
+
+/**
+ * Decode the first page of a TIFF
+ */
+async function decodeTiff(file) {
+  const { default: UTIF } = await import('utif');
+  const buffer = await file.arrayBuffer();
+  const [page] = UTIF.decode(buffer);
+  if (!page) throw new Error('The TIFF file contains no image.');
+
+  UTIF.decodeImage(buffer, page);
+  const canvas = document.createElement('canvas');
+  canvas.width = page.width;
+  canvas.height = page.height;
+  canvas.getContext('2d').putImageData(
+    new ImageData(new Uint8ClampedArray(UTIF.toRGBA8(page)), page.width, page.height),
+    0,
+    0
+  );
+  return canvas;
+}
+
+/**
+ * Convert a file into the upload format
+ * JPEG files are returned unchanged. Transparent areas of converted images
+ * are flattened onto white (JPEG has no alpha channel).
+ *
+ * @param {File} file - Accepted image file (see validateImageFile)
+ * @param {{frameIndex?: number}} [options] - Frame to extract from animated GIFs
+ * @returns {Promise<File>} JPEG named "<original>.jpg" ("<original>-frame<N>.jpg" for later GIF frames)
+ */
+export async function normalizeImageFile(file, { frameIndex = 0 } = {}) {
+  if (!needsConversion(file)) return file;
+
+  const type = getImageType(file);
+  let decoded;
+  try {
+    if (type === 'image/heic' || type === 'image/heif') decoded = await decodeHeic(file);
+    else if (type === 'image/tiff') decoded = await decodeTiff(file);
+    else if (type === 'image/gif') decoded = await decodeGifFrame(file, frameIndex);
+    else decoded = await drawBitmap(file);
+  } catch (err) {
+    console.error(`Image conversion error (${type}):`, err);
+    throw new Error(`Could not decode this ${type.split('/')[1].toUpperCase()} image in the browser.`);
+  }
+
+  const canvas = document.createElement('canvas');
+  canvas.width = decoded.width;
+  canvas.height = decoded.height;
+  const context = canvas.getContext('2d');
+  context.fillStyle = '#ffffff';
+  context.fillRect(0, 0, canvas.width, canvas.height);
+  context.drawImage(decoded, 0, 0);
+
+  const blob = await canvasToBlob(canvas, CONVERTED_IMAGE_TYPE, CONVERTED_IMAGE_QUALITY);
+  const baseName = file.name.replace(/\.[^.]+$/, '') || 'image';
+  const suffix = frameIndex > 0 ? `-frame${frameIndex + 1}` : '';
+  return new File([blob], `${baseName}${suffix}.jpg`, { type: CONVERTED_IMAGE_TYPE, lastModified: Date.now() });
+}
+
+/**
+ * File the browser can display and decode: the file itself for JPEG, PNG and
+ * WebP, else its JPEG conversion (first frame for GIFs)
+ *
+ * @param {File} file - Accepted image file (see validateImageFile)
+ * @returns {Promise<File>}
+ */
+export async function toDisplayableImageFile(file) {
+  return needsDisplayConversion(file) ? normalizeImageFile(file) : file;
+}
@@ -0,0 +1,602 @@
+/**
+ * Metadata Helpers
+ *
+ * Purpose: Reads EXIF, XMP and IPTC metadata (plus PNG text chunks and JPEG
+ * comments) from JPEG, PNG, WebP, HEIF (HEIC / AVIF) and TIFF files in the browser, and turns it into
+ * evidence an analyst can weigh next to the CNN verdict.
+ *
+ * - readImageMetadata(): parse the file into a plain object
+ * - analyzeMetadata(): summary fields, generator hints and flags
+ */
+
+import {
+  IMAGE_FORMATS,
+  detectImageFormat,
+  readAscii,
+  readHeifItems,
+  readJpegSegments,
+  readPngChunks,
+  readRiffChunks,
+  readTiffTagBytes,
+} from './imageContainers';
+
+/**
+ * @typedef {Object} ImageMetadata
+ * @property {string} format - Detected container (see IMAGE_FORMATS)
+ * @property {string} mimeType - MIME type reported by the browser
+ * @property {Object|null} exif - Selected EXIF tags (make, model, software, dates, gps...)
+ * @property {Object|null} xmp - Selected XMP properties plus the raw packet
+ * @property {Object|null} iptc - Selected IPTC-IIM datasets
+ * @property {Array<{keyword: string, text: string}>} textChunks - PNG text chunks and JPEG comments
+ */
+
+const utf8Decoder = new TextDecoder('utf-8');
+
+const EXIF_HEADER = 'Exif\0\0';
+const XMP_HEADER = 'http://ns.adobe.com/xap/1.0/\0';
+const PHOTOSHOP_HEADER = 'Photoshop 3.0\0';
+const PNG_XMP_KEYWORD = 'XML:com.adobe.xmp';
+
+// JPEG markers carrying metadata
+const JPEG_APP1 = 0xe1;
+const JPEG_APP13 = 0xed;
+const JPEG_COM = 0xfe;
+
+// TIFF IFD0 tags carrying metadata packets
+const TIFF_XMP_TAG = 0x02bc;
+const TIFF_IPTC_TAG = 0x83bb;
+const TIFF_PHOTOSHOP_TAG = 0x8649;
+
+// HEIF item holding the XMP packet
+const HEIF_XMP_CONTENT_TYPE = 'application/rdf+xml';
+
+// --- EXIF (TIFF structure) ---
+
+// Byte size of each TIFF field type
+const TIFF_TYPE_SIZES = { 1: 1, 2: 1, 3: 2, 4: 4, 5: 8, 7: 1, 9: 4, 10: 8 };
+
+// Tags we read, by IFD
+const IFD0_TAGS = {
+  0x010e: 'imageDescription',
+  0x010f: 'make',
+  0x0110: 'model',
+  0x0131: 'software',
+  0x0132: 'dateTime',
+  0x013b: 'artist',
+  0x8298: 'copyright',
+};
+const EXIF_IFD_TAGS = {
+  0x9003: 'dateTimeOriginal',
+  0x9004: 'dateTimeDigitized',
+  0x9286: 'userComment',
+  0xa434: 'lensModel',
+};
+const EXIF_IFD_POINTER = 0x8769;
+const GPS_IFD_POINTER = 0x8825;
+
+/**
+ * Read one IFD into a Map of tag -> value
+ */
+function readIfd(view, bytes, offset, littleEndian) {
+  const entries = new Map();
+  if (offset + 2 > bytes.length) return entries;
+
+  const count = view.getUint16(offset, littleEndian);
+  for (let i = 0; i < count; i++) {
+    const entry = offset + 2 + i * 12;
+    if (entry + 12 > bytes.length) break;
+
+    const tag = view.getUint16(entry, littleEndian);
+    const type = view.getUint16(entry + 2, littleEndian);
+    const valueCount = view.getUint32(entry + 4, littleEndian);
+    const typeSize = TIFF_TYPE_SIZES[type];
+    if (!typeSize) continue;
+
+    // Values up to 4 bytes are stored inline, larger ones at an offset
+    const byteLength = typeSize * valueCount;
+    const start = byteLength <= 4 ? entry + 8 : view.getUint32(entry + 8, littleEndian);
+    if (start + byteLength > bytes.length) continue;
+
+    let value;
+    if (type === 2) {
+      value = readAscii(bytes, start, start + byteLength).replace(/\0+$/, '').trim();
+    } else if (type === 7) {
+      value = bytes.subarray(start, start + byteLength);
+    } else {
+      const values = [];
+      for (let k = 0; k < valueCount; k++) {
+        const at = start + k * typeSize;
+        if (type === 1) values.push(bytes[at]);
+        else if (type === 3) values.push(view.getUint16(at, littleEndian));
+        else if (type === 4) values.push(view.getUint32(at, littleEndian));
+        else if (type === 9) values.push(view.getInt32(at, littleEndian));
+        else if (type === 5) values.push(view.getUint32(at, littleEndian) / view.getUint32(at + 4, littleEndian));
+        else values.push(view.getInt32(at, littleEndian) / view.getInt32(at + 4, littleEndian));
+      }
+      value = valueCount === 1 ? values[0] : values;
+    }
+    entries.set(tag, value);
+  }
+
+  return entries;
+}
+
+/**
+ * Decode an EXIF UserComment (8-byte charset prefix + payload)
+ */
+function decodeUserComment(bytes) {
+  if (!(bytes instanceof Uint8Array) || bytes.length <= 8) return null;
+  const charset = readAscii(bytes, 0, 8).replace(/\0+$/, '').trim();
+  const payload = bytes.subarray(8);
+
+  let text;
+  if (charset === 'UNICODE') {
+    // Byte order is not specified; a leading zero byte means big-endian
+    text = new TextDecoder(payload[0] === 0 ? 'utf-16be' : 'utf-16le').decode(payload);
+  } else {
+    text = utf8Decoder.decode(payload);
+  }
+  return text.replace(/\0+$/, '').trim() || null;
+}
+
+/**
+ * Convert GPS degrees/minutes/seconds to signed decimal degrees
+ */
+function toDecimalDegrees(dms, ref) {
+  if (!Array.isArray(dms) || dms.length < 3) return null;
+  const degrees = dms[0] + dms[1] / 60 + dms[2] / 3600;
+  if (!Number.isFinite(degrees)) return null;
+  return ref === 'S' || ref === 'W' ? -degrees : degrees;
+}
+
+/**
+ * Parse a TIFF-structured EXIF block
+ *
+ * @param {Uint8Array} bytes - Data starting at the TIFF header ("II*\0" / "MM\0*")
+ * @returns {Object|null}
+ */
+function parseExif(bytes) {
+  if (bytes.length < 8) return null;
+  const byteOrder = readAscii(bytes, 0, 2);
+  if (byteOrder !== 'II' && byteOrder !== 'MM') return null;
+
+  const littleEndian = byteOrder === 'II';
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  if (view.getUint16(2, littleEndian) !== 42) return null;
+
+  const exif = { hasGps: false, gps: null };
+  const ifd0 = readIfd(view, bytes, view.getUint32(4, littleEndian), littleEndian);
+  Object.entries(IFD0_TAGS).forEach(([tag, key]) => {
+    if (ifd0.has(Number(tag))) exif[key] = ifd0.get(Number(tag));
+  });
+
+  if (ifd0.has(EXIF_IFD_POINTER)) {
+    const exifIfd = readIfd(view, bytes, ifd0.get(EXIF_IFD_POINTER), littleEndian);
+    Object.entries(EXIF_IFD_TAGS).forEach(([tag, key]) => {
+      if (exifIfd.has(Number(tag))) exif[key] = exifIfd.get(Number(tag));
+    });
+    exif.userComment = decodeUserComment(exif.userComment);
+  }
+
+  if (ifd0.has(GPS_IFD_POINTER)) {
+    const gpsIfd = readIfd(view, bytes, ifd0.get(GPS_IFD_POINTER), littleEndian);
+    const latitude = toDecimalDegrees(gpsIfd.get(0x0002), gpsIfd.get(0x0001));
+    const longitude = toDecimalDegrees(gpsIfd.get(0x0004), gpsIfd.get(0x0003));
+    exif.hasGps = latitude !== null && longitude !== null;
+    exif.gps = exif.hasGps ? { latitude, longitude } : null;
+  }
+
+  return exif;
+}
+
+// --- XMP ---
+
+const decodeXmlEntities = (text) => text
+  .replace(/&lt;/g, '<')
+  .replace(/&gt;/g, '>')
+  .replace(/&quot;/g, '"')
+  .replace(/&apos;/g, "'")
+  .replace(/&amp;/g, '&');
+
+/**
+ * Read a property written either as an attribute or as an element
+ */
+function xmpValue(xml, name) {
+  const attribute = xml.match(new RegExp(`${name}="([^"]*)"`));
+  if (attribute) return decodeXmlEntities(attribute[1]).trim() || null;
+
+  const element = xml.match(new RegExp(`<${name}(?:\\s[^>]*)?>([\\s\\S]*?)</${name}>`));
+  if (element) {
+    // rdf:Alt / rdf:Seq wrappers: keep the text of the list items
+    const text = element[1].replace(/<[^>]+>/g, ' ').replace(/\s+/g, ' ');
+    return decodeXmlEntities(text).trim() || null;
+  }
+  return null;
+}
+
+/**
+ * Pick the XMP properties relevant to provenance
+ *
+ * @param {string} xml - XMP packet
+ * @returns {Object}
+ */
+function parseXmp(xml) {
+  return {
+    creatorTool: xmpValue(xml, 'xmp:CreatorTool'),
+    createDate: xmpValue(xml, 'xmp:CreateDate') || xmpValue(xml, 'photoshop:DateCreated'),
+    modifyDate: xmpValue(xml, 'xmp:ModifyDate'),
+    make: xmpValue(xml, 'tiff:Make'),
+    model: xmpValue(xml, 'tiff:Model'),
+    creator: xmpValue(xml, 'dc:creator'),
+    digitalSourceType: xmpValue(xml, 'Iptc4xmpExt:DigitalSourceType'),
+    history: xmpValue(xml, 'xmpMM:History'),
+    raw: xml,
+  };
+}
+
+// --- IPTC-IIM (inside Photoshop image resources) ---
+
+const IPTC_DATASETS = {
+  5: 'objectName',
+  25: 'keywords',
+  55: 'dateCreated',
+  65: 'originatingProgram',
+  80: 'byline',
+  116: 'copyright',
+  120: 'caption',
+};
+const PHOTOSHOP_IPTC_RESOURCE = 0x0404;
+
+/**
+ * Parse IPTC datasets from Photoshop image resources (JPEG APP13, TIFF tag 34377)
+ *
+ * @param {Uint8Array} bytes - 8BIM blocks (in JPEG, the data after the "Photoshop 3.0\0" header)
+ * @returns {Object|null}
+ */
+function parseIptc(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  let offset = 0;
+
+  // Find the IPTC resource among the 8BIM blocks
+  let iim = null;
+  while (offset + 12 <= bytes.length && readAscii(bytes, offset, offset + 4) === '8BIM') {
+    const id = view.getUint16(offset + 4);
+    const nameLength = bytes[offset + 6];
+    const nameBlock = nameLength + 1 + ((nameLength + 1) % 2); // Pascal string padded to even
+    const sizeOffset = offset + 6 + nameBlock;
+    if (sizeOffset + 4 > bytes.length) break;
+
+    const size = view.getUint32(sizeOffset);
+    const dataStart = sizeOffset + 4;
+    if (id === PHOTOSHOP_IPTC_RESOURCE) {
+      iim = bytes.subarray(dataStart, Math.min(bytes.length, dataStart + size));
+      break;
+    }
+    offset = dataStart + size + (size % 2);
+  }
+  return iim ? parseIim(iim) : null;
+}
+
+/**
+ * Parse IPTC-IIM datasets
+ *
+ * @param {Uint8Array} iim - Record 2 datasets ("\x1c" + record + dataset + size + data)
+ * @returns {Object|null}
+ */
+function parseIim(iim) {
+  const iimView = new DataView(iim.buffer, iim.byteOffset, iim.byteLength);
+  const iptc = {};
+  let offset = 0;
+  while (offset + 5 <= iim.length && iim[offset] === 0x1c) {
+    const record = iim[offset + 1];
+    const dataset = iim[offset + 2];
+    const size = iimView.getUint16(offset + 3);
+    if (size & 0x8000) break; // extended datasets are not used for text fields
+
+    const key = record === 2 && IPTC_DATASETS[dataset];
+    if (key) {
+      const value = utf8Decoder.decode(iim.subarray(offset + 5, offset + 5 + size)).trim();
+      if (key === 'keywords') iptc.keywords = [...(iptc.keywords || []), value];
+      else iptc[key] = value;
+    }
+    offset += 5 + size;
+  }
+
+  return Object.keys(iptc).length > 0 ? iptc : null;
+}
+
+// --- PNG text chunks ---
+
+/**
+ * Inflate zlib data (zTXt / compressed iTXt)
+ */
+async function inflate(bytes) {
+  const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate'));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+/**
+ * Decode tEXt, zTXt and iTXt chunks
+ *
+ * @returns {Promise<{keyword: string, text: string}|null>}
+ */
+async function parsePngText(type, data) {
+  const keywordEnd = data.indexOf(0);
+  if (keywordEnd < 0) return null;
+  const keyword = readAscii(data, 0, keywordEnd);
+
+  try {
+    if (type === 'tEXt') {
+      return { keyword, text: readAscii(data, keywordEnd + 1) };
+    }
+    if (type === 'zTXt') {
+      return { keyword, text: readAscii(await inflate(data.subarray(keywordEnd + 2))) };
+    }
+
+    // iTXt: keyword\0 flag method language\0 translated keyword\0 text
+    const compressed = data[keywordEnd + 1] === 1;
+    const languageEnd = data.indexOf(0, keywordEnd + 3);
+    const translatedEnd = data.indexOf(0, languageEnd + 1);
+    if (languageEnd < 0 || translatedEnd < 0) return null;
+    const payload = data.subarray(translatedEnd + 1);
+    return { keyword, text: utf8Decoder.decode(compressed ? await inflate(payload) : payload) };
+  } catch {
+    return { keyword, text: '(could not decompress)' };
+  }
+}
+
+/**
+ * Read metadata from an image file
+ *
+ * @param {File} file - JPEG, PNG, WebP, HEIF or TIFF image (as uploaded, before any conversion)
+ * @returns {Promise<ImageMetadata>}
+ */
+export async function readImageMetadata(file) {
+  const bytes = new Uint8Array(await file.arrayBuffer());
+  const metadata = {
+    format: detectImageFormat(bytes),
+    mimeType: file.type,
+    exif: null,
+    xmp: null,
+    iptc: null,
+    textChunks: [],
+  };
+
+  if (metadata.format === IMAGE_FORMATS.JPEG) {
+    readJpegSegments(bytes).forEach(({ marker, data }) => {
+      if (marker === JPEG_APP1 && readAscii(data, 0, EXIF_HEADER.length) === EXIF_HEADER) {
+        metadata.exif = parseExif(data.subarray(EXIF_HEADER.length));
+      } else if (marker === JPEG_APP1 && readAscii(data, 0, XMP_HEADER.length) === XMP_HEADER) {
+        metadata.xmp = parseXmp(utf8Decoder.decode(data.subarray(XMP_HEADER.length)));
+      } else if (marker === JPEG_APP13 && readAscii(data, 0, PHOTOSHOP_HEADER.length) === PHOTOSHOP_HEADER) {
+        metadata.iptc = parseIptc(data.subarray(PHOTOSHOP_HEADER.length));
+      } else if (marker === JPEG_COM) {
+        metadata.textChunks.push({ keyword: 'Comment', text: utf8Decoder.decode(data) });
+      }
+    });
+  } else if (metadata.format === IMAGE_FORMATS.PNG) {
+    for (const { type, data } of readPngChunks(bytes)) {
+      if (type === 'eXIf') {
+        metadata.exif = parseExif(data);
+      } else if (type === 'tEXt' || type === 'zTXt' || type === 'iTXt') {
+        const chunk = await parsePngText(type, data);
+        if (!chunk) continue;
+        if (chunk.keyword === PNG_XMP_KEYWORD) metadata.xmp = parseXmp(chunk.text);
+        else metadata.textChunks.push(chunk);
+      }
+    }
+  } else if (metadata.format === IMAGE_FORMATS.WEBP) {
+    readRiffChunks(bytes).forEach(({ type, data }) => {
+      if (type === 'EXIF') {
+        // Some encoders keep the JPEG-style "Exif\0\0" prefix
+        const hasHeader = readAscii(data, 0, EXIF_HEADER.length) === EXIF_HEADER;
+        metadata.exif = parseExif(hasHeader ? data.subarray(EXIF_HEADER.length) : data);
+      } else if (type === 'XMP ') {
+        metadata.xmp = parseXmp(utf8Decoder.decode(data));
+      }
+    });
+  } else if (metadata.format === IMAGE_FORMATS.HEIF) {
+    readHeifItems(bytes).forEach(({ type, contentType, data }) => {
+      if (!data) return;
+      if (type === 'Exif' && data.length > 4) {
+        // 4-byte offset from the end of this field to the TIFF header
+        const tiffOffset = new DataView(data.buffer, data.byteOffset, 4).getUint32(0);
+        metadata.exif = parseExif(data.subarray(4 + tiffOffset));
+      } else if (type === 'mime' && contentType === HEIF_XMP_CONTENT_TYPE) {
+        metadata.xmp = parseXmp(utf8Decoder.decode(data));
+      }
+    });
+  } else if (metadata.format === IMAGE_FORMATS.TIFF) {
+    metadata.exif = parseExif(bytes);
+    const xmp = readTiffTagBytes(bytes, TIFF_XMP_TAG);
+    if (xmp) metadata.xmp = parseXmp(utf8Decoder.decode(xmp));
+    const iim = readTiffTagBytes(bytes, TIFF_IPTC_TAG);
+    const photoshop = readTiffTagBytes(bytes, TIFF_PHOTOSHOP_TAG);
+    metadata.iptc = (iim && parseIim(iim)) || (photoshop && parseIptc(photoshop)) || null;
+  }
+
+  return metadata;
+}
+
+// --- Analysis ---
+
+// Text-chunk keywords written by image generators
+const GENERATOR_KEYWORDS = {
+  parameters: 'Stable Diffusion (AUTOMATIC1111 / Forge)',
+  prompt: 'ComfyUI',
+  workflow: 'ComfyUI',
+  'sd-metadata': 'InvokeAI',
+  invokeai_metadata: 'InvokeAI',
+  Dream: 'Stable Diffusion (dream.py)',
+};
+
+// Generator names/fingerprints found in free text
+const GENERATOR_PATTERNS = [
+  { name: 'Stable Diffusion', pattern: /stable[\s_-]?diffusion|\bsdxl\b|negative prompt:|cfg scale:/i },
+  { name: 'ComfyUI', pattern: /comfyui|"class_type"/i },
+  { name: 'Midjourney', pattern: /midjourney/i },
+  { name: 'DALL·E', pattern: /dall[\s·-]?e\b/i },
+  { name: 'Adobe Firefly', pattern: /firefly/i },
+  { name: 'NovelAI', pattern: /novelai/i },
+  { name: 'InvokeAI', pattern: /invokeai/i },
+  { name: 'StyleGAN', pattern: /stylegan/i },
+  { name: 'AI-generated (IPTC digital source type)', pattern: /(?:composite)?(?:withT|t)rainedAlgorithmicMedia/ },
+];
+
+// Software that usually means the image was edited
+const EDITOR_PATTERN = /photoshop|gimp|lightroom|affinity|pixelmator|snapseed|facetune|picsart|canva|paint\.net|capture one/i;
+
+// Detected container -> MIME type
+const FORMAT_MIME_TYPES = {
+  [IMAGE_FORMATS.JPEG]: 'image/jpeg',
+  [IMAGE_FORMATS.PNG]: 'image/png',
+  [IMAGE_FORMATS.WEBP]: 'image/webp',
+  [IMAGE_FORMATS.GIF]: 'image/gif',
+  [IMAGE_FORMATS.TIFF]: 'image/tiff',
+};
+
+// Containers shared by several MIME types
+const FORMAT_MIME_ALIASES = {
+  [IMAGE_FORMATS.HEIF]: ['image/heic', 'image/heif', 'image/avif', 'image/heic-sequence', 'image/heif-sequence', 'image/avif-sequence'],
+};
+
+const EXCERPT_LENGTH = 240;
+
+/**
+ * Parse an EXIF ("YYYY:MM:DD HH:MM:SS") or ISO date
+ */
+function parseMetadataDate(value) {
+  if (!value) return null;
+  const date = new Date(String(value).replace(/^(\d{4}):(\d{2}):(\d{2})[ T]/, '$1-$2-$3T'));
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Collect every text value worth scanning for generator fingerprints
+ */
+function collectTextSources({ exif, xmp, iptc, textChunks }) {
+  const sources = textChunks.map(({ keyword, text }) => ({ source: `Text chunk "${keyword}"`, text }));
+
+  if (exif) {
+    ['software', 'make', 'model', 'artist', 'imageDescription', 'userComment'].forEach((key) => {
+      if (typeof exif[key] === 'string') sources.push({ source: `EXIF ${key}`, text: exif[key] });
+    });
+  }
+  if (xmp) sources.push({ source: 'XMP', text: xmp.raw });
+  if (iptc) {
+    ['originatingProgram', 'caption', 'byline'].forEach((key) => {
+      if (iptc[key]) sources.push({ source: `IPTC ${key}`, text: iptc[key] });
+    });
+  }
+  return sources;
+}
+
+/**
+ * Summarize metadata as display fields, generator hints and flags
+ *
+ * @param {ImageMetadata} metadata
+ * @returns {{
+ *   fields: Array<{label: string, value: string|null}>,
+ *   generatorHints: Array<{generator: string, source: string, excerpt: string}>,
+ *   flags: Array<{level: 'danger'|'warning'|'info', message: string}>
+ * }}
+ */
+export function analyzeMetadata(metadata) {
+  const { format, mimeType, exif, xmp, iptc, textChunks } = metadata;
+
+  const make = exif?.make || xmp?.make || null;
+  const model = exif?.model || xmp?.model || null;
+  const software = exif?.software || xmp?.creatorTool || iptc?.originatingProgram || null;
+  const captured = exif?.dateTimeOriginal || exif?.dateTimeDigitized || xmp?.createDate || iptc?.dateCreated || null;
+  const modified = exif?.dateTime || xmp?.modifyDate || null;
+
+  const fields = [
+    { label: 'Format', value: format.toUpperCase() },
+    { label: 'Camera make', value: make },
+    { label: 'Camera model', value: model },
+    { label: 'Lens', value: exif?.lensModel || null },
+    { label: 'Software', value: software },
+    { label: 'Date taken', value: captured },
+    { label: 'Date modified', value: modified },
+    {
+      label: 'GPS',
+      value: exif?.hasGps
+        ? `Present (${exif.gps.latitude.toFixed(5)}, ${exif.gps.longitude.toFixed(5)})`
+        : 'Not present',
+    },
+    { label: 'Author', value: exif?.artist || xmp?.creator || iptc?.byline || null },
+    { label: 'Copyright', value: exif?.copyright || iptc?.copyright || null },
+  ];
+
+  // Generator hints: known text-chunk keywords, then fingerprints in any text
+  const generatorHints = [];
+  const addHint = (generator, source, text) => {
+    // One hint per source; the keyword match is the most specific
+    if (generatorHints.some((hint) => hint.source === source)) return;
+    const excerpt = text.length > EXCERPT_LENGTH ? `${text.slice(0, EXCERPT_LENGTH)}…` : text;
+    generatorHints.push({ generator, source, excerpt });
+  };
+
+  textChunks.forEach(({ keyword, text }) => {
+    if (GENERATOR_KEYWORDS[keyword]) addHint(GENERATOR_KEYWORDS[keyword], `Text chunk "${keyword}"`, text);
+  });
+  collectTextSources(metadata).forEach(({ source, text }) => {
+    GENERATOR_PATTERNS.forEach(({ name, pattern }) => {
+      const match = text.match(pattern);
+      if (!match) return;
+      // Excerpt around the match so long XMP packets stay readable
+      const start = Math.max(0, match.index - EXCERPT_LENGTH / 2);
+      addHint(name, source, text.slice(start).trim());
+    });
+  });
+
+  // Flags, most serious first
+  const flags = [];
+  generatorHints.forEach(({ generator, source }) => {
+    flags.push({ level: 'danger', message: `Generator metadata found: ${generator} (${source}).` });
+  });
+
+  const hasAnyMetadata = Boolean(exif || xmp || iptc || textChunks.length > 0);
+  if (!hasAnyMetadata) {
+    flags.push({
+      level: 'warning',
+      message: 'No metadata at all. Generated images are often saved without it, but so are screenshots and images re-shared on social media.',
+    });
+  } else if (!make && !model) {
+    flags.push({
+      level: 'warning',
+      message: 'No camera make or model. The image did not come straight from a camera, or this information was removed.',
+    });
+  }
+
+  const expectedMimes = FORMAT_MIME_ALIASES[format] || (FORMAT_MIME_TYPES[format] ? [FORMAT_MIME_TYPES[format]] : []);
+  if (expectedMimes.length > 0 && mimeType && !expectedMimes.includes(mimeType)) {
+    flags.push({
+      level: 'warning',
+      message: `File is labelled ${mimeType} but its content is ${format.toUpperCase()}.`,
+    });
+  }
+
+  if (software && EDITOR_PATTERN.test(software)) {
+    flags.push({ level: 'warning', message: `Processed with editing software: ${software}.` });
+  } else if (software) {
+    flags.push({ level: 'info', message: `Written by: ${software}.` });
+  }
+
+  const capturedDate = parseMetadataDate(captured);
+  const modifiedDate = parseMetadataDate(modified);
+  if (capturedDate && modifiedDate && modifiedDate < capturedDate) {
+    flags.push({ level: 'warning', message: 'Modification date is earlier than the capture date.' });
+  } else if (capturedDate && modifiedDate && modifiedDate > capturedDate) {
+    flags.push({ level: 'info', message: 'Modified after it was captured.' });
+  }
+  if (hasAnyMetadata && !captured) {
+    flags.push({ level: 'info', message: 'No original capture date.' });
+  }
+
+  if (exif?.hasGps) {
+    flags.push({ level: 'info', message: 'GPS location is embedded in the file.' });
+  }
+
+  return { fields, generatorHints, flags };
+}
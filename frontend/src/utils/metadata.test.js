@@ -0,0 +1,423 @@
+import { describe, it, expect } from 'vitest';
+
+import { readImageMetadata, analyzeMetadata } from './metadata';
+
+// --- Fixture builders ---
+
+const encoder = new TextEncoder();
+
+const concat = (...parts) => {
+  const output = new Uint8Array(parts.reduce((total, part) => total + part.length, 0));
+  let position = 0;
+  parts.forEach((part) => { output.set(part, position); position += part.length; });
+  return output;
+};
+
+const ascii = (text) => Uint8Array.from(text, (char) => char.charCodeAt(0));
+
+const uint16 = (value) => Uint8Array.of(value >> 8, value & 0xff);
+const uint32 = (value) => Uint8Array.of(value >>> 24, (value >> 16) & 0xff, (value >> 8) & 0xff, value & 0xff);
+
+const toFile = (bytes, type, name = 'image') => new File([bytes], name, { type });
+
+/**
+ * TIFF structure with IFD0 and optional EXIF and GPS IFDs
+ * Entries: [tag, type, value] with a string (2), byte array (1, 7),
+ * number array (3, 4) or [numerator, denominator] pairs (5).
+ */
+function buildTiff({ ifd0 = [], exif = [], gps = [] }, { littleEndian = true } = {}) {
+  const ifds = [ifd0.slice(), exif, gps];
+  if (exif.length) ifds[0].push([0x8769, 4, [0]]);
+  if (gps.length) ifds[0].push([0x8825, 4, [0]]);
+
+  const typeSizes = { 1: 1, 2: 1, 3: 2, 4: 4, 5: 8, 7: 1 };
+  const encodeValue = (type, value) => {
+    if (type === 2) return concat(ascii(value), Uint8Array.of(0));
+    if (type === 1 || type === 7) return value;
+    const bytes = new Uint8Array(value.length * typeSizes[type]);
+    const view = new DataView(bytes.buffer);
+    value.forEach((item, i) => {
+      if (type === 3) view.setUint16(i * 2, item, littleEndian);
+      else if (type === 4) view.setUint32(i * 4, item, littleEndian);
+      else {
+        view.setUint32(i * 8, item[0], littleEndian);
+        view.setUint32(i * 8 + 4, item[1], littleEndian);
+      }
+    });
+    return bytes;
+  };
+
+  // Header, then the IFDs, then the values that don't fit in an entry
+  const ifdOffsets = [];
+  let offset = 8;
+  ifds.forEach((entries) => {
+    ifdOffsets.push(entries.length ? offset : 0);
+    if (entries.length) offset += 2 + entries.length * 12 + 4;
+  });
+  ifds[0].forEach((entry) => {
+    if (entry[0] === 0x8769) entry[2] = [ifdOffsets[1]];
+    if (entry[0] === 0x8825) entry[2] = [ifdOffsets[2]];
+  });
+
+  const data = [];
+  const tables = ifds.filter((entries) => entries.length).map((entries) => {
+    const table = new Uint8Array(2 + entries.length * 12 + 4);
+    const view = new DataView(table.buffer);
+    view.setUint16(0, entries.length, littleEndian);
+    entries.forEach(([tag, type, value], i) => {
+      const bytes = encodeValue(type, value);
+      const at = 2 + i * 12;
+      view.setUint16(at, tag, littleEndian);
+      view.setUint16(at + 2, type, littleEndian);
+      view.setUint32(at + 4, bytes.length / typeSizes[type], littleEndian);
+      if (bytes.length <= 4) {
+        table.set(bytes, at + 8);
+      } else {
+        view.setUint32(at + 8, offset, littleEndian);
+        data.push(bytes);
+        offset += bytes.length;
+      }
+    });
+    return table;
+  });
+
+  const header = new Uint8Array(8);
+  const headerView = new DataView(header.buffer);
+  header.set(ascii(littleEndian ? 'II' : 'MM'));
+  headerView.setUint16(2, 42, littleEndian);
+  headerView.setUint32(4, 8, littleEndian);
+  return concat(header, ...tables, ...data);
+}
+
+const jpegSegment = (marker, payload) => concat(Uint8Array.of(0xff, marker), uint16(payload.length + 2), payload);
+const buildJpeg = (...segments) => concat(Uint8Array.of(0xff, 0xd8), ...segments, Uint8Array.of(0xff, 0xd9));
+
+const pngChunk = (type, data) => concat(uint32(data.length), ascii(type), data, new Uint8Array(4));
+const buildPng = (...chunks) => concat(
+  Uint8Array.of(0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a),
+  pngChunk('IHDR', new Uint8Array(13)),
+  ...chunks,
+  pngChunk('IEND', new Uint8Array(0))
+);
+
+const riffChunk = (type, data) => {
+  const size = new Uint8Array(4);
+  new DataView(size.buffer).setUint32(0, data.length, true);
+  return concat(ascii(type), size, data, new Uint8Array(data.length % 2));
+};
+const buildWebp = (...chunks) => {
+  const body = concat(ascii('WEBP'), ...chunks);
+  const size = new Uint8Array(4);
+  new DataView(size.buffer).setUint32(0, body.length, true);
+  return concat(ascii('RIFF'), size, body);
+};
+
+const box = (type, data) => concat(uint32(data.length + 8), ascii(type), data);
+
+/**
+ * HEIF file whose `meta` box lists the given items, stored after it
+ */
+function buildHeif(items) {
+  const ftyp = box('ftyp', concat(ascii('heic'), new Uint8Array(4), ascii('mif1heic')));
+  const infes = items.map(({ type, contentType }, i) => box('infe', concat(
+    Uint8Array.of(2, 0, 0, 0), uint16(i + 1), uint16(0), ascii(type), Uint8Array.of(0),
+    contentType ? concat(ascii(contentType), Uint8Array.of(0)) : new Uint8Array(0)
+  )));
+  const iinf = box('iinf', concat(Uint8Array.of(0, 0, 0, 0), uint16(items.length), ...infes));
+
+  // iloc version 0: 4-byte offsets and lengths, no base offset
+  const iloc = (dataStart) => {
+    let position = dataStart;
+    const entries = items.map(({ data }, i) => {
+      const entry = concat(uint16(i + 1), uint16(0), uint16(1), uint32(position), uint32(data.length));
+      position += data.length;
+      return entry;
+    });
+    return box('iloc', concat(Uint8Array.of(0, 0, 0, 0, 0x44, 0x00), uint16(items.length), ...entries));
+  };
+
+  const metaFor = (dataStart) => box('meta', concat(new Uint8Array(4), iinf, iloc(dataStart)));
+  const meta = metaFor(ftyp.length + metaFor(0).length);
+  return concat(ftyp, meta, ...items.map(({ data }) => data));
+}
+
+// IPTC-IIM record 2 dataset
+const iimDataset = (dataset, text) => {
+  const value = encoder.encode(text);
+  return concat(Uint8Array.of(0x1c, 2, dataset), uint16(value.length), value);
+};
+
+// Photoshop image resource block holding IPTC-IIM data
+const photoshopIptc = (iim) => concat(
+  ascii('8BIM'), uint16(0x0404), Uint8Array.of(0, 0), uint32(iim.length), iim, new Uint8Array(iim.length % 2)
+);
+
+const XMP_PACKET = `<x:xmpmeta xmlns:x="adobe:ns:meta/"><rdf:RDF><rdf:Description
+  xmp:CreatorTool="Adobe Photoshop 25.0"
+  xmp:CreateDate="2024-03-01T10:00:00"
+  Iptc4xmpExt:DigitalSourceType="http://cv.iptc.org/newscodes/digitalsourcetype/trainedAlgorithmicMedia">
+  <dc:creator><rdf:Seq><rdf:li>Jane &amp; John</rdf:li></rdf:Seq></dc:creator>
+</rdf:Description></rdf:RDF></x:xmpmeta>`;
+
+const CAMERA_EXIF = {
+  ifd0: [
+    [0x010f, 2, 'Canon'],
+    [0x0110, 2, 'EOS R5'],
+    [0x0131, 2, 'Firmware 1.8'],
+    [0x0132, 2, '2024:03:02 09:00:00'],
+  ],
+  exif: [
+    [0x9003, 2, '2024:03:01 08:30:00'],
+    [0x9286, 7, concat(ascii('ASCII\0\0\0'), ascii('Holiday'))],
+  ],
+  gps: [
+    [0x0001, 2, 'N'],
+    [0x0002, 5, [[48, 1], [51, 1], [2400, 100]]],
+    [0x0003, 2, 'W'],
+    [0x0004, 5, [[2, 1], [21, 1], [0, 1]]],
+  ],
+};
+
+// --- Tests ---
+
+describe('readImageMetadata', () => {
+  describe('EXIF', () => {
+    it('reads IFD0, EXIF and GPS tags from a JPEG APP1 segment', async () => {
+      const jpeg = buildJpeg(jpegSegment(0xe1, concat(ascii('Exif\0\0'), buildTiff(CAMERA_EXIF))));
+      const { format, exif } = await readImageMetadata(toFile(jpeg, 'image/jpeg'));
+
+      expect(format).toBe('jpeg');
+      expect(exif).toMatchObject({
+        make: 'Canon',
+        model: 'EOS R5',
+        software: 'Firmware 1.8',
+        dateTime: '2024:03:02 09:00:00',
+        dateTimeOriginal: '2024:03:01 08:30:00',
+        userComment: 'Holiday',
+        hasGps: true,
+      });
+      expect(exif.gps.latitude).toBeCloseTo(48.85667, 5);
+      expect(exif.gps.longitude).toBeCloseTo(-2.35, 5);
+    });
+
+    it('reads big-endian (Motorola) TIFF structures', async () => {
+      const tiff = buildTiff({ ifd0: [[0x010f, 2, 'Nikon']], exif: [[0xa434, 2, 'NIKKOR Z 50mm']] }, { littleEndian: false });
+      const jpeg = buildJpeg(jpegSegment(0xe1, concat(ascii('Exif\0\0'), tiff)));
+      const { exif } = await readImageMetadata(toFile(jpeg, 'image/jpeg'));
+
+      expect(exif).toMatchObject({ make: 'Nikon', lensModel: 'NIKKOR Z 50mm', hasGps: false, gps: null });
+    });
+
+    it('decodes UNICODE user comments in either byte order', async () => {
+      const utf16be = Uint8Array.from([...'Hé'].flatMap((char) => [0, char.charCodeAt(0)]));
+      const tiff = buildTiff({ exif: [[0x9286, 7, concat(ascii('UNICODE\0'), utf16be)]] });
+      const { exif } = await readImageMetadata(toFile(buildJpeg(jpegSegment(0xe1, concat(ascii('Exif\0\0'), tiff))), 'image/jpeg'));
+
+      expect(exif.userComment).toBe('Hé');
+    });
+
+    it('ignores blocks that are not TIFF structures', async () => {
+      const jpeg = buildJpeg(jpegSegment(0xe1, concat(ascii('Exif\0\0'), ascii('XX*\0garbage'))));
+      const { exif } = await readImageMetadata(toFile(jpeg, 'image/jpeg'));
+
+      expect(exif).toBeNull();
+    });
+
+    it('reads the PNG eXIf chunk and WebP EXIF chunk, with or without the Exif header', async () => {
+      const tiff = buildTiff({ ifd0: [[0x0131, 2, 'Midjourney']] });
+
+      const png = await readImageMetadata(toFile(buildPng(pngChunk('eXIf', tiff)), 'image/png'));
+      const webp = await readImageMetadata(toFile(buildWebp(riffChunk('EXIF', tiff)), 'image/webp'));
+      const webpWithHeader = await readImageMetadata(
+        toFile(buildWebp(riffChunk('EXIF', concat(ascii('Exif\0\0'), tiff))), 'image/webp')
+      );
+
+      expect(png.exif.software).toBe('Midjourney');
+      expect(webp.exif.software).toBe('Midjourney');
+      expect(webpWithHeader.exif.software).toBe('Midjourney');
+    });
+  });
+
+  describe('XMP', () => {
+    it('reads attribute and element properties from a JPEG APP1 packet', async () => {
+      const jpeg = buildJpeg(jpegSegment(0xe1, concat(ascii('http://ns.adobe.com/xap/1.0/\0'), encoder.encode(XMP_PACKET))));
+      const { xmp } = await readImageMetadata(toFile(jpeg, 'image/jpeg'));
+
+      expect(xmp).toMatchObject({
+        creatorTool: 'Adobe Photoshop 25.0',
+        createDate: '2024-03-01T10:00:00',
+        creator: 'Jane & John',
+        digitalSourceType: 'http://cv.iptc.org/newscodes/digitalsourcetype/trainedAlgorithmicMedia',
+        modifyDate: null,
+        raw: XMP_PACKET,
+      });
+    });
+
+    it('reads XMP from a PNG iTXt chunk and a WebP XMP chunk', async () => {
+      const itxt = concat(ascii('XML:com.adobe.xmp\0'), Uint8Array.of(0, 0), ascii('\0\0'), encoder.encode(XMP_PACKET));
+      const png = await readImageMetadata(toFile(buildPng(pngChunk('iTXt', itxt)), 'image/png'));
+      const webp = await readImageMetadata(toFile(buildWebp(riffChunk('XMP ', encoder.encode(XMP_PACKET))), 'image/webp'));
+
+      expect(png.xmp.creatorTool).toBe('Adobe Photoshop 25.0');
+      expect(png.textChunks).toEqual([]);
+      expect(webp.xmp.creatorTool).toBe('Adobe Photoshop 25.0');
+    });
+  });
+
+  describe('IPTC', () => {
+    it('reads record 2 datasets from the Photoshop APP13 segment', async () => {
+      const iim = concat(
+        iimDataset(80, 'Jane Doe'),
+        iimDataset(25, 'portrait'),
+        iimDataset(25, 'studio'),
+        iimDataset(65, 'DALL-E'),
+        iimDataset(120, 'Café')
+      );
+      const otherResource = concat(ascii('8BIM'), uint16(0x03ed), Uint8Array.of(0, 0), uint32(2), Uint8Array.of(1, 2));
+      const app13 = concat(ascii('Photoshop 3.0\0'), otherResource, photoshopIptc(iim));
+      const { iptc } = await readImageMetadata(toFile(buildJpeg(jpegSegment(0xed, app13)), 'image/jpeg'));
+
+      expect(iptc).toEqual({
+        byline: 'Jane Doe',
+        keywords: ['portrait', 'studio'],
+        originatingProgram: 'DALL-E',
+        caption: 'Café',
+      });
+    });
+
+    it('returns null without an IPTC resource', async () => {
+      const app13 = concat(ascii('Photoshop 3.0\0'), ascii('8BIM'), uint16(0x03ed), Uint8Array.of(0, 0), uint32(0));
+      const { iptc } = await readImageMetadata(toFile(buildJpeg(jpegSegment(0xed, app13)), 'image/jpeg'));
+
+      expect(iptc).toBeNull();
+    });
+  });
+
+  describe('text chunks', () => {
+    it('decodes PNG tEXt, zTXt and iTXt chunks', async () => {
+      const compressed = new Uint8Array(await new Response(
+        new Blob([encoder.encode('a cat, best quality')]).stream().pipeThrough(new CompressionStream('deflate'))
+      ).arrayBuffer());
+      const png = buildPng(
+        pngChunk('tEXt', ascii('parameters\0a cat\nSteps: 20, CFG scale: 7')),
+        pngChunk('zTXt', concat(ascii('prompt\0'), Uint8Array.of(0), compressed)),
+        pngChunk('iTXt', concat(ascii('Title\0'), Uint8Array.of(0, 0), ascii('en\0Titre\0'), encoder.encode('Été')))
+      );
+      const { textChunks } = await readImageMetadata(toFile(png, 'image/png'));
+
+      expect(textChunks).toEqual([
+        { keyword: 'parameters', text: 'a cat\nSteps: 20, CFG scale: 7' },
+        { keyword: 'prompt', text: 'a cat, best quality' },
+        { keyword: 'Title', text: 'Été' },
+      ]);
+    });
+
+    it('keeps JPEG comments', async () => {
+      const { textChunks } = await readImageMetadata(toFile(buildJpeg(jpegSegment(0xfe, ascii('Made with GIMP'))), 'image/jpeg'));
+
+      expect(textChunks).toEqual([{ keyword: 'Comment', text: 'Made with GIMP' }]);
+    });
+  });
+
+  describe('TIFF and HEIF', () => {
+    it('reads EXIF, XMP and IPTC from the IFD0 tags of a TIFF', async () => {
+      const tiff = buildTiff({
+        ifd0: [
+          [0x010f, 2, 'Fujifilm'],
+          [0x02bc, 1, encoder.encode(XMP_PACKET)],
+          [0x83bb, 7, iimDataset(80, 'Jane Doe')],
+        ],
+      });
+      const { format, exif, xmp, iptc } = await readImageMetadata(toFile(tiff, 'image/tiff'));
+
+      expect(format).toBe('tiff');
+      expect(exif.make).toBe('Fujifilm');
+      expect(xmp.creatorTool).toBe('Adobe Photoshop 25.0');
+      expect(iptc).toEqual({ byline: 'Jane Doe' });
+    });
+
+    it('reads the Exif and XMP items of a HEIF file', async () => {
+      const tiff = buildTiff({ ifd0: [[0x010f, 2, 'Apple'], [0x0110, 2, 'iPhone 15']] });
+      const heif = buildHeif([
+        { type: 'hvc1', data: new Uint8Array(16) },
+        { type: 'Exif', data: concat(uint32(6), ascii('Exif\0\0'), tiff) },
+        { type: 'mime', contentType: 'application/rdf+xml', data: encoder.encode(XMP_PACKET) },
+      ]);
+      const { format, exif, xmp } = await readImageMetadata(toFile(heif, 'image/heic'));
+
+      expect(format).toBe('heif');
+      expect(exif).toMatchObject({ make: 'Apple', model: 'iPhone 15' });
+      expect(xmp.creatorTool).toBe('Adobe Photoshop 25.0');
+    });
+  });
+
+  it('returns empty metadata for unknown formats', async () => {
+    const metadata = await readImageMetadata(toFile(ascii('not an image'), 'image/jpeg'));
+
+    expect(metadata).toEqual({ format: 'unknown', mimeType: 'image/jpeg', exif: null, xmp: null, iptc: null, textChunks: [] });
+  });
+});
+
+describe('analyzeMetadata', () => {
+  const empty = { format: 'jpeg', mimeType: 'image/jpeg', exif: null, xmp: null, iptc: null, textChunks: [] };
+  const messages = (analysis) => analysis.flags.map(({ message }) => message);
+
+  it('flags generator text chunks first', () => {
+    const analysis = analyzeMetadata({
+      ...empty,
+      format: 'png',
+      mimeType: 'image/png',
+      textChunks: [{ keyword: 'parameters', text: 'a cat\nNegative prompt: blurry' }],
+    });
+
+    expect(analysis.generatorHints[0]).toMatchObject({
+      generator: 'Stable Diffusion (AUTOMATIC1111 / Forge)',
+      source: 'Text chunk "parameters"',
+    });
+    expect(analysis.flags[0].level).toBe('danger');
+  });
+
+  it('flags the IPTC AI digital source type in XMP', () => {
+    const analysis = analyzeMetadata({ ...empty, xmp: { raw: XMP_PACKET, creatorTool: null } });
+
+    expect(analysis.generatorHints.map(({ generator }) => generator)).toContain('AI-generated (IPTC digital source type)');
+  });
+
+  it('warns when there is no metadata at all', () => {
+    expect(messages(analyzeMetadata(empty))[0]).toMatch(/^No metadata at all/);
+  });
+
+  it('warns about a MIME type that does not match the content', () => {
+    expect(messages(analyzeMetadata({ ...empty, mimeType: 'image/png' })))
+      .toContain('File is labelled image/png but its content is JPEG.');
+  });
+
+  it('accepts every HEIF MIME type for HEIF content', () => {
+    const flags = messages(analyzeMetadata({ ...empty, format: 'heif', mimeType: 'image/avif' }));
+
+    expect(flags.some((message) => message.startsWith('File is labelled'))).toBe(false);
+  });
+
+  it('summarizes camera fields and flags edits, dates and GPS', () => {
+    const analysis = analyzeMetadata({
+      ...empty,
+      exif: {
+        make: 'Canon',
+        model: 'EOS R5',
+        software: 'Adobe Lightroom',
+        dateTimeOriginal: '2024:03:01 08:30:00',
+        dateTime: '2024:02:01 08:30:00',
+        hasGps: true,
+        gps: { latitude: 48.8566, longitude: 2.3522 },
+      },
+    });
+
+    expect(analysis.fields).toContainEqual({ label: 'Camera make', value: 'Canon' });
+    expect(analysis.fields).toContainEqual({ label: 'GPS', value: 'Present (48.85660, 2.35220)' });
+    expect(messages(analysis)).toEqual([
+      'Processed with editing software: Adobe Lightroom.',
+      'Modification date is earlier than the capture date.',
+      'GPS location is embedded in the file.',
+    ]);
+  });
+});
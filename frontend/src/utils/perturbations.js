@@ -0,0 +1,199 @@
+/**
+ * Perturbation Helpers
+ *
+ * Purpose: Generates perturbed variants of an image for the stress test
+ * (re-encoding, resizing, blur, crops, flips and noise), all client-side.
+ *
+ * Every variant starts from the same decoded pixels (the "reference"), so
+ * differences in the model's output come from the perturbation alone.
+ */
+
+import { loadImageBitmap, canvasToBlob } from './image';
+
+// Longest side of the working copy (keeps blur/noise fast on large photos)
+export const STRESS_TEST_MAX_SIZE = 1024;
+
+// Fixed seed so repeated runs add identical noise
+const NOISE_SEED = 1234;
+
+/**
+ * Variants generated by the stress test, in display order
+ * `transform` describes the operation applied to the reference image.
+ */
+export const STRESS_VARIANTS = [
+  { id: 'reference', group: 'Reference', label: 'Reference', transform: { type: 'none' } },
+  { id: 'jpeg-90', group: 'JPEG quality', label: 'JPEG q90', transform: { type: 'jpeg', quality: 0.9 } },
+  { id: 'jpeg-70', group: 'JPEG quality', label: 'JPEG q70', transform: { type: 'jpeg', quality: 0.7 } },
+  { id: 'jpeg-50', group: 'JPEG quality', label: 'JPEG q50', transform: { type: 'jpeg', quality: 0.5 } },
+  { id: 'jpeg-30', group: 'JPEG quality', label: 'JPEG q30', transform: { type: 'jpeg', quality: 0.3 } },
+  { id: 'scale-75', group: 'Downscale', label: '75% size', transform: { type: 'scale', factor: 0.75 } },
+  { id: 'scale-50', group: 'Downscale', label: '50% size', transform: { type: 'scale', factor: 0.5 } },
+  { id: 'scale-25', group: 'Downscale', label: '25% size', transform: { type: 'scale', factor: 0.25 } },
+  { id: 'blur-1', group: 'Gaussian blur', label: 'Blur σ1', transform: { type: 'blur', sigma: 1 } },
+  { id: 'blur-2', group: 'Gaussian blur', label: 'Blur σ2', transform: { type: 'blur', sigma: 2 } },
+  { id: 'blur-4', group: 'Gaussian blur', label: 'Blur σ4', transform: { type: 'blur', sigma: 4 } },
+  { id: 'crop-90', group: 'Center crop', label: 'Crop 90%', transform: { type: 'crop', fraction: 0.9 } },
+  { id: 'crop-75', group: 'Center crop', label: 'Crop 75%', transform: { type: 'crop', fraction: 0.75 } },
+  { id: 'flip', group: 'Flip', label: 'Horizontal flip', transform: { type: 'flip' } },
+  { id: 'noise-5', group: 'Noise', label: 'Noise σ5', transform: { type: 'noise', sigma: 5 } },
+  { id: 'noise-15', group: 'Noise', label: 'Noise σ15', transform: { type: 'noise', sigma: 15 } },
+];
+
+/**
+ * Create a canvas of the given size and its 2D context
+ */
+function createCanvas(width, height) {
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.max(1, Math.round(width));
+  canvas.height = Math.max(1, Math.round(height));
+  return { canvas, context: canvas.getContext('2d', { willReadFrequently: true }) };
+}
+
+/**
+ * Deterministic PRNG (mulberry32)
+ */
+function createRandom(seed) {
+  let state = seed;
+  return () => {
+    state = (state + 0x6d2b79f5) | 0;
+    let t = Math.imul(state ^ (state >>> 15), 1 | state);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Separable Gaussian blur of RGB channels (edges clamped)
+ */
+function gaussianBlur(imageData, sigma) {
+  const { width, height, data } = imageData;
+  const radius = Math.ceil(sigma * 3);
+  const kernel = Array.from({ length: radius * 2 + 1 }, (_, i) => Math.exp(-((i - radius) ** 2) / (2 * sigma * sigma)));
+  const kernelSum = kernel.reduce((total, weight) => total + weight, 0);
+  const weights = kernel.map((weight) => weight / kernelSum);
+
+  const pass = (source, target, horizontal) => {
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        let r = 0;
+        let g = 0;
+        let b = 0;
+        for (let k = -radius; k <= radius; k++) {
+          const sx = horizontal ? Math.min(width - 1, Math.max(0, x + k)) : x;
+          const sy = horizontal ? y : Math.min(height - 1, Math.max(0, y + k));
+          const index = (sy * width + sx) * 4;
+          const weight = weights[k + radius];
+          r += source[index] * weight;
+          g += source[index + 1] * weight;
+          b += source[index + 2] * weight;
+        }
+        const index = (y * width + x) * 4;
+        target[index] = r;
+        target[index + 1] = g;
+        target[index + 2] = b;
+        target[index + 3] = source[index + 3];
+      }
+    }
+  };
+
+  const buffer = new Float32Array(data.length);
+  pass(data, buffer, true);
+  pass(buffer, data, false);
+}
+
+/**
+ * Add zero-mean Gaussian noise to RGB channels (Box-Muller)
+ */
+function addGaussianNoise(imageData, sigma) {
+  const random = createRandom(NOISE_SEED);
+  const { data } = imageData;
+  for (let i = 0; i < data.length; i += 4) {
+    for (let channel = 0; channel < 3; channel++) {
+      const noise = Math.sqrt(-2 * Math.log(random() || Number.EPSILON)) * Math.cos(2 * Math.PI * random());
+      data[i + channel] += noise * sigma; // Uint8ClampedArray clamps to 0-255
+    }
+  }
+}
+
+/**
+ * Apply one transform to the reference canvas
+ *
+ * @returns {Promise<Blob>}
+ */
+async function applyTransform(reference, transform) {
+  const { width, height } = reference;
+
+  switch (transform.type) {
+    case 'jpeg':
+      return canvasToBlob(reference, 'image/jpeg', transform.quality);
+
+    case 'scale': {
+      const { canvas, context } = createCanvas(width * transform.factor, height * transform.factor);
+      context.imageSmoothingQuality = 'high';
+      context.drawImage(reference, 0, 0, canvas.width, canvas.height);
+      return canvasToBlob(canvas, 'image/png');
+    }
+
+    case 'crop': {
+      const { canvas, context } = createCanvas(width * transform.fraction, height * transform.fraction);
+      context.drawImage(
+        reference,
+        (width - canvas.width) / 2, (height - canvas.height) / 2, canvas.width, canvas.height,
+        0, 0, canvas.width, canvas.height
+      );
+      return canvasToBlob(canvas, 'image/png');
+    }
+
+    case 'flip': {
+      const { canvas, context } = createCanvas(width, height);
+      context.translate(width, 0);
+      context.scale(-1, 1);
+      context.drawImage(reference, 0, 0);
+      return canvasToBlob(canvas, 'image/png');
+    }
+
+    case 'blur':
+    case 'noise': {
+      const { canvas, context } = createCanvas(width, height);
+      context.drawImage(reference, 0, 0);
+      const imageData = context.getImageData(0, 0, width, height);
+      if (transform.type === 'blur') gaussianBlur(imageData, transform.sigma);
+      else addGaussianNoise(imageData, transform.sigma);
+      context.putImageData(imageData, 0, 0);
+      return canvasToBlob(canvas, 'image/png');
+    }
+
+    default:
+      return canvasToBlob(reference, 'image/png');
+  }
+}
+
+/**
+ * Decode an image into the reference canvas used for every variant
+ *
+ * @param {File} imageFile - Image to stress test
+ * @returns {Promise<HTMLCanvasElement>} Copy scaled to at most STRESS_TEST_MAX_SIZE
+ */
+export async function createReferenceCanvas(imageFile) {
+  const bitmap = await loadImageBitmap(imageFile);
+  const scale = Math.min(1, STRESS_TEST_MAX_SIZE / Math.max(bitmap.width, bitmap.height));
+  const { canvas, context } = createCanvas(bitmap.width * scale, bitmap.height * scale);
+  context.imageSmoothingQuality = 'high';
+  context.drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+  bitmap.close();
+  return canvas;
+}
+
+/**
+ * Generate one variant as a File ready for upload
+ *
+ * @param {HTMLCanvasElement} reference - From createReferenceCanvas()
+ * @param {Object} variant - Entry of STRESS_VARIANTS
+ * @param {string} baseName - Original file name without extension
+ * @returns {Promise<File>}
+ */
+export async function createVariantFile(reference, variant, baseName) {
+  const blob = await applyTransform(reference, variant.transform);
+  const extension = blob.type === 'image/jpeg' ? 'jpg' : 'png';
+  return new File([blob], `${baseName}-${variant.id}.${extension}`, { type: blob.type, lastModified: Date.now() });
+}
@@ -0,0 +1,178 @@
+/**
+ * Prediction Helpers
+ * 
+ * Purpose: Shared helpers for interpreting /api/predict responses.
+ * Keeps the label and confidence logic in one place so single results,
+ * batch cards and summaries all agree on what a response means.
+ * 
+ * Responses carry the raw model output as `probability`: the sigmoid of
+ * backend/CNN.py, i.e. P(Real) on a 0-1 scale (label 1 = real). Verdicts are
+ * re-derived from it with the user's decision threshold (see applyThreshold);
+ * older responses without it fall back to the label and confidence.
+ */
+
+// Default decision threshold on P(AI-generated) - backend/CNN.py uses 0.5
+export const DEFAULT_THRESHOLD = 0.5;
+
+// Threshold presets offered in the UI
+export const THRESHOLD_PRESETS = [
+  {
+    id: 'recall',
+    label: 'High recall for fakes',
+    threshold: 0.3,
+    description: 'Flags an image once P(AI-generated) reaches 30%. Fewer fakes slip through, more real photos get flagged.',
+  },
+  {
+    id: 'balanced',
+    label: 'Balanced',
+    threshold: DEFAULT_THRESHOLD,
+    description: 'The cut-off the model was evaluated with (50%).',
+  },
+  {
+    id: 'precision',
+    label: 'High precision',
+    threshold: 0.7,
+    description: 'Only flags an image at 70% P(AI-generated) or more. Fewer false alarms, more fakes missed.',
+  },
+];
+
+/**
+ * Whether a prediction label means "Real" (normalizes casing)
+ * 
+ * @param {string} prediction - Label returned by the backend
+ * @returns {boolean}
+ */
+export function isRealPrediction(prediction) {
+  return prediction?.toLowerCase() === 'real';
+}
+
+/**
+ * Convert a confidence value to a percentage
+ * Handles both 0-1 and 0-100 formats returned by different backends.
+ * 
+ * @param {number} confidence - Raw confidence from the backend
+ * @returns {number} Confidence in the 0-100 range
+ */
+export function toConfidencePercent(confidence) {
+  const value = Number(confidence) || 0;
+  return value > 1 ? value : value * 100;
+}
+
+/**
+ * Bucket a confidence percentage into a display level
+ * 
+ * @param {number} percent - Confidence in the 0-100 range
+ * @returns {'high' | 'medium' | 'low'}
+ */
+export function getConfidenceLevel(percent) {
+  if (percent >= 85) return 'high';
+  if (percent >= 65) return 'medium';
+  return 'low';
+}
+
+/**
+ * Whether a response carries the raw model probability
+ * 
+ * @param {{probability?: number}} result - /api/predict response
+ * @returns {boolean}
+ */
+export function hasRawProbability(result) {
+  return Number.isFinite(result.probability);
+}
+
+/**
+ * Probability (0-100) that the image is AI-generated, whichever label won
+ * Lets results with different labels be compared on one scale.
+ * 
+ * @param {{prediction: string, confidence: number, probability?: number}} result - /api/predict response
+ * @returns {number}
+ */
+export function toFakeProbability(result) {
+  if (hasRawProbability(result)) return (1 - result.probability) * 100;
+
+  const confidence = toConfidencePercent(result.confidence);
+  return isRealPrediction(result.prediction) ? 100 - confidence : confidence;
+}
+
+/**
+ * Re-derive the verdict of a response with a decision threshold
+ * The image is labelled AI-generated when P(AI-generated) ≥ threshold, and
+ * `confidence` becomes the probability of the chosen label.
+ * 
+ * @param {Object} result - /api/predict response
+ * @param {number} [threshold=0.5] - Threshold on P(AI-generated), 0-1
+ * @returns {Object} The response with `prediction` and `confidence` (0-1)
+ *   replaced, plus `threshold` and the model's own label as `modelPrediction`
+ *   (kept when an already relabelled result is passed in)
+ */
+export function applyThreshold(result, threshold = DEFAULT_THRESHOLD) {
+  const fakeProbability = toFakeProbability(result) / 100;
+  const isFake = fakeProbability >= threshold;
+
+  return {
+    ...result,
+    prediction: isFake ? 'Fake' : 'Real',
+    confidence: isFake ? fakeProbability : 1 - fakeProbability,
+    threshold,
+    modelPrediction: result.modelPrediction ?? result.prediction,
+  };
+}
+
+/**
+ * Name a threshold for display, e.g. "0.30 (High recall for fakes)"
+ * 
+ * @param {number} threshold - Threshold on P(AI-generated), 0-1
+ * @returns {string}
+ */
+export function describeThreshold(threshold) {
+  const preset = THRESHOLD_PRESETS.find((candidate) => Math.abs(candidate.threshold - threshold) < 0.005);
+  return `${threshold.toFixed(2)} (${preset ? preset.label : 'custom'})`;
+}
+
+/**
+ * Combine several models' predictions into one verdict
+ * Averages the AI-generated probability of the members that answered;
+ * members with an `error` are ignored.
+ * 
+ * @param {Array<{prediction?: string, confidence?: number, error?: string}>} members
+ * @returns {{prediction: string, confidence: number, probability: number, answered: number}}
+ *   `confidence` is 0-1, `probability` is the combined P(Real); the verdict is
+ *   at the default threshold (agreement depends on the threshold, see labelEnsemble)
+ */
+export function aggregateEnsemble(members) {
+  const answered = members.filter((member) => !member.error && member.prediction);
+  if (answered.length === 0) {
+    throw new Error('None of the models returned a prediction.');
+  }
+
+  const meanFakeProbability = answered.reduce((total, member) => total + toFakeProbability(member), 0) / answered.length;
+  const isReal = meanFakeProbability < 50;
+
+  return {
+    prediction: isReal ? 'Real' : 'Fake',
+    confidence: (isReal ? 100 - meanFakeProbability : meanFakeProbability) / 100,
+    probability: 1 - meanFakeProbability / 100,
+    answered: answered.length,
+  };
+}
+
+/**
+ * Relabel an ensemble's members at a threshold and count those that share
+ * the combined verdict at that threshold
+ * 
+ * @param {Object} result - Ensemble response (`ensemble` as built by api.js)
+ * @param {number} [threshold=0.5] - Threshold on P(AI-generated), 0-1
+ * @returns {{members: Object[], agreeing: number, answered: number}} `members`
+ *   in the ensemble's order; failed members are returned unchanged
+ */
+export function labelEnsemble(result, threshold = DEFAULT_THRESHOLD) {
+  const isReal = isRealPrediction(applyThreshold(result, threshold).prediction);
+  const members = (result.ensemble ?? []).map((member) => (member.error ? member : applyThreshold(member, threshold)));
+  const answered = members.filter((member) => !member.error);
+
+  return {
+    members,
+    agreeing: answered.filter((member) => isRealPrediction(member.prediction) === isReal).length,
+    answered: answered.length,
+  };
+}
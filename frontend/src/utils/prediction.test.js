@@ -0,0 +1,155 @@
+import { describe, it, expect } from 'vitest';
+
+import { aggregateEnsemble, applyThreshold, labelEnsemble, DEFAULT_THRESHOLD } from './prediction';
+
+describe('applyThreshold', () => {
+  it('labels by P(AI-generated) = 1 - probability against the threshold', () => {
+    const result = { prediction: 'Real', confidence: 0.6, probability: 0.6 }; // P(AI) 0.4
+
+    expect(applyThreshold(result, 0.5)).toMatchObject({ prediction: 'Real', threshold: 0.5 });
+    expect(applyThreshold(result, 0.5).confidence).toBeCloseTo(0.6);
+
+    const relabelled = applyThreshold(result, 0.3);
+    expect(relabelled.prediction).toBe('Fake');
+    expect(relabelled.confidence).toBeCloseTo(0.4);
+    expect(relabelled.modelPrediction).toBe('Real');
+  });
+
+  it('labels AI-generated when P(AI-generated) equals the threshold', () => {
+    expect(applyThreshold({ prediction: 'Real', confidence: 0.7, probability: 0.7 }, 0.3).prediction).toBe('Fake');
+  });
+
+  it('uses the default threshold when none is given', () => {
+    const result = applyThreshold({ prediction: 'Fake', confidence: 0.51, probability: 0.49 });
+
+    expect(result.threshold).toBe(DEFAULT_THRESHOLD);
+    expect(result.prediction).toBe('Fake');
+  });
+
+  it('re-derives P(AI-generated) from label and confidence for older responses', () => {
+    const fromReal = applyThreshold({ prediction: 'real', confidence: 0.8 }, 0.15);
+    expect(fromReal.prediction).toBe('Fake');
+    expect(fromReal.confidence).toBeCloseTo(0.2);
+
+    const fromPercent = applyThreshold({ prediction: 'Fake', confidence: 65 }, 0.7);
+    expect(fromPercent.prediction).toBe('Real');
+    expect(fromPercent.confidence).toBeCloseTo(0.35);
+  });
+
+  it("keeps the model's own label when relabelling twice", () => {
+    const once = applyThreshold({ prediction: 'Real', confidence: 0.55, probability: 0.55 }, 0.3);
+    const twice = applyThreshold(once, 0.7);
+
+    expect(once.prediction).toBe('Fake');
+    expect(twice.prediction).toBe('Real');
+    expect(twice.modelPrediction).toBe('Real');
+    expect(twice.confidence).toBeCloseTo(0.55);
+  });
+
+  it('keeps the other response fields', () => {
+    const result = applyThreshold({ prediction: 'Fake', confidence: 0.9, probability: 0.1, heatmap: 'data', engine: 'server' });
+
+    expect(result).toMatchObject({ heatmap: 'data', engine: 'server', probability: 0.1 });
+  });
+});
+
+describe('aggregateEnsemble', () => {
+  it('averages the AI-generated probability of the members', () => {
+    const combined = aggregateEnsemble([
+      { prediction: 'Fake', confidence: 0.9 }, // P(AI) 0.9
+      { prediction: 'Real', confidence: 0.7 }, // P(AI) 0.3
+      { prediction: 'Fake', confidence: 0.6 }, // P(AI) 0.6
+    ]);
+
+    expect(combined.prediction).toBe('Fake');
+    expect(combined.confidence).toBeCloseTo(0.6);
+    expect(combined.probability).toBeCloseTo(0.4);
+    expect(combined.answered).toBe(3);
+  });
+
+  it('prefers the raw probability over label and confidence', () => {
+    const combined = aggregateEnsemble([
+      { prediction: 'Real', confidence: 0.55, probability: 0.8 },
+      { prediction: 'Real', confidence: 0.6, probability: 0.6 },
+    ]);
+
+    expect(combined.prediction).toBe('Real');
+    expect(combined.probability).toBeCloseTo(0.7);
+    expect(combined.confidence).toBeCloseTo(0.7);
+  });
+
+  it('accepts confidences on a 0-100 scale', () => {
+    const combined = aggregateEnsemble([{ prediction: 'Real', confidence: 80 }]);
+
+    expect(combined.prediction).toBe('Real');
+    expect(combined.confidence).toBeCloseTo(0.8);
+  });
+
+  it('ignores members that failed', () => {
+    const combined = aggregateEnsemble([
+      { prediction: 'Real', confidence: 0.9 },
+      { error: 'Model unavailable' },
+      { prediction: 'Fake', confidence: 0.99, error: 'Timed out' },
+    ]);
+
+    expect(combined.prediction).toBe('Real');
+    expect(combined.confidence).toBeCloseTo(0.9);
+    expect(combined.answered).toBe(1);
+  });
+
+  it('labels an even split AI-generated, like the default threshold', () => {
+    const combined = aggregateEnsemble([
+      { prediction: 'Real', confidence: 0.8 },
+      { prediction: 'Fake', confidence: 0.8 },
+    ]);
+
+    expect(combined.prediction).toBe('Fake');
+    expect(combined.confidence).toBeCloseTo(0.5);
+  });
+
+  it('throws when no member answered', () => {
+    expect(() => aggregateEnsemble([{ error: 'down' }, { error: 'down' }])).toThrow('None of the models returned a prediction.');
+    expect(() => aggregateEnsemble([])).toThrow();
+  });
+});
+
+describe('labelEnsemble', () => {
+  const result = {
+    prediction: 'Fake',
+    confidence: 0.6,
+    probability: 0.4, // P(AI) 0.6
+    ensemble: [
+      { model: { id: 'a' }, prediction: 'Fake', confidence: 0.9, probability: 0.1 }, // P(AI) 0.9
+      { model: { id: 'b' }, prediction: 'Real', confidence: 0.7, probability: 0.7 }, // P(AI) 0.3
+      { model: { id: 'c' }, prediction: 'Fake', confidence: 0.6, probability: 0.4 }, // P(AI) 0.6
+      { model: { id: 'd' }, error: 'Timed out' },
+    ],
+  };
+
+  it('counts the members sharing the combined verdict at the default threshold', () => {
+    const { members, agreeing, answered } = labelEnsemble(result);
+
+    expect(members.map((member) => member.prediction)).toEqual(['Fake', 'Real', 'Fake', undefined]);
+    expect(members[3]).toEqual({ model: { id: 'd' }, error: 'Timed out' });
+    expect(agreeing).toBe(2);
+    expect(answered).toBe(3);
+  });
+
+  it('relabels the members and the combined verdict at another threshold', () => {
+    // At 0.7 the combined verdict (P(AI) 0.6) and model c become Real
+    const high = labelEnsemble(result, 0.7);
+    expect(high.members.map((member) => member.prediction)).toEqual(['Fake', 'Real', 'Real', undefined]);
+    expect(high.agreeing).toBe(2);
+
+    // At 0.25 everyone says Fake
+    expect(labelEnsemble(result, 0.25).agreeing).toBe(3);
+  });
+
+  it('works on a result already relabelled by applyThreshold', () => {
+    expect(labelEnsemble(applyThreshold(result, 0.7), 0.7).agreeing).toBe(2);
+  });
+
+  it('returns no members for single-model results', () => {
+    expect(labelEnsemble({ prediction: 'Real', confidence: 0.8 })).toEqual({ members: [], agreeing: 0, answered: 0 });
+  });
+});
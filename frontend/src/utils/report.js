@@ -0,0 +1,327 @@
+/**
+ * Report Helpers
+ *
+ * Purpose: Build a forensic report of one classification as a single,
+ * self-contained HTML document for case files.
+ *
+ * The document has no external references: styles are inline, fonts are the
+ * system's, and every image (upload, heatmap, ELA, spectrum) is embedded as a
+ * data URL, so it renders the same offline and prints cleanly to PDF.
+ */
+
+import { isRealPrediction, toConfidencePercent, hasRawProbability, describeThreshold, labelEnsemble, DEFAULT_THRESHOLD } from './prediction';
+import { hasHeatmap, heatmapToImageSrc, HEATMAP_GRADIENT } from './heatmap';
+import { computeErrorLevels, computeFrequencySpectrum } from './forensics';
+import { compareCredentialsWithPrediction, SIGNATURE_STATUS_LABELS } from './c2pa';
+import { blobToDataUrl } from './image';
+import { needsDisplayConversion, toDisplayableImageFile } from './imageFormats';
+import { sha256Hex } from './hash';
+
+// Size of the inline power-spectrum plot (SVG user units)
+const PLOT_WIDTH = 640;
+const PLOT_HEIGHT = 180;
+const PLOT_PADDING = 36;
+
+const REPORT_STYLES = `
+  @page { size: A4; margin: 16mm; }
+  * { box-sizing: border-box; }
+  body { margin: 0; padding: 24px; font: 14px/1.5 system-ui, -apple-system, "Segoe UI", Roboto, Arial, sans-serif; color: #111827; background: #fff; }
+  main { max-width: 820px; margin: 0 auto; }
+  h1 { font-size: 22px; margin: 0 0 4px; }
+  h2 { font-size: 16px; margin: 0 0 8px; padding-bottom: 4px; border-bottom: 1px solid #e5e7eb; }
+  section { margin-top: 24px; break-inside: avoid; }
+  table { width: 100%; border-collapse: collapse; }
+  th, td { text-align: left; vertical-align: top; padding: 6px 8px; border-bottom: 1px solid #f3f4f6; }
+  th { width: 34%; font-weight: 600; color: #374151; }
+  figure { margin: 0; text-align: center; }
+  figcaption { margin-top: 4px; font-size: 12px; color: #6b7280; }
+  img { max-width: 100%; max-height: 360px; }
+  .mono { font-family: ui-monospace, SFMono-Regular, Menlo, Consolas, monospace; word-break: break-all; }
+  .muted { color: #6b7280; font-size: 12px; }
+  .verdict { display: inline-block; padding: 4px 12px; border-radius: 999px; font-weight: 600; }
+  .verdict.real { background: #d1fae5; color: #065f46; }
+  .verdict.fake { background: #fee2e2; color: #991b1b; }
+  .warning { color: #92400e; }
+  .overlay { position: relative; display: inline-block; line-height: 0; }
+  .overlay img + img { position: absolute; inset: 0; width: 100%; height: 100%; opacity: 0.5; }
+  .legend { height: 8px; border-radius: 4px; margin-top: 8px; }
+  .grid { display: grid; grid-template-columns: repeat(auto-fit, minmax(240px, 1fr)); gap: 16px; }
+  @media print { body { padding: 0; } }
+`;
+
+/**
+ * Escape text for HTML content and attribute values
+ */
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+const formatDate = (timestamp) => `${new Date(timestamp).toISOString()} (${new Date(timestamp).toLocaleString()})`;
+
+/**
+ * Table rows from [label, html] pairs (values are expected to be escaped already)
+ */
+const tableRows = (rows) => rows
+  .filter(([, value]) => value !== null && value !== undefined)
+  .map(([label, value]) => `<tr><th>${escapeHtml(label)}</th><td>${value}</td></tr>`)
+  .join('');
+
+/**
+ * Turn any image source into a data URL so the report has no external references
+ * @returns {Promise<string|null>} null when the source could not be fetched
+ */
+async function embedImage(src) {
+  if (!src) return null;
+  if (src.startsWith('data:')) return src;
+  try {
+    const response = await fetch(src);
+    if (!response.ok) return null;
+    return await blobToDataUrl(await response.blob());
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Inline SVG line plot of the azimuthally averaged power spectrum
+ */
+function renderSpectrumPlot(radialProfile) {
+  const powers = radialProfile.map((point) => point.power);
+  const min = Math.min(...powers);
+  const range = Math.max(...powers) - min || 1;
+  const maxFrequency = radialProfile[radialProfile.length - 1].frequency;
+
+  const x = (frequency) => PLOT_PADDING + (frequency / maxFrequency) * (PLOT_WIDTH - 2 * PLOT_PADDING);
+  const y = (power) => PLOT_HEIGHT - PLOT_PADDING - ((power - min) / range) * (PLOT_HEIGHT - 2 * PLOT_PADDING);
+  const points = radialProfile.map((point) => `${x(point.frequency).toFixed(1)},${y(point.power).toFixed(1)}`).join(' ');
+
+  return `
+    <svg viewBox="0 0 ${PLOT_WIDTH} ${PLOT_HEIGHT}" width="100%" role="img" aria-label="Power spectrum">
+      <line x1="${PLOT_PADDING}" y1="${PLOT_HEIGHT - PLOT_PADDING}" x2="${PLOT_WIDTH - PLOT_PADDING}" y2="${PLOT_HEIGHT - PLOT_PADDING}" stroke="#9ca3af" />
+      <line x1="${PLOT_PADDING}" y1="${PLOT_PADDING}" x2="${PLOT_PADDING}" y2="${PLOT_HEIGHT - PLOT_PADDING}" stroke="#9ca3af" />
+      <polyline points="${points}" fill="none" stroke="#0891b2" stroke-width="1.5" />
+      <text x="${PLOT_WIDTH / 2}" y="${PLOT_HEIGHT - 8}" font-size="11" text-anchor="middle" fill="#6b7280">Frequency (0 – ${maxFrequency.toFixed(2)} cycles/px)</text>
+      <text x="${PLOT_PADDING - 6}" y="${PLOT_PADDING}" font-size="11" text-anchor="end" fill="#6b7280">${(min + range).toFixed(0)} dB</text>
+      <text x="${PLOT_PADDING - 6}" y="${PLOT_HEIGHT - PLOT_PADDING}" font-size="11" text-anchor="end" fill="#6b7280">${min.toFixed(0)} dB</text>
+    </svg>`;
+}
+
+/**
+ * Forensics section: ELA at the settings the user viewed plus the frequency spectrum
+ * Analyses that fail (e.g. image too small) are noted instead of aborting the report.
+ */
+async function renderForensics({ file, ela: elaSettings }) {
+  const [ela, spectrum] = await Promise.allSettled([
+    computeErrorLevels(file, elaSettings),
+    computeFrequencySpectrum(file),
+  ]);
+
+  const elaHtml = ela.status === 'fulfilled'
+    ? `<figure>
+        <img src="${ela.value.imageSrc}" alt="Error level analysis">
+        <figcaption>Error Level Analysis · JPEG quality ${Math.round(elaSettings.quality * 100)}%,
+          ${elaSettings.amplification}× amplification · mean error ${ela.value.meanError.toFixed(2)}, max ${ela.value.maxError}</figcaption>
+      </figure>`
+    : `<p class="warning">Error Level Analysis failed: ${escapeHtml(ela.reason?.message)}</p>`;
+
+  const spectrumHtml = spectrum.status === 'fulfilled'
+    ? `<figure>
+        <img src="${spectrum.value.imageSrc}" alt="Frequency spectrum">
+        <figcaption>2D log-magnitude spectrum of the centred ${spectrum.value.size}×${spectrum.value.size} px square</figcaption>
+      </figure>`
+    : `<p class="warning">Frequency spectrum failed: ${escapeHtml(spectrum.reason?.message)}</p>`;
+
+  const profileHtml = spectrum.status === 'fulfilled' && spectrum.value.radialProfile.length > 1
+    ? `<figure>${renderSpectrumPlot(spectrum.value.radialProfile)}
+        <figcaption>Azimuthally averaged power spectrum</figcaption></figure>`
+    : '';
+
+  return `
+    <section>
+      <h2>Forensics</h2>
+      <p class="muted">Computed in the browser on the original upload (${escapeHtml(file.name)}).</p>
+      <div class="grid">${elaHtml}${spectrumHtml}</div>
+      ${profileHtml}
+    </section>`;
+}
+
+/**
+ * Build the report HTML for one classification
+ *
+ * @param {Object} report
+ * @param {Object} report.result - Prediction response, already relabelled with applyThreshold
+ * @param {File} [report.imageFile] - The image as uploaded (embedded and hashed)
+ * @param {File} [report.analyzedFile] - What the model saw when it was derived from the upload
+ *   (e.g. a face crop); embedded next to it as the analysed region, with its own hash
+ * @param {string} [report.imageUrl] - Image to embed when the file is not available (e.g. a history thumbnail)
+ * @param {string} [report.imageHash] - Known SHA-256 of the original file, when it cannot be hashed here
+ * @param {string} [report.fileName] - Name of the classified file
+ * @param {number} [report.analyzedAt] - When the image was classified (ms since epoch)
+ * @param {string} [report.engineLabel] - Human-readable inference engine
+ * @param {{file: File, ela: {quality: number, amplification: number}}} [report.forensics] - Original
+ *   upload and ELA settings of the forensics panel, only when the user opened it
+ * @param {Object} [report.contentCredentials] - C2PA manifest read from the upload
+ * @returns {Promise<string>} Complete HTML document
+ */
+export async function buildClassificationReport({
+  result,
+  imageFile = null,
+  analyzedFile = null,
+  imageUrl = null,
+  imageHash = null,
+  fileName = imageFile?.name || 'image',
+  analyzedAt = null,
+  engineLabel = null,
+  forensics = null,
+  contentCredentials = null,
+}) {
+  const generatedAt = Date.now();
+  const [imageSrc, fileHash, analyzedSrc, analyzedHash, heatmapSrc, forensicsHtml] = await Promise.all([
+    // Formats browsers can't display (HEIC, TIFF) are embedded as converted JPEG; the hash is the file's
+    imageFile ? toDisplayableImageFile(imageFile).then(blobToDataUrl) : embedImage(imageUrl),
+    imageFile ? sha256Hex(imageFile) : imageHash,
+    analyzedFile ? blobToDataUrl(analyzedFile) : null,
+    analyzedFile ? sha256Hex(analyzedFile) : null,
+    hasHeatmap(result.heatmap) ? embedImage(heatmapToImageSrc(result.heatmap)) : null,
+    forensics ? renderForensics(forensics) : '',
+  ]);
+
+  const isReal = isRealPrediction(result.prediction);
+  const confidencePercent = toConfidencePercent(result.confidence);
+  const fakePercent = isReal ? 100 - confidencePercent : confidencePercent;
+  const threshold = result.threshold ?? DEFAULT_THRESHOLD;
+  const modelLabel = isRealPrediction(result.modelPrediction ?? result.prediction) ? 'Real' : 'AI-Generated';
+  const model = result.model;
+
+  const imageNote = !imageFile && imageSrc
+    ? '<p class="muted">The embedded image is the stored thumbnail; the hash refers to the original file.</p>'
+    : '';
+
+  // The heatmap covers what the model saw
+  const heatmapBaseSrc = analyzedSrc || imageSrc;
+
+  const ensembleLabels = labelEnsemble(result, threshold);
+  const ensembleRows = ensembleLabels.members.map((member) => [
+    member.model.name,
+    member.error
+      ? `<span class="warning">Failed: ${escapeHtml(member.error)}</span>`
+      : `${isRealPrediction(member.prediction) ? 'Real' : 'AI-Generated'} · ${toConfidencePercent(member.confidence).toFixed(1)}%`
+        + (hasRawProbability(member) ? ` · P(Real) = <span class="mono">${member.probability.toFixed(4)}</span>` : ''),
+  ]);
+
+  const credentialsComparison = contentCredentials
+    ? compareCredentialsWithPrediction(contentCredentials, result.prediction)
+    : null;
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>Classification report · ${escapeHtml(fileName)}</title>
+<style>${REPORT_STYLES}</style>
+</head>
+<body>
+<main>
+  <header>
+    <h1>Real or AI? Classification Report</h1>
+    <p class="muted">Generated ${escapeHtml(formatDate(generatedAt))}</p>
+  </header>
+
+  <section>
+    <h2>Image</h2>
+    <div class="grid">
+      ${imageSrc ? `<figure><img src="${imageSrc}" alt="${escapeHtml(fileName)}"><figcaption>Original upload · ${escapeHtml(fileName)}${imageFile && needsDisplayConversion(imageFile) ? ' (shown converted to JPEG)' : ''}</figcaption></figure>` : '<p class="warning">The image could not be embedded.</p>'}
+      ${analyzedSrc ? `<figure><img src="${analyzedSrc}" alt="Analysed region"><figcaption>Analysed region · ${escapeHtml(analyzedFile.name)}</figcaption></figure>` : ''}
+    </div>
+    ${imageNote}
+    <table>${tableRows([
+      ['File name', escapeHtml(fileName)],
+      ['File size', imageFile ? `${imageFile.size.toLocaleString()} bytes` : null],
+      ['SHA-256', fileHash ? `<span class="mono">${fileHash}</span>` : 'Not available'],
+      ['Analysed region', analyzedFile
+        ? `${escapeHtml(analyzedFile.name)} · ${analyzedFile.size.toLocaleString()} bytes, derived from the upload`
+        : null],
+      ['Analysed region SHA-256', analyzedHash ? `<span class="mono">${analyzedHash}</span>` : null],
+      ['Analyzed', analyzedAt ? escapeHtml(formatDate(analyzedAt)) : null],
+    ])}</table>
+  </section>
+
+  <section>
+    <h2>Verdict</h2>
+    <p><span class="verdict ${isReal ? 'real' : 'fake'}">${isReal ? 'Real Image' : 'AI-Generated'}</span></p>
+    <table>${tableRows([
+      ['Confidence', `${confidencePercent.toFixed(1)}%`],
+      ['P(AI-generated)', `${fakePercent.toFixed(1)}%`],
+      ['Raw model output P(Real)', hasRawProbability(result)
+        ? `<span class="mono">${result.probability.toFixed(6)}</span>`
+        : 'Not reported (estimated from the confidence)'],
+      ['Decision threshold', escapeHtml(describeThreshold(threshold))],
+      ['Label at the default threshold', modelLabel !== (isReal ? 'Real' : 'AI-Generated')
+        ? `<span class="warning">${modelLabel} (relabelled by the threshold)</span>`
+        : modelLabel],
+    ])}</table>
+  </section>
+
+  <section>
+    <h2>Model</h2>
+    <table>${tableRows([
+      ['Inference engine', engineLabel ? escapeHtml(engineLabel) : null],
+      ['Model', model ? `${escapeHtml(model.name)} <span class="mono muted">(${escapeHtml(model.id)})</span>` : 'Not reported'],
+      ...ensembleRows,
+      ['Models agreeing', ensembleLabels.answered > 0
+        ? `${ensembleLabels.agreeing} of ${ensembleLabels.answered} at this threshold`
+        : null],
+      ['Fallback', result.fallbackReason ? escapeHtml(`Server unavailable (${result.fallbackReason}), in-browser model used`) : null],
+    ])}</table>
+  </section>
+
+  ${result.details ? `<section><h2>Analysis Details</h2><p>${escapeHtml(result.details)}</p></section>` : ''}
+
+  ${heatmapSrc && heatmapBaseSrc ? `
+  <section>
+    <h2>Model Attention Heatmap</h2>
+    <div class="grid">
+      <figure><div class="overlay"><img src="${heatmapBaseSrc}" alt=""><img src="${heatmapSrc}" alt=""></div>
+        <figcaption>Heatmap over the ${analyzedSrc ? 'analysed region' : 'image'} (50% opacity)</figcaption></figure>
+      <figure><img src="${heatmapSrc}" alt="Model attention heatmap">
+        <figcaption>Heatmap only</figcaption></figure>
+    </div>
+    <div class="legend" style="background: ${HEATMAP_GRADIENT}"></div>
+    <p class="muted" style="display: flex; justify-content: space-between"><span>Low attention</span><span>High attention</span></p>
+  </section>` : ''}
+
+  ${credentialsComparison ? `
+  <section>
+    <h2>Content Credentials (C2PA)</h2>
+    <table>${tableRows([
+      ['Comparison', escapeHtml(credentialsComparison.message)],
+      ['Claim generator', contentCredentials.claimGenerator ? escapeHtml(contentCredentials.claimGenerator) : null],
+      ['Signature', escapeHtml(SIGNATURE_STATUS_LABELS[contentCredentials.validation.status])],
+    ])}</table>
+  </section>` : ''}
+
+  ${forensicsHtml}
+
+  <footer>
+    <p class="muted" style="margin-top: 32px">
+      This classification is based on patterns learned from the GenImage dataset and should be
+      weighed together with other evidence.
+    </p>
+  </footer>
+</main>
+</body>
+</html>
+`;
+}
+
+/**
+ * File name for a downloaded report, e.g. "portrait-report.html"
+ * @param {string} fileName - Name of the classified file
+ */
+export function reportFileName(fileName) {
+  return `${(fileName || 'image').replace(/\.[^.]+$/, '')}-report.html`;
+}
@@ -0,0 +1,210 @@
+/**
+ * Video Helpers
+ *
+ * Purpose: Client-side frame sampling for video screening (MP4 / WebM).
+ * Frames are seeked and drawn one at a time on a canvas, so memory stays
+ * flat however long the clip is; only the sampled frames are encoded.
+ *
+ * Also aggregates the per-frame predictions into a verdict for the clip.
+ */
+
+import { canvasToBlob } from './image';
+import { toFakeProbability } from './prediction';
+
+// Accepted containers (what browsers can decode natively)
+export const VIDEO_TYPES = ['video/mp4', 'video/webm'];
+export const MAX_VIDEO_SIZE = 200 * 1024 * 1024; // 200MB
+
+// Sampling rates offered to the user (frames per second)
+export const SAMPLE_RATES = [0.5, 1, 2, 4];
+export const DEFAULT_SAMPLE_RATE = 1;
+
+// Upper bound on frames per clip, so long videos don't flood the backend
+export const MAX_SAMPLED_FRAMES = 120;
+
+// Give up on a seek that never completes (corrupt or truncated files)
+const SEEK_TIMEOUT_MS = 10000;
+
+// Share of flagged frames above which a clip is reported as partly suspicious
+const SUSPICIOUS_SEGMENT_RATIO = 0.2;
+
+/**
+ * Check a video file against the accepted types and size
+ *
+ * @param {File} file - Selected file
+ * @returns {string|null} Error message, or null when the file is accepted
+ */
+export function validateVideoFile(file) {
+  if (!file) return 'No file selected';
+  if (!VIDEO_TYPES.includes(file.type)) return 'Invalid file type. Please choose an MP4 or WebM video.';
+  if (file.size > MAX_VIDEO_SIZE) return `File too large (Max ${MAX_VIDEO_SIZE / 1024 / 1024}MB).`;
+  return null;
+}
+
+/**
+ * Times (seconds) at which to sample a clip
+ * Samples sit in the middle of each interval (skipping black first frames)
+ * and are spread further apart when the clip would exceed `maxFrames`.
+ *
+ * @param {number} duration - Clip length in seconds
+ * @param {number} rate - Requested frames per second
+ * @param {number} [maxFrames=MAX_SAMPLED_FRAMES]
+ * @returns {number[]}
+ */
+export function planSampleTimes(duration, rate, maxFrames = MAX_SAMPLED_FRAMES) {
+  if (!Number.isFinite(duration) || duration <= 0) return [0];
+
+  const step = Math.max(1 / rate, duration / maxFrames);
+  const times = [];
+  for (let time = step / 2; time < duration && times.length < maxFrames; time += step) {
+    times.push(Number(time.toFixed(3)));
+  }
+  return times;
+}
+
+/**
+ * Resolve once the video element fires `eventName` (or reject on error/timeout)
+ */
+function waitForEvent(video, eventName) {
+  return new Promise((resolve, reject) => {
+    const cleanup = () => {
+      clearTimeout(timer);
+      video.removeEventListener(eventName, handleEvent);
+      video.removeEventListener('error', handleError);
+    };
+    const handleEvent = () => { cleanup(); resolve(); };
+    const handleError = () => { cleanup(); reject(new Error('This browser cannot decode the video (try MP4 with H.264, or WebM).')); };
+    const timer = setTimeout(() => { cleanup(); reject(new Error('The video stopped responding while seeking.')); }, SEEK_TIMEOUT_MS);
+
+    video.addEventListener(eventName, handleEvent);
+    video.addEventListener('error', handleError);
+  });
+}
+
+/**
+ * Seek a video element and wait until the frame is ready to draw
+ */
+async function seekTo(video, time) {
+  const seeked = waitForEvent(video, 'seeked');
+  video.currentTime = time;
+  await seeked;
+}
+
+/**
+ * Decode a video file into an off-screen <video> element ready for seeking
+ *
+ * @param {File} file - MP4 or WebM file
+ * @returns {Promise<{video: HTMLVideoElement, duration: number, release: () => void}>}
+ *   Call `release` when done to free the decoder
+ */
+export async function loadVideo(file) {
+  const url = URL.createObjectURL(file);
+  const video = document.createElement('video');
+  video.muted = true;
+  video.playsInline = true;
+  video.preload = 'auto';
+
+  const release = () => {
+    video.removeAttribute('src');
+    video.load();
+    URL.revokeObjectURL(url);
+  };
+
+  try {
+    const loaded = waitForEvent(video, 'loadeddata');
+    video.src = url;
+    await loaded;
+
+    // Recorded WebM files often have no duration until the end was seeked once
+    if (!Number.isFinite(video.duration)) {
+      await seekTo(video, Number.MAX_SAFE_INTEGER);
+      await seekTo(video, 0);
+    }
+
+    if (!video.videoWidth || !Number.isFinite(video.duration)) {
+      throw new Error('The file has no readable video track.');
+    }
+    return { video, duration: video.duration, release };
+  } catch (err) {
+    release();
+    throw err;
+  }
+}
+
+/**
+ * Draw the frame at `time` onto a new canvas
+ *
+ * @param {HTMLVideoElement} video - From loadVideo
+ * @param {number} time - Seconds
+ * @returns {Promise<HTMLCanvasElement>}
+ */
+export async function captureFrame(video, time) {
+  await seekTo(video, time);
+
+  const canvas = document.createElement('canvas');
+  canvas.width = video.videoWidth;
+  canvas.height = video.videoHeight;
+  canvas.getContext('2d').drawImage(video, 0, 0);
+  return canvas;
+}
+
+/**
+ * Encode a frame (optionally a square crop of it) as a JPEG file
+ *
+ * @param {HTMLCanvasElement} canvas - From captureFrame
+ * @param {string} fileName - Name of the resulting file
+ * @param {{x: number, y: number, size: number}|null} [crop] - Square region in frame pixels
+ * @returns {Promise<File>}
+ */
+export async function frameToFile(canvas, fileName, crop = null) {
+  let source = canvas;
+  if (crop) {
+    source = document.createElement('canvas');
+    source.width = crop.size;
+    source.height = crop.size;
+    source.getContext('2d').drawImage(canvas, crop.x, crop.y, crop.size, crop.size, 0, 0, crop.size, crop.size);
+  }
+
+  const blob = await canvasToBlob(source, 'image/jpeg', 0.95);
+  return new File([blob], fileName, { type: 'image/jpeg', lastModified: Date.now() });
+}
+
+/**
+ * Format seconds as m:ss.s for timelines
+ * @param {number} seconds
+ */
+export function formatTimestamp(seconds) {
+  const minutes = Math.floor(seconds / 60);
+  return `${minutes}:${(seconds - minutes * 60).toFixed(1).padStart(4, '0')}`;
+}
+
+/**
+ * Combine per-frame predictions into a verdict for the whole clip
+ * The clip is labelled AI-generated when the mean P(AI-generated) reaches the
+ * threshold. Manipulations often cover only part of a clip, so it is also
+ * flagged as `suspicious` when enough individual frames cross the threshold.
+ *
+ * @param {Array<{time: number, result: Object}>} frames - Classified frames
+ * @param {number} threshold - Decision threshold on P(AI-generated), 0-1
+ * @returns {{isFake: boolean, meanProbability: number, flaggedCount: number, total: number,
+ *   suspicious: boolean, peak: {time: number, probability: number}} | null}
+ *   Probabilities are 0-100; null when no frame was classified
+ */
+export function aggregateVideoFrames(frames, threshold) {
+  if (frames.length === 0) return null;
+
+  const probabilities = frames.map((frame) => ({ time: frame.time, probability: toFakeProbability(frame.result) }));
+  const meanProbability = probabilities.reduce((total, frame) => total + frame.probability, 0) / probabilities.length;
+  const flaggedCount = probabilities.filter((frame) => frame.probability >= threshold * 100).length;
+  const peak = probabilities.reduce((highest, frame) => (frame.probability > highest.probability ? frame : highest));
+  const isFake = meanProbability >= threshold * 100;
+
+  return {
+    isFake,
+    meanProbability,
+    flaggedCount,
+    total: frames.length,
+    suspicious: !isFake && flaggedCount / frames.length >= SUSPICIOUS_SEGMENT_RATIO,
+    peak,
+  };
+}
@@ -9,6 +9,12 @@ import react from '@vitejs/plugin-react'
 
 export default defineConfig({
   plugins: [react()],
+
+  // ONNX Runtime Web locates its .wasm files relative to its own module;
+  // pre-bundling would move it away from them in development
+  optimizeDeps: {
+    exclude: ['onnxruntime-web'],
+  },
   
   // Development server configuration
   server: {